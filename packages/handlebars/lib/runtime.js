@@ -0,0 +1,191 @@
+// Generated from main.js by `rake packages/handlebars/lib/runtime.js`. Don't edit.
+// lib/handlebars/base.js
+Handlebars = {};
+
+Handlebars.VERSION = "1.0.beta.2";
+
+Handlebars.helpers  = {};
+Handlebars.partials = {};
+
+Handlebars.registerHelper = function(name, fn, inverse) {
+  if(inverse) { fn.not = inverse; }
+  this.helpers[name] = fn;
+};
+
+Handlebars.registerPartial = function(name, str) {
+  this.partials[name] = str;
+};
+
+Handlebars.registerHelper('helperMissing', function(arg) {
+  if(arguments.length === 2) {
+    return undefined;
+  } else {
+    throw new Error("Could not find property '" + arg + "'");
+  }
+});
+
+Handlebars.registerHelper('blockHelperMissing', function(context, fn, inverse) {
+  inverse = inverse || function() {};
+
+  var ret = "";
+  var type = Object.prototype.toString.call(context);
+
+  if(type === "[object Function]") {
+    context = context();
+  }
+
+  if(context === true) {
+    return fn(this);
+  } else if(context === false || context == null) {
+    return inverse(this);
+  } else if(type === "[object Array]") {
+    if(context.length > 0) {
+      for(var i=0, j=context.length; i<j; i++) {
+        ret = ret + fn(context[i]);
+      }
+    } else {
+      ret = inverse(this);
+    }
+    return ret;
+  } else {
+    return fn(context);
+  }
+}, function(context, fn) {
+  return fn(context);
+});
+
+Handlebars.registerHelper('each', function(context, fn, inverse) {
+  var ret = "";
+
+  if(context && context.length > 0) {
+    for(var i=0, j=context.length; i<j; i++) {
+      ret = ret + fn(context[i]);
+    }
+  } else {
+    ret = inverse(this);
+  }
+  return ret;
+});
+
+Handlebars.registerHelper('if', function(context, fn, inverse) {
+  if(!context || context == []) {
+    return inverse(this);
+  } else {
+    return fn(this);
+  }
+});
+
+Handlebars.registerHelper('unless', function(context, fn, inverse) {
+  return Handlebars.helpers['if'].call(this, context, inverse, fn);
+});
+
+Handlebars.registerHelper('with', function(context, fn) {
+  return fn(context);
+});
+
+Handlebars.logger = {
+  DEBUG: 0, INFO: 1, WARN: 2, ERROR: 3, level: 3,
+
+  // override in the host environment
+  log: function(level, str) {}
+};
+
+Handlebars.log = function(level, str) { Handlebars.logger.log(level, str); };
+;
+// lib/handlebars/utils.js
+Handlebars.Exception = function(message) {
+  this.message = message;
+};
+
+// Build out our basic SafeString type
+Handlebars.SafeString = function(string) {
+  this.string = string;
+};
+Handlebars.SafeString.prototype.toString = function() {
+  return this.string.toString();
+};
+
+(function() {
+  var escape = {
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#x27;",
+    "`": "&#x60;"
+  };
+
+  var badChars = /&(?!\w+;)|[<>"'`]/g;
+  var possible = /[&<>"'`]/;
+
+  var escapeChar = function(chr) {
+    return escape[chr] || "&amp;"
+  };
+
+  Handlebars.Utils = {
+    escapeExpression: function(string) {
+      // don't escape SafeStrings, since they're already safe
+      if (string instanceof Handlebars.SafeString) {
+        return string.toString();
+      } else if (string == null || string === false) {
+        return "";
+      }
+
+      if(!possible.test(string)) { return string; }
+      return string.replace(badChars, escapeChar);
+    },
+
+    isEmpty: function(value) {
+      if (typeof value === "undefined") {
+        return true;
+      } else if (value === null) {
+        return true;
+      } else if (value === false) {
+        return true;
+      } else if(Object.prototype.toString.call(value) === "[object Array]" && value.length === 0) {
+        return true;
+      } else {
+        return false;
+      }
+    }
+  };
+})();;
+// lib/handlebars/vm.js
+Handlebars.VM = {
+  programWithDepth: function(fn, helpers, partials, data, $depth) {
+    var args = Array.prototype.slice.call(arguments, 4);
+
+    return function(context, options) {
+      options = options || {};
+
+      options = {
+        helpers: options.helpers || helpers,
+        partials: options.partials || partials,
+        data: options.data || data
+      };
+
+      return fn.apply(this, [context, options].concat(args));
+    };
+  },
+  program: function(fn, helpers, partials, data) {
+    return function(context, options) {
+      options = options || {};
+
+      return fn(context, {
+        helpers: options.helpers || helpers,
+        partials: options.partials || partials,
+        data: options.data || data
+      });
+    };
+  },
+  noop: function() { return ""; },
+  invokePartial: function(partial, name, context, helpers, partials) {
+    if(partial === undefined) {
+      throw new Handlebars.Exception("The partial " + name + " could not be found");
+    } else if(partial instanceof Function) {
+      return partial(context, {helpers: helpers, partials: partials});
+    } else {
+      partials[name] = Handlebars.VM.compile(partial);
+      return partials[name](context, {helpers: helpers, partials: partials});
+    }
+  }
+};
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+// Compares matching and sorting records with the token tree and orderBy of
+// a query, the way SC.Query did before compiling them, to the functions
+// SC.Query#parse() compiles them to.
+//
+//     node benchmarks/query.js [RECORDS] [RUNS]
+//
+// Prints the best time of the runs for each, in milliseconds.
+
+var fs = require('fs'),
+    path = require('path'),
+    vm = require('vm');
+
+var PACKAGES = path.join(__dirname, '..', '..');
+
+// Loads the SproutCore packages from this checkout into a context without a
+// document, resolving require() calls the way spade does.
+function loadSproutCore() {
+  var context = vm.createContext({ console: console, setTimeout: setTimeout, clearTimeout: clearTimeout }),
+      modules = {};
+
+  context.window = context;
+
+  function load(id) {
+    var parts = id.split('/'),
+        file = path.join(PACKAGES, parts.shift(), 'lib', parts.length ? parts.join('/') + '.js' : 'main.js'),
+        fn;
+
+    if (!modules[file]) {
+      modules[file] = { exports: {} };
+      fn = vm.runInContext('(function(require, exports, module) {' + fs.readFileSync(file, 'utf8') + '\n})', context, file);
+      fn.call(context, load, modules[file].exports, modules[file]);
+    }
+
+    return modules[file].exports;
+  }
+
+  load('sproutcore-datastore');
+  return context;
+}
+
+// The body of SC.Query#compare() before orderBy was compiled.
+function interpretedCompare(SC, query, record1, record2) {
+  var get = SC.get, order = query._order, result = 0, propertyName, idx;
+
+  for (idx = 0; result === 0 && idx < order.length; idx++) {
+    propertyName = order[idx].propertyName;
+    result = (SC.Query.comparisons[propertyName] || SC.compare)(get(record1, propertyName), get(record2, propertyName));
+    if (result !== 0 && order[idx].descending) result = -result;
+  }
+
+  return result !== 0 ? result : SC.compare(get(record1, 'id'), get(record2, 'id'));
+}
+
+function best(runs, fn) {
+  var ret = Infinity, idx, start;
+
+  for (idx = 0; idx < runs; idx++) {
+    start = Date.now();
+    fn();
+    ret = Math.min(ret, Date.now() - start);
+  }
+
+  return ret;
+}
+
+function main(args) {
+  var count = parseInt(args[0], 10) || 5000,
+      runs = parseInt(args[1], 10) || 7,
+      context = loadSproutCore(),
+      SC = context.SC,
+      Item, store, records, query, tree, idx;
+
+  // Attribute types have to be the classes of the context
+  Item = SC.Record.extend({
+    name: SC.Record.attr(context.String),
+    year: SC.Record.attr(context.Number),
+    active: SC.Record.attr(context.Boolean)
+  });
+
+  store = SC.Store.create();
+  records = [];
+  SC.run(function() {
+    for (idx = 0; idx < count; idx++) {
+      records.push(store.materializeRecord(store.loadRecord(Item, {
+        guid: idx, name: 'n' + idx, year: idx % 50, active: idx % 3 === 0
+      })));
+    }
+  });
+
+  query = SC.Query.local(Item, {
+    conditions: "(year >= 10 AND year < 40 AND active = true) OR name BEGINS_WITH 'n9'",
+    orderBy: 'year DESC, name'
+  });
+  query.parse();
+  tree = query._tokenTree;
+
+  console.log(count + ' records, best of ' + runs + ' runs');
+  console.log('matching, token tree:  ' + best(runs, function() {
+    records.forEach(function(record) { tree.evaluate(record, query); });
+  }) + 'ms');
+  console.log('matching, compiled:    ' + best(runs, function() {
+    records.forEach(function(record) { query.contains(record); });
+  }) + 'ms');
+  console.log('sorting, interpreted:  ' + best(runs, function() {
+    records.slice().sort(function(a, b) { return interpretedCompare(SC, query, a, b); });
+  }) + 'ms');
+  console.log('sorting, compiled:     ' + best(runs, function() {
+    records.slice().sort(function(a, b) { return query.compare(a, b); });
+  }) + 'ms');
+}
+
+main(process.argv.slice(2));
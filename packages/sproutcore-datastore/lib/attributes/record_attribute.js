@@ -24,6 +24,23 @@ var get = SC.get, set = SC.set, getPath = SC.getPath;
         isRequired: YES|NO
       })
 
+  Attributes can also declare validation rules.  Call `validate()` on the
+  record, or read its `errors` and `isValid` properties, to check them:
+
+      age: SC.Record.attr(Number, { min: 0, max: 150 }),
+
+      email: SC.Record.attr(String, {
+        isRequired: YES,
+        maxLength: 255,
+        pattern: /^[^@]+@[^@]+$/,
+        validator: function(value, record, key) {
+          return value.indexOf('example.com') < 0 || 'No example addresses';
+        }
+      })
+
+  Only `isRequired` applies to empty (`null`, `undefined` or `''`) values;
+  the other rules are skipped until the attribute has a value.
+
   In addition to having predefined transform types, there is also a way to
   set a computed relationship on an attribute. A typical example of this would
   be if you have record with a parentGuid attribute, but are not able to
@@ -106,6 +123,84 @@ SC.RecordAttribute = SC.Object.extend(
   */
   isRequired: NO,
 
+  /**
+    If set, numeric (or otherwise comparable) values smaller than this will
+    fail validation.
+
+    @type Object
+    @default null
+  */
+  min: null,
+
+  /**
+    If set, numeric (or otherwise comparable) values larger than this will
+    fail validation.
+
+    @type Object
+    @default null
+  */
+  max: null,
+
+  /**
+    If set, strings or arrays shorter than this will fail validation.
+
+    @type Number
+    @default null
+  */
+  minLength: null,
+
+  /**
+    If set, strings or arrays longer than this will fail validation.
+
+    @type Number
+    @default null
+  */
+  maxLength: null,
+
+  /**
+    If set, values that do not match this regular expression will fail
+    validation.
+
+    @type RegExp
+    @default null
+  */
+  pattern: null,
+
+  /**
+    Custom validation function, or an array of them.  Validators are called
+    with the record as `this` and receive the attribute value, the record and
+    the key.
+
+    A validator should return `YES` (or nothing) if the value is valid.
+    Returning `NO` fails with a generic message, returning a string fails
+    with that string as the message and returning an `SC.StoreError` uses
+    that error as is.
+
+    @type Function|Array
+    @default null
+  */
+  validator: null,
+
+  /**
+    Custom validation function that finishes at a later time, for example
+    after asking the server whether a username is taken.  It is called like
+    `validator`, with an additional callback that must be invoked with the
+    result:
+
+        asyncValidator: function(value, record, key, callback) {
+          MyApp.checkUsername(value, function(isTaken) {
+            callback(isTaken ? 'Username is taken' : YES);
+          });
+        }
+
+    Asynchronous validators are only run by `SC.Record#validate()`, and only
+    once the synchronous rules pass.
+
+    @type Function
+    @default null
+  */
+  asyncValidator: null,
+
   /**
     If `NO` then attempts to edit the attribute will be ignored.
 
@@ -138,6 +233,21 @@ SC.RecordAttribute = SC.Object.extend(
   */
   aggregate: NO,
 
+  /**
+    If `YES`, stores keep an index of the values of this attribute, which
+    local queries use to find records matching conditions like
+    `name = 'John'`, `age >= 18` or `name BEGINS_WITH 'J'` without looking
+    at every record.
+
+    Indexes hold the values records return, with default values applied.
+    Attributes of other types than strings, numbers and booleans, or with a
+    `defaultValue` function, are not indexed.
+
+    @type Boolean
+    @default NO
+  */
+  indexed: NO,
+
   // ..........................................................
   // HELPER PROPERTIES
   //
@@ -305,6 +415,106 @@ SC.RecordAttribute = SC.Object.extend(
     return value ;
   },
 
+  // ..........................................................
+  // VALIDATION
+  //
+
+  /**
+    Checks the current value of the attribute on the passed record against
+    the synchronous validation rules.
+
+    @param {SC.Record} record The record instance
+    @param {String} key The key used to access this attribute on the record
+    @returns {SC.StoreError} the first failed rule or null if valid
+  */
+  validate: function(record, key) {
+    var value = get(record, key),
+        E     = SC.StoreError,
+        min, max, len, pattern, validators, idx, ret;
+
+    if (SC.none(value) || value === '') {
+      if (!get(this, 'isRequired')) return null;
+      return SC.$error("%@ is required".fmt(key), key, value, E.REQUIRED_VALUE);
+    }
+
+    min = get(this, 'min');
+    if (!SC.none(min) && SC.compare(value, min) < 0) {
+      return SC.$error("%@ must be at least %@".fmt(key, min), key, value, E.VALUE_TOO_SMALL);
+    }
+
+    max = get(this, 'max');
+    if (!SC.none(max) && SC.compare(value, max) > 0) {
+      return SC.$error("%@ must be at most %@".fmt(key, max), key, value, E.VALUE_TOO_LARGE);
+    }
+
+    if (typeof value === 'string' || SC.isArray(value)) {
+      len = value.length;
+      min = get(this, 'minLength');
+      if (!SC.none(min) && len < min) {
+        return SC.$error("%@ must have at least %@ characters".fmt(key, min), key, value, E.INVALID_LENGTH);
+      }
+
+      max = get(this, 'maxLength');
+      if (!SC.none(max) && len > max) {
+        return SC.$error("%@ must have at most %@ characters".fmt(key, max), key, value, E.INVALID_LENGTH);
+      }
+    }
+
+    pattern = get(this, 'pattern');
+    if (pattern && !pattern.test(String(value))) {
+      return SC.$error("%@ is invalid".fmt(key), key, value, E.PATTERN_MISMATCH);
+    }
+
+    validators = get(this, 'validator');
+    if (validators) {
+      if (!SC.isArray(validators)) validators = [validators];
+      for (idx=0; idx<validators.length; idx++) {
+        ret = validators[idx].call(record, value, record, key);
+        ret = this._validationErrorFor(ret, key, value);
+        if (ret) return ret;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+    Runs the asynchronous validator, if any, for the attribute on the passed
+    record.  The callback is invoked with an `SC.StoreError` or null once the
+    validator finishes.
+
+    @param {SC.Record} record The record instance
+    @param {String} key The key used to access this attribute on the record
+    @param {Function} callback called with the validation result
+    @returns {Boolean} YES if a validator was started
+  */
+  validateAsync: function(record, key, callback) {
+    var validator = get(this, 'asyncValidator'),
+        value     = get(record, key),
+        attr      = this;
+
+    if (!validator) return NO;
+
+    validator.call(record, value, record, key, function(ret) {
+      callback(attr._validationErrorFor(ret, key, value));
+    });
+    return YES;
+  },
+
+  /** @private
+    Converts the return value of a custom validator into an error.
+  */
+  _validationErrorFor: function(ret, key, value) {
+    if (ret === NO) {
+      return SC.$error("%@ is invalid".fmt(key), key, value, SC.StoreError.INVALID_VALUE);
+    } else if (typeof ret === 'string') {
+      return SC.$error(ret, key, value, SC.StoreError.INVALID_VALUE);
+    } else if (ret && ret.isError) {
+      return ret;
+    }
+    return null;
+  },
+
   // ..........................................................
   // INTERNAL SUPPORT
   //
@@ -8,4 +8,8 @@
 require('sproutcore-datastore/data_sources/cascading');
 require('sproutcore-datastore/data_sources/data_source');
 require('sproutcore-datastore/data_sources/fixtures');
-
+require('sproutcore-datastore/data_sources/push_adapter');
+require('sproutcore-datastore/data_sources/push_transports');
+require('sproutcore-datastore/data_sources/rest');
+require('sproutcore-datastore/data_sources/storage_backends');
+require('sproutcore-datastore/data_sources/storage');
@@ -101,6 +101,22 @@ SC.CascadeDataSource = SC.DataSource.extend(
   },
 
 
+  /** @private - just cascades */
+  fetchRange: function(store, query, start, length) {
+    var sources = get(this, 'dataSources'),
+        len     = sources ? sources.length : 0,
+        ret     = NO,
+        cur, source, idx;
+
+    for(idx=0; (ret !== YES) && idx<len; idx++) {
+      source = sources.objectAt(idx);
+      cur = source.fetchRange ? source.fetchRange.apply(source, arguments) : NO;
+      ret = this._handleResponse(ret, cur);
+    }
+
+    return ret ;
+  },
+
   /** @private - just cascades */
   retrieveRecords: function(store, storeKeys, ids) {
     var sources = get(this, 'dataSources'),
@@ -149,6 +165,16 @@ SC.CascadeDataSource = SC.DataSource.extend(
     return ret ;
   },
 
+  /** @private - notifies every data source */
+  storeDidChangeRecords: function(store, storeKeys) {
+    this._notifyAll('storeDidChangeRecords', arguments);
+  },
+
+  /** @private - notifies every data source */
+  storeDidLoadQuery: function(store, query, storeKeys) {
+    this._notifyAll('storeDidLoadQuery', arguments);
+  },
+
   // ..........................................................
   // INTERNAL SUPPORT
   //
@@ -169,6 +195,18 @@ SC.CascadeDataSource = SC.DataSource.extend(
 
   },
 
+  /** @private */
+  _notifyAll: function(method, args) {
+    var sources = get(this, 'dataSources'),
+        len     = sources ? sources.length : 0,
+        source, idx;
+
+    for(idx=0; idx<len; idx++) {
+      source = sources.objectAt(idx);
+      if (source[method]) source[method].apply(source, args);
+    }
+  },
+
   /** @private - Determine the proper return value. */
   _handleResponse: function(current, response) {
     if (response === YES) return YES ;
@@ -259,8 +259,17 @@ SC.DataSource = SC.Object.extend( /** @scope SC.DataSource.prototype */ {
     yourself.
 
     If you want to support incremental loading from the server for remote
-    queries, you can do so by passing a SC.SparseArray instance instead of
-    a regular array of storeKeys and then populate the sparse array on demand.
+    queries, call SC.Store#loadQueryLength() with the total number of results
+    instead.  Your `fetchRange()` method will then be called as ranges of
+    results are needed.
+
+    Remote queries may ask for a page of results with `limit` and `offset`,
+    or with a `cursor` returned by your server with a previous page.  Pass
+    the cursor of the next page to SC.Store#loadQueryResults() if there is
+    one.
+
+    If the query has `aggregates`, compute them on the server and call
+    SC.Store#loadQueryAggregates() with the results.
 
     ### Handling Errors and Cancelations
 
@@ -288,6 +297,32 @@ SC.DataSource = SC.Object.extend( /** @scope SC.DataSource.prototype */ {
     return NO ; // do not handle anything!
   },
 
+  /**
+    Invoked by the store whenever a remote query loaded incrementally needs
+    a range of its results.  The query must have been set up with
+    SC.Store#loadQueryLength() in response to `fetch()`.
+
+    Load the records for the range into the store and call
+    SC.Store#loadQueryRange() with their storeKeys and the start index:
+
+        fetchRange: function(store, query, start, length) {
+          MyApp.server.get(query, start, length, function(hashes) {
+            var storeKeys = store.loadRecords(MyApp.Contact, hashes);
+            store.loadQueryRange(query, storeKeys, start);
+          });
+          return YES;
+        }
+
+    @param {SC.Store} store the requesting store
+    @param {SC.Query} query query describing the request
+    @param {Number} start index of the first result needed
+    @param {Number} length number of results needed
+    @returns {Boolean} YES if you can handle fetching the range, NO otherwise
+  */
+  fetchRange: function(store, query, start, length) {
+    return NO ;
+  },
+
   /**
     Called by the store whenever it needs to load a specific set of store
     keys.  The default implementation will call retrieveRecord() for each
@@ -374,6 +409,36 @@ SC.DataSource = SC.Object.extend( /** @scope SC.DataSource.prototype */ {
     return NO;
   },
 
+  // ..........................................................
+  // STORE NOTIFICATIONS
+  //
+
+  /**
+    Called by the store at the end of the run loop with the store keys of
+    the records whose data or status changed, whether the changes came from
+    a data source or from the application.  Implement this method if your
+    data source keeps its own copy of records, like `SC.StorageDataSource`.
+
+    Notifications are sent to every data source of an
+    `SC.CascadeDataSource`.  Nested stores don't send notifications.
+
+    @param {SC.Store} store the store
+    @param {Array} storeKeys the store keys of the changed records
+  */
+  storeDidChangeRecords: function(store, storeKeys) {},
+
+  /**
+    Called by the store when a query has been fetched, whether by this data
+    source or by another one.  For remote queries, the results are passed
+    as well.
+
+    @param {SC.Store} store the store
+    @param {SC.Query} query the query
+    @param {SC.Array} storeKeys the store keys of the results of a remote
+      query
+  */
+  storeDidLoadQuery: function(store, query, storeKeys) {},
+
   // ..........................................................
   // BULK RECORD ACTIONS
   //
@@ -0,0 +1,341 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+require('sproutcore-runtime');
+require('sproutcore-datastore/system/store_error');
+require('sproutcore-datastore/data_sources/push_transports');
+
+var get = SC.get, set = SC.set, getPath = SC.getPath;
+
+/** @class
+
+  Applies changes pushed by the server to a store, using `pushRetrieve()`,
+  `pushDestroy()` and `pushError()`.
+
+      MyApp.pushAdapter = SC.PushAdapter.create({
+        store: MyApp.store,
+        transport: SC.WebSocketTransport.create({ url: 'ws://example.com/updates' })
+      });
+
+      MyApp.pushAdapter.connect();
+
+  ## Messages
+
+  By default, messages are JSON objects, or arrays of them, like:
+
+      { "type": "update", "recordType": "MyApp.Contact", "id": 1, "data": { ... } }
+
+  The `type` is one of `create`, `update`, `delete` or `error`.  Error
+  messages have a `message` instead of `data`.  The `recordType` is looked
+  up in `recordTypes`, then as a property path.  Override `decode()` and
+  `recordTypeFor()` if your server sends messages in another format.
+
+  ## Batches
+
+  The messages received in a run loop, or within `batchDelay` milliseconds
+  if set, are applied together, so that records and record arrays are only
+  notified once.  Record arrays of remote queries involving a changed
+  record type are refreshed, because only the server knows whether the
+  changed records belong in them.  Local queries update by themselves.
+
+  ## Local changes
+
+  Records with local changes are not changed, unless the store has a
+  `mergeStrategy`.  `didIgnoreMessage()` is called for the messages that
+  were not applied.
+
+  ## Connection
+
+  If the connection closes, the adapter connects again after
+  `reconnectDelay` milliseconds, until you call `disconnect()`.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.PushAdapter = SC.Object.extend(
+  /** @scope SC.PushAdapter.prototype */ {
+
+  /**
+    The store to apply changes to.
+
+    @property {SC.Store}
+  */
+  store: null,
+
+  /**
+    The transport receiving messages.
+
+    @property {SC.PushTransport}
+  */
+  transport: null,
+
+  /**
+    Record types by the names used in messages, as record types or property
+    paths.  Names that are not found here are looked up as property paths.
+
+    @property {Hash}
+  */
+  recordTypes: null,
+
+  /**
+    Milliseconds to wait for more messages before applying a batch.  If 0,
+    the messages received in a run loop are applied at its end.
+
+    @property {Number}
+  */
+  batchDelay: 0,
+
+  /**
+    Milliseconds to wait before connecting again after the connection
+    closed.  Set to null to not reconnect.
+
+    @property {Number}
+  */
+  reconnectDelay: 5000,
+
+  /**
+    YES if record arrays of remote queries are refreshed when records of
+    their record types change.
+
+    @property {Boolean}
+  */
+  refreshesRemoteQueries: YES,
+
+  /**
+    YES while the transport is connected.
+
+    @property {Boolean}
+  */
+  isConnected: NO,
+
+  /**
+    Starts receiving messages.
+
+    @returns {SC.PushAdapter} receiver
+  */
+  connect: function() {
+    var transport = get(this, 'transport');
+
+    this._scpa_wantsConnection = YES;
+    set(transport, 'delegate', this);
+    transport.connect();
+
+    return this;
+  },
+
+  /**
+    Stops receiving messages.  Messages already received are still applied.
+
+    @returns {SC.PushAdapter} receiver
+  */
+  disconnect: function() {
+    this._scpa_wantsConnection = NO;
+    if (this._scpa_reconnectTimer) SC.run.cancel(this._scpa_reconnectTimer);
+    this._scpa_reconnectTimer = null;
+
+    get(this, 'transport').disconnect();
+    set(this, 'isConnected', NO);
+
+    return this;
+  },
+
+  /**
+    Returns the messages contained in the data received by the transport.
+    If the data cannot be decoded, throw an error, and the data is passed to
+    `didIgnoreMessage()`.
+
+    @param {String|Object} data
+    @returns {Array} messages
+  */
+  decode: function(data) {
+    if (typeof data === 'string') data = JSON.parse(data);
+    return SC.isArray(data) ? data : [data];
+  },
+
+  /**
+    Returns the record type for a name used in messages, or null.
+
+    @param {String} name
+    @returns {SC.Record} record type
+  */
+  recordTypeFor: function(name) {
+    var recordTypes = get(this, 'recordTypes'),
+        ret = recordTypes && recordTypes.hasOwnProperty(name) ? recordTypes[name] : name;
+
+    return typeof ret === 'string' ? getPath(ret) : ret;
+  },
+
+  /**
+    Called for messages that were not applied, because they are for records
+    with local changes, because their type or record type is unknown, or
+    because they are not objects or could not be applied.  Also called with
+    the data received by the transport if `decode()` throws an error.
+
+    @param {Hash|String} message the message, or the data received
+  */
+  didIgnoreMessage: function(message) {},
+
+  // ..........................................................
+  // TRANSPORT DELEGATE
+  //
+
+  /** @private */
+  transportDidOpen: function(transport) {
+    var adapter = this;
+    SC.run(function() { set(adapter, 'isConnected', YES); });
+  },
+
+  /** @private */
+  transportDidReceiveMessage: function(transport, data) {
+    var adapter = this, messages;
+
+    // malformed data must not throw out of the transport's callback
+    try {
+      messages = this.decode(data);
+    } catch (e) {
+      SC.run(function() { adapter.didIgnoreMessage(data); });
+      return;
+    }
+
+    this._scpa_messages = this._scpa_messages.concat(messages);
+
+    // batch with the other messages of the current run loop, if any
+    if (SC.run.currentRunLoop) this._scpa_scheduleBatch();
+    else SC.run(this, this._scpa_scheduleBatch);
+  },
+
+  /** @private */
+  transportDidClose: function(transport) {
+    var adapter = this,
+        delay = get(this, 'reconnectDelay');
+
+    SC.run(function() {
+      set(adapter, 'isConnected', NO);
+
+      if (adapter._scpa_wantsConnection && !SC.none(delay)) {
+        adapter._scpa_reconnectTimer = SC.run.later(adapter, adapter._scpa_reconnect, delay);
+      }
+    });
+  },
+
+  // ..........................................................
+  // INTERNAL SUPPORT
+  //
+
+  /** @private */
+  init: function() {
+    this._super();
+    this._scpa_messages = [];
+  },
+
+  /** @private */
+  destroy: function() {
+    if (this._scpa_wantsConnection) this.disconnect();
+    if (this._scpa_batchTimer) SC.run.cancel(this._scpa_batchTimer);
+    return this._super();
+  },
+
+  /** @private */
+  _scpa_reconnect: function() {
+    this._scpa_reconnectTimer = null;
+    if (this._scpa_wantsConnection) get(this, 'transport').connect();
+  },
+
+  /** @private */
+  _scpa_scheduleBatch: function() {
+    var delay = get(this, 'batchDelay');
+
+    if (!delay) {
+      SC.run.once(this, this._scpa_applyBatch);
+    } else if (!this._scpa_batchTimer) {
+      this._scpa_batchTimer = SC.run.later(this, this._scpa_applyBatch, delay);
+    }
+  },
+
+  /** @private
+    Applies the received messages, then refreshes the remote queries of the
+    record types that changed.
+  */
+  _scpa_applyBatch: function() {
+    var messages = this._scpa_messages,
+        changed = SC.Set.create();
+
+    this._scpa_messages = [];
+    this._scpa_batchTimer = null;
+
+    messages.forEach(function(message) {
+      var recordType = null;
+
+      // a bad message must not keep the others from being applied
+      if (message && 'object' === typeof message) {
+        try {
+          recordType = this._scpa_apply(message);
+        } catch (e) {
+          recordType = null;
+        }
+      }
+
+      if (recordType) {
+        changed.add(recordType);
+      } else {
+        this.didIgnoreMessage(message);
+      }
+    }, this);
+
+    if (get(changed, 'length') > 0 && get(this, 'refreshesRemoteQueries')) {
+      this._scpa_refreshRemoteQueries(changed);
+    }
+  },
+
+  /** @private
+    Applies a single message, returning its record type if the store
+    accepted it.
+  */
+  _scpa_apply: function(message) {
+    var store = get(this, 'store'),
+        recordType = this.recordTypeFor(message.recordType),
+        id = message.id,
+        data = message.data,
+        ret;
+
+    if (!recordType) return null;
+    if (SC.none(id) && data) id = data[get(recordType, 'proto').primaryKey];
+
+    switch (message.type) {
+      case 'create':
+      case 'update':
+        ret = store.pushRetrieve(recordType, id, data);
+        break;
+      case 'delete':
+        ret = store.pushDestroy(recordType, id);
+        break;
+      case 'error':
+        ret = store.pushError(recordType, id, SC.StoreError.desc(message.message || ''));
+        break;
+      default:
+        ret = NO;
+    }
+
+    return ret === NO ? null : recordType;
+  },
+
+  /** @private */
+  _scpa_refreshRemoteQueries: function(recordTypes) {
+    var recordArrays = get(get(this, 'store'), 'recordArrays');
+    if (!recordArrays) return;
+
+    recordArrays.forEach(function(recordArray) {
+      var query = get(recordArray, 'query');
+
+      if (query && get(query, 'isRemote') && get(query, 'expandedRecordTypes').find(function(recordType) {
+        return recordTypes.contains(recordType);
+      })) {
+        recordArray.refresh();
+      }
+    });
+  }
+
+});
@@ -0,0 +1,229 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+require('sproutcore-runtime');
+
+var get = SC.get, set = SC.set;
+
+/** @class
+
+  A push transport receives messages from the server for an
+  `SC.PushAdapter`.  It tells its `delegate` when it opens, receives a
+  message and closes by calling `transportDidOpen()`,
+  `transportDidReceiveMessage()` and `transportDidClose()`.
+
+  To receive messages some other way, subclass `SC.PushTransport` and
+  implement `connect()` and `disconnect()`.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.PushTransport = SC.Object.extend(
+  /** @scope SC.PushTransport.prototype */ {
+
+  /**
+    The object notified of messages, usually an `SC.PushAdapter`.  Set by
+    the adapter.
+
+    @property {SC.PushAdapter}
+  */
+  delegate: null,
+
+  /**
+    Opens the connection.
+  */
+  connect: function() {
+    throw new Error("%@ must implement connect()".fmt(this));
+  },
+
+  /**
+    Closes the connection.  The delegate is not notified.
+  */
+  disconnect: function() {
+    throw new Error("%@ must implement disconnect()".fmt(this));
+  },
+
+  /** @private */
+  _scpt_notify: function(method, data) {
+    var delegate = get(this, 'delegate');
+    if (delegate) delegate[method](this, data);
+  }
+
+});
+
+/** @class
+
+  Receives messages through a WebSocket.
+
+  @extends SC.PushTransport
+  @since SproutCore 2.0
+*/
+SC.WebSocketTransport = SC.PushTransport.extend(
+  /** @scope SC.WebSocketTransport.prototype */ {
+
+  /**
+    The URL to connect to, like 'ws://example.com/updates'.
+
+    @property {String}
+  */
+  url: null,
+
+  /**
+    The subprotocols to request, if any.
+
+    @property {Array}
+  */
+  protocols: null,
+
+  /**
+    The WebSocket constructor to use.  Defaults to `window.WebSocket`.
+
+    @property {Function}
+  */
+  WebSocket: null,
+
+  connect: function() {
+    var transport = this,
+        WebSocket = get(this, 'WebSocket') || window.WebSocket,
+        protocols = get(this, 'protocols'),
+        socket;
+
+    socket = this._scwst_socket = protocols ? new WebSocket(get(this, 'url'), protocols) : new WebSocket(get(this, 'url'));
+
+    socket.onopen = function() { transport._scpt_notify('transportDidOpen'); };
+    socket.onmessage = function(evt) { transport._scpt_notify('transportDidReceiveMessage', evt.data); };
+    socket.onclose = function() {
+      transport._scwst_socket = null;
+      transport._scpt_notify('transportDidClose');
+    };
+  },
+
+  disconnect: function() {
+    var socket = this._scwst_socket;
+
+    if (socket) {
+      socket.onclose = null;
+      socket.close();
+      this._scwst_socket = null;
+    }
+  }
+
+});
+
+/** @class
+
+  Receives messages from server-sent events, using an EventSource.
+
+  @extends SC.PushTransport
+  @since SproutCore 2.0
+*/
+SC.EventSourceTransport = SC.PushTransport.extend(
+  /** @scope SC.EventSourceTransport.prototype */ {
+
+  /**
+    The URL of the event stream.
+
+    @property {String}
+  */
+  url: null,
+
+  /**
+    The names of the events carrying messages.
+
+    @property {Array}
+  */
+  eventNames: ['message'],
+
+  /**
+    The EventSource constructor to use.  Defaults to `window.EventSource`.
+
+    @property {Function}
+  */
+  EventSource: null,
+
+  connect: function() {
+    var transport = this,
+        EventSource = get(this, 'EventSource') || window.EventSource,
+        source = this._scest_source = new EventSource(get(this, 'url'));
+
+    source.onopen = function() { transport._scpt_notify('transportDidOpen'); };
+
+    get(this, 'eventNames').forEach(function(name) {
+      source.addEventListener(name, function(evt) {
+        transport._scpt_notify('transportDidReceiveMessage', evt.data);
+      }, false);
+    });
+
+    // EventSource reconnects by itself unless the server closed the stream
+    source.onerror = function() {
+      if (source.readyState === 2) {
+        transport._scest_source = null;
+        transport._scpt_notify('transportDidClose');
+      }
+    };
+  },
+
+  disconnect: function() {
+    var source = this._scest_source;
+
+    if (source) {
+      source.close();
+      this._scest_source = null;
+    }
+  }
+
+});
+
+/** @class
+
+  Delivers the messages passed to `send()`.  Use it in unit tests, or to
+  feed an `SC.PushAdapter` with messages received some other way.
+
+  @extends SC.PushTransport
+  @since SproutCore 2.0
+*/
+SC.LocalPushTransport = SC.PushTransport.extend(
+  /** @scope SC.LocalPushTransport.prototype */ {
+
+  /**
+    YES while connected.
+
+    @property {Boolean}
+  */
+  isConnected: NO,
+
+  connect: function() {
+    set(this, 'isConnected', YES);
+    this._scpt_notify('transportDidOpen');
+  },
+
+  disconnect: function() {
+    set(this, 'isConnected', NO);
+  },
+
+  /**
+    Delivers a message, as if it was received from the server.
+
+    @param {String|Object} message
+    @returns {SC.LocalPushTransport} receiver
+  */
+  send: function(message) {
+    if (get(this, 'isConnected')) this._scpt_notify('transportDidReceiveMessage', message);
+    return this;
+  },
+
+  /**
+    Closes the connection, as if the server closed it.
+
+    @returns {SC.LocalPushTransport} receiver
+  */
+  close: function() {
+    set(this, 'isConnected', NO);
+    this._scpt_notify('transportDidClose');
+    return this;
+  }
+
+});
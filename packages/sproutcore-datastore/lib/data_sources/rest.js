@@ -0,0 +1,446 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+require('sproutcore-runtime');
+require('sproutcore-datastore/data_sources/data_source');
+require('sproutcore-datastore/system/query');
+require('sproutcore-datastore/system/store_error');
+
+var get = SC.get, set = SC.set, getPath = SC.getPath;
+
+/** @class
+
+  A data source that talks to a server exposing each record type as a
+  REST resource speaking JSON.
+
+  You tell the data source where each record type lives with the
+  `resourceURLs` hash.  Keys are the property paths of your record types,
+  values are the collection URLs:
+
+      MyApp.dataSource = SC.RESTDataSource.create({
+        rootURL: '/api',
+        resourceURLs: {
+          'MyApp.Contact': '/contacts',
+          'MyApp.Group':   '/groups'
+        }
+      });
+
+  The data source then issues the following requests:
+
+   * `fetch()` &mdash; `GET /api/contacts?conditions=...&order=...`
+   * `retrieveRecord()` &mdash; `GET /api/contacts/:id`
+   * `createRecord()` &mdash; `POST /api/contacts`
+   * `updateRecord()` &mdash; `PUT /api/contacts/:id`
+   * `destroyRecord()` &mdash; `DELETE /api/contacts/:id`
+
+  Records are sent and received as JSON data hashes.  Fetch responses may
+  either be an array of data hashes or a hash with a `records` array, and
+  optionally the `cursor` of the next page of a remote query.  Record
+  types without a URL are not handled, so you can put this data source in
+  an `SC.CascadeDataSource` next to other sources.
+
+  Requests are made through the `ajax()` method, which hands its settings to
+  `jQuery.ajax()`.  jQuery is not loaded by the datastore itself; load it
+  (or `sproutcore-views`) before using this class, or override `ajax()` to
+  use a different transport.
+
+  @extends SC.DataSource
+  @since SproutCore 2.0
+*/
+SC.RESTDataSource = SC.DataSource.extend(
+  /** @scope SC.RESTDataSource.prototype */ {
+
+  /**
+    Prefix prepended to every resource URL.
+
+    @property {String}
+  */
+  rootURL: '',
+
+  /**
+    Maps record types to collection URLs.  Keys are property paths to the
+    record type (i.e. 'MyApp.Contact'), values are URLs relative to
+    `rootURL`.
+
+    If a record type is not listed here, the data source will also look at a
+    `resourceURL` property defined on the record type class itself.
+
+    @property {Hash}
+  */
+  resourceURLs: null,
+
+  /**
+    Name of the query string parameter used to send query conditions.
+
+    @property {String}
+  */
+  conditionsParam: 'conditions',
+
+  /**
+    Name of the query string parameter used to send the query orderBy.
+
+    @property {String}
+  */
+  orderParam: 'order',
+
+  /**
+    Name of the query string parameter used to send the `limit` of remote
+    queries.
+
+    @property {String}
+  */
+  limitParam: 'limit',
+
+  /**
+    Name of the query string parameter used to send the `offset` of remote
+    queries.
+
+    @property {String}
+  */
+  offsetParam: 'offset',
+
+  /**
+    Name of the query string parameter used to send the `cursor` of remote
+    queries.
+
+    @property {String}
+  */
+  cursorParam: 'cursor',
+
+  // ..........................................................
+  // URLS
+  //
+
+  /**
+    Returns the collection URL for the passed record type, or null if the
+    record type is not handled by this data source.
+
+    @param {SC.Record} recordType
+    @returns {String} URL or null
+  */
+  urlForRecordType: function(recordType) {
+    if (SC.typeOf(recordType) === 'string') recordType = getPath(recordType);
+    if (!recordType) return null;
+
+    var urls = get(this, 'resourceURLs'), url = null, path;
+
+    if (urls) {
+      for (path in urls) {
+        if (!urls.hasOwnProperty(path)) continue;
+        if (getPath(path) === recordType) { url = urls[path]; break; }
+      }
+    }
+
+    if (!url) url = recordType.resourceURL;
+    return url ? get(this, 'rootURL') + url : null;
+  },
+
+  /**
+    Returns the URL of the member resource for the passed store key.
+
+    @param {SC.Store} store the store
+    @param {Number} storeKey the store key
+    @returns {String} URL or null
+  */
+  urlForStoreKey: function(store, storeKey) {
+    var url = this.urlForRecordType(store.recordTypeFor(storeKey)),
+        id  = store.idFor(storeKey);
+
+    if (!url) return null;
+    return SC.none(id) ? url : url + '/' + encodeURIComponent(id);
+  },
+
+  /**
+    Returns the hash of query string parameters sent for the passed query.
+    The default sends the query conditions and orderBy as strings.  Query
+    parameters are sent as their own query string parameters when they are a
+    hash, or as `parameters[]` when they are an array.  The limit, offset and
+    cursor are only sent for remote queries, since local queries page the
+    records they have loaded.
+
+    Override this method if your server expects another format, for
+    instance to send the parsed conditions returned by `SC.Query#toJSON()`.
+
+    @param {SC.Query} query the query
+    @returns {Hash} query string parameters
+  */
+  queryParamsFor: function(query) {
+    var ret        = {},
+        conditions = get(query, 'conditions'),
+        orderBy    = get(query, 'orderBy'),
+        parameters = get(query, 'parameters'),
+        key;
+
+    if (conditions) ret[get(this, 'conditionsParam')] = conditions;
+    if (orderBy) ret[get(this, 'orderParam')] = orderBy;
+
+    if (get(query, 'isRemote')) {
+      if (!SC.none(get(query, 'limit'))) ret[get(this, 'limitParam')] = get(query, 'limit');
+      if (get(query, 'offset')) ret[get(this, 'offsetParam')] = get(query, 'offset');
+      if (!SC.none(get(query, 'cursor'))) ret[get(this, 'cursorParam')] = get(query, 'cursor');
+    }
+
+    if (SC.isArray(parameters)) {
+      ret.parameters = parameters;
+    } else if (parameters) {
+      for (key in parameters) {
+        if (parameters.hasOwnProperty(key)) ret[key] = parameters[key];
+      }
+    }
+
+    return ret;
+  },
+
+  /**
+    Returns the full URL, including query string, used to fetch the passed
+    query.
+
+    @param {SC.Query} query the query
+    @returns {String} URL or null
+  */
+  urlForQuery: function(query) {
+    var url = this.urlForRecordType(get(query, 'recordType')),
+        params;
+
+    if (!url) return null;
+
+    params = this.serializeParams(this.queryParamsFor(query));
+    return params ? url + '?' + params : url;
+  },
+
+  /**
+    Serializes a hash of parameters into a query string.  Nested arrays are
+    encoded as `key[]=value` pairs.
+
+    @param {Hash} params
+    @returns {String}
+  */
+  serializeParams: function(params) {
+    var ret = [], key, value, idx, len;
+
+    function add(key, value) {
+      if (value === undefined) return;
+      if (value === null) value = '';
+      ret.push(encodeURIComponent(key) + '=' + encodeURIComponent(value));
+    }
+
+    for (key in params) {
+      if (!params.hasOwnProperty(key)) continue;
+      value = params[key];
+      if (SC.isArray(value)) {
+        for (idx=0, len=value.length; idx<len; idx++) add(key + '[]', value[idx]);
+      } else add(key, value);
+    }
+
+    return ret.join('&');
+  },
+
+  // ..........................................................
+  // TRANSPORT
+  //
+
+  /**
+    Performs a request.  The passed settings hash contains `url`, `type`,
+    `data` (a JSON string, if any), `success` and `error` and is handed to
+    `jQuery.ajax()`.
+
+    Override this method to use another transport or to stub out the server
+    in unit tests.  Call `settings.success(json)` or
+    `settings.error(xhr, textStatus, errorThrown)` once the request has
+    finished.
+
+    @param {Hash} settings
+    @returns {Object} the request object
+  */
+  ajax: function(settings) {
+    sc_assert("SC.RESTDataSource requires jQuery unless you override ajax()", typeof jQuery !== 'undefined');
+    return jQuery.ajax(settings);
+  },
+
+  /** @private
+    Builds the settings for a request and sends it through ajax().  Callbacks
+    are invoked inside a run loop with the data source as this.
+  */
+  _request: function(type, url, data, success, error) {
+    var self = this, settings;
+
+    settings = {
+      url: url,
+      type: type,
+      dataType: 'json',
+      headers: { Accept: 'application/json' },
+
+      success: function(json) {
+        SC.run(function() { success.call(self, json); });
+      },
+
+      error: function(xhr, textStatus, errorThrown) {
+        var err = self.errorForResponse(xhr, textStatus, errorThrown);
+        SC.run(function() { error.call(self, err); });
+      }
+    };
+
+    if (data) {
+      settings.contentType = 'application/json';
+      settings.data = JSON.stringify(data);
+    }
+
+    return this.ajax(settings);
+  },
+
+  /**
+    Converts a failed response into an SC.StoreError passed to the store.
+    The error code is the HTTP status and the error value is the parsed
+    response body, if any.
+
+    @param {Object} xhr the failed request
+    @param {String} textStatus
+    @param {String} errorThrown
+    @returns {SC.StoreError}
+  */
+  errorForResponse: function(xhr, textStatus, errorThrown) {
+    var status = xhr ? xhr.status : null,
+        value  = null;
+
+    if (xhr && xhr.responseText) {
+      try {
+        value = JSON.parse(xhr.responseText);
+      } catch(e) {
+        value = xhr.responseText;
+      }
+    }
+
+    return SC.$error(errorThrown || textStatus || 'Request failed', 'REST', value, status);
+  },
+
+  // ..........................................................
+  // FETCHING
+  //
+
+  /**
+    Fetches the records for queries with a single record type that has a
+    resource URL.  For remote queries the returned records become the query
+    results, in the order they were returned by the server.
+
+    @param {SC.Store} store the requesting store
+    @param {SC.Query} query query describing the request
+    @returns {Boolean} YES if handled
+  */
+  fetch: function(store, query) {
+    var recordType = get(query, 'recordType'), url;
+
+    if (SC.typeOf(recordType) === 'string') recordType = getPath(recordType);
+    url = recordType ? this.urlForQuery(query) : null;
+    if (!url) return NO;
+
+    this._request('GET', url, null, function(json) {
+      var hashes    = this.recordsFromResponse(json) || [],
+          storeKeys = store.loadRecords(recordType, hashes);
+
+      if (get(query, 'location') === SC.Query.REMOTE) {
+        store.loadQueryResults(query, storeKeys, this.cursorFromResponse(json));
+      } else store.dataSourceDidFetchQuery(query);
+
+    }, function(err) {
+      store.dataSourceDidErrorQuery(query, err);
+    });
+
+    return YES;
+  },
+
+  /**
+    Extracts the data hashes from a fetch response.  Accepts either an array
+    or a hash with a `records` array.
+
+    @param {Object} json the parsed response
+    @returns {Array} data hashes
+  */
+  recordsFromResponse: function(json) {
+    if (SC.isArray(json)) return json;
+    return json ? json.records : null;
+  },
+
+  /**
+    Extracts the cursor of the next page from a fetch response, if any.
+
+    @param {Object} json the parsed response
+    @returns {Object} cursor or null
+  */
+  cursorFromResponse: function(json) {
+    return json && !SC.isArray(json) && !SC.none(json.cursor) ? json.cursor : null;
+  },
+
+  // ..........................................................
+  // SINGLE RECORD ACTIONS
+  //
+
+  /** @private */
+  retrieveRecord: function(store, storeKey, id) {
+    var url = this.urlForStoreKey(store, storeKey);
+    if (!url) return NO;
+
+    this._request('GET', url, null, function(json) {
+      store.dataSourceDidComplete(storeKey, json);
+    }, function(err) {
+      store.dataSourceDidError(storeKey, err);
+    });
+
+    return YES;
+  },
+
+  /** @private */
+  createRecord: function(store, storeKey, params) {
+    var url        = this.urlForRecordType(store.recordTypeFor(storeKey)),
+        primaryKey = this._primaryKeyFor(store, storeKey);
+
+    if (!url) return NO;
+
+    this._request('POST', url, store.readDataHash(storeKey), function(json) {
+      var id = json ? json[primaryKey] : undefined;
+      store.dataSourceDidComplete(storeKey, json || null, id);
+    }, function(err) {
+      store.dataSourceDidError(storeKey, err);
+    });
+
+    return YES;
+  },
+
+  /** @private */
+  updateRecord: function(store, storeKey, params) {
+    var url = this.urlForStoreKey(store, storeKey);
+    if (!url) return NO;
+
+    this._request('PUT', url, store.readDataHash(storeKey), function(json) {
+      store.dataSourceDidComplete(storeKey, json || null);
+    }, function(err) {
+      store.dataSourceDidError(storeKey, err);
+    });
+
+    return YES;
+  },
+
+  /** @private */
+  destroyRecord: function(store, storeKey, params) {
+    var url = this.urlForStoreKey(store, storeKey);
+    if (!url) return NO;
+
+    this._request('DELETE', url, null, function() {
+      store.dataSourceDidDestroy(storeKey);
+    }, function(err) {
+      store.dataSourceDidError(storeKey, err);
+    });
+
+    return YES;
+  },
+
+  /** @private */
+  _primaryKeyFor: function(store, storeKey) {
+    var recordType = store.recordTypeFor(storeKey);
+    return recordType ? get(recordType, 'proto').primaryKey : 'guid';
+  }
+
+});
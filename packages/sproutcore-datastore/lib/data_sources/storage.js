@@ -0,0 +1,522 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+require('sproutcore-runtime');
+require('sproutcore-datastore/data_sources/data_source');
+require('sproutcore-datastore/data_sources/storage_backends');
+require('sproutcore-datastore/system/query');
+require('sproutcore-datastore/system/record');
+
+var get = SC.get, set = SC.set, getPath = SC.getPath;
+
+/** @class
+
+  A data source that keeps a copy of the records and query results loaded
+  into a store in browser storage, so that they are available the next time
+  the application starts, even without a network connection.
+
+  Put it in front of the data source that talks to your server in an
+  `SC.CascadeDataSource`:
+
+      MyApp.cache = SC.StorageDataSource.create({
+        recordTypes: {
+          'MyApp.Contact': 1,
+          'MyApp.Group':   1
+        }
+      });
+
+      MyApp.store = SC.Store.create().cascade(MyApp.cache, MyApp.RemoteDataSource.create());
+
+  Whenever records of the listed types are loaded, updated or destroyed in
+  the store, the cache saves their data hashes and statuses.  When a query
+  is fetched, the cache saves the ids of the results of remote queries, or
+  notes that local queries have been fetched.  Records with unsaved changes
+  are not cached.
+
+  When the store retrieves records or fetches queries, the cache serves them
+  if it has all of the data, and lets the next data source handle them
+  otherwise.
+
+  ## Schema Versions
+
+  The `recordTypes` hash maps the property paths of the cached record types
+  to the version of their schema.  Increase the version when you change a
+  record type in a way that makes old data hashes unusable.  Cached data of
+  other versions is passed to `migrate()` when the cache is loaded, which
+  discards it unless you override it.
+
+  ## Eviction
+
+  Set `maxAge` to stop serving and remove entries after some time, and
+  `maxEntries` to limit the number of cached records.  The records that
+  were used least recently are removed first.
+
+  ## Storage
+
+  Entries are saved by a `backend`, which defaults to an
+  `SC.LocalStorageBackend` if localStorage is available, and an
+  `SC.MemoryStorageBackend` otherwise.  Use an `SC.IndexedDBStorageBackend`
+  for larger amounts of data.  The cache reads all entries when it is
+  created and keeps them in memory, so that requests can be served right
+  away.  Until a backend that is asynchronous has been read, `isLoaded` is
+  NO and all requests are passed on to the next data source.
+
+  @extends SC.DataSource
+  @since SproutCore 2.0
+*/
+SC.StorageDataSource = SC.DataSource.extend(
+  /** @scope SC.StorageDataSource.prototype */ {
+
+  /**
+    Maps the property paths of the record types to cache, like
+    'MyApp.Contact', to the version of their schema.
+
+    @property {Hash}
+  */
+  recordTypes: null,
+
+  /**
+    The backend saving the entries.
+
+    @property {SC.StorageBackend}
+  */
+  backend: null,
+
+  /**
+    The number of milliseconds after which entries are no longer served and
+    are removed, or null to keep them until they change.
+
+    @property {Number}
+  */
+  maxAge: null,
+
+  /**
+    The maximum number of records to keep, or null for no limit.
+
+    @property {Number}
+  */
+  maxEntries: null,
+
+  /**
+    YES once the entries have been read from the backend.
+
+    @property {Boolean}
+  */
+  isLoaded: NO,
+
+  /**
+    Called when the cache is loaded with the data hash of a record that was
+    saved with another schema version.  Return the data hash converted to
+    the current version, or null to discard it.
+
+    @param {SC.Record} recordType the record type
+    @param {Hash} dataHash the cached data hash
+    @param {Number} version the schema version of the data hash
+    @returns {Hash} the converted data hash or null
+  */
+  migrate: function(recordType, dataHash, version) {
+    return null;
+  },
+
+  // ..........................................................
+  // KEYS
+  //
+
+  /**
+    Returns the property path under which the passed record type is listed
+    in `recordTypes`, or null if it is not cached.
+
+    @param {SC.Record} recordType
+    @returns {String}
+  */
+  pathForRecordType: function(recordType) {
+    var recordTypes = get(this, 'recordTypes'), path;
+
+    for (path in recordTypes) {
+      if (recordTypes.hasOwnProperty(path) && getPath(path) === recordType) return path;
+    }
+
+    return null;
+  },
+
+  /**
+    Returns the key of the entry for the passed store key, or null if the
+    record is not cached.
+
+    @param {SC.Store} store
+    @param {Number} storeKey
+    @returns {String}
+  */
+  keyForStoreKey: function(store, storeKey) {
+    var path = this.pathForRecordType(SC.Store.recordTypeFor(storeKey)),
+        id   = store.idFor(storeKey);
+
+    return path && !SC.none(id) ? 'record:' + path + ':' + id : null;
+  },
+
+  /**
+    Returns the key of the entry for the passed query, or null if its
+    results are not cached.  Only queries for a single record type can be
+    cached.
+
+    @param {SC.Query} query
+    @returns {String}
+  */
+  keyForQuery: function(query) {
+    var path = this.pathForRecordType(get(query, 'recordType')),
+        description;
+
+    if (!path) return null;
+
+    try {
+      description = JSON.stringify([get(query, 'location'), get(query, 'conditions'),
+                                    get(query, 'orderBy'), get(query, 'parameters')]);
+    } catch (e) {
+      // Parameters that can't be serialized can't be compared either.
+      return null;
+    }
+
+    return 'query:' + path + ':' + description;
+  },
+
+  // ..........................................................
+  // SC.STORE ENTRY POINTS
+  //
+
+  /** @private */
+  fetch: function(store, query) {
+    var key      = this.keyForQuery(query),
+        entry    = key ? this._scsds_read(key) : null,
+        isRemote = get(query, 'location') === SC.Query.REMOTE,
+        recordType, prefix, records, storeKeys;
+
+    if (!entry) return NO;
+
+    recordType = get(query, 'recordType');
+    prefix = 'record:' + this.pathForRecordType(recordType) + ':';
+
+    // Remote queries need all of their results, local queries are matched
+    // against all cached records of the type.
+    records = this._scsds_readAll(isRemote ? entry.ids.map(function(id) {
+      return prefix + id;
+    }) : this._scsds_keysWithPrefix(prefix));
+
+    if (!records) return NO;
+
+    storeKeys = store.loadRecords(recordType, records.getEach('dataHash'), records.getEach('id'));
+
+    if (isRemote) {
+      store.loadQueryResults(query, storeKeys);
+    } else {
+      store.dataSourceDidFetchQuery(query);
+    }
+
+    return YES;
+  },
+
+  /** @private */
+  retrieveRecords: function(store, storeKeys, ids) {
+    var keys = storeKeys.map(function(storeKey) {
+          return this.keyForStoreKey(store, storeKey);
+        }, this),
+        records = this._scsds_readAll(keys);
+
+    if (!records) return NO;
+
+    storeKeys.forEach(function(storeKey, idx) {
+      store.dataSourceDidComplete(storeKey, records[idx].dataHash);
+    });
+
+    return YES;
+  },
+
+  // ..........................................................
+  // STORE NOTIFICATIONS
+  //
+
+  /**
+    Saves the data hashes of clean records and removes the entries of
+    destroyed and unloaded records.
+
+    @param {SC.Store} store
+    @param {Array} storeKeys
+  */
+  storeDidChangeRecords: function(store, storeKeys) {
+    var K = SC.Record;
+
+    storeKeys.forEach(function(storeKey) {
+      var key = this.keyForStoreKey(store, storeKey),
+          status = store.peekStatus(storeKey);
+
+      if (!key) return;
+
+      if (status === K.READY_CLEAN) {
+        this._scsds_write(key, {
+          version: this._scsds_versionFor(key),
+          id: store.idFor(storeKey),
+          status: status,
+          dataHash: store.readDataHash(storeKey)
+        });
+      } else if (status === K.DESTROYED_CLEAN || status === K.EMPTY) {
+        this._scsds_remove(key);
+      }
+    }, this);
+
+    this.evict();
+  },
+
+  /**
+    Saves the ids of the results of remote queries, and notes that local
+    queries have been fetched.  Results that are loaded incrementally are
+    not cached.
+
+    @param {SC.Store} store
+    @param {SC.Query} query
+    @param {SC.Array} storeKeys the results of a remote query
+  */
+  storeDidLoadQuery: function(store, query, storeKeys) {
+    var key = this.keyForQuery(query), ids = null;
+
+    if (!key) return;
+
+    if (get(query, 'location') === SC.Query.REMOTE) {
+      if (!storeKeys || storeKeys.provideObjectsInRange) return;
+      ids = storeKeys.map(function(storeKey) { return store.idFor(storeKey); });
+    }
+
+    this._scsds_write(key, { version: this._scsds_versionFor(key), ids: ids });
+  },
+
+  // ..........................................................
+  // MANAGING ENTRIES
+  //
+
+  /**
+    Removes the entries that are older than `maxAge`, then the least
+    recently used records in excess of `maxEntries`.
+
+    @returns {SC.StorageDataSource} receiver
+  */
+  evict: function() {
+    var entries    = this._scsds_entries,
+        maxEntries = get(this, 'maxEntries'),
+        records, key;
+
+    for (key in entries) {
+      if (entries.hasOwnProperty(key) && this._scsds_isExpired(entries[key])) this._scsds_remove(key);
+    }
+
+    if (!SC.none(maxEntries)) {
+      records = this._scsds_keysWithPrefix('record:');
+      if (records.length > maxEntries) {
+        records.sort(function(a, b) { return entries[a].lastUsed - entries[b].lastUsed; });
+        records.slice(0, records.length - maxEntries).forEach(this._scsds_remove, this);
+      }
+    }
+
+    return this;
+  },
+
+  /**
+    Removes all entries.
+
+    @returns {SC.StorageDataSource} receiver
+  */
+  clear: function() {
+    this._scsds_entries = {};
+    get(this, 'backend').clear();
+    return this;
+  },
+
+  // ..........................................................
+  // INTERNAL SUPPORT
+  //
+
+  /** @private */
+  init: function() {
+    var source = this, backend;
+
+    this._super();
+
+    if (!get(this, 'recordTypes')) set(this, 'recordTypes', {});
+
+    backend = get(this, 'backend');
+    if (!backend) {
+      backend = SC.LocalStorageBackend.isAvailable() ? SC.LocalStorageBackend.create() : SC.MemoryStorageBackend.create();
+      set(this, 'backend', backend);
+    }
+
+    this._scsds_entries = {};
+    backend.readAll(function(entries) {
+      source._scsds_load(entries);
+    });
+  },
+
+  /** @private
+    Keeps the passed entries that are current, migrating records saved with
+    another schema version.
+  */
+  _scsds_load: function(entries) {
+    var useCount = this._scsds_useCount || 0,
+        key, entry, version, recordType, dataHash;
+
+    for (key in entries) {
+      if (!entries.hasOwnProperty(key)) continue;
+
+      entry = entries[key];
+      version = this._scsds_versionFor(key);
+
+      if (version !== undefined && entry.version !== version && entry.dataHash) {
+        recordType = getPath(key.split(':')[1]);
+        dataHash = this.migrate(recordType, entry.dataHash, entry.version);
+        if (dataHash) {
+          entry.dataHash = dataHash;
+          entry.version = version;
+          get(this, 'backend').write(key, entry);
+        }
+      }
+
+      if (version === undefined || entry.version !== version) {
+        get(this, 'backend').remove(key);
+      } else {
+        // keep the order in which entries were used before the reload
+        useCount = Math.max(useCount, entry.lastUsed || 0);
+        this._scsds_entries[key] = entry;
+      }
+    }
+
+    this._scsds_useCount = useCount;
+    set(this, 'isLoaded', YES);
+    this.evict();
+  },
+
+  /** @private
+    Returns the schema version of the record type of an entry key, or
+    undefined if the record type is no longer cached.
+  */
+  _scsds_versionFor: function(key) {
+    var recordTypes = get(this, 'recordTypes'),
+        path = key.split(':')[1];
+
+    return recordTypes.hasOwnProperty(path) ? recordTypes[path] : undefined;
+  },
+
+  /** @private */
+  _scsds_isExpired: function(entry) {
+    var maxAge = get(this, 'maxAge');
+    return !SC.none(maxAge) && Date.now() - entry.storedAt > maxAge;
+  },
+
+  /** @private
+    Returns the entry for the passed key if it can be served, marking it as
+    used.
+  */
+  _scsds_read: function(key) {
+    var entry = this._scsds_entries[key];
+
+    if (!get(this, 'isLoaded') || !entry || this._scsds_isExpired(entry)) return null;
+
+    this._scsds_use(entry);
+    this._scsds_saveUse(key);
+    return entry;
+  },
+
+  /** @private
+    Marks the passed entry as the most recently used.  Uses a counter rather
+    than the time, which doesn't change between quick successive reads.
+  */
+  _scsds_use: function(entry) {
+    this._scsds_useCount = (this._scsds_useCount || 0) + 1;
+    entry.lastUsed = this._scsds_useCount;
+  },
+
+  /** @private
+    Saves the use of the entry for the passed key at the end of the run
+    loop, together with the other entries used in it.
+  */
+  _scsds_saveUse: function(key) {
+    if (!this._scsds_usedKeys) this._scsds_usedKeys = {};
+    this._scsds_usedKeys[key] = YES;
+    SC.run.once(this, this._scsds_saveUses);
+  },
+
+  /** @private */
+  _scsds_saveUses: function() {
+    var keys = this._scsds_usedKeys, entries = this._scsds_entries, key;
+
+    this._scsds_usedKeys = null;
+
+    for (key in keys) {
+      if (keys.hasOwnProperty(key) && entries[key]) get(this, 'backend').write(key, entries[key]);
+    }
+  },
+
+  /** @private
+    Returns the entries of the records with the passed keys, or null if any
+    of them can't be served.
+  */
+  _scsds_readAll: function(keys) {
+    var ret = [], idx, entry;
+
+    for (idx = 0; idx < keys.length; idx++) {
+      entry = keys[idx] ? this._scsds_read(keys[idx]) : null;
+      if (!entry) return null;
+      ret.push(entry);
+    }
+
+    return ret;
+  },
+
+  /** @private
+    Saves the passed entry.  If the saved entry has the same contents, like
+    when a record served from the cache is loaded into the store, it is
+    only marked as used, so that it still expires `maxAge` after it was
+    stored.
+  */
+  _scsds_write: function(key, entry) {
+    var current = this._scsds_entries[key];
+
+    if (current && this._scsds_contentsOf(current) === this._scsds_contentsOf(entry)) {
+      this._scsds_use(current);
+      this._scsds_saveUse(key);
+      return;
+    }
+
+    entry.storedAt = Date.now();
+    this._scsds_use(entry);
+
+    get(this, 'backend').write(key, entry);
+    this._scsds_entries[key] = entry;
+  },
+
+  /** @private
+    Returns a string of the contents of an entry, without the times it was
+    stored and used.
+  */
+  _scsds_contentsOf: function(entry) {
+    return JSON.stringify([entry.version, entry.id, entry.status, entry.dataHash, entry.ids]);
+  },
+
+  /** @private */
+  _scsds_remove: function(key) {
+    if (!this._scsds_entries[key]) return;
+
+    delete this._scsds_entries[key];
+    get(this, 'backend').remove(key);
+  },
+
+  /** @private */
+  _scsds_keysWithPrefix: function(prefix) {
+    var entries = this._scsds_entries, ret = [], key;
+
+    for (key in entries) {
+      if (entries.hasOwnProperty(key) && key.indexOf(prefix) === 0) ret.push(key);
+    }
+
+    return ret;
+  }
+
+});
@@ -0,0 +1,358 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+require('sproutcore-runtime');
+
+var get = SC.get, set = SC.set;
+
+/** @class
+
+  A storage backend saves the entries of an `SC.StorageDataSource`.  Entries
+  are JSON-compatible values stored by string keys.
+
+  All methods take a callback, because some kinds of browser storage, like
+  IndexedDB, are asynchronous.  Backends that are synchronous may invoke the
+  callback before the method returns.
+
+  To write a backend for another kind of storage, subclass `SC.StorageBackend`
+  and implement all of its methods.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.StorageBackend = SC.Object.extend(
+  /** @scope SC.StorageBackend.prototype */ {
+
+  /**
+    Reads all entries.
+
+    @param {Function} callback called with a hash of entries by key
+  */
+  readAll: function(callback) {
+    throw new Error("%@ must implement readAll()".fmt(this));
+  },
+
+  /**
+    Reads a single entry.
+
+    @param {String} key
+    @param {Function} callback called with the entry, or undefined
+  */
+  read: function(key, callback) {
+    throw new Error("%@ must implement read()".fmt(this));
+  },
+
+  /**
+    Writes a single entry.
+
+    @param {String} key
+    @param {Object} value
+    @param {Function} callback optional
+  */
+  write: function(key, value, callback) {
+    throw new Error("%@ must implement write()".fmt(this));
+  },
+
+  /**
+    Removes a single entry.
+
+    @param {String} key
+    @param {Function} callback optional
+  */
+  remove: function(key, callback) {
+    throw new Error("%@ must implement remove()".fmt(this));
+  },
+
+  /**
+    Removes all entries.
+
+    @param {Function} callback optional
+  */
+  clear: function(callback) {
+    throw new Error("%@ must implement clear()".fmt(this));
+  }
+
+});
+
+/** @class
+
+  Keeps entries in memory.  Entries are copied when they are written and
+  read, like they would be by real storage.
+
+  The entries only last as long as the backend, so this is mainly useful in
+  unit tests and when running without a browser.  Use the same backend
+  instance for two data sources to simulate reloading the page.
+
+  @extends SC.StorageBackend
+  @since SproutCore 2.0
+*/
+SC.MemoryStorageBackend = SC.StorageBackend.extend(
+  /** @scope SC.MemoryStorageBackend.prototype */ {
+
+  /**
+    The entries, by key.
+
+    @property {Hash}
+  */
+  entries: null,
+
+  readAll: function(callback) {
+    var entries = get(this, 'entries'), ret = {}, key;
+
+    for (key in entries) {
+      if (entries.hasOwnProperty(key)) ret[key] = this._copy(entries[key]);
+    }
+
+    callback(ret);
+  },
+
+  read: function(key, callback) {
+    callback(this._copy(get(this, 'entries')[key]));
+  },
+
+  write: function(key, value, callback) {
+    get(this, 'entries')[key] = this._copy(value);
+    if (callback) callback();
+  },
+
+  remove: function(key, callback) {
+    delete get(this, 'entries')[key];
+    if (callback) callback();
+  },
+
+  clear: function(callback) {
+    set(this, 'entries', {});
+    if (callback) callback();
+  },
+
+  /** @private */
+  init: function() {
+    this._super();
+    if (!get(this, 'entries')) set(this, 'entries', {});
+  },
+
+  /** @private */
+  _copy: function(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+});
+
+/** @class
+
+  Keeps entries in `window.localStorage`, serialized as JSON.  Keys are
+  prefixed with `prefix` so that several backends can share the storage of
+  an origin.
+
+  @extends SC.StorageBackend
+  @since SproutCore 2.0
+*/
+SC.LocalStorageBackend = SC.StorageBackend.extend(
+  /** @scope SC.LocalStorageBackend.prototype */ {
+
+  /**
+    Prefix of the localStorage keys used by this backend.
+
+    @property {String}
+  */
+  prefix: 'sc-storage:',
+
+  /**
+    The storage to use.  Defaults to `window.localStorage`.
+
+    @property {Storage}
+  */
+  storage: null,
+
+  readAll: function(callback) {
+    var storage = get(this, 'storage'),
+        prefix  = get(this, 'prefix'),
+        ret     = {},
+        idx, key;
+
+    for (idx = 0; idx < storage.length; idx++) {
+      key = storage.key(idx);
+      if (key.indexOf(prefix) === 0) {
+        ret[key.slice(prefix.length)] = JSON.parse(storage.getItem(key));
+      }
+    }
+
+    callback(ret);
+  },
+
+  read: function(key, callback) {
+    var value = get(this, 'storage').getItem(get(this, 'prefix') + key);
+    callback(value === null ? undefined : JSON.parse(value));
+  },
+
+  write: function(key, value, callback) {
+    get(this, 'storage').setItem(get(this, 'prefix') + key, JSON.stringify(value));
+    if (callback) callback();
+  },
+
+  remove: function(key, callback) {
+    get(this, 'storage').removeItem(get(this, 'prefix') + key);
+    if (callback) callback();
+  },
+
+  clear: function(callback) {
+    var storage = get(this, 'storage'),
+        prefix  = get(this, 'prefix'),
+        idx, key;
+
+    for (idx = storage.length - 1; idx >= 0; idx--) {
+      key = storage.key(idx);
+      if (key.indexOf(prefix) === 0) storage.removeItem(key);
+    }
+
+    if (callback) callback();
+  },
+
+  /** @private */
+  init: function() {
+    this._super();
+    if (!get(this, 'storage')) set(this, 'storage', window.localStorage);
+  }
+
+});
+
+SC.LocalStorageBackend.reopenClass(
+  /** @scope SC.LocalStorageBackend */ {
+
+  /**
+    Returns YES if `window.localStorage` can be used.
+
+    @returns {Boolean}
+  */
+  isAvailable: function() {
+    try {
+      return typeof window !== 'undefined' && !!window.localStorage;
+    } catch (e) {
+      // Accessing localStorage throws when it is disabled.
+      return NO;
+    }
+  }
+
+});
+
+/** @class
+
+  Keeps entries in an IndexedDB object store.  The database is opened the
+  first time it is used.
+
+  @extends SC.StorageBackend
+  @since SproutCore 2.0
+*/
+SC.IndexedDBStorageBackend = SC.StorageBackend.extend(
+  /** @scope SC.IndexedDBStorageBackend.prototype */ {
+
+  /**
+    Name of the database.
+
+    @property {String}
+  */
+  databaseName: 'sproutcore-storage',
+
+  /**
+    Name of the object store holding the entries.
+
+    @property {String}
+  */
+  objectStoreName: 'entries',
+
+  /**
+    The IndexedDB factory to use.  Defaults to `window.indexedDB`.
+
+    @property {IDBFactory}
+  */
+  indexedDB: null,
+
+  readAll: function(callback) {
+    this._transaction('readonly', function(objectStore) {
+      var ret = {}, request = objectStore.openCursor();
+
+      request.onsuccess = function() {
+        var cursor = request.result;
+        if (cursor) {
+          ret[cursor.key] = cursor.value;
+          cursor['continue']();
+        } else {
+          callback(ret);
+        }
+      };
+    });
+  },
+
+  read: function(key, callback) {
+    this._transaction('readonly', function(objectStore) {
+      var request = objectStore.get(key);
+      request.onsuccess = function() { callback(request.result); };
+    });
+  },
+
+  write: function(key, value, callback) {
+    this._transaction('readwrite', function(objectStore) {
+      objectStore.put(value, key);
+    }, callback);
+  },
+
+  remove: function(key, callback) {
+    this._transaction('readwrite', function(objectStore) {
+      objectStore['delete'](key);
+    }, callback);
+  },
+
+  clear: function(callback) {
+    this._transaction('readwrite', function(objectStore) {
+      objectStore.clear();
+    }, callback);
+  },
+
+  /** @private
+    Runs the passed function with the object store in a new transaction,
+    opening the database first if needed.
+  */
+  _transaction: function(mode, fn, callback) {
+    var name = get(this, 'objectStoreName');
+
+    this._open(function(db) {
+      var transaction = db.transaction(name, mode);
+      if (callback) transaction.oncomplete = function() { callback(); };
+      fn(transaction.objectStore(name));
+    });
+  },
+
+  /** @private
+    Calls the passed function with the database once it is open.
+  */
+  _open: function(fn) {
+    var backend = this, request, waiting;
+
+    if (this._db) return fn(this._db);
+
+    waiting = this._waiting;
+    if (waiting) return waiting.push(fn);
+    waiting = this._waiting = [fn];
+
+    request = (get(this, 'indexedDB') || window.indexedDB).open(get(this, 'databaseName'), 1);
+
+    request.onupgradeneeded = function() {
+      request.result.createObjectStore(get(backend, 'objectStoreName'));
+    };
+
+    request.onsuccess = function() {
+      backend._db = request.result;
+      backend._waiting = null;
+      waiting.forEach(function(fn) { fn(backend._db); });
+    };
+
+    request.onerror = function() {
+      backend._waiting = null;
+      throw new Error("%@ could not open database %@".fmt(backend, get(backend, 'databaseName')));
+    };
+  }
+
+});
@@ -5,12 +5,17 @@
 // License:   Licensed under MIT license (see license.js)
 // ==========================================================================
 
+require('sproutcore-datastore/system/attribute_index');
 require('sproutcore-datastore/system/child_array');
+require('sproutcore-datastore/system/commit_queue');
 require('sproutcore-datastore/system/many_array');
 require('sproutcore-datastore/system/nested_store');
 require('sproutcore-datastore/system/query');
 require('sproutcore-datastore/system/record');
 require('sproutcore-datastore/system/record_array');
+require('sproutcore-datastore/system/record_schema');
+require('sproutcore-datastore/system/sparse_array');
 require('sproutcore-datastore/system/store');
 require('sproutcore-datastore/system/store_error');
+require('sproutcore-datastore/system/undo_manager');
 
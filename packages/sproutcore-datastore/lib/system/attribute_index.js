@@ -0,0 +1,175 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+require('sproutcore-runtime');
+require('sproutcore-indexset');
+
+var get = SC.get;
+
+/** @class
+
+  Maps the values of an attribute to the store keys of the records having
+  them.  Stores create indexes for attributes declared with `indexed: YES`
+  and keep them up to date as data hashes change; you will usually not
+  create them yourself.
+
+  Values are compared with `SC.compare()`, like the query language does, so
+  that range lookups find the same records as the matching conditions.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.AttributeIndex = SC.Object.extend(
+  /** @scope SC.AttributeIndex.prototype */ {
+
+  /**
+    The data hash key of the indexed attribute.
+
+    @property {String}
+  */
+  key: null,
+
+  /**
+    The indexed attribute.
+
+    @property {SC.RecordAttribute}
+  */
+  attribute: null,
+
+  /**
+    Sets the value of the attribute for a store key.
+
+    @param {Number} storeKey
+    @param {Object} value
+    @returns {SC.AttributeIndex} receiver
+  */
+  add: function(storeKey, value) {
+    var entries = this._scai_entries,
+        key     = SC.guidFor(value),
+        entry;
+
+    if (this._scai_keysByStoreKey[storeKey] === key) return this;
+    this.remove(storeKey);
+
+    entry = entries[key];
+    if (!entry) {
+      entry = entries[key] = { value: value, storeKeys: SC.IndexSet.create() };
+      this._scai_sortedEntries = null;
+    }
+
+    entry.storeKeys.add(storeKey);
+    this._scai_keysByStoreKey[storeKey] = key;
+
+    return this;
+  },
+
+  /**
+    Removes a store key from the index.
+
+    @param {Number} storeKey
+    @returns {SC.AttributeIndex} receiver
+  */
+  remove: function(storeKey) {
+    var key   = this._scai_keysByStoreKey[storeKey],
+        entry = key !== undefined ? this._scai_entries[key] : null;
+
+    if (!entry) return this;
+
+    entry.storeKeys.remove(storeKey);
+    if (get(entry.storeKeys, 'length') === 0) {
+      delete this._scai_entries[key];
+      this._scai_sortedEntries = null;
+    }
+    delete this._scai_keysByStoreKey[storeKey];
+
+    return this;
+  },
+
+  /**
+    Returns the store keys whose value matches a condition of the query
+    language.  The operator is one of `=`, `<`, `<=`, `>`, `>=` or
+    `BEGINS_WITH`.
+
+    @param {String} operator
+    @param {Object} value
+    @returns {SC.IndexSet} store keys
+  */
+  storeKeysFor: function(operator, value) {
+    var ret = SC.IndexSet.create(),
+        entries, entry, start, end, idx;
+
+    if (operator === '=') {
+      entry = this._scai_entries[SC.guidFor(value)];
+      return entry ? ret.add(entry.storeKeys) : ret;
+    }
+
+    entries = this._scai_sorted();
+    start   = 0;
+    end     = entries.length;
+
+    switch (operator) {
+      case '<':  end   = this._scai_search(entries, value, NO); break;
+      case '<=': end   = this._scai_search(entries, value, YES); break;
+      case '>':  start = this._scai_search(entries, value, YES); break;
+      case '>=': start = this._scai_search(entries, value, NO); break;
+    }
+
+    for (idx = start; idx < end; idx++) {
+      entry = entries[idx];
+      if (operator === 'BEGINS_WITH' && !(typeof entry.value === 'string' && entry.value.indexOf(value) === 0)) continue;
+      ret.add(entry.storeKeys);
+    }
+
+    return ret;
+  },
+
+  // ..........................................................
+  // INTERNAL SUPPORT
+  //
+
+  /** @private */
+  init: function() {
+    this._super();
+    this._scai_entries = {};
+    this._scai_keysByStoreKey = {};
+  },
+
+  /** @private
+    Returns the entries ordered by value.
+  */
+  _scai_sorted: function() {
+    var ret = this._scai_sortedEntries, entries, key;
+
+    if (!ret) {
+      entries = this._scai_entries;
+      ret = this._scai_sortedEntries = [];
+      for (key in entries) {
+        if (entries.hasOwnProperty(key)) ret.push(entries[key]);
+      }
+      ret.sort(function(a, b) { return SC.compare(a.value, b.value); });
+    }
+
+    return ret;
+  },
+
+  /** @private
+    Returns the index of the first entry greater than the value, or greater
+    than or equal to it if `after` is NO.
+  */
+  _scai_search: function(entries, value, after) {
+    var low = 0, high = entries.length, mid, cmp;
+
+    while (low < high) {
+      mid = (low + high) >> 1;
+      cmp = SC.compare(entries[mid].value, value);
+      if (cmp < 0 || (after && cmp === 0)) low = mid + 1;
+      else high = mid;
+    }
+
+    return low;
+  }
+
+});
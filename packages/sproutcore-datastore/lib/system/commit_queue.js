@@ -0,0 +1,508 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+require('sproutcore-runtime');
+require('sproutcore-datastore/system/record');
+require('sproutcore-datastore/system/store_error');
+require('sproutcore-datastore/data_sources/storage_backends');
+
+var get = SC.get, set = SC.set, getPath = SC.getPath;
+
+/** @class
+
+  Queues the changes committed in a store, sending them to the data source
+  one record at a time, in the order they were committed.  Use it to let
+  users keep working while the application is offline or the server is not
+  reachable.
+
+      MyApp.store = SC.Store.create({
+        commitQueue: SC.CommitQueue.create({
+          recordTypes: ['MyApp.Contact', 'MyApp.Group']
+        })
+      }).from(MyApp.RemoteDataSource.create());
+
+  Records stay `READY_NEW`, `READY_DIRTY` or `DESTROYED_DIRTY` while they are
+  waiting in the queue, so they can still be edited.  Committing a record
+  that is already queued updates the queued change.  The change that is
+  being sent is removed from the queue when the data source calls
+  `dataSourceDidComplete()` or `dataSourceDidDestroy()` on the store.
+
+  ## Errors
+
+  When the data source calls `dataSourceDidError()` with a transient error,
+  like a network failure, the record returns to its previous status and the
+  change is sent again after `retryDelay` milliseconds, doubling the delay
+  after each attempt up to `maxRetryDelay`.  Later changes wait for it.
+
+  When the error is a conflict, `commitDidConflict()` is called, which can
+  resolve the conflict and keep the change queued.  Otherwise, and for
+  other errors, the change is removed from the queue and the record
+  becomes `ERROR` as usual.  Override `isTransientError()` and
+  `isConflictError()` if your data source reports errors differently than
+  `SC.RESTDataSource`.
+
+  ## Connectivity
+
+  Nothing is sent while `isOnline` is NO.  In browsers, it follows the
+  `online` and `offline` events of the window.  The queue is replayed when
+  it becomes YES again.  The store's `pendingChangesCount` tells how many
+  changes are waiting.
+
+  ## Persistence
+
+  The queue is saved with its `backend` after every change, and restored
+  into the store when the store is created, so changes that were not sent
+  before the application was closed are sent when it starts again.  Only
+  changes of the record types listed in `recordTypes` are saved.  A change
+  that was being sent when the application was closed is sent again.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.CommitQueue = SC.Object.extend(
+  /** @scope SC.CommitQueue.prototype */ {
+
+  /**
+    The store whose changes are queued.  Set by the store.
+
+    @property {SC.Store}
+  */
+  store: null,
+
+  /**
+    The property paths of the record types whose changes are saved, like
+    'MyApp.Contact'.
+
+    @property {Array}
+  */
+  recordTypes: null,
+
+  /**
+    The backend saving the queue.  Defaults to an `SC.LocalStorageBackend`
+    if localStorage is available, and an `SC.MemoryStorageBackend` otherwise.
+
+    @property {SC.StorageBackend}
+  */
+  backend: null,
+
+  /**
+    The key the queue is saved under.
+
+    @property {String}
+  */
+  storageKey: 'commit-queue',
+
+  /**
+    Whether changes can be sent.
+
+    @property {Boolean}
+  */
+  isOnline: YES,
+
+  /**
+    Milliseconds to wait before sending a change again after the first
+    transient error.
+
+    @property {Number}
+  */
+  retryDelay: 1000,
+
+  /**
+    The longest time to wait before sending a change again, in
+    milliseconds.
+
+    @property {Number}
+  */
+  maxRetryDelay: 60000,
+
+  /**
+    The number of changes that have not been completed yet, including the
+    change being sent.
+
+    @property {Number}
+  */
+  pendingChangesCount: 0,
+
+  /**
+    Returns YES if the passed error means the change can succeed later.  By
+    default, errors with no code or an HTTP status code of 0 (no response),
+    408, 429 or 5xx are transient.
+
+    @param {SC.StoreError} error
+    @returns {Boolean}
+  */
+  isTransientError: function(error) {
+    var code = error ? get(error, 'code') : null;
+    return SC.none(code) || code === 0 || code === 408 || code === 429 || code >= 500;
+  },
+
+  /**
+    Returns YES if the passed error means that the record was changed on the
+    server.  By default, errors with an HTTP status code of 409 or 412 are
+    conflicts.
+
+    @param {SC.StoreError} error
+    @returns {Boolean}
+  */
+  isConflictError: function(error) {
+    var code = error ? get(error, 'code') : null;
+    return code === 409 || code === 412;
+  },
+
+  /**
+    Called when sending a change caused a conflict.  Return YES to keep the
+    change queued and send it again, for example after merging the data
+    from the server into the record.  Return NO to remove the change from
+    the queue, putting the record in the `ERROR` state.
+
+    @param {SC.Store} store the store
+    @param {Number} storeKey the store key of the record
+    @param {SC.StoreError} error the error
+    @returns {Boolean} YES to send the change again
+  */
+  commitDidConflict: function(store, storeKey, error) {
+    return NO;
+  },
+
+  // ..........................................................
+  // QUEUE
+  //
+
+  /**
+    Adds the change of the record with the passed store key to the queue,
+    or updates its queued change.  Called by the store when it commits
+    records.
+
+    The callback is called like the callbacks passed to `commitRecords()`
+    without a queue, once the change has been sent.  Callbacks are not
+    saved, so they are lost if the application is closed first.
+
+    @param {Number} storeKey the store key of a new, dirty or destroyed record
+    @param {Hash} params the params passed to `commitRecords()`
+    @param {Function} callback the callback passed to `commitRecords()`
+    @returns {SC.CommitQueue} receiver
+  */
+  enqueue: function(storeKey, params, callback) {
+    var entries = this._sccq_entries,
+        entry = entries.findProperty('storeKey', storeKey);
+
+    if (!entry) {
+      entry = { storeKey: storeKey, attempts: 0, callbacks: [] };
+      entries.push(entry);
+    }
+
+    entry.params = params;
+    if (callback) entry.callbacks.push(callback);
+    this._sccq_didChange();
+    return this;
+  },
+
+  /**
+    Sends the next change to the data source, unless the queue is offline,
+    the store has no data source yet, or the queue is waiting for a change
+    to complete or to send it again.
+
+    Changes the store does not send, like the changes of records that
+    became invalid while they were queued, are removed from the queue.  The
+    records stay in the store's changelog, so they are queued again the
+    next time they are committed.
+
+    @returns {SC.CommitQueue} receiver
+  */
+  flush: function() {
+    var store = get(this, 'store'),
+        K = SC.Record,
+        entry, status;
+
+    if (!store || !store._getDataSource() || !get(this, 'isOnline')) return this;
+    if (this._sccq_sending || this._sccq_retryTimer) return this;
+
+    while ((entry = this._sccq_entries[0])) {
+      status = store.peekStatus(entry.storeKey);
+
+      // Changes that were reverted, or records that were created and
+      // destroyed before being sent, don't need to be sent.
+      if (status === K.READY_NEW || status === K.READY_DIRTY || status === K.DESTROYED_DIRTY) {
+        entry.attempts++;
+        this._sccq_sending = entry;
+
+        store._scstore_skipCommitQueue = YES;
+        try {
+          store.commitRecords(null, null, [entry.storeKey], entry.params, this._sccq_callbackFor(entry));
+        } finally {
+          store._scstore_skipCommitQueue = NO;
+        }
+
+        // The data source may have completed or failed the change already
+        if (this._sccq_sending !== entry || (store.peekStatus(entry.storeKey) & K.BUSY)) break;
+
+        this._sccq_sending = null;
+        this._sccq_keepInChangelog(entry.storeKey);
+      }
+
+      this._sccq_entries.shift();
+      this._sccq_didChange();
+    }
+
+    return this;
+  },
+
+  /**
+    Removes all changes from the queue.  The records keep their status.
+
+    @returns {SC.CommitQueue} receiver
+  */
+  clear: function() {
+    if (this._sccq_retryTimer) SC.run.cancel(this._sccq_retryTimer);
+    this._sccq_retryTimer = this._sccq_sending = null;
+    this._sccq_entries = [];
+    this._sccq_didChange();
+    return this;
+  },
+
+  // ..........................................................
+  // STORE CALLBACKS
+  //
+
+  /**
+    Called by the store when the data source completed a commit.
+
+    @param {Number} storeKey
+    @returns {SC.CommitQueue} receiver
+  */
+  storeDidCommit: function(storeKey) {
+    var entry = this._sccq_sending;
+    if (!entry || entry.storeKey !== storeKey) return this;
+
+    this._sccq_sending = null;
+    this._sccq_entries.removeObject(entry);
+    this._sccq_didChange();
+
+    SC.run.once(this, this.flush);
+    return this;
+  },
+
+  /**
+    Called by the store when the data source failed to commit a record.
+    Returns YES if the change stays queued, in which case the store should
+    return the record to its previous status.
+
+    @param {Number} storeKey
+    @param {SC.StoreError} error
+    @returns {Boolean} YES if the change will be sent again
+  */
+  storeDidFailCommit: function(storeKey, error) {
+    var entry = this._sccq_sending, delay;
+    if (!entry || entry.storeKey !== storeKey) return NO;
+
+    this._sccq_sending = null;
+
+    if (this.isTransientError(error)) {
+      delay = Math.min(get(this, 'retryDelay') * Math.pow(2, entry.attempts - 1), get(this, 'maxRetryDelay'));
+      this._sccq_retryTimer = SC.run.later(this, this._sccq_retry, delay);
+      return YES;
+    }
+
+    if (this.isConflictError(error) && this.commitDidConflict(get(this, 'store'), storeKey, error)) {
+      SC.run.once(this, this.flush);
+      return YES;
+    }
+
+    this._sccq_entries.removeObject(entry);
+    this._sccq_didChange();
+
+    SC.run.once(this, this.flush);
+    return NO;
+  },
+
+  // ..........................................................
+  // PERSISTENCE
+  //
+
+  /**
+    Restores the saved changes into the store and sends them.  Called when
+    the store is created.
+
+    @returns {SC.CommitQueue} receiver
+  */
+  restore: function() {
+    var queue = this;
+
+    get(this, 'backend').read(get(this, 'storageKey'), function(saved) {
+      if (!saved || saved.length === 0) return;
+
+      SC.run(function() {
+        saved.forEach(queue._sccq_restoreEntry, queue);
+        queue._sccq_didChange();
+        queue.flush();
+      });
+    });
+
+    return this;
+  },
+
+  /** @private
+    Recreates the record of a saved change in the store and queues it
+    again.
+  */
+  _sccq_restoreEntry: function(saved) {
+    var store = get(this, 'store'),
+        K = SC.Record,
+        recordType = getPath(saved.recordType),
+        storeKey;
+
+    if (!recordType) return;
+
+    // New records may not have an id until the data source creates them.
+    if (SC.none(saved.id)) {
+      storeKey = SC.Store.generateStoreKey();
+      SC.Store.replaceRecordTypeFor(storeKey, recordType);
+    } else {
+      storeKey = recordType.storeKeyFor(saved.id);
+      if (this._sccq_entries.findProperty('storeKey', storeKey)) return;
+    }
+
+    if (saved.status === K.DESTROYED_DIRTY) {
+      store.writeStatus(storeKey, K.DESTROYED_DIRTY);
+    } else {
+      store.writeDataHash(storeKey, saved.dataHash, saved.status);
+    }
+
+    store.dataHashDidChange(storeKey);
+    this._sccq_entries.push({ storeKey: storeKey, params: saved.params, attempts: 0, callbacks: [] });
+  },
+
+  /** @private
+    Saves the queue, with the current data of each record.
+  */
+  _sccq_save: function() {
+    var store = get(this, 'store'),
+        recordTypes = get(this, 'recordTypes') || [],
+        saved = [];
+
+    if (!store) return;
+
+    this._sccq_entries.forEach(function(entry) {
+      var recordType = SC.Store.recordTypeFor(entry.storeKey),
+          path = recordTypes.find(function(path) { return getPath(path) === recordType; }),
+          status = this._sccq_statusFor(store.peekStatus(entry.storeKey));
+
+      if (!path || !status) return;
+
+      saved.push({
+        recordType: path,
+        id: store.idFor(entry.storeKey),
+        status: status,
+        dataHash: store.readDataHash(entry.storeKey),
+        params: entry.params
+      });
+    }, this);
+
+    get(this, 'backend').write(get(this, 'storageKey'), saved);
+  },
+
+  /** @private
+    Returns the status to restore a record with, which is the status it had
+    before it was sent, or null if it has nothing to send.
+  */
+  _sccq_statusFor: function(status) {
+    var K = SC.Record;
+
+    switch (status) {
+      case K.READY_NEW:
+      case K.BUSY_CREATING:
+        return K.READY_NEW;
+      case K.READY_DIRTY:
+      case K.BUSY_COMMITTING:
+        return K.READY_DIRTY;
+      case K.DESTROYED_DIRTY:
+      case K.BUSY_DESTROYING:
+        return K.DESTROYED_DIRTY;
+      default:
+        return null;
+    }
+  },
+
+  // ..........................................................
+  // INTERNAL SUPPORT
+  //
+
+  /** @private */
+  init: function() {
+    var queue = this;
+
+    this._super();
+
+    this._sccq_entries = [];
+
+    if (!get(this, 'backend')) {
+      set(this, 'backend', SC.LocalStorageBackend.isAvailable() ? SC.LocalStorageBackend.create() : SC.MemoryStorageBackend.create());
+    }
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      this._sccq_connectivityDidChange = function(evt) {
+        SC.run(function() { set(queue, 'isOnline', evt.type === 'online'); });
+      };
+      window.addEventListener('online', this._sccq_connectivityDidChange, false);
+      window.addEventListener('offline', this._sccq_connectivityDidChange, false);
+
+      if (window.navigator && window.navigator.onLine === false) set(this, 'isOnline', NO);
+    }
+  },
+
+  /** @private */
+  destroy: function() {
+    if (this._sccq_connectivityDidChange) {
+      window.removeEventListener('online', this._sccq_connectivityDidChange, false);
+      window.removeEventListener('offline', this._sccq_connectivityDidChange, false);
+    }
+    if (this._sccq_retryTimer) SC.run.cancel(this._sccq_retryTimer);
+    return this._super();
+  },
+
+  /** @private
+    Sends the queued changes once the queue is online and the store has a
+    data source.
+  */
+  _sccq_canSendDidChange: function() {
+    this.flush();
+  }.observes('isOnline', 'store.dataSource'),
+
+  /** @private */
+  _sccq_retry: function() {
+    this._sccq_retryTimer = null;
+    this.flush();
+  },
+
+  /** @private
+    Returns a function calling the callbacks of the passed entry, or null
+    if it has none.
+  */
+  _sccq_callbackFor: function(entry) {
+    var callbacks = entry.callbacks;
+    if (callbacks.length === 0) return null;
+
+    return function() {
+      callbacks.forEach(function(callback) { callback(); });
+    };
+  },
+
+  /** @private
+    Leaves a record the store did not send in its changelog.
+  */
+  _sccq_keepInChangelog: function(storeKey) {
+    var store = get(this, 'store');
+    if (!store.changelog) store.changelog = SC.Set.create();
+    store.changelog.add(storeKey);
+  },
+
+  /** @private */
+  _sccq_didChange: function() {
+    set(this, 'pendingChangesCount', this._sccq_entries.length);
+    this._sccq_save();
+  }
+
+});
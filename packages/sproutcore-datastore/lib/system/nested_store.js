@@ -213,6 +213,9 @@ SC.NestedStore = SC.Store.extend(
 
     // TODO: Notify record instances
     set(this, 'hasChanges', NO);
+
+    var undoManager = get(this, 'undoManager');
+    if (undoManager) undoManager.clear();
   },
 
   /** @private
@@ -353,6 +356,8 @@ SC.NestedStore = SC.Store.extend(
   writeDataHash: function(storeKey, hash, status) {
     var locks = this.locks, didLock = NO, rev ;
 
+    this._scstore_willChangeDataHash(storeKey);
+
     // Update our dataHash and/or status, depending on what was passed in.
     // Note that if no new hash was passed in, we'll lock the storeKey to
     // properly fork our dataHash from our parent store.  Similarly, if no
@@ -478,6 +483,12 @@ SC.NestedStore = SC.Store.extend(
     return get(this, 'parentStore').findAll(recordType, conditions, params, recordArray, _store);
   },
 
+  /** @private - data hashes are forked from the parent store one by one, so
+    nested stores do not keep attribute indexes. */
+  indexedStoreKeysFor: function(query) {
+    return null;
+  },
+
   // ..........................................................
   // CORE RECORDS API
   //
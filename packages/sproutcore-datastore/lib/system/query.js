@@ -64,10 +64,11 @@ var get = SC.get, set = SC.set, getPath = SC.getPath;
   Primitives:
 
    - record properties
-   - `null`, `undefined`
+   - `null`, `NULL`, `undefined`
    - `true`, `false`
    - numbers (integers and floats)
    - strings (double or single quoted)
+   - lists of the above (`('a', 'b', {c})`)
 
   Parameters:
 
@@ -104,7 +105,19 @@ var get = SC.get, set = SC.set, getPath = SC.getPath;
                       you will have to use a parameter to insert the regexp)
    - `ANY` --         (checks if the thing on its left is contained in the array
                       on its right, you will have to use a parameter
-                      to insert the array)
+                      or a list to insert the array)
+   - `IN` --          (checks if the thing on its left is equal to an item of
+                      the list or array on its right, like
+                      `status IN ('open', 'closed')`)
+   - `BETWEEN` --     (checks if the thing on its left is within the bounds
+                      on its right, like `age BETWEEN 18 AND 65`; the bounds
+                      are included)
+   - `IS NULL`, `IS NOT NULL` --
+                      (checks if the thing on their left is null or undefined)
+   - `LIKE` --        (checks if a string matches a pattern, where `%` matches
+                      any number of characters and `_` a single one, like
+                      `name LIKE 'Jo%'`; a backslash escapes them)
+   - `ILIKE` --       (like `LIKE`, but ignoring case)
    - `TYPE_IS` --     (unary operator expecting a string containing the name
                       of a Model class on its right side, only records of this
                       type will match)
@@ -127,11 +140,65 @@ var get = SC.get, set = SC.set, getPath = SC.getPath;
 
       SC.Query.registerQueryExtension('your_operator', your_operator_definition);
 
-  See details below. As well you can provide your own comparison functions
-  to control ordering of specific record properties like this:
+  See details below.  Queries are compiled to JavaScript functions when they
+  are parsed; give your definition a `compile()` method to compile your
+  operator too (see `compileTokenTree()`).
+
+  As well you can provide your own comparison functions to control ordering
+  of specific record properties like this:
 
       SC.Query.registerComparison(property_name, comparison_for_this_property);
 
+  Aggregates
+  ---
+
+  Instead of listing records, a query can count, sum or average them,
+  optionally grouped by some of their properties:
+
+      q = SC.Query.local(MyApp.Invoice, {
+        conditions: "isPaid = false",
+        aggregates: { count: "COUNT(*)", total: "SUM(amount)" },
+        groupBy: "customer"
+      });
+
+      MyApp.store.find(q).get('aggregateResults');
+      // [{ customer: ..., count: 2, total: 120 }, ...]
+
+  The available functions are `COUNT`, `SUM`, `AVG`, `MIN` and `MAX`.  Like
+  in SQL, they ignore `null` and `undefined` values.  You can add your own
+  with `SC.Query.registerAggregateFunction()`.
+
+  The results of local queries update as records change.  For remote
+  queries, your data source computes them and loads them with
+  `SC.Store#loadQueryAggregates()`.
+
+  Paging
+  ---
+
+  Set `limit` and `offset` to get only a page of the matching records, after
+  they are ordered:
+
+      q = SC.Query.local(MyApp.Contact, { orderBy: 'lastName', limit: 20, offset: 40 });
+
+  Remote queries can also pass a `cursor` returned by the server with the
+  previous page, available as `nextCursor` on its record array.
+
+  JSON
+  ---
+
+  `toJSON()` describes a query with plain objects, including its parsed
+  conditions, so that data sources can send it to a server without the
+  server having to parse the conditions:
+
+      SC.Query.remote(MyApp.Contact, "age >= {min}", { min: 18 }).toJSON();
+      // { recordTypes: ['MyApp.Contact'], location: 'remote',
+      //   conditions: { type: '>=', left: { type: 'PROPERTY', value: 'age' },
+      //                 right: { type: 'PARAMETER', value: 'min' } },
+      //   parameters: { min: 18 }, orderBy: null }
+
+  `SC.Query.fromJSON()` builds the query back from such a description, for
+  instance to match records with the same query language on the server.
+
   Examples
 
   Some example queries:
@@ -280,6 +347,68 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
   */
   scope: null,
 
+  /**
+    Optional aggregates to compute over the matching records, as a hash of
+    result names to expressions like `"COUNT(*)"`, `"SUM(amount)"` or
+    `"MAX(createdAt)"`.  The results are available as `aggregateResults` on
+    the record array returned by `SC.Store#find()`.
+
+    @type Hash
+  */
+  aggregates: null,
+
+  /**
+    Optional property names to group the aggregates by.  This can be a string
+    of keys separated by commas, or an array.  There is one result for each
+    combination of values found in the records.
+
+    @type String | Array
+  */
+  groupBy: null,
+
+  /**
+    Optional maximum number of records in the results.
+
+    @type Number
+  */
+  limit: null,
+
+  /**
+    Number of matching records to skip, after ordering them.
+
+    @type Number
+  */
+  offset: 0,
+
+  /**
+    Opaque position in the results of a remote query, for servers that page
+    results with cursors instead of offsets.  The data source passes it back
+    to the server; local queries ignore it.
+
+    @type Object
+  */
+  cursor: null,
+
+  /**
+    Returns `YES` if the query has a `limit` or an `offset`.
+
+    @property
+    @type Boolean
+  */
+  isPaged: function() {
+    return !SC.none(get(this, 'limit')) || !!get(this, 'offset');
+  }.property('limit', 'offset').cacheable(),
+
+  /**
+    Returns `YES` if the query has aggregates.
+
+    @property
+    @type Boolean
+  */
+  isAggregate: function() {
+    return !!get(this, 'aggregates');
+  }.property('aggregates').cacheable(),
+
 
   /**
     Returns `YES` if query location is Remote.  This is sometimes more
@@ -345,7 +474,7 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
 
     // if parsing worked we check if record is contained
     // if parsing failed no record will be contained
-    return this._tokenTree.evaluate(record, parameters);
+    return this._predicate(record, parameters);
   },
 
   /**
@@ -381,17 +510,6 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
                       0 if equal
   */
   compare: function(record1, record2) {
-    // IMPORTANT:  THIS CODE IS ALSO INLINED INSIDE OF THE 'compareStoreKeys'
-    //             CLASS METHOD.  IF YOU CHANGE THIS IMPLEMENTATION, BE SURE
-    //             TO UPDATE IT THERE, TOO.
-    //
-    // (Any clients overriding this method will have their version called,
-    // however.  That's why we'll keep this here; clients might want to
-    // override it and call this._super()).
-
-    var result = 0,
-        propertyName, order, len, i;
-
     // fast cases go here
     if (record1 === record2) return 0;
 
@@ -401,35 +519,109 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       return SC.compare(get(record1, 'id'),get(record2, 'id'));
     }
 
-    // For every property specified in orderBy until non-eql result is found.
-    // Or, if orderBy is a comparison function, simply invoke it with the
-    // records.
-    order = this._order;
-    if (SC.typeOf(order) === 'function') {
-      result = order.call(null, record1, record2);
-    }
-    else {
-      len   = order ? order.length : 0;
-      for (i=0; result===0 && (i < len); i++) {
-        propertyName = order[i].propertyName;
-        // if this property has a registered comparison use that
-        if (SC.Query.comparisons[propertyName]) {
-          result = SC.Query.comparisons[propertyName](
-                    get(record1, propertyName),get(record2, propertyName));
-
-        // if not use default SC.compare()
-        } else {
-          result = SC.compare(
-                    get(record1, propertyName), get(record2, propertyName) );
-        }
+    // compiled from orderBy by parse()
+    return this._comparator(record1, record2);
+  },
+
+  /**
+    Returns the conditions that every record matched by the query meets and
+    that compare a property of the record to a value, like `name = 'John'`
+    or `age >= {minAge}`.  Stores use them to find the records in attribute
+    indexes.
+
+    Each condition is a hash with a `propertyName`, an `operator` (one of
+    `=`, `<`, `<=`, `>`, `>=` and `BEGINS_WITH`) and a `value`.
+
+    @param {Hash} parameters optional override parameters
+    @returns {Array} conditions
+  */
+  indexableConditions: function(parameters) {
+    var ret = [];
+
+    if (!this._isReady) this.parse();
+    if (!this._isReady) return ret;
+    if (parameters === undefined) parameters = this.parameters || this;
+
+    (function visit(token) {
+      var operator = token.tokenType,
+          left     = token.leftSide,
+          right    = token.rightSide;
+
+      if (operator === 'AND') {
+        visit(left);
+        visit(right);
+
+      } else if (INDEXABLE_OPERATORS[operator] && isValueToken(right) && isPropertyToken(left)) {
+        ret.push({ propertyName: left.tokenValue, operator: operator, value: right.evaluate(null, parameters) });
 
-        if ((result!==0) && order[i].descending) result = (-1) * result;
+      // 'value < property' is the same as 'property > value'
+      } else if (REVERSED_OPERATORS[operator] && isValueToken(left) && isPropertyToken(right)) {
+        ret.push({ propertyName: right.tokenValue, operator: REVERSED_OPERATORS[operator], value: left.evaluate(null, parameters) });
       }
+    })(this._tokenTree);
+
+    return ret;
+  },
+
+  /**
+    Computes the aggregates of this query over the passed records, usually
+    the records matched by the query.  Returns one hash for each group, with
+    the `groupBy` properties of the group and its aggregates, in the order in
+    which the groups first appear in the records.  Without `groupBy` there is
+    a single hash.
+
+    @param {SC.Enumerable} records the records to aggregate
+    @returns {Array} array of result hashes, or null if the query has no
+      aggregates
+  */
+  aggregate: function(records) {
+    var groups = [], groupsByKey = {},
+        groupBy, aggregates;
+
+    if (!this._isReady) this.parse();
+    if (!this._isReady || !this._aggregates) return null;
+
+    groupBy    = this._groupBy;
+    aggregates = this._aggregates;
+
+    records.forEach(function(record) {
+      var values = groupBy.map(function(key) { return get(record, key); }),
+          key    = values.map(groupKeyFor).join(','),
+          group  = groupsByKey[key];
+
+      if (!group) {
+        group = groupsByKey[key] = { values: values, records: [] };
+        groups.push(group);
+      }
+      group.records.push(record);
+    });
+
+    // aggregating no records still gives a result, like in SQL
+    if (groups.length === 0 && groupBy.length === 0) {
+      groups.push({ values: [], records: [] });
     }
 
-    // return result or compare by guid
-    if (result !== 0) return result ;
-    else return SC.compare(get(record1, 'id'),get(record2, 'id'));
+    return groups.map(function(group) {
+      var ret = {};
+
+      groupBy.forEach(function(key, idx) { ret[key] = group.values[idx]; });
+
+      aggregates.forEach(function(aggregate) {
+        var values = group.records;
+
+        if (aggregate.propertyName !== '*') {
+          values = values.map(function(record) {
+            return get(record, aggregate.propertyName);
+          });
+        }
+
+        ret[aggregate.name] = aggregate.fn(values.filter(function(value) {
+          return !SC.none(value);
+        }));
+      });
+
+      return ret;
+    });
   },
 
   /** @private
@@ -453,6 +645,13 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
     tokens = this._tokenList = this.tokenizeString(conditions, lang);
     tree = this._tokenTree = this.buildTokenTree(tokens, lang);
     this._order = this.buildOrder(get(this, 'orderBy'));
+    this._groupBy = this.buildGroupBy(get(this, 'groupBy'));
+    this._aggregates = this.buildAggregates(get(this, 'aggregates'));
+
+    if (tree && !tree.error) {
+      this._predicate = this.compileTokenTree(tree, lang);
+      this._comparator = this.compileOrder(this._order);
+    }
 
     this._isReady = !!tree && !tree.error;
     if (tree && tree.error) throw tree.error;
@@ -488,7 +687,7 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
   /** @private
     Properties that need to be copied when cloning the query.
   */
-  copyKeys: ['conditions', 'orderBy', 'recordType', 'recordTypes', 'parameters', 'location', 'scope'],
+  copyKeys: ['conditions', 'orderBy', 'recordType', 'recordTypes', 'parameters', 'location', 'scope', 'aggregates', 'groupBy', 'limit', 'offset', 'cursor'],
 
   /** @private */
   concatenatedProperties: ['copyKeys'],
@@ -526,8 +725,8 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
   queryLanguage: {
 
     'UNKNOWN': {
-      firstCharacter:   /[^\s'"\w\d\(\)\{\}]/,
-      notAllowed:       /[\-\s'"\w\d\(\)\{\}]/
+      firstCharacter:   /[^\s'"\w\d\(\)\{\},]/,
+      notAllowed:       /[\-\s'"\w\d\(\)\{\},]/
     },
 
     'PROPERTY': {
@@ -538,7 +737,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       /** @ignore */
       evaluate:         function (r,w) {
                           return SC.getPath(r, this.tokenValue);
-                        }
+                        },
+
+      /** @ignore */
+      compile:          function (self) { return 'getPath(r, ' + self + '.tokenValue)'; }
     },
 
     'NUMBER': {
@@ -548,7 +750,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       evalType:         'PRIMITIVE',
 
       /** @ignore */
-      evaluate:         function (r,w) { return parseFloat(this.tokenValue); }
+      evaluate:         function (r,w) { return parseFloat(this.tokenValue); },
+
+      /** @ignore */
+      compile:          function (self) { return '(' + parseFloat(this.tokenValue) + ')'; }
     },
 
     'STRING': {
@@ -557,7 +762,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       evalType:         'PRIMITIVE',
 
       /** @ignore */
-      evaluate:         function (r,w) { return this.tokenValue; }
+      evaluate:         function (r,w) { return this.tokenValue; },
+
+      /** @ignore */
+      compile:          function (self) { return self + '.tokenValue'; }
     },
 
     'PARAMETER': {
@@ -567,7 +775,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       evalType:         'PRIMITIVE',
 
       /** @ignore */
-      evaluate:         function (r,w) { return w[this.tokenValue]; }
+      evaluate:         function (r,w) { return w[this.tokenValue]; },
+
+      /** @ignore */
+      compile:          function (self) { return 'w[' + self + '.tokenValue]'; }
     },
 
     '%@': {
@@ -576,7 +787,23 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       evalType:         'PRIMITIVE',
 
       /** @ignore */
-      evaluate:         function (r,w) { return w[this.tokenValue]; }
+      evaluate:         function (r,w) { return w[this.tokenValue]; },
+
+      /** @ignore */
+      compile:          function (self) { return 'w[' + self + '.tokenValue]'; }
+    },
+
+    // lists like ('a', 'b') and the bounds of BETWEEN are combined into
+    // ARRAY tokens by the tokenizer; their value is the list of tokens
+    'ARRAY': {
+      evalType:         'PRIMITIVE',
+
+      /** @ignore */
+      evaluate:         function (r,w) {
+                          return this.tokenValue.map(function(token) {
+                            return token.evaluate(r,w);
+                          });
+                        }
     },
 
     'OPEN_PAREN': {
@@ -589,6 +816,11 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       singleCharacter:  true
     },
 
+    'COMMA': {
+      firstCharacter:   /,/,
+      singleCharacter:  true
+    },
+
     'AND': {
       reservedWord:     true,
       leftType:         'BOOLEAN',
@@ -600,7 +832,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
                           var left  = this.leftSide.evaluate(r,w);
                           var right = this.rightSide.evaluate(r,w);
                           return left && right;
-                        }
+                        },
+
+      /** @ignore */
+      compile:          function (self, left, right) { return '(' + left + ' && ' + right + ')'; }
     },
 
     'OR': {
@@ -614,7 +849,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
                           var left  = this.leftSide.evaluate(r,w);
                           var right = this.rightSide.evaluate(r,w);
                           return left || right;
-                        }
+                        },
+
+      /** @ignore */
+      compile:          function (self, left, right) { return '(' + left + ' || ' + right + ')'; }
     },
 
     'NOT': {
@@ -626,7 +864,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       evaluate:         function (r,w) {
                           var right = this.rightSide.evaluate(r,w);
                           return !right;
-                        }
+                        },
+
+      /** @ignore */
+      compile:          function (self, left, right) { return '!' + right; }
     },
 
     '=': {
@@ -640,7 +881,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
                           var left  = this.leftSide.evaluate(r,w);
                           var right = this.rightSide.evaluate(r,w);
                           return SC.isEqual(left, right);
-                        }
+                        },
+
+      /** @ignore */
+      compile:          function (self, left, right) { return 'isEqual(' + left + ', ' + right + ')'; }
     },
 
     '!=': {
@@ -654,7 +898,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
                           var left  = this.leftSide.evaluate(r,w);
                           var right = this.rightSide.evaluate(r,w);
                           return !SC.isEqual(left, right);
-                        }
+                        },
+
+      /** @ignore */
+      compile:          function (self, left, right) { return '!isEqual(' + left + ', ' + right + ')'; }
     },
 
     '<': {
@@ -668,7 +915,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
                           var left  = this.leftSide.evaluate(r,w);
                           var right = this.rightSide.evaluate(r,w);
                           return SC.compare(left, right) == -1; //left < right;
-                        }
+                        },
+
+      /** @ignore */
+      compile:          function (self, left, right) { return '(compare(' + left + ', ' + right + ') == -1)'; }
     },
 
     '<=': {
@@ -682,7 +932,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
                           var left  = this.leftSide.evaluate(r,w);
                           var right = this.rightSide.evaluate(r,w);
                           return SC.compare(left, right) != 1; //left <= right;
-                        }
+                        },
+
+      /** @ignore */
+      compile:          function (self, left, right) { return '(compare(' + left + ', ' + right + ') != 1)'; }
     },
 
     '>': {
@@ -696,7 +949,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
                           var left  = this.leftSide.evaluate(r,w);
                           var right = this.rightSide.evaluate(r,w);
                           return SC.compare(left, right) == 1; //left > right;
-                        }
+                        },
+
+      /** @ignore */
+      compile:          function (self, left, right) { return '(compare(' + left + ', ' + right + ') == 1)'; }
     },
 
     '>=': {
@@ -710,7 +966,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
                           var left  = this.leftSide.evaluate(r,w);
                           var right = this.rightSide.evaluate(r,w);
                           return SC.compare(left, right) != -1; //left >= right;
-                        }
+                        },
+
+      /** @ignore */
+      compile:          function (self, left, right) { return '(compare(' + left + ', ' + right + ') != -1)'; }
     },
 
     'BEGINS_WITH': {
@@ -788,6 +1047,67 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
                         }
     },
 
+    'IN': {
+      reservedWord:     true,
+      leftType:         'PRIMITIVE',
+      rightType:        'PRIMITIVE',
+      evalType:         'BOOLEAN',
+
+      /** @ignore */
+      evaluate:         function (r,w) {
+                          var value  = this.leftSide.evaluate(r,w);
+                          var values = this.rightSide.evaluate(r,w);
+
+                          if (SC.none(values)) return false;
+                          if (SC.typeOf(values) !== 'array') {
+                            values = values.toArray ? values.toArray() : [values];
+                          }
+                          return values.some(function(cur) { return SC.isEqual(value, cur); });
+                        }
+    },
+
+    'BETWEEN': {
+      reservedWord:     true,
+      leftType:         'PRIMITIVE',
+      rightType:        'PRIMITIVE',
+      evalType:         'BOOLEAN',
+
+      /** @ignore */
+      evaluate:         function (r,w) {
+                          var value = this.leftSide.evaluate(r,w);
+                          var range = this.rightSide.evaluate(r,w) || [];
+                          return SC.compare(value, range[0]) != -1 && SC.compare(value, range[1]) != 1;
+                        }
+    },
+
+    'LIKE': {
+      reservedWord:     true,
+      leftType:         'PRIMITIVE',
+      rightType:        'PRIMITIVE',
+      evalType:         'BOOLEAN',
+
+      /** @ignore */
+      evaluate:         function (r,w) {
+                          var value   = this.leftSide.evaluate(r,w);
+                          var pattern = this.rightSide.evaluate(r,w);
+                          return matchesLikePattern(this, value, pattern, NO);
+                        }
+    },
+
+    'ILIKE': {
+      reservedWord:     true,
+      leftType:         'PRIMITIVE',
+      rightType:        'PRIMITIVE',
+      evalType:         'BOOLEAN',
+
+      /** @ignore */
+      evaluate:         function (r,w) {
+                          var value   = this.leftSide.evaluate(r,w);
+                          var pattern = this.rightSide.evaluate(r,w);
+                          return matchesLikePattern(this, value, pattern, YES);
+                        }
+    },
+
     'MATCHES': {
       reservedWord:     true,
       leftType:         'PRIMITIVE',
@@ -816,12 +1136,56 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
                         }
     },
 
+    // IS [NOT] NULL is combined into one of the following tokens by the
+    // tokenizer
+    'IS': {
+      reservedWord:     true
+    },
+
+    'IS_NULL': {
+      reservedWord:     true,
+      leftType:         'PRIMITIVE',
+      evalType:         'BOOLEAN',
+
+      /** @ignore */
+      evaluate:         function (r,w) { return SC.none(this.leftSide.evaluate(r,w)); },
+
+      /** @ignore */
+      compile:          function (self, left) { return '(' + left + ' == null)'; }
+    },
+
+    'IS_NOT_NULL': {
+      reservedWord:     true,
+      leftType:         'PRIMITIVE',
+      evalType:         'BOOLEAN',
+
+      /** @ignore */
+      evaluate:         function (r,w) { return !SC.none(this.leftSide.evaluate(r,w)); },
+
+      /** @ignore */
+      compile:          function (self, left) { return '(' + left + ' != null)'; }
+    },
+
     'null': {
       reservedWord:     true,
       evalType:         'PRIMITIVE',
 
       /** @ignore */
-      evaluate:         function (r,w) { return null; }
+      evaluate:         function (r,w) { return null; },
+
+      /** @ignore */
+      compile:          function () { return 'null'; }
+    },
+
+    'NULL': {
+      reservedWord:     true,
+      evalType:         'PRIMITIVE',
+
+      /** @ignore */
+      evaluate:         function (r,w) { return null; },
+
+      /** @ignore */
+      compile:          function () { return 'null'; }
     },
 
     'undefined': {
@@ -829,7 +1193,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       evalType:         'PRIMITIVE',
 
       /** @ignore */
-      evaluate:         function (r,w) { return undefined; }
+      evaluate:         function (r,w) { return undefined; },
+
+      /** @ignore */
+      compile:          function () { return 'undefined'; }
     },
 
     'false': {
@@ -837,7 +1204,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       evalType:         'PRIMITIVE',
 
       /** @ignore */
-      evaluate:         function (r,w) { return false; }
+      evaluate:         function (r,w) { return false; },
+
+      /** @ignore */
+      compile:          function () { return 'false'; }
     },
 
     'true': {
@@ -845,7 +1215,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       evalType:         'PRIMITIVE',
 
       /** @ignore */
-      evaluate:         function (r,w) { return true; }
+      evaluate:         function (r,w) { return true; },
+
+      /** @ignore */
+      compile:          function () { return 'true'; }
     },
 
     'YES': {
@@ -853,7 +1226,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       evalType:         'PRIMITIVE',
 
       /** @ignore */
-      evaluate:         function (r,w) { return true; }
+      evaluate:         function (r,w) { return true; },
+
+      /** @ignore */
+      compile:          function () { return 'true'; }
     },
 
     'NO': {
@@ -861,7 +1237,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       evalType:         'PRIMITIVE',
 
       /** @ignore */
-      evaluate:         function (r,w) { return false; }
+      evaluate:         function (r,w) { return false; },
+
+      /** @ignore */
+      compile:          function () { return 'false'; }
     }
 
   },
@@ -876,6 +1255,12 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
     Takes a string and tokenizes it based on the grammar definition
     provided. Called by `parse()`.
 
+    Lists of operands like `('a', 'b')` and the bounds of `BETWEEN` are
+    combined into `ARRAY` tokens, and `IS NULL` and `IS NOT NULL` into
+    `IS_NULL` and `IS_NOT_NULL` tokens.  Parts of the string that can't be
+    tokenized become `UNKNOWN` tokens with an `error` message, which
+    `buildTokenTree()` reports.
+
     @param {String} inputString the string to tokenize
     @param {Object} grammar the grammar definition (normally queryLanguage)
     @returns {Array} list of tokens
@@ -891,6 +1276,7 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
         currentToken        = null,
         currentTokenType    = null,
         currentTokenValue   = null,
+        currentTokenStart   = null,
         currentDelimeter    = null,
         endOfString         = false,
         endOfToken          = false,
@@ -939,6 +1325,105 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       currentTokenValue = null;
     }
 
+    // helper function that adds a token for a part of the string that could
+    // not be tokenized
+
+    function addError (message, tokenValue) {
+      tokenList.push( errorToken(message, tokenValue) );
+
+      currentToken      = null;
+      currentTokenType  = null;
+      currentTokenValue = null;
+    }
+
+    function errorToken (message, tokenValue) {
+      return {tokenType: 'UNKNOWN', tokenValue: tokenValue, error: message};
+    }
+
+    function unterminatedError () {
+      return "found unterminated %@ at position %@".fmt(currentToken, currentTokenStart);
+    }
+
+
+    // helper functions that combine several tokens into one
+
+    function isType (token, tokenType) {
+      return !!token && token.tokenType === tokenType;
+    }
+
+    function isOperand (token) {
+      var t = token && grammar[token.tokenType];
+      return !!t && t.evalType === 'PRIMITIVE' && !t.leftType && !t.rightType;
+    }
+
+    function arrayToken (items) {
+      // the tree is not built from the items, so they need their evaluate
+      // functions now
+      items.forEach(function(item) {
+        item.evaluate = grammar[item.tokenType].evaluate;
+      });
+      return {tokenType: 'ARRAY', tokenValue: items};
+    }
+
+    function combineLists (tokens) {
+      var ret = [], idx, end, items;
+
+      for (idx = 0; idx < tokens.length; idx++) {
+        if (isType(tokens[idx], 'OPEN_PAREN')) {
+          items = [];
+          for (end = idx + 1; isOperand(tokens[end]); end += 2) {
+            items.push(tokens[end]);
+            if (!isType(tokens[end + 1], 'COMMA')) break;
+          }
+
+          // (a, b) is a list, (a) is just an operand in parentheses
+          if (items.length > 1 && isOperand(tokens[end]) && isType(tokens[end + 1], 'CLOSE_PAREN')) {
+            ret.push(arrayToken(items));
+            idx = end + 1;
+            continue;
+          }
+        }
+        ret.push(tokens[idx]);
+      }
+
+      return ret;
+    }
+
+    function combineOperators (tokens) {
+      var ret = [], idx, token, not;
+
+      for (idx = 0; idx < tokens.length; idx++) {
+        token = tokens[idx];
+
+        if (isType(token, 'COMMA')) {
+          ret.push(errorToken("found ',' outside of a list", ','));
+
+        } else if (isType(token, 'IS')) {
+          not = isType(tokens[idx + 1], 'NOT');
+          token = tokens[not ? idx + 2 : idx + 1];
+
+          if (isType(token, 'null') || isType(token, 'NULL')) {
+            ret.push(not ? {tokenType: 'IS_NOT_NULL', tokenValue: 'IS NOT NULL'}
+                         : {tokenType: 'IS_NULL', tokenValue: 'IS NULL'});
+            idx += not ? 2 : 1;
+          } else {
+            ret.push(errorToken("expected NULL or NOT NULL after IS", 'IS'));
+          }
+
+        // BETWEEN a AND b
+        } else if (isType(token, 'BETWEEN') && isOperand(tokens[idx + 1]) &&
+                   isType(tokens[idx + 2], 'AND') && isOperand(tokens[idx + 3])) {
+          ret.push(token, arrayToken([tokens[idx + 1], tokens[idx + 3]]));
+          idx += 3;
+
+        } else {
+          ret.push(token);
+        }
+      }
+
+      return ret;
+    }
+
 
     // stepping through the string:
 
@@ -971,7 +1456,9 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
         if ( !endOfToken ) currentTokenValue += c;
 
         // if end of token reached
-        if (endOfToken || endOfString) {
+        if ( t.delimeted && !endOfToken && endOfString ) {
+          addError(unterminatedError(), currentTokenValue);
+        } else if (endOfToken || endOfString) {
           addToken(currentToken, currentTokenValue);
         }
 
@@ -994,6 +1481,7 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
         if ( currentToken ) {
           t = grammar[currentToken];
           currentTokenValue = c;
+          currentTokenStart = i;
           // handling of special cases
           if ( t.delimeted ) {
             currentTokenValue = "";
@@ -1001,14 +1489,16 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
             else currentDelimeter = c;
           }
 
-          if ( t.singleCharacter || endOfString ) {
+          if ( t.delimeted && endOfString ) {
+            addError(unterminatedError(), currentTokenValue);
+          } else if ( t.singleCharacter || endOfString ) {
             addToken(currentToken, currentTokenValue);
           }
         }
       }
     }
 
-    return tokenList;
+    return combineOperators(combineLists(tokenList));
   },
 
 
@@ -1151,11 +1641,17 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       shouldCheckAgain = false;
 
       if ( l[i].tokenType == 'UNKNOWN' ) {
-        error.push('found unknown token: '+l[i].tokenValue);
+        error.push(l[i].error || 'found unknown token: '+l[i].tokenValue);
       }
 
       if ( l[i].tokenType == 'OPEN_PAREN' ) openParenthesisStack.push(i);
-      if ( l[i].tokenType == 'CLOSE_PAREN' ) removeParenthesesPair(i);
+      if ( l[i].tokenType == 'CLOSE_PAREN' ) {
+        if ( openParenthesisStack.length > 0 ) removeParenthesesPair(i);
+        else {
+          error.push("found ')' without matching '('");
+          removeToken(i);
+        }
+      }
 
       if ( preceedingTokenCanBeMadeChild(i) ) makeChild(i);
 
@@ -1168,6 +1664,10 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
 
     }
 
+    if (openParenthesisStack.length > 0) {
+      error.push("found '(' without matching ')'");
+    }
+
     // error if tokenList l is not a single token now
     if (l.length == 1) l = l[0];
     else error.push('string did not resolve to a single tree');
@@ -1213,6 +1713,210 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
       return o;
     }
 
+  },
+
+
+  // ..........................................................
+  // COMPILING
+  //
+
+  /**
+    Compiles a tree built by `buildTokenTree()` into a function taking a
+    record and parameters, and returning the value of the tree.  This
+    function is what `contains()` calls, so that matching records does not
+    walk the tree.  Called by `parse()`.
+
+    Tokens whose definition has a `compile()` method become JavaScript
+    expressions.  `compile()` is called on the token with the source of the
+    token itself and of its compiled left and right sides, and returns the
+    source of the expression.  Expressions can use `r` and `w` for the record
+    and parameters, as well as `getPath()`, `isEqual()` and `compare()`.
+
+    Other tokens, like most query extensions, call their `evaluate()` method
+    instead, with their sides compiled.
+
+    @param {Object} tree the token tree
+    @param {Hash} treeLogic the query language definition
+    @returns {Function} function(record, parameters)
+  */
+  compileTokenTree: function(tree, treeLogic) {
+    var tokens = [],
+        source = this._scq_compileToken(tree, treeLogic, tokens);
+
+    return new Function('n', 'getPath', 'isEqual', 'compare',
+      'return function(r, w) { return ' + source + '; };'
+    )(tokens, SC.getPath, SC.isEqual, SC.compare);
+  },
+
+  /** @private
+    Returns the source of the expression for a token, adding the tokens it
+    references to the passed array.
+  */
+  _scq_compileToken: function(token, treeLogic, tokens) {
+    var logic = token.tokenType ? treeLogic[token.tokenType] : null,
+        self  = 'n[' + tokens.length + ']',
+        left, right;
+
+    if (logic && logic.compile) {
+      tokens.push(token);
+      left  = token.leftSide  ? this._scq_compileToken(token.leftSide, treeLogic, tokens) : null;
+      right = token.rightSide ? this._scq_compileToken(token.rightSide, treeLogic, tokens) : null;
+      return logic.compile.call(token, self, left, right);
+    }
+
+    token = SC.create(token);
+    if (token.leftSide) token.leftSide = this._scq_compileSide(token.leftSide, treeLogic);
+    if (token.rightSide) token.rightSide = this._scq_compileSide(token.rightSide, treeLogic);
+    tokens.push(token);
+
+    return self + '.evaluate(r, w)';
+  },
+
+  /** @private
+    Returns a copy of a token that evaluates to its compiled tree.
+  */
+  _scq_compileSide: function(token, treeLogic) {
+    var ret = SC.create(token);
+    ret.evaluate = this.compileTokenTree(token, treeLogic);
+    return ret;
+  },
+
+  /**
+    Compiles an order built by `buildOrder()` into a comparison function for
+    two records, which `compare()` calls.  Called by `parse()`.
+
+    Registered comparisons are looked up when comparing, so that they apply
+    to queries parsed before they were registered.
+
+    @param {Array | Function} order the order
+    @returns {Function} function(record1, record2)
+  */
+  compileOrder: function(order) {
+    var source = ['var ret;'];
+
+    if (SC.typeOf(order) === 'function') {
+      source.push('ret = order.call(null, r1, r2);', 'if (ret !== 0) return ret;');
+    } else {
+      order.forEach(function(o) {
+        var key = JSON.stringify(o.propertyName);
+
+        source.push(
+          'ret = (comparisons[' + key + '] || compare)(get(r1, ' + key + '), get(r2, ' + key + '));',
+          'if (ret !== 0) return ' + (o.descending ? '-ret' : 'ret') + ';'
+        );
+      });
+    }
+
+    // compare by guid if equal
+    source.push("return compare(get(r1, 'id'), get(r2, 'id'));");
+
+    return new Function('order', 'comparisons', 'get', 'compare',
+      'return function(r1, r2) {\n' + source.join('\n') + '\n};'
+    )(order, SC.Query.comparisons, SC.get, SC.compare);
+  },
+
+
+  // ..........................................................
+  // AGGREGATES
+  //
+
+  /**
+    Takes the `groupBy` property and returns an array of property names.
+    Called by `parse()`.
+
+    @param {String | Array} groupBy
+    @returns {Array} array of property names
+  */
+  buildGroupBy: function(groupBy) {
+    if (!groupBy) return [];
+    if (typeof groupBy === 'string') groupBy = groupBy.split(',');
+
+    return groupBy.map(function(key) {
+      return key.replace(/^\s+|\s+$/g, '');
+    });
+  },
+
+  /**
+    Takes the `aggregates` hash and returns an array describing each
+    aggregate for easier processing.  Called by `parse()`.
+
+    @param {Hash} aggregates hash of result names to aggregate expressions
+    @returns {Array} array of aggregates, or null if there are none
+  */
+  buildAggregates: function(aggregates) {
+    var ret = [], name, match, fn;
+
+    if (!aggregates) return null;
+
+    for (name in aggregates) {
+      if (!aggregates.hasOwnProperty(name)) continue;
+
+      match = /^\s*(\w+)\s*\(\s*([^)\s]*)\s*\)\s*$/.exec(aggregates[name]);
+      fn = match ? SC.Query.aggregateFunctions[match[1].toUpperCase()] : null;
+      if (!fn) throw "%@ is not a valid aggregate".fmt(aggregates[name]);
+
+      ret.push({ name: name, fn: fn, propertyName: match[2] || '*' });
+    }
+
+    return ret;
+  },
+
+
+  // ..........................................................
+  // JSON
+  //
+
+  /**
+    Returns a description of the query made of plain objects, arrays and
+    values, ready for `JSON.stringify()`.  The hash has the following keys:
+
+     - `recordTypes` -- array of the paths of the record types, or null
+     - `location` -- `'local'` or `'remote'`
+     - `conditions` -- the tree of the parsed conditions, or null
+     - `parameters` -- the parameters, as they are
+     - `orderBy` -- array of hashes with a `propertyName` and `descending`,
+       or null
+
+    and `limit`, `offset`, `cursor`, `aggregates` and `groupBy` when they are
+    set.
+
+    Each node of the conditions tree has the `type` of its token in
+    `queryLanguage`.  Operators have `left` and `right` nodes, depending on
+    their sides.  Other nodes have a `value`: the path of a `PROPERTY`, the
+    string of a `STRING`, the number of a `NUMBER`, the name of a
+    `PARAMETER`, the index of a `%@` and the nodes of an `ARRAY`.  Reserved
+    words like `null` or `true` have no value.
+
+    Record types have to be reachable from the global namespace, and
+    `orderBy` can't be a function.
+
+    @returns {Hash} description of the query
+  */
+  toJSON: function() {
+    var ret = {}, recordTypes, order;
+
+    if (!this._isReady) this.parse();
+
+    recordTypes = get(this, 'recordType') ? [get(this, 'recordType')] : get(this, 'recordTypes');
+    ret.recordTypes = recordTypes ? recordTypes.map(recordTypePathFor) : null;
+    ret.location = get(this, 'location');
+
+    ret.conditions = this._tokenTree.tokenType ? tokenToJSON(this._tokenTree) : null;
+    ret.parameters = get(this, 'parameters') || null;
+
+    order = this._order;
+    if (SC.typeOf(order) === 'function') throw "orderBy functions can't be converted to JSON";
+    ret.orderBy = order.length ? order.map(function(o) {
+      return { propertyName: o.propertyName, descending: !!o.descending };
+    }) : null;
+
+    if (!SC.none(get(this, 'limit'))) ret.limit = get(this, 'limit');
+    if (get(this, 'offset')) ret.offset = get(this, 'offset');
+    if (!SC.none(get(this, 'cursor'))) ret.cursor = get(this, 'cursor');
+    if (get(this, 'aggregates')) ret.aggregates = get(this, 'aggregates');
+    if (this._groupBy.length) ret.groupBy = this._groupBy;
+
+    return ret;
   }
 
 });
@@ -1289,6 +1993,23 @@ SC.Query.reopenClass( /** @scope SC.Query */ {
     return storeKeys;
   },
 
+  /**
+    Returns the page of a set of ordered store keys selected by the `limit`
+    and `offset` properties of the `SC.Query`.
+
+    @param {Array} storeKeys ordered store keys
+    @param {SC.Query} query to use for paging
+    @returns {Array} store keys in the page.  may be same instance as passed
+      value
+  */
+  limitStoreKeys: function(storeKeys, query) {
+    var limit  = get(query, 'limit'),
+        offset = get(query, 'offset') || 0;
+
+    if (!storeKeys || !get(query, 'isPaged')) return storeKeys;
+    return storeKeys.slice(offset, SC.none(limit) ? undefined : offset + limit);
+  },
+
   /**
     Default sort method that is used when calling `containsStoreKeys()`
     or `containsRecords()` on this query. Simply materializes two records
@@ -1343,6 +2064,10 @@ SC.Query.reopenClass( /** @scope SC.Query */ {
 
         var orderedPeople = SC.Query.local(Ab.Person, { orderBy: "firstName" });
 
+    Queries with only `limit`, `offset` or `cursor` options are cached too:
+
+        var firstPeople = SC.Query.local(Ab.Person, { limit: 10 });
+
     @param {String} location the query location.
     @param {SC.Record|Array} recordType the record type or types.
     @param {String} conditions optional conditions
@@ -1352,7 +2077,7 @@ SC.Query.reopenClass( /** @scope SC.Query */ {
   build: function(location, recordType, conditions, params) {
 
     var opts = null,
-        ret, cache, key, tmp;
+        ret, cache, key, tmp, paging, pagingKey;
 
     // fast case for query objects.
     if (recordType && recordType.isQuery) {
@@ -1389,6 +2114,12 @@ SC.Query.reopenClass( /** @scope SC.Query */ {
       conditions = null ;
     }
 
+    // paging options with simple values are part of the cache key
+    if (opts && (pagingKey = pagingKeyFor(opts)) !== null) {
+      paging = opts;
+      opts = null;
+    }
+
     // special case - easy to cache.
     if (!params && !opts) {
 
@@ -1403,6 +2134,7 @@ SC.Query.reopenClass( /** @scope SC.Query */ {
       } else key = SC.guidFor(recordType);
 
       if (conditions) key = [key, conditions].join('::');
+      if (pagingKey) key = [key, pagingKey].join('@@');
 
       ret = cache[key];
       if (!ret) {
@@ -1412,6 +2144,11 @@ SC.Query.reopenClass( /** @scope SC.Query */ {
 
         opts.location = location ;
         opts.conditions = conditions ;
+        if (paging) {
+          PAGING_KEYS.forEach(function(k) {
+            if (paging.hasOwnProperty(k)) opts[k] = paging[k];
+          });
+        }
         ret = cache[key] = SC.Query.create(opts).freeze();
       }
     // otherwise parse extra conditions and handle them
@@ -1461,6 +2198,44 @@ SC.Query.reopenClass( /** @scope SC.Query */ {
     return this.build(SC.Query.REMOTE, recordType, conditions, params);
   },
 
+  /**
+    Builds a frozen query from a description returned by
+    `SC.Query#toJSON()`.  The conditions tree is written back as a string
+    of the query language; the `%@` wild cards of the tree must be numbered
+    in the order in which they appear.
+
+    @param {Hash} json description of a query
+    @returns {SC.Query}
+  */
+  fromJSON: function(json) {
+    var opts = {}, recordTypes;
+
+    recordTypes = (json.recordTypes || []).map(function(path) {
+      var ret = getPath(path);
+      if (!ret) throw "%@ did not resolve to a class".fmt(path);
+      return ret;
+    });
+    if (recordTypes.length === 1) opts.recordType = recordTypes[0];
+    else if (recordTypes.length > 1) opts.recordTypes = recordTypes;
+
+    if (json.conditions) {
+      opts.conditions = conditionsFromJSON(json.conditions, get(this, 'proto').queryLanguage, { count: 0 });
+    }
+
+    if (json.orderBy) {
+      opts.orderBy = json.orderBy.map(function(o) {
+        if (!isPropertyPath(o.propertyName)) throw "%@ is not a valid property to order by".fmt(o.propertyName);
+        return o.descending ? o.propertyName + ' DESC' : o.propertyName;
+      }).join(', ');
+    }
+
+    ['location', 'parameters', 'limit', 'offset', 'cursor', 'aggregates', 'groupBy'].forEach(function(key) {
+      if (!SC.none(json[key])) opts[key] = json[key];
+    });
+
+    return this.create(opts).freeze();
+  },
+
   /** @private
     called by `SC.Record.extend()`. invalidates `expandedRecordTypes`
   */
@@ -1478,6 +2253,199 @@ SC.Query.reopenClass( /** @scope SC.Query */ {
 });
 
 
+/** @private
+  Operators of conditions that can be looked up in attribute indexes, with
+  the operator to use when the property is on the right side.
+*/
+var INDEXABLE_OPERATORS = { '=': YES, '<': YES, '<=': YES, '>': YES, '>=': YES, 'BEGINS_WITH': YES },
+    REVERSED_OPERATORS  = { '=': '=', '<': '>', '<=': '>=', '>': '<', '>=': '<=' },
+    VALUE_TOKENS = { 'STRING': YES, 'NUMBER': YES, 'PARAMETER': YES, '%@': YES,
+                     'null': YES, 'NULL': YES, 'undefined': YES, 'true': YES, 'false': YES, 'YES': YES, 'NO': YES };
+
+/** @private
+  Returns YES if the token is a property of the record itself.
+*/
+function isPropertyToken(token) {
+  return !!token && token.tokenType === 'PROPERTY' && token.tokenValue.indexOf('.') < 0;
+}
+
+/** @private
+  Returns YES if the token has the same value for all records.
+*/
+function isValueToken(token) {
+  return !!token && VALUE_TOKENS.hasOwnProperty(token.tokenType);
+}
+
+/** @private
+  Returns YES if a string matches a LIKE pattern, where `%` matches any
+  number of characters, `_` a single character, and `\` escapes the next
+  character.  The regular expression of the last pattern is kept on the
+  token, since patterns usually don't change between records.
+*/
+function matchesLikePattern(token, value, pattern, ignoreCase) {
+  var source, idx, c;
+
+  if (typeof value !== 'string' || typeof pattern !== 'string') return false;
+
+  if (token._likePattern !== pattern || token._likeIgnoreCase !== ignoreCase) {
+    source = '';
+    for (idx = 0; idx < pattern.length; idx++) {
+      c = pattern.charAt(idx);
+      if (c === '\\' && idx + 1 < pattern.length) c = pattern.charAt(++idx);
+      else if (c === '%') { source += '[\\s\\S]*'; continue; }
+      else if (c === '_') { source += '[\\s\\S]'; continue; }
+      source += c.replace(/[\\^$.*+?()\[\]{}|\/\-]/, '\\$&');
+    }
+
+    token._likeRegExp = new RegExp('^' + source + '$', ignoreCase ? 'i' : '');
+    token._likePattern = pattern;
+    token._likeIgnoreCase = ignoreCase;
+  }
+
+  return token._likeRegExp.test(value);
+}
+
+/** @private
+  Returns the path of a record type for `SC.Query#toJSON()`.
+*/
+function recordTypePathFor(recordType) {
+  if (SC.typeOf(recordType) === 'string') return recordType;
+
+  var ret = recordType.toString();
+  if (getPath(ret) !== recordType) {
+    throw "%@ can't be converted to JSON, as it can't be found by its path".fmt(ret);
+  }
+  return ret;
+}
+
+/** @private
+  Returns the JSON node of a token of a condition tree.
+*/
+function tokenToJSON(token) {
+  var ret = { type: token.tokenType };
+
+  if (token.leftSide || token.rightSide) {
+    if (token.leftSide) ret.left = tokenToJSON(token.leftSide);
+    if (token.rightSide) ret.right = tokenToJSON(token.rightSide);
+  } else if (token.tokenType === 'ARRAY') {
+    ret.value = token.tokenValue.map(tokenToJSON);
+  } else if (token.tokenType === 'NUMBER') {
+    ret.value = parseFloat(token.tokenValue);
+  } else if (token.tokenValue !== token.tokenType) {
+    ret.value = token.tokenValue;
+  }
+
+  return ret;
+}
+
+/** @private
+  Returns YES if the string can be written as a property in conditions.
+*/
+function isPropertyPath(path) {
+  return typeof path === 'string' && /^[a-zA-Z_][a-zA-Z_0-9\.]*$/.test(path);
+}
+
+/** @private
+  Writes a JSON node of a condition tree back as a string of the query
+  language.  Operators that are sides of other operators are put in
+  parentheses.  `state.count` is the number of `%@` written so far.
+*/
+function conditionsFromJSON(node, grammar, state, isSide) {
+  var type  = node && node.type,
+      logic = type && grammar.hasOwnProperty(type) ? grammar[type] : null,
+      value = node && node.value,
+      ret;
+
+  if (!logic || !logic.evalType) throw "%@ is not a token of the query language".fmt(type);
+
+  // operators
+  if (logic.leftType || logic.rightType) {
+    ret = [];
+    if (logic.leftType) {
+      if (!node.left) throw "%@ needs a left side".fmt(type);
+      ret.push(conditionsFromJSON(node.left, grammar, state, YES));
+    }
+    ret.push(type);
+    if (logic.rightType) {
+      if (!node.right) throw "%@ needs a right side".fmt(type);
+      ret.push(conditionsFromJSON(node.right, grammar, state, YES));
+    }
+    ret = ret.join(' ');
+    return isSide ? '(' + ret + ')' : ret;
+  }
+
+  switch (type) {
+    case 'PROPERTY':
+      if (!isPropertyPath(value) || grammar.hasOwnProperty(value)) {
+        throw "%@ is not a valid property".fmt(value);
+      }
+      return value;
+
+    case 'STRING':
+      value = String(value);
+      if (value.indexOf("'") < 0) return "'" + value + "'";
+      if (value.indexOf('"') < 0) return '"' + value + '"';
+      throw "%@ can't be written as a string, as it has both kinds of quotes".fmt(value);
+
+    case 'NUMBER':
+      if (!grammar.NUMBER.format.test(String(value))) throw "%@ is not a valid number".fmt(value);
+      return String(value);
+
+    case 'PARAMETER':
+      if (!/^[^\}]+$/.test(value)) throw "%@ is not a valid parameter name".fmt(value);
+      return '{' + value + '}';
+
+    case '%@':
+      if (value !== state.count) throw "wild card %@ is out of order".fmt(value);
+      state.count++;
+      return '%@';
+
+    case 'ARRAY':
+      if (!value || value.length < 2) throw "lists need at least two items";
+      return '(' + value.map(function(item) {
+        if (item && item.type === 'ARRAY') throw "lists can't contain lists";
+        return conditionsFromJSON(item, grammar, state, YES);
+      }).join(', ') + ')';
+
+    default:
+      if (!logic.reservedWord) throw "%@ can't be written in conditions".fmt(type);
+      return type;
+  }
+}
+
+/** @private
+  Options that `SC.Query.build()` can cache queries by.
+*/
+var PAGING_KEYS = ['limit', 'offset', 'cursor'];
+
+/** @private
+  Returns a cache key for a hash of options containing only paging keys with
+  number or string values, or null if the options can't be cached.
+*/
+function pagingKeyFor(opts) {
+  var ret = [], key, type;
+
+  for (key in opts) {
+    if (!opts.hasOwnProperty(key)) continue;
+
+    type = typeof opts[key];
+    if (PAGING_KEYS.indexOf(key) < 0) return null;
+    if (type !== 'number' && type !== 'string' && !SC.none(opts[key])) return null;
+
+    ret.push(key + '=' + JSON.stringify(opts[key]));
+  }
+
+  return ret.sort().join('&');
+}
+
+/** @private
+  Returns a string identifying a `groupBy` value.  Dates are equal when
+  they are the same time.
+*/
+function groupKeyFor(value) {
+  return value instanceof Date ? 'da' + value.getTime() : SC.guidFor(value);
+}
+
 /** @private
   Hash of registered comparisons by propery name.
 */
@@ -1515,3 +2483,45 @@ SC.Query.registerQueryExtension = function(tokenName, token) {
   get(SC.Query, 'proto').queryLanguage[tokenName] = token;
 };
 
+
+/**
+  Hash of aggregate functions by name.  Each function receives the values of
+  a group, without `null` and `undefined` values, and returns the aggregate.
+  For `COUNT(*)` the values are the records of the group.
+*/
+SC.Query.aggregateFunctions = {
+  COUNT: function(values) {
+    return values.length;
+  },
+
+  SUM: function(values) {
+    return values.reduce(function(sum, value) { return sum + value; }, 0);
+  },
+
+  AVG: function(values) {
+    return values.length ? SC.Query.aggregateFunctions.SUM(values) / values.length : null;
+  },
+
+  MIN: function(values) {
+    return values.reduce(function(min, value) {
+      return min === null || SC.compare(value, min) < 0 ? value : min;
+    }, null);
+  },
+
+  MAX: function(values) {
+    return values.reduce(function(max, value) {
+      return max === null || SC.compare(value, max) > 0 ? value : max;
+    }, null);
+  }
+};
+
+/**
+  Call to register an aggregate function, usable in the `aggregates` of
+  queries as `NAME(propertyName)`.
+
+  @param {String} name name of the function, in uppercase
+  @param {Function} fn function returning the aggregate of the passed values
+*/
+SC.Query.registerAggregateFunction = function(name, fn) {
+  SC.Query.aggregateFunctions[name] = fn;
+};
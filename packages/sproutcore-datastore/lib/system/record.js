@@ -74,6 +74,19 @@ SC.Record = SC.Object.extend(
   */
   primaryKey: 'guid',
 
+  /**
+    The attribute holding the server's version of the record, like an etag
+    or a revision number.  If set, the store treats data from the server as
+    newer only when this attribute differs from the version the local
+    changes were made to.  Otherwise any data that differs is newer.
+
+    See `SC.Store#mergeStrategy`.
+
+    @type String
+    @default null
+  */
+  versionKey: null,
+
   /**
     Returns the id for the record instance.  The id is used to uniquely
     identify this record instance from all others of the same type.  If you
@@ -736,6 +749,121 @@ SC.Record = SC.Object.extend(
     return this ;
   },
 
+  // ..........................................................
+  // VALIDATION
+  //
+
+  /**
+    Hash of `SC.StoreError` objects for every attribute that currently fails
+    validation, keyed by attribute name, or null if the record is valid.
+
+    Includes the results of asynchronous validators run by `validate()`, as
+    long as the attribute has not changed since.
+
+    @type Hash
+    @property
+    @dependsOn status
+  */
+  errors: function() {
+    var attrFor = SC.RecordAttribute.attrFor,
+        results = this._screc_asyncResults,
+        ret = null, key, attr, error, result;
+
+    for (key in this) {
+      attr = attrFor(this, key);
+      if (!attr) continue;
+
+      error = attr.validate(this, key);
+      if (!error && results && (result = results[key])) {
+        if (result.value === this.readAttribute(get(attr, 'key') || key)) {
+          error = result.error;
+        }
+      }
+
+      if (error) {
+        if (!ret) ret = {};
+        ret[key] = error;
+      }
+    }
+
+    return ret;
+  }.property('status').cacheable(),
+
+  /**
+    `YES` when none of the record attributes fail validation.  Records that
+    are not valid will not be committed by the store.
+
+    @type Boolean
+    @property
+    @dependsOn errors
+  */
+  isValid: function() {
+    return !get(this, 'errors');
+  }.property('errors').cacheable(),
+
+  /**
+    `YES` while asynchronous validators started by `validate()` are still
+    running.
+
+    @type Boolean
+    @default NO
+  */
+  isValidating: NO,
+
+  /**
+    Validates all attributes of the record and returns the `errors` hash, or
+    null if the record is valid.
+
+    This will also start the asynchronous validators of any attributes that
+    pass their other rules.  `errors`, `isValid` and `isValidating` will
+    update once they finish.
+
+    @returns {Hash} errors keyed by attribute name or null
+  */
+  validate: function() {
+    var attrFor = SC.RecordAttribute.attrFor,
+        errors, key, attr;
+
+    this.notifyPropertyChange('errors');
+    errors = get(this, 'errors');
+
+    for (key in this) {
+      attr = attrFor(this, key);
+      if (!attr || !get(attr, 'asyncValidator')) continue;
+      if (errors && errors[key]) continue;
+      this._screc_validateAsync(attr, key);
+    }
+
+    return errors;
+  },
+
+  /** @private
+    Runs the async validator for the passed attribute and remembers the
+    result along with the value it was computed for.
+  */
+  _screc_validateAsync: function(attr, key) {
+    var self    = this,
+        value   = this.readAttribute(get(attr, 'key') || key),
+        results = this._screc_asyncResults || (this._screc_asyncResults = {}),
+        pending = this._screc_pendingValidations || (this._screc_pendingValidations = {});
+
+    pending[key] = (pending[key] || 0) + 1;
+    set(this, 'isValidating', YES);
+
+    attr.validateAsync(this, key, function(error) {
+      SC.run(function() {
+        // ignore results for validations that have since been restarted
+        if (--pending[key] === 0) {
+          results[key] = { value: value, error: error };
+          delete pending[key];
+        }
+
+        if (SC.keys(pending).length === 0) set(self, 'isValidating', NO);
+        self.notifyPropertyChange('errors');
+      });
+    });
+  },
+
   // ..........................................................
   // EMULATE SC.StoreError API
   //
@@ -1095,6 +1223,21 @@ SC.Record.reopenClass( /** @scope SC.Record.prototype */ {
   READY_NEW:        0x0203, // 515
 
 
+  /**
+    State for records with local changes that could not be merged with newer
+    data from the server.  The record keeps its local changes, and is not
+    committed until you call `SC.Store#resolveConflict()`.
+
+    Use a logical AND (single `&`) to test record status
+
+    @static
+    @constant
+    @type Number
+    @default 0x2202
+  */
+  CONFLICT:         0x2202, // 8706
+
+
   /**
     Generic state for records that have been destroyed
 
@@ -8,6 +8,7 @@
 require('sproutcore-runtime');
 require('sproutcore-datastore/system/record');
 require('sproutcore-datastore/system/query');
+require('sproutcore-datastore/system/sparse_array');
 require('sproutcore-indexset');
 
 var get = SC.get, set = SC.set;
@@ -99,6 +100,14 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array, SC.MutableEnumerable,
   */
   status: SC.Record.EMPTY,
 
+  /**
+    For remote queries, the cursor of the next page of results, if the data
+    source passed one to `SC.Store#loadQueryResults()`.
+
+    @type Object
+  */
+  nextCursor: null,
+
   /**
     The current editable state based on the query. If this record array is not
     backed by an SC.Query, it is assumed to be editable.
@@ -111,6 +120,26 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array, SC.MutableEnumerable,
     return query ? get(query, 'isEditable') : YES;
   }.property('query').cacheable(),
 
+  /**
+    The results of the aggregates of the query, if it has any.  See
+    `SC.Query#aggregate()` for their format.
+
+    For local queries, the results are computed from the records in the
+    array and change along with them.  For remote queries, they are loaded by
+    the data source with `SC.Store#loadQueryAggregates()`.
+
+    @property
+    @type Array
+  */
+  aggregateResults: function() {
+    var query = get(this, 'query');
+
+    if (!query || !get(query, 'isAggregate')) return null;
+    if (get(query, 'location') !== SC.Query.LOCAL) return this._scra_aggregateResults || null;
+
+    return query.aggregate(this);
+  }.property('storeKeys', 'query').cacheable(),
+
   // ..........................................................
   // ARRAY PRIMITIVES
   //
@@ -186,7 +215,8 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array, SC.MutableEnumerable,
     for(idx=0;idx<len;idx++) {
       rec = recs[idx];
       if (!rec) {
-        rec = recs[idx] = store.materializeRecord(storeKeys.objectAt(idx));
+        storeKey = storeKeys.objectAt(idx);
+        rec = recs[idx] = storeKey ? store.materializeRecord(storeKey) : undefined;
       }
       callback.call(target, rec, idx, this);
     }
@@ -366,6 +396,20 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array, SC.MutableEnumerable,
     this._super();
   },
 
+  // ..........................................................
+  // SPARSE ARRAY DELEGATE
+  //
+
+  /** @private
+    Called by the `SC.SparseArray` set as `storeKeys` by
+    `SC.Store#loadQueryLength()` when unloaded results are accessed.  Asks the
+    store to fetch them.
+  */
+  sparseArrayDidRequestRange: function(sparseArray, start, length) {
+    if (sparseArray !== get(this, 'storeKeys')) return;
+    get(this, 'store').fetchQueryRange(get(this, 'query'), start, length);
+  },
+
   // ..........................................................
   // STORE CALLBACKS
   //
@@ -431,6 +475,19 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array, SC.MutableEnumerable,
     return this ;
   },
 
+  /** @private
+    Called by the store when the data source loads the aggregate results of
+    a remote query.
+
+    @param {Array} results
+    @returns {SC.RecordArray} receiver
+  */
+  storeDidLoadAggregateResults: function(results) {
+    this._scra_aggregateResults = results;
+    this.notifyPropertyChange('aggregateResults');
+    return this ;
+  },
+
   /** @private
     Called by the store whenever it changes the state of certain store keys. If
     the receiver cares about these changes, it will mark itself as dirty and add
@@ -460,6 +517,9 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array, SC.MutableEnumerable,
       this.flush();
     }
 
+    // records may have changed without entering or leaving the array
+    if (get(query, 'isAggregate')) this.notifyPropertyChange('aggregateResults');
+
     return this;
   },
 
@@ -504,13 +564,16 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array, SC.MutableEnumerable,
         changed   = this._scq_changedStoreKeys,
         didChange = NO,
         K         = SC.Record,
+        isPaged   = get(query, 'isPaged'),
         storeKeysToPace = [],
         startDate = new Date(),
         rec, status, recordType, sourceKeys, scope, included;
 
-    // if we have storeKeys already, just look at the changed keys
+    // if we have storeKeys already, just look at the changed keys.  a page
+    // has to be recomputed from all records, since changes may move records
+    // in or out of it.
     var oldStoreKeys = storeKeys;
-    if (storeKeys && !_flush) {
+    if (storeKeys && !_flush && !isPaged) {
 
       if (changed) {
         changed.forEach(function(storeKey) {
@@ -554,8 +617,10 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array, SC.MutableEnumerable,
       // collect the base set of keys.  if query has a parent scope, use that
       if (scope = get(query, 'scope')) {
         sourceKeys = get(scope.flush(), 'storeKeys');
-      // otherwise, lookup all storeKeys for the named recordType...
-      } else if (recordType = get(query, 'expandedRecordTypes')) {
+      // otherwise, use the attribute indexes that can narrow down the
+      // records or lookup all storeKeys for the named recordType...
+      } else if (!(sourceKeys = store.indexedStoreKeysFor(query)) &&
+                 (recordType = get(query, 'expandedRecordTypes'))) {
         sourceKeys = SC.IndexSet.create();
         recordType.forEach(function(cur) {
           sourceKeys.addEach(store.storeKeysFor(recordType));
@@ -566,7 +631,7 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array, SC.MutableEnumerable,
       // not.
       storeKeys = [];
       sourceKeys.forEach(function(storeKey) {
-        if(storeKeysToPace.length>0 || new Date()-startDate>SC.RecordArray.QUERY_MATCHING_THRESHOLD) {
+        if(!isPaged && (storeKeysToPace.length>0 || new Date()-startDate>SC.RecordArray.QUERY_MATCHING_THRESHOLD)) {
           storeKeysToPace.push(storeKey);
           return;
         }
@@ -611,6 +676,7 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array, SC.MutableEnumerable,
       }
 
       storeKeys = SC.Query.orderStoreKeys(storeKeys, query, store);
+      storeKeys = SC.Query.limitStoreKeys(storeKeys, query);
       if (SC.compare(oldStoreKeys, storeKeys) !== 0){
         set(this, 'storeKeys', SC.copy(storeKeys)); // replace content
       }
@@ -0,0 +1,333 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+require('sproutcore-runtime');
+require('sproutcore-datastore/system/record');
+require('sproutcore-datastore/attributes');
+
+var get = SC.get, getPath = SC.getPath;
+
+// Class Methods
+SC.Record.reopenClass( /** @scope SC.Record */ {
+
+  /**
+    Describes the attributes and relationships defined on the record type,
+    including the ones it inherits.  The returned hash has the
+    `primaryKey` of the type, and `attributes` and `relationships` hashes
+    keyed by property name.
+
+    Each attribute is described by a hash with the following keys, copied
+    from its `SC.RecordAttribute`:
+
+     - `name` -- the property name on the record
+     - `key` -- the key in the data hash
+     - `type` -- the declared type, a class or a property path
+     - `defaultValue`, `isRequired`, `isEditable`, `indexed`
+     - `min`, `max`, `minLength`, `maxLength`, `pattern`
+
+    Relationships, created with `toOne()` and `toMany()`, also have:
+
+     - `kind` -- `'toOne'` or `'toMany'`
+     - `isNested` -- `YES` for nested records
+     - `inverse`, `isMaster` -- for relationships that are not nested
+
+    The description is made each time you call this method, so it includes
+    attributes added with `reopen()`.
+
+        MyApp.Contact.schema().attributes.firstName.isRequired; // YES
+
+    @returns {Hash} description of the record type
+  */
+  schema: function() {
+    var proto = get(this, 'proto'),
+        descs = SC.meta(proto, false).descs,
+        ret   = { primaryKey: get(proto, 'primaryKey'), attributes: {}, relationships: {} },
+        name, attr, desc;
+
+    // descs inherit from the descs of the superclass
+    for (name in descs) {
+      attr = descs[name] && descs[name].attr;
+      if (!attr || !attr.isRecordAttribute) continue;
+
+      desc = attributeSchemaFor(name, attr);
+      if (desc.kind) ret.relationships[name] = desc;
+      else ret.attributes[name] = desc;
+    }
+
+    return ret;
+  },
+
+  /**
+    Returns a [JSON Schema](http://json-schema.org) describing the data
+    hashes of the record type, so that servers can validate them or generate
+    fixtures.  Properties are keyed by data hash key.  Types are mapped as
+    follows:
+
+     - `String`, `Number`, `Boolean`, `Array` and `Object` to the JSON type
+       of the same name
+     - `Date` and `SC.DateTime` to strings in the `date-time` format
+     - record types and non-nested relationships to ids (strings or
+       numbers), nested relationships to objects, arrays for to-many
+       relationships
+
+    Attributes that are not required may also be `null`.  Information that
+    JSON Schema can't express, like relationships and their inverses, is kept
+    in `x-sproutcore` hashes that `fromJSONSchema()` reads back.
+
+    @returns {Hash} the JSON Schema
+  */
+  toJSONSchema: function() {
+    var schema     = this.schema(),
+        properties = {},
+        required   = [],
+        ret        = { '$schema': SC.Record.JSON_SCHEMA, type: 'object', properties: properties },
+        title      = typePathFor(this),
+        name;
+
+    if (title) ret.title = title;
+
+    [schema.attributes, schema.relationships].forEach(function(descs) {
+      for (name in descs) {
+        if (!descs.hasOwnProperty(name)) continue;
+        properties[descs[name].key] = propertyJSONSchemaFor(descs[name]);
+        if (descs[name].isRequired) required.push(descs[name].key);
+      }
+    });
+
+    if (schema.primaryKey && !properties[schema.primaryKey]) {
+      properties[schema.primaryKey] = { type: ['string', 'number'] };
+    }
+
+    if (required.length) ret.required = required;
+    ret['x-sproutcore'] = { primaryKey: schema.primaryKey };
+
+    return ret;
+  },
+
+  /**
+    Defines a subclass of the receiver with the attributes and
+    relationships described by a JSON Schema, usually one returned by
+    `toJSONSchema()`.  Properties without `x-sproutcore` information become
+    attributes of the type matching their JSON type.
+
+        MyApp.Contact = SC.Record.fromJSONSchema(schemaFromServer);
+
+    @param {Hash} schema the JSON Schema
+    @returns {SC.Record} the new record type
+  */
+  fromJSONSchema: function(schema) {
+    var properties = schema.properties || {},
+        required   = schema.required || [],
+        primaryKey = schema['x-sproutcore'] && schema['x-sproutcore'].primaryKey,
+        attrs      = {},
+        key, prop, ext, name, opts;
+
+    if (schema.type && schema.type !== 'object') {
+      throw "JSON Schemas of records must describe objects, not %@".fmt(schema.type);
+    }
+
+    if (primaryKey) attrs.primaryKey = primaryKey;
+
+    for (key in properties) {
+      if (!properties.hasOwnProperty(key)) continue;
+      prop = properties[key];
+      ext  = prop['x-sproutcore'] || {};
+      name = ext.property || key;
+
+      // an undeclared primary key is just the id of the record
+      if (key === (primaryKey || 'guid') && !prop['x-sproutcore'] && !prop.hasOwnProperty('default')) continue;
+
+      opts = attributeOptionsFor(prop, ext, required.indexOf(key) >= 0);
+      if (name !== key) opts.key = key;
+
+      if (ext.kind === 'toOne') attrs[name] = SC.Record.toOne(ext.recordType, opts);
+      else if (ext.kind === 'toMany') attrs[name] = SC.Record.toMany(ext.recordType, opts);
+      else attrs[name] = SC.Record.attr(typeForJSONSchema(prop, ext), opts);
+    }
+
+    return this.extend(attrs);
+  },
+
+  /**
+    The JSON Schema version `toJSONSchema()` writes.
+
+    @type String
+  */
+  JSON_SCHEMA: 'http://json-schema.org/draft-04/schema#'
+
+});
+
+/** @private
+  JSON Schema types of the native attribute types.
+*/
+var JSON_TYPES = [
+  { klass: String,  schema: { type: 'string' } },
+  { klass: Number,  schema: { type: 'number' } },
+  { klass: Boolean, schema: { type: 'boolean' } },
+  { klass: Array,   schema: { type: 'array' } },
+  { klass: Object,  schema: { type: 'object' } },
+  { klass: Date,    schema: { type: 'string', format: 'date-time' } }
+];
+
+/** @private
+  Matches the paths of classes.
+*/
+var TYPE_PATH = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+/** @private
+  Validation options of attributes with the JSON Schema keywords they map
+  to, for strings and arrays.
+*/
+var VALIDATION_KEYWORDS = {
+  min:       { string: 'minimum',   array: 'minimum' },
+  max:       { string: 'maximum',   array: 'maximum' },
+  minLength: { string: 'minLength', array: 'minItems' },
+  maxLength: { string: 'maxLength', array: 'maxItems' }
+};
+
+/** @private
+  Returns the description of an attribute for `SC.Record.schema()`.
+*/
+function attributeSchemaFor(name, attr) {
+  var ret = { name: name, key: get(attr, 'key') || name, type: get(attr, 'type') };
+
+  ['defaultValue', 'isRequired', 'isEditable', 'indexed', 'min', 'max', 'minLength', 'maxLength', 'pattern'].forEach(function(key) {
+    ret[key] = get(attr, key);
+  });
+
+  if (attr instanceof SC.ManyAttribute || attr instanceof SC.ChildrenAttribute) ret.kind = 'toMany';
+  else if (attr instanceof SC.SingleAttribute || attr instanceof SC.ChildAttribute) ret.kind = 'toOne';
+
+  if (ret.kind) {
+    ret.isNested = attr instanceof SC.ChildAttribute;
+    if (!ret.isNested) {
+      ret.inverse  = get(attr, 'inverse');
+      ret.isMaster = get(attr, 'isMaster');
+    }
+  }
+
+  return ret;
+}
+
+/** @private
+  Returns the property path of a type, or null if it has none.
+*/
+function typePathFor(type) {
+  var path;
+
+  if (SC.typeOf(type) === 'string') return type;
+  if (!type || type.toString === Function.prototype.toString) return null;
+
+  // classes that were not found by name are named '(unknown mixin)'
+  path = type.toString();
+  return TYPE_PATH.test(path) && getPath(path) === type ? path : null;
+}
+
+/** @private
+  Returns the JSON Schema of a property for `SC.Record.toJSONSchema()`.
+*/
+function propertyJSONSchemaFor(desc) {
+  var ext       = {},
+      typeClass = SC.typeOf(desc.type) === 'string' ? getPath(desc.type) : desc.type,
+      idSchema  = { type: ['string', 'number'] },
+      ret, jsonType, match, value;
+
+  if (desc.kind) {
+    ret = desc.isNested ? { type: 'object' } : idSchema;
+    if (desc.kind === 'toMany') ret = { type: 'array', items: ret };
+
+    ext.kind = desc.kind;
+    ext.recordType = typePathFor(desc.type);
+    if (desc.isNested) ext.isNested = YES;
+    if (desc.inverse) ext.inverse = desc.inverse;
+    if (desc.isMaster === NO) ext.isMaster = NO;
+
+  } else {
+    match = JSON_TYPES.filter(function(cur) { return cur.klass === typeClass; })[0];
+    if (match) ret = SC.copy(match.schema);
+    else if (SC.DateTime && typeClass === SC.DateTime) ret = { type: 'string', format: 'date-time' };
+    else if (SC.Record.detect(typeClass)) ret = idSchema;
+    else ret = {};
+
+    if (!match && typePathFor(desc.type)) ext.type = typePathFor(desc.type);
+  }
+
+  if (ret.type && !desc.isRequired) ret.type = [].concat(ret.type, 'null');
+
+  value = desc.defaultValue;
+  if (!SC.none(value) && ['string', 'number', 'boolean', 'array', 'hash'].indexOf(SC.typeOf(value)) >= 0) {
+    ret['default'] = value;
+  }
+
+  jsonType = ret.type && [].concat(ret.type).indexOf('array') >= 0 ? 'array' : 'string';
+  for (value in VALIDATION_KEYWORDS) {
+    if (VALIDATION_KEYWORDS.hasOwnProperty(value) && !SC.none(desc[value])) {
+      ret[VALIDATION_KEYWORDS[value][jsonType]] = desc[value];
+    }
+  }
+  if (desc.pattern) ret.pattern = desc.pattern.source;
+
+  if (desc.isEditable === NO) ret.readOnly = true;
+  if (desc.indexed) ext.indexed = YES;
+  if (desc.name !== desc.key) ext.property = desc.name;
+
+  for (value in ext) {
+    if (ext.hasOwnProperty(value)) {
+      ret['x-sproutcore'] = ext;
+      break;
+    }
+  }
+
+  return ret;
+}
+
+/** @private
+  Returns the options of the attribute described by a property of a JSON
+  Schema, for `SC.Record.fromJSONSchema()`.
+*/
+function attributeOptionsFor(prop, ext, isRequired) {
+  var ret = {}, key, keywords;
+
+  if (isRequired) ret.isRequired = YES;
+  if (prop.hasOwnProperty('default')) ret.defaultValue = prop['default'];
+  if (prop.readOnly) ret.isEditable = NO;
+  if (prop.pattern) ret.pattern = new RegExp(prop.pattern);
+
+  for (key in VALIDATION_KEYWORDS) {
+    if (!VALIDATION_KEYWORDS.hasOwnProperty(key)) continue;
+    keywords = VALIDATION_KEYWORDS[key];
+    if (prop.hasOwnProperty(keywords.string)) ret[key] = prop[keywords.string];
+    else if (prop.hasOwnProperty(keywords.array)) ret[key] = prop[keywords.array];
+  }
+
+  if (ext.indexed) ret.indexed = YES;
+  if (ext.isNested) ret.isNested = YES;
+  if (ext.inverse) ret.inverse = ext.inverse;
+  if (ext.isMaster === NO) ret.isMaster = NO;
+
+  return ret;
+}
+
+/** @private
+  Returns the attribute type for a property of a JSON Schema.
+*/
+function typeForJSONSchema(prop, ext) {
+  var types = [].concat(prop.type || []).filter(function(type) { return type !== 'null'; }),
+      type  = types.length === 1 ? types[0] : null;
+
+  if (ext.type) return ext.type;
+  if (type === 'string' && prop.format === 'date-time') return Date;
+
+  switch (type) {
+    case 'string':  return String;
+    case 'number':
+    case 'integer': return Number;
+    case 'boolean': return Boolean;
+    case 'array':   return Array;
+    case 'object':  return Object;
+    default:        return Object;
+  }
+}
@@ -0,0 +1,312 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+require('sproutcore-runtime');
+require('sproutcore-indexset');
+
+var get = SC.get, set = SC.set;
+
+/**
+  @class
+
+  A `SparseArray` is an array whose length is known up front but whose
+  content is loaded on demand.  Whenever you ask for an object at an index
+  that has not been loaded yet, the sparse array asks its delegate to provide
+  the range of objects around that index and returns `undefined` in the
+  meantime.
+
+  The delegate should implement:
+
+   * `sparseArrayDidRequestRange(sparseArray, start, length)` &mdash; called
+     with a range of indexes that should be loaded.  Call
+     `provideObjectsInRange()` on the sparse array once the objects are
+     available.
+   * `sparseArrayDidRequestLength(sparseArray)` &mdash; (optional) called the
+     first time the length is needed if it was not set with
+     `provideLength()`.
+
+  Requests are made in windows of `rangeWindowSize` indexes.  Loaded and
+  in-flight indexes are tracked in the `loadedIndexes` and
+  `requestedIndexes` index sets, so each window is only requested once.
+
+  `SC.RecordArray` uses a sparse array as its `storeKeys` to implement
+  incremental loading of remote queries.  See `SC.Store#loadQueryLength()`.
+
+  @extends SC.Object
+  @extends SC.Enumerable
+  @extends SC.Array
+  @since SproutCore 2.0
+*/
+SC.SparseArray = SC.Object.extend(SC.Enumerable, SC.Array, SC.MutableEnumerable, SC.MutableArray,
+  /** @scope SC.SparseArray.prototype */ {
+
+  /**
+    Object that loads the content of the sparse array.
+
+    @type Object
+  */
+  delegate: null,
+
+  /**
+    Number of indexes requested from the delegate at a time.  Requested
+    ranges always start at a multiple of this size.
+
+    @type Number
+  */
+  rangeWindowSize: 1,
+
+  /**
+    Indexes whose objects have been provided.
+
+    @type SC.IndexSet
+  */
+  loadedIndexes: null,
+
+  /**
+    Indexes that have been requested from the delegate but not provided yet.
+
+    @type SC.IndexSet
+  */
+  requestedIndexes: null,
+
+  // ..........................................................
+  // ARRAY PRIMITIVES
+  //
+
+  /** @private
+    Returns the provided length, asking the delegate for it if needed.
+  */
+  length: function() {
+    var delegate = get(this, 'delegate');
+
+    if (this._scsa_length === undefined && !this._scsa_didRequestLength) {
+      this._scsa_didRequestLength = YES;
+      if (delegate && delegate.sparseArrayDidRequestLength) {
+        delegate.sparseArrayDidRequestLength(this);
+      }
+    }
+    return this._scsa_length || 0;
+  }.property(),
+
+  /** @private
+    Returns the object at the passed index, requesting the surrounding range
+    from the delegate if it has not been loaded yet.
+  */
+  objectAt: function(idx) {
+    if (idx < 0 || idx >= get(this, 'length')) return undefined;
+    if (!this.loadedIndexes.contains(idx)) this.requestIndex(idx);
+    return this._scsa_content[idx];
+  },
+
+  /** @private
+    Replaces objects in the loaded content.  Indexes after the replaced range
+    are shifted and remain loaded.
+  */
+  replace: function(idx, amt, objects) {
+    var len     = objects ? get(objects, 'length') : 0,
+        delta   = len - amt,
+        content = this._scsa_content;
+
+    this.arrayContentWillChange(idx, amt, len);
+
+    content.splice.apply(content, [idx, amt].concat(objects ? SC.makeArray(objects) : []));
+    this.loadedIndexes = this._scsa_shift(this.loadedIndexes, idx, amt, delta);
+    this.requestedIndexes = this._scsa_shift(this.requestedIndexes, idx, amt, delta);
+    if (len > 0) this.loadedIndexes.add(idx, len);
+    this._scsa_length = (this._scsa_length || 0) + delta;
+
+    this.arrayContentDidChange(idx, amt, len);
+    return this;
+  },
+
+  /** @private
+    Only searches the loaded content so that it never triggers requests.
+  */
+  indexOf: function(object, startAt) {
+    return this._scsa_content.indexOf(object, startAt || 0);
+  },
+
+  /** @private */
+  lastIndexOf: function(object, startAt) {
+    var content = this._scsa_content;
+    if (startAt === undefined) startAt = content.length - 1;
+    return content.lastIndexOf(object, startAt);
+  },
+
+  // ..........................................................
+  // LOADING
+  //
+
+  /**
+    Returns `YES` if the object at the passed index has been provided.
+
+    @param {Number} idx
+    @returns {Boolean}
+  */
+  isIndexLoaded: function(idx) {
+    return this.loadedIndexes.contains(idx);
+  },
+
+  /**
+    Asks the delegate to load the window of indexes containing the passed
+    index, unless it has been requested already.
+
+    @param {Number} idx
+    @returns {SC.SparseArray} receiver
+  */
+  requestIndex: function(idx) {
+    var delegate = get(this, 'delegate'),
+        size     = get(this, 'rangeWindowSize') || 1,
+        len      = get(this, 'length'),
+        start, length;
+
+    if (!delegate || !delegate.sparseArrayDidRequestRange) return this;
+    if (this._scsa_isNotifying || this.requestedIndexes.contains(idx)) return this;
+
+    start  = idx - (idx % size);
+    length = Math.min(size, len - start);
+
+    this.requestedIndexes.add(start, length);
+    delegate.sparseArrayDidRequestRange(this, start, length);
+    return this;
+  },
+
+  /**
+    Sets the length of the array.  Indexes beyond the new length are
+    discarded.
+
+    @param {Number} length
+    @returns {SC.SparseArray} receiver
+  */
+  provideLength: function(length) {
+    var oldLength = this._scsa_length || 0;
+
+    this._scsa_didRequestLength = YES;
+    if (this._scsa_length === length) return this;
+
+    this._scsa_notify(function() {
+      if (length > oldLength) {
+        this.arrayContentWillChange(oldLength, 0, length - oldLength);
+      } else this.arrayContentWillChange(length, oldLength - length, 0);
+
+      this._scsa_length = length;
+      this._scsa_content.length = Math.min(this._scsa_content.length, length);
+      if (length < oldLength) {
+        this.loadedIndexes.remove(length, oldLength - length);
+        this.requestedIndexes.remove(length, oldLength - length);
+      }
+
+      if (length > oldLength) {
+        this.arrayContentDidChange(oldLength, 0, length - oldLength);
+      } else this.arrayContentDidChange(length, oldLength - length, 0);
+    });
+
+    return this;
+  },
+
+  /**
+    Provides the objects for the range starting at the passed index.  Usually
+    called by the delegate in response to `sparseArrayDidRequestRange()`.
+
+    @param {Number} start first index of the range
+    @param {Array} objects the objects in the range
+    @returns {SC.SparseArray} receiver
+  */
+  provideObjectsInRange: function(start, objects) {
+    var len     = objects ? get(objects, 'length') : 0,
+        content = this._scsa_content,
+        idx;
+
+    if (len === 0) return this;
+    if (start + len > (this._scsa_length || 0)) this.provideLength(start + len);
+
+    this._scsa_notify(function() {
+      this.arrayContentWillChange(start, len, len);
+
+      for (idx=0; idx<len; idx++) content[start+idx] = objects.objectAt ? objects.objectAt(idx) : objects[idx];
+      this.loadedIndexes.add(start, len);
+      this.requestedIndexes.remove(start, len);
+
+      this.arrayContentDidChange(start, len, len);
+    });
+
+    return this;
+  },
+
+  /**
+    Provides a single object at the passed index.
+
+    @param {Number} idx
+    @param {Object} object
+    @returns {SC.SparseArray} receiver
+  */
+  provideObjectAtIndex: function(idx, object) {
+    return this.provideObjectsInRange(idx, [object]);
+  },
+
+  /**
+    Discards the loaded content and length.  The content will be requested
+    again from the delegate as needed.
+
+    @returns {SC.SparseArray} receiver
+  */
+  reset: function() {
+    var oldLength = this._scsa_length || 0;
+
+    this._scsa_notify(function() {
+      this.arrayContentWillChange(0, oldLength, 0);
+      this._scsa_content.length = 0;
+      this._scsa_length = undefined;
+      this._scsa_didRequestLength = NO;
+      this.loadedIndexes.clear();
+      this.requestedIndexes.clear();
+      this.arrayContentDidChange(0, oldLength, 0);
+    });
+
+    return this;
+  },
+
+  // ..........................................................
+  // INTERNAL SUPPORT
+  //
+
+  /** @private
+    Runs the passed function while suppressing requests, so that observers
+    looking at the changed range do not trigger more loading.
+  */
+  _scsa_notify: function(func) {
+    var wasNotifying = this._scsa_isNotifying;
+    this._scsa_isNotifying = YES;
+    try {
+      func.call(this);
+    } finally {
+      this._scsa_isNotifying = wasNotifying;
+    }
+  },
+
+  /** @private
+    Returns a copy of the index set with indexes in the replaced range
+    removed and indexes after it moved by delta.
+  */
+  _scsa_shift: function(indexes, idx, amt, delta) {
+    var ret = SC.IndexSet.create();
+    indexes.forEach(function(cur) {
+      if (cur < idx) ret.add(cur);
+      else if (cur >= idx + amt) ret.add(cur + delta);
+    });
+    return ret;
+  },
+
+  /** @private */
+  init: function() {
+    this._super();
+    this._scsa_content = [];
+    this.loadedIndexes = SC.IndexSet.create();
+    this.requestedIndexes = SC.IndexSet.create();
+  }
+
+});
@@ -10,9 +10,26 @@ require('sproutcore-datastore/system/record');
 require('sproutcore-datastore/system/nested_store');
 require('sproutcore-datastore/system/query');
 require('sproutcore-datastore/system/record_array');
+require('sproutcore-datastore/system/sparse_array');
 
 var get = SC.get, set = SC.set, getPath = SC.getPath, none = SC.none;
 
+// Compares two JSON values, ignoring the order of keys.
+function jsonEqual(a, b) {
+  var key;
+
+  if (a === b) return YES;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return NO;
+
+  for (key in a) {
+    if (a.hasOwnProperty(key) && !jsonEqual(a[key], b[key])) return NO;
+  }
+  for (key in b) {
+    if (b.hasOwnProperty(key) && !a.hasOwnProperty(key)) return NO;
+  }
+  return YES;
+}
+
 /**
   @class
 
@@ -75,6 +92,66 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
   */
   commitRecordsAutomatically: NO,
 
+  /**
+    Number of results requested from the data source at a time for remote
+    queries loaded incrementally.  See `loadQueryLength()`.
+
+    @default 50
+    @type Number
+  */
+  rangeWindowSize: 50,
+
+  /**
+    If set, committed changes are queued and sent to the data source one
+    record at a time, retrying them after transient errors.  See
+    `SC.CommitQueue`.
+
+    @default null
+    @type SC.CommitQueue
+  */
+  commitQueue: null,
+
+  /**
+    The number of changes waiting in the `commitQueue`, or 0 if the store
+    has no queue.  Observe it to show that changes have not been saved yet.
+
+    @property
+    @type Number
+  */
+  pendingChangesCount: function() {
+    var queue = get(this, 'commitQueue');
+    return queue ? get(queue, 'pendingChangesCount') : 0;
+  }.property('commitQueue.pendingChangesCount').cacheable(),
+
+  /**
+    How to merge newer data from the server into a record with local
+    changes.  Used when `pushRetrieve()` is called for a dirty record, and
+    when a dirty record that is being refreshed completes.
+
+    Set this to `SC.Store.CLIENT_WINS`, `SC.Store.SERVER_WINS`,
+    `SC.Store.THREE_WAY_MERGE` or your own function.  The function is passed
+    the store, the store key, the data hash the local changes were made to,
+    the local data hash and the server's data hash.  It returns a new data
+    hash, or null if the changes can't be merged, in which case the record
+    gets the `SC.Record.CONFLICT` status until you call `resolveConflict()`.
+
+    If null, data pushed for dirty records is ignored and refreshed records
+    take the server's data.
+
+    @default null
+    @type Function
+  */
+  mergeStrategy: null,
+
+  /**
+    If set, changes to records in this store can be undone.  See
+    `SC.UndoManager`.
+
+    @default null
+    @type SC.UndoManager
+  */
+  undoManager: null,
+
   // ..........................................................
   // DATA SOURCE SUPPORT
   //
@@ -274,6 +351,23 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
   */
   queryErrors: null,
 
+  /** @private
+    Copies of the data hashes that dirty records had before their first
+    change, indexed by store key.  Used to detect and merge newer data from
+    the server.
+
+    @type Hash
+  */
+  originalDataHashes: null,
+
+  /** @private
+    The server's data hashes of records in the `SC.Record.CONFLICT` state,
+    indexed by store key.
+
+    @type Hash
+  */
+  conflictingDataHashes: null,
+
   /**
     A hash of child Records and there immediate parents
   */
@@ -331,6 +425,14 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     var ret = this.dataHashes[storeKey];
     if (!ret) return ret ; // nothing to do.
 
+    // the hash may be edited in place
+    this._scstore_willChangeDataHash(storeKey);
+
+    // remember the data hash local changes are made to
+    if (!get(this, 'isNested') && this.statuses[storeKey] === SC.Record.READY_CLEAN) {
+      this._scstore_saveOriginalDataHash(storeKey, ret);
+    }
+
     // clone data hash if not editable
     var editables = this.editables;
     if (!editables) editables = this.editables = [];
@@ -388,11 +490,23 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     @returns {SC.Store} receiver
   */
   writeDataHash: function(storeKey, hash, status) {
+    this._scstore_willChangeDataHash(storeKey);
+
+    // remember the data hash of a clean record that becomes dirty
+    if (hash && (status & SC.Record.DIRTY) && !get(this, 'isNested') && this.statuses[storeKey] === SC.Record.READY_CLEAN) {
+      this._scstore_saveOriginalDataHash(storeKey, this.dataHashes[storeKey]);
+    }
 
     // update dataHashes and optionally status.
-    if (hash) this.dataHashes[storeKey] = hash;
+    if (hash) {
+      this.dataHashes[storeKey] = hash;
+      this._scstore_updateIndexes(storeKey);
+    }
     if (status) this.statuses[storeKey] = status ;
 
+    // clean records have no local changes to merge
+    if (status === SC.Record.READY_CLEAN) this._scstore_forgetOriginalDataHash(storeKey);
+
     // also note that this hash is now editable
     var editables = this.editables;
     if (!editables) editables = this.editables = [];
@@ -424,9 +538,13 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     @returns {SC.Store} reciever
   */
   removeDataHash: function(storeKey, status) {
+    this._scstore_willChangeDataHash(storeKey);
+
      // don't use delete -- that will allow parent dataHash to come through
     this.dataHashes[storeKey] = null;
     this.statuses[storeKey] = status || SC.Record.EMPTY;
+    this._scstore_forgetOriginalDataHash(storeKey);
+    this._scstore_updateIndexes(storeKey);
 
     // hash is gone and therefore no longer editable
     var editables = this.editables;
@@ -477,6 +595,15 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     return this.writeDataHash(storeKey, null, newStatus);
   },
 
+  /** @private
+    Lets the undo manager record the data hash and status of a record before
+    they change.
+  */
+  _scstore_willChangeDataHash: function(storeKey) {
+    var undoManager = get(this, 'undoManager');
+    if (undoManager) undoManager.storeWillChangeDataHash(this, storeKey);
+  },
+
   /**
     Call this method whenever you modify some editable data hash to register
     with the Store that the attribute values have actually changed.  This will
@@ -514,6 +641,7 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     for(idx=0;idx<len;idx++) {
       if (isArray) storeKey = storeKeys[idx];
       this.revisions[storeKey] = rev;
+      if (!statusOnly) this._scstore_updateIndexes(storeKey);
       this._notifyRecordPropertyChange(storeKey, statusOnly, key);
 
       this._propagateToChildren(storeKey, iter);
@@ -638,7 +766,10 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
 
     }, this);
 
-    if (get(storeKeys, 'length') > 0) this._notifyRecordArrays(storeKeys, recordTypes);
+    if (get(storeKeys, 'length') > 0) {
+      this._notifyRecordArrays(storeKeys, recordTypes);
+      this._scstore_notifyDataSource('storeDidChangeRecords', storeKeys.toArray());
+    }
 
     storeKeys.clear();
     hasDataChanges.clear();
@@ -668,6 +799,8 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     this.changelog = null ;
     this.recordErrors = null;
     this.queryErrors = null;
+    this.originalDataHashes = this.conflictingDataHashes = null;
+    this._scstore_attributeIndexes = null;
 
     var records = this.records, storeKey;
     if (records) {
@@ -678,6 +811,9 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     }
 
     set(this, 'hasChanges', NO);
+
+    var undoManager = get(this, 'undoManager');
+    if (undoManager) undoManager.clear();
   },
 
   /** @private
@@ -724,6 +860,13 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     for(i=0;i<len;i++) {
       storeKey = changes[i];
 
+      this._scstore_willChangeDataHash(storeKey);
+
+      // remember the data hash the nested store's changes were made to
+      if (myStatuses[storeKey] === SC.Record.READY_CLEAN && chStatuses[storeKey] !== SC.Record.READY_CLEAN) {
+        this._scstore_saveOriginalDataHash(storeKey, myDataHashes[storeKey]);
+      }
+
       // now copy changes
       myDataHashes[storeKey]    = chDataHashes[storeKey];
       myStatuses[storeKey]      = chStatuses[storeKey];
@@ -733,6 +876,7 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
 
       myEditables[storeKey] = 0 ; // always make dataHash no longer editable
 
+      this._scstore_updateIndexes(storeKey);
       this._notifyRecordPropertyChange(storeKey, NO);
     }
 
@@ -985,6 +1129,27 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     return this ;
   },
 
+  /**
+    Called by a record array whose results are loaded incrementally when it
+    needs the results in the passed range.  The parent store will call
+    `fetchRange()` on the data source.
+
+    You should never call this method yourself.  The record array calls it
+    when you access an index that has not been loaded yet.
+
+    @param {SC.Query} query the record array query
+    @param {Number} start index of the first result needed
+    @param {Number} length number of results needed
+    @returns {SC.Store} receiver
+  */
+  fetchQueryRange: function(query, start, length) {
+    var source = this._getDataSource();
+    if (source && source.fetchRange) {
+      source.fetchRange.call(source, this, query, start, length);
+    }
+    return this ;
+  },
+
   /** @private
     Will ask all record arrays that have been returned from `findAll`
     with an `SC.Query` to check their arrays with the new `storeKey`s
@@ -1005,6 +1170,19 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
   },
 
 
+  /** @private
+    Sends a store notification, like `storeDidChangeRecords()`, to the data
+    source.  Nested stores don't have a data source of their own.
+  */
+  _scstore_notifyDataSource: function(method, arg1, arg2) {
+    if (get(this, 'isNested')) return this;
+
+    var source = this._getDataSource();
+    if (source && source[method]) source[method](this, arg1, arg2);
+
+    return this;
+  },
+
   // ..........................................................
   // LOW-LEVEL HELPERS
   //
@@ -1455,10 +1633,10 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     } else if (!(status & K.READY)) {
       throw K.NOT_FOUND_ERROR ;
 
-    // otherwise, make new status READY_DIRTY unless new.
-    // K.READY_CLEAN, K.READY_DIRTY, ignore K.READY_NEW
+    // otherwise, make new status READY_DIRTY unless new or in conflict.
+    // K.READY_CLEAN, K.READY_DIRTY, ignore K.READY_NEW, K.CONFLICT
     } else {
-      if (status != K.READY_NEW) this.writeStatus(storeKey, K.READY_DIRTY);
+      if (status != K.READY_NEW && status != K.CONFLICT) this.writeStatus(storeKey, K.READY_DIRTY);
     }
 
     // record data hash change
@@ -1761,13 +1939,22 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
       data source
     @param {Function|Array} callback function or array of callbacks
 
+    If the store has a `commitQueue`, the records are added to the queue
+    instead, and sent by the queue.  The callbacks are called when the
+    queue has sent them.
+
     @returns {Boolean} if the action was succesful.
   */
   commitRecords: function(recordTypes, ids, storeKeys, params, callbacks) {
+    var queue = get(this, 'commitQueue');
+    if (queue && !this._scstore_skipCommitQueue) {
+      return this._scstore_enqueueRecords(queue, recordTypes, ids, storeKeys, params, callbacks);
+    }
+
     var source    = this._getDataSource(),
         isArray   = SC.typeOf(recordTypes) === 'array',
         hasCallbackArray = SC.typeOf(callbacks) === 'array',
-        retCreate= [], retUpdate= [], retDestroy = [],
+        retCreate= [], retUpdate= [], retDestroy = [], invalid = [],
         rev       = SC.Store.generateStoreKey(),
         K         = SC.Record,
         recordType, idx, storeKey, status, key, ret, len, callback;
@@ -1801,6 +1988,11 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
       if ((status == K.EMPTY) || (status == K.ERROR)) {
         throw K.NOT_FOUND_ERROR ;
       }
+      else if (status==K.CONFLICT || ((status==K.READY_NEW || status==K.READY_DIRTY) && !this.recordIsValid(storeKey))) {
+        // invalid records and records in conflict stay dirty and are never
+        // sent to the data source
+        invalid.push(storeKey);
+      }
       else {
         if(status==K.READY_NEW) {
           this.writeStatus(storeKey, K.BUSY_CREATING);
@@ -1835,13 +2027,79 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
       if (storeKeys === this.changelog) {
         this.changelog = null;
       }
-      else {
+      else if (this.changelog) {
         this.changelog.removeEach(storeKeys);
       }
+
+      if (invalid.length > 0) {
+        if (!this.changelog) this.changelog = SC.Set.create();
+        this.changelog.addEach(invalid);
+      }
     }
     return ret ;
   },
 
+  /** @private
+    Adds the records passed to `commitRecords()` to the commit queue and
+    starts sending them.  Invalid records and records in conflict stay in
+    the changelog.
+  */
+  _scstore_enqueueRecords: function(queue, recordTypes, ids, storeKeys, params, callbacks) {
+    var isArray = SC.typeOf(recordTypes) === 'array',
+        hasCallbackArray = SC.typeOf(callbacks) === 'array',
+        invalid = [],
+        K       = SC.Record,
+        recordType, idx, storeKey, status, len;
+
+    if(!recordTypes && !ids && !storeKeys){
+      storeKeys = this.changelog;
+    }
+
+    if (storeKeys && !SC.isArray(storeKeys)) storeKeys = storeKeys.toArray();
+    len = storeKeys ? get(storeKeys, 'length') : (ids ? get(ids, 'length') : 0);
+
+    for(idx=0;idx<len;idx++) {
+      if (storeKeys) {
+        storeKey = storeKeys[idx];
+      } else {
+        recordType = isArray ? (recordTypes[idx] || SC.Record) : recordTypes;
+        storeKey = recordType.storeKeyFor(ids[idx]);
+      }
+
+      status = this.readStatus(storeKey);
+
+      if ((status == K.EMPTY) || (status == K.ERROR)) {
+        throw K.NOT_FOUND_ERROR ;
+      }
+      else if (status==K.CONFLICT || ((status==K.READY_NEW || status==K.READY_DIRTY) && !this.recordIsValid(storeKey))) {
+        invalid.push(storeKey);
+      }
+      else if (status==K.READY_NEW || status==K.READY_DIRTY || status==K.DESTROYED_DIRTY) {
+        queue.enqueue(storeKey, params, hasCallbackArray ? callbacks[idx] : callbacks);
+      }
+    }
+
+    if (!recordTypes && !ids && this.changelog) {
+      this.changelog.removeEach(storeKeys);
+      if (invalid.length > 0) this.changelog.addEach(invalid);
+    }
+
+    queue.flush();
+    return YES;
+  },
+
+  /**
+    Returns `YES` if the record for the passed store key passes validation.
+    `commitRecords()` will skip new or modified records that are not valid.
+
+    @param {Number} storeKey the store key of the record
+    @returns {Boolean}
+  */
+  recordIsValid: function(storeKey) {
+    var rec = this.materializeRecord(storeKey);
+    return rec ? !!get(rec, 'isValid') : YES;
+  },
+
   /**
     Commits the passed store key or id.  Based on the current state of the
     record, this will ask the data source to perform the appropriate action
@@ -2142,7 +2400,7 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     @returns {SC.Store} reciever
   */
   dataSourceDidComplete: function(storeKey, dataHash, newId) {
-    var status = this.readStatus(storeKey), K = SC.Record, statusOnly;
+    var status = this.readStatus(storeKey), K = SC.Record, statusOnly, merge;
 
     // EMPTY, ERROR, READY_CLEAN, READY_NEW, READY_DIRTY, DESTROYED_CLEAN,
     // DESTROYED_DIRTY
@@ -2150,13 +2408,18 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
       throw K.BAD_STATE_ERROR; // should never be called in this state
     }
 
-    // otherwise, determine proper state transition
+    // otherwise, determine proper state transition.  Refreshed records with
+    // local changes are merged with the new data if there is a strategy.
     if(status===K.BUSY_DESTROYING) {
       throw K.BAD_STATE_ERROR ;
+    } else if (status===K.BUSY_REFRESH_DIRTY && dataHash && get(this, 'mergeStrategy')) {
+      merge = YES;
+      status = K.READY_DIRTY;
     } else status = K.READY_CLEAN ;
 
     this.writeStatus(storeKey, status) ;
-    if (dataHash) this.writeDataHash(storeKey, dataHash, status) ;
+    if (merge) this._scstore_mergeDataHash(storeKey, dataHash);
+    else if (dataHash) this.writeDataHash(storeKey, dataHash, status) ;
     if (newId) SC.Store.replaceIdFor(storeKey, newId);
 
     statusOnly = dataHash || newId ? NO : YES;
@@ -2169,6 +2432,7 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     }
     //update callbacks
     this._retreiveCallbackForStoreKey(storeKey);
+    this._scstore_notifyCommitQueue(storeKey);
 
     return this ;
   },
@@ -2202,6 +2466,7 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     }
 
     this._retreiveCallbackForStoreKey(storeKey);
+    this._scstore_notifyCommitQueue(storeKey);
 
     return this ;
   },
@@ -2209,19 +2474,27 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
   /**
     Converts the passed record into an error object.
 
+    If the record was sent by the `commitQueue` and the queue will send it
+    again, the record returns to its previous status instead.
+
     @param {Number} storeKey record store key to error
     @param {SC.StoreError} error [optional] an SC.StoreError instance to associate with storeKey
     @returns {SC.Store} reciever
   */
   dataSourceDidError: function(storeKey, error) {
-    var status = this.readStatus(storeKey), errors = this.recordErrors, K = SC.Record;
+    var status = this.readStatus(storeKey), errors = this.recordErrors, K = SC.Record, queue;
 
     // EMPTY, ERROR, READY_CLEAN, READY_NEW, READY_DIRTY, DESTROYED_CLEAN,
     // DESTROYED_DIRTY
     if (!(status & K.BUSY)) { throw K.BAD_STATE_ERROR; }
 
+    queue = get(this, 'commitQueue');
+    if (queue && queue.storeDidFailCommit(storeKey, error)) {
+      return this.dataSourceDidCancel(storeKey);
+    }
+
     // otherwise, determine proper state transition
-    else status = K.ERROR ;
+    status = K.ERROR ;
 
     // Add the error to the array of record errors (for lookup later on if necessary).
     if (error && error.isError) {
@@ -2242,6 +2515,146 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     return this ;
   },
 
+  /** @private
+    Lets the commit queue know that the data source finished sending a
+    record.
+  */
+  _scstore_notifyCommitQueue: function(storeKey) {
+    var queue = get(this, 'commitQueue');
+    if (queue) queue.storeDidCommit(storeKey);
+  },
+
+  // ..........................................................
+  // CONFLICTS
+  //
+
+  /**
+    Returns the data hash the local changes of a dirty record were made to,
+    as it was last received from the server.  For records without local
+    changes, this is the current data hash.
+
+    @param {Number} storeKey the store key
+    @returns {Hash} data hash or null
+  */
+  readOriginalDataHash: function(storeKey) {
+    var originals = this.originalDataHashes;
+    return (originals && originals[storeKey]) || this.readDataHash(storeKey);
+  },
+
+  /**
+    Returns the server's data hash for a record in the `SC.Record.CONFLICT`
+    state.
+
+    @param {Number} storeKey the store key
+    @returns {Hash} data hash or null
+  */
+  readConflictingDataHash: function(storeKey) {
+    var conflicting = this.conflictingDataHashes;
+    return (conflicting && conflicting[storeKey]) || null;
+  },
+
+  /**
+    Resolves the conflict of a record in the `SC.Record.CONFLICT` state by
+    replacing its local data hash, or keeping it if you don't pass one.  The
+    record is then dirty, with changes made to the server's data hash, and
+    can be committed again.
+
+    @param {Number} storeKey the store key
+    @param {Hash} dataHash (optional) the resolved data hash
+    @returns {SC.Store} receiver
+  */
+  resolveConflict: function(storeKey, dataHash) {
+    var K = SC.Record, remote;
+
+    if (this.readStatus(storeKey) !== K.CONFLICT) throw K.BAD_STATE_ERROR;
+
+    remote = this.readConflictingDataHash(storeKey);
+    if (!dataHash) dataHash = SC.copy(this.readDataHash(storeKey), YES);
+
+    this._scstore_applyMergedDataHash(storeKey, dataHash, remote);
+    this.dataHashDidChange(storeKey);
+
+    if (get(this, 'commitRecordsAutomatically')) {
+      this.invokeLast(this.commitRecords);
+    }
+
+    return this;
+  },
+
+  /** @private
+    Merges newer data from the server into a record with local changes,
+    using the `mergeStrategy`.  Call `dataHashDidChange()` afterwards.
+  */
+  _scstore_mergeDataHash: function(storeKey, remote) {
+    var recordType = SC.Store.recordTypeFor(storeKey),
+        versionKey = recordType ? get(recordType, 'proto').versionKey : null,
+        original   = this.readOriginalDataHash(storeKey),
+        merged;
+
+    // the local changes were made to the same version
+    if (versionKey ? remote[versionKey] === original[versionKey] : jsonEqual(remote, original)) {
+      return this;
+    }
+
+    merged = get(this, 'mergeStrategy')(this, storeKey, original, this.readDataHash(storeKey), remote);
+
+    if (merged) {
+      this._scstore_applyMergedDataHash(storeKey, merged, remote);
+    } else {
+      this.writeStatus(storeKey, SC.Record.CONFLICT);
+      if (!this.conflictingDataHashes) this.conflictingDataHashes = {};
+      this.conflictingDataHashes[storeKey] = remote;
+      this._scstore_addToChangelog(storeKey);
+    }
+
+    return this;
+  },
+
+  /** @private
+    Replaces the data hash of a record with a data hash merged with the
+    server's.  The record is clean if they are the same, and dirty with
+    changes made to the server's data hash otherwise.
+  */
+  _scstore_applyMergedDataHash: function(storeKey, merged, remote) {
+    var K          = SC.Record,
+        recordType = SC.Store.recordTypeFor(storeKey),
+        versionKey = recordType ? get(recordType, 'proto').versionKey : null;
+
+    // changes are sent for the server's version
+    if (versionKey) merged[versionKey] = remote[versionKey];
+
+    if (this.conflictingDataHashes) delete this.conflictingDataHashes[storeKey];
+
+    if (jsonEqual(merged, remote)) {
+      this.writeDataHash(storeKey, merged, K.READY_CLEAN);
+      if (this.changelog) this.changelog.remove(storeKey);
+    } else {
+      this.writeDataHash(storeKey, merged, K.READY_DIRTY);
+      this._scstore_forgetOriginalDataHash(storeKey);
+      this._scstore_saveOriginalDataHash(storeKey, remote);
+      this._scstore_addToChangelog(storeKey);
+    }
+  },
+
+  /** @private */
+  _scstore_saveOriginalDataHash: function(storeKey, dataHash) {
+    var originals = this.originalDataHashes;
+    if (!originals) originals = this.originalDataHashes = {};
+    if (dataHash && !originals[storeKey]) originals[storeKey] = SC.copy(dataHash, YES);
+  },
+
+  /** @private */
+  _scstore_forgetOriginalDataHash: function(storeKey) {
+    if (this.originalDataHashes) delete this.originalDataHashes[storeKey];
+    if (this.conflictingDataHashes) delete this.conflictingDataHashes[storeKey];
+  },
+
+  /** @private */
+  _scstore_addToChangelog: function(storeKey) {
+    if (!this.changelog) this.changelog = SC.Set.create();
+    this.changelog.add(storeKey);
+  },
+
   // ..........................................................
   // PUSH CHANGES FROM DATA SOURCE
   //
@@ -2250,6 +2663,9 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     Call by the data source whenever you want to push new data out of band
     into the store.
 
+    Data pushed for a record with local changes is merged using the
+    `mergeStrategy`.  If the store has none, the data is not pushed.
+
     @param {Class} recordType the SC.Record subclass
     @param {Object} id the record id or null
     @param {Hash} dataHash data hash to load
@@ -2271,6 +2687,14 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
 
       return storeKey;
     }
+
+    // merge with the local changes if there is a strategy
+    if (dataHash && (status==K.READY_DIRTY || status==K.CONFLICT) && get(this, 'mergeStrategy')) {
+      this._scstore_mergeDataHash(storeKey, dataHash);
+      this.dataHashDidChange(storeKey);
+      return storeKey;
+    }
+
     //conflicted (ready)
     return NO;
   },
@@ -2356,17 +2780,108 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     call this method with the return value of that method to actually set the
     storeKeys on the result.
 
+    If the server pages results with cursors, pass the cursor of the next
+    page as well.  It becomes the `nextCursor` of the record array.
+
     @param {SC.Query} query the query you are loading.  must be remote.
     @param {SC.Array} storeKeys array of store keys
+    @param {Object} nextCursor optional cursor of the next page of results
+    @returns {SC.Store} receiver
+  */
+  loadQueryResults: function(query, storeKeys, nextCursor) {
+    if (get(query, 'location') === SC.Query.LOCAL) {
+      throw new Error("Cannot load query results for a local query");
+    }
+
+    var recArray = this._findQuery(query, YES, NO);
+    if (recArray) {
+      set(recArray, 'storeKeys', storeKeys);
+      set(recArray, 'nextCursor', SC.none(nextCursor) ? null : nextCursor);
+    }
+    this.dataSourceDidFetchQuery(query);
+
+    return this ;
+  },
+
+  /**
+    Declares the total number of results for a remote query whose results
+    will be loaded incrementally.  The query results are replaced with an
+    `SC.SparseArray` of the passed length; whenever an index that has not
+    been loaded yet is accessed, the data source will receive a
+    `fetchRange()` call for the window of `rangeWindowSize` results around
+    it.  Provide those results with `loadQueryRange()`.
+
+    Like `loadQueryResults()` this will transition the query to
+    `SC.Record.READY` and raise an exception for LOCAL queries.
+
+    @param {SC.Query} query the query you are loading.  must be remote.
+    @param {Number} length total number of results
+    @param {Number} rangeWindowSize optional number of results to request at
+      a time.  Defaults to `rangeWindowSize` of the store
     @returns {SC.Store} receiver
   */
-  loadQueryResults: function(query, storeKeys) {
+  loadQueryLength: function(query, length, rangeWindowSize) {
     if (get(query, 'location') === SC.Query.LOCAL) {
       throw new Error("Cannot load query results for a local query");
     }
 
+    var recArray = this._findQuery(query, YES, NO),
+        storeKeys;
+
+    storeKeys = SC.SparseArray.create({
+      delegate: recArray,
+      rangeWindowSize: rangeWindowSize || get(this, 'rangeWindowSize')
+    });
+    storeKeys.provideLength(length);
+
+    return this.loadQueryResults(query, storeKeys);
+  },
+
+  /**
+    Provides the storeKeys for a range of results of a query previously set
+    up with `loadQueryLength()`, usually in response to `fetchRange()`.  You
+    can get the storeKeys from the return value of `loadRecords()`.
+
+    @param {SC.Query} query the query you are loading.  must be remote.
+    @param {SC.Array} storeKeys store keys of the results in the range
+    @param {Number} start index of the first result
+    @returns {SC.Store} receiver
+  */
+  loadQueryRange: function(query, storeKeys, start) {
+    var recArray = this._findQuery(query, YES, NO),
+        results  = recArray ? get(recArray, 'storeKeys') : null;
+
+    if (!results || !results.provideObjectsInRange) {
+      throw new Error("Cannot load a query range before calling loadQueryLength()");
+    }
+
+    results.provideObjectsInRange(start || 0, storeKeys);
+    return this ;
+  },
+
+  /**
+    Sets the results of the aggregates of a remote query, computed by the
+    server.  Like `loadQueryResults()` this will transition the query to
+    `SC.Record.READY` and raise an exception for LOCAL queries, whose
+    aggregates are computed from the records in the store.
+
+        store.loadQueryAggregates(query, [
+          { customer: 'Acme', count: 2, total: 120 },
+          { customer: 'Initech', count: 1, total: 30 }
+        ]);
+
+    @param {SC.Query} query the query you are loading.  must be remote.
+    @param {Array} results array of result hashes, as described in
+      `SC.Query#aggregate()`
+    @returns {SC.Store} receiver
+  */
+  loadQueryAggregates: function(query, results) {
+    if (get(query, 'location') === SC.Query.LOCAL) {
+      throw new Error("Cannot load query aggregates for a local query");
+    }
+
     var recArray = this._findQuery(query, YES, NO);
-    if (recArray) set(recArray, 'storeKeys', storeKeys);
+    if (recArray) recArray.storeDidLoadAggregateResults(results);
     this.dataSourceDidFetchQuery(query);
 
     return this ;
@@ -2396,6 +2911,8 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     // fix query if needed
     if (recArray) recArray.storeDidFetchQuery(query);
 
+    this._scstore_notifyDataSource('storeDidLoadQuery', query, recArray ? get(recArray, 'storeKeys') : null);
+
     // notify nested stores
     while(--loc >= 0) {
       nestedStores[loc]._scstore_dataSourceDidFetchQuery(query, NO);
@@ -2469,16 +2986,170 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     return this ;
   },
 
+  // ..........................................................
+  // ATTRIBUTE INDEXES
+  //
+
+  /**
+    Returns the store keys of the records that may match a local query,
+    looked up in the indexes of attributes declared with `indexed: YES`.
+    The query must have a condition on an attribute that is indexed in
+    every record type of the query; otherwise this returns null and every
+    record of these types has to be matched against the query.
+
+    Record arrays call this method when they need to find their records
+    from scratch.  The returned store keys still have to be matched with
+    `SC.Query.contains()`, since the query can have other conditions.
+
+    @param {SC.Query} query the query
+    @returns {SC.IndexSet} store keys, or null if no index can be used
+  */
+  indexedStoreKeysFor: function(query) {
+    var recordTypes = get(query, 'expandedRecordTypes'),
+        conditions  = query.indexableConditions(),
+        len = conditions.length, idx, condition, indexes, ret;
+
+    if (!recordTypes) return null;
+
+    for (idx = 0; idx < len; idx++) {
+      condition = conditions[idx];
+
+      // null and undefined match each other in the query language
+      if (SC.none(condition.value)) continue;
+
+      indexes = [];
+      recordTypes.forEach(function(recordType) {
+        if (indexes) {
+          var index = this._scstore_indexFor(recordType, condition.propertyName);
+          if (index) indexes.push(index);
+          else indexes = null;
+        }
+      }, this);
+
+      if (indexes) {
+        ret = SC.IndexSet.create();
+        indexes.forEach(function(index) {
+          ret.add(index.storeKeysFor(condition.operator, condition.value));
+        });
+        return ret;
+      }
+    }
+
+    return null;
+  },
+
+  /** @private
+    Returns the index of an attribute of a record type, creating it from the
+    data hashes in the store the first time, or null if the attribute is not
+    indexed or its values can't be indexed.
+  */
+  _scstore_indexFor: function(recordType, propertyName) {
+    var indexes = this._scstore_attributeIndexes,
+        guid    = SC.guidFor(recordType),
+        store   = this,
+        byType, attr, index, hashes;
+
+    if (!indexes) indexes = this._scstore_attributeIndexes = {};
+    byType = indexes[guid];
+    if (!byType) byType = indexes[guid] = {};
+
+    index = byType[propertyName];
+    if (index === undefined) {
+      attr  = SC.RecordAttribute.attrFor(get(recordType, 'proto'), propertyName);
+      index = byType[propertyName] = null;
+
+      if (attr && get(attr, 'indexed') && this._scstore_isIndexable(attr)) {
+        index  = byType[propertyName] = SC.AttributeIndex.create({
+          key: get(attr, 'key') || propertyName,
+          attribute: attr
+        });
+        hashes = this.dataHashes;
+        this.storeKeysFor(recordType).forEach(function(storeKey) {
+          if (hashes[storeKey]) index.add(storeKey, store._scstore_indexedValue(index, hashes[storeKey]));
+        });
+      }
+    }
+
+    return index;
+  },
+
+  /** @private
+    Updates the attribute indexes with the current data hash of a store key.
+  */
+  _scstore_updateIndexes: function(storeKey) {
+    var indexes = this._scstore_attributeIndexes,
+        byType, hash, key, index;
+
+    if (!indexes) return this;
+    byType = indexes[SC.guidFor(SC.Store.recordTypeFor(storeKey))];
+    if (!byType) return this;
+
+    hash = this.dataHashes[storeKey];
+    for (key in byType) {
+      if (!byType.hasOwnProperty(key) || !(index = byType[key])) continue;
+      if (hash) index.add(storeKey, this._scstore_indexedValue(index, hash));
+      else index.remove(storeKey);
+    }
+
+    return this;
+  },
+
+  /** @private
+    Returns YES if the value a record returns for the attribute can be
+    worked out from the data hash alone.  Default values computed by a
+    function and transforms other than the ones of strings, numbers and
+    booleans need the record, so such attributes are matched by reading
+    every record instead.
+  */
+  _scstore_isIndexable: function(attr) {
+    var transform = get(attr, 'transform');
+
+    if (typeof get(attr, 'defaultValue') === 'function') return NO;
+    return !transform || !transform.to || [String, Number, Boolean].indexOf(get(attr, 'typeClass') || String) >= 0;
+  },
+
+  /** @private
+    Returns the value of the indexed attribute a record with the passed
+    data hash would return, applying the default value and transform like
+    `SC.RecordAttribute#call()` does.
+  */
+  _scstore_indexedValue: function(index, hash) {
+    var attr      = index.attribute,
+        transform = get(attr, 'transform'),
+        value     = hash[index.key];
+
+    if (SC.none(value) && (value = get(attr, 'defaultValue'))) return value;
+    return transform && transform.to ? transform.to(value, attr, get(attr, 'typeClass')) : value;
+  },
+
   // ..........................................................
   // INTERNAL SUPPORT
   //
 
   /** @private */
   init: function() {
+    var queue;
+
     this._super();
     this.reset();
+
+    queue = get(this, 'commitQueue');
+    if (queue) {
+      set(queue, 'store', this);
+      queue.restore();
+    }
+
+    this._scstore_undoManagerDidChange();
   },
 
+  /** @private
+    Sets the store of the undo manager, which it restores data hashes in.
+  */
+  _scstore_undoManagerDidChange: function() {
+    var undoManager = get(this, 'undoManager');
+    if (undoManager) set(undoManager, 'store', this);
+  }.observes('undoManager'),
+
 
   toString: function() {
     // Include the name if the client has specified one.
@@ -2603,6 +3274,60 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
 
 SC.Store.reopenClass(/** @scope SC.Store.prototype */{
 
+  /**
+    Merge strategy that keeps the local changes, discarding the server's.
+    See `SC.Store#mergeStrategy`.
+
+    @type Function
+  */
+  CLIENT_WINS: function(store, storeKey, original, local, remote) {
+    return SC.copy(local, YES);
+  },
+
+  /**
+    Merge strategy that takes the server's data, discarding the local
+    changes.  See `SC.Store#mergeStrategy`.
+
+    @type Function
+  */
+  SERVER_WINS: function(store, storeKey, original, local, remote) {
+    return SC.copy(remote, YES);
+  },
+
+  /**
+    Merge strategy that keeps the attributes changed locally and takes the
+    attributes changed on the server.  If an attribute was changed to
+    different values on both, the record is in conflict.  See
+    `SC.Store#mergeStrategy`.
+
+    @type Function
+  */
+  THREE_WAY_MERGE: function(store, storeKey, original, local, remote) {
+    var ret = {}, keys = {}, key, value;
+
+    [original, local, remote].forEach(function(hash) {
+      for (key in hash) {
+        if (hash.hasOwnProperty(key)) keys[key] = YES;
+      }
+    });
+
+    for (key in keys) {
+      if (!keys.hasOwnProperty(key)) continue;
+
+      if (jsonEqual(local[key], original[key])) {
+        value = remote[key];
+      } else if (jsonEqual(remote[key], original[key]) || jsonEqual(remote[key], local[key])) {
+        value = local[key];
+      } else {
+        return null;
+      }
+
+      if (value !== undefined) ret[key] = value;
+    }
+
+    return ret;
+  },
+
   /**
     Standard error raised if you try to commit changes from a nested store
     and there is a conflict.
@@ -163,3 +163,47 @@ SC.$val = SC.val;
 */
 SC.StoreError.HAS_MULTIPLE_VALUES = -100 ;
 
+/**
+  Standard error code for required record attributes that have no value.
+
+  @type Number
+*/
+SC.StoreError.REQUIRED_VALUE = -110 ;
+
+/**
+  Standard error code for record attribute values below their `min`.
+
+  @type Number
+*/
+SC.StoreError.VALUE_TOO_SMALL = -111 ;
+
+/**
+  Standard error code for record attribute values above their `max`.
+
+  @type Number
+*/
+SC.StoreError.VALUE_TOO_LARGE = -112 ;
+
+/**
+  Standard error code for record attribute values that are too short or too
+  long.
+
+  @type Number
+*/
+SC.StoreError.INVALID_LENGTH = -113 ;
+
+/**
+  Standard error code for record attribute values not matching their
+  `pattern`.
+
+  @type Number
+*/
+SC.StoreError.PATTERN_MISMATCH = -114 ;
+
+/**
+  Standard error code for record attribute values rejected by a custom
+  validator.
+
+  @type Number
+*/
+SC.StoreError.INVALID_VALUE = -115 ;
@@ -0,0 +1,295 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals sc_assert */
+
+require('sproutcore-runtime');
+require('sproutcore-datastore/system/record');
+
+var get = SC.get, set = SC.set;
+
+/** @class
+
+  Records the changes made to the records of a store so that they can be
+  undone and redone.  Set it as the `undoManager` of an `SC.Store` or an
+  `SC.NestedStore`:
+
+      var store = MyApp.store.chain({
+        undoManager: SC.UndoManager.create()
+      });
+
+      var contact = store.find(MyApp.Contact, 1);
+      contact.set('name', 'Anne');
+
+      store.undoManager.undo(); // contact.name is back to its old value
+      store.undoManager.redo(); // contact.name is 'Anne' again
+
+  Creating, changing and destroying records can be undone, including data
+  hashes you write with `writeDataHash()`.  Data loaded from the data source
+  and committed changes can't.  If a record changed in a way that can't be
+  undone since, for example because it was committed, undoing does not
+  change it.
+
+  ## Groups
+
+  The changes made in a run loop are undone together.  To group changes
+  yourself, wrap them in `beginUndoGroup()` and `endUndoGroup()`.  Groups
+  can be nested; the outermost group is undone as a whole.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.UndoManager = SC.Object.extend(
+  /** @scope SC.UndoManager.prototype */ {
+
+  /**
+    The store whose changes are recorded.  Set by the store.
+
+    @property {SC.Store}
+  */
+  store: null,
+
+  /**
+    The number of groups that can be undone.  Older groups are forgotten.
+    Set to 0 to keep all groups.
+
+    @property {Number}
+  */
+  levelsOfUndo: 100,
+
+  /**
+    YES if there are changes to undo.
+
+    @property {Boolean}
+  */
+  canUndo: NO,
+
+  /**
+    YES if there are undone changes to redo.
+
+    @property {Boolean}
+  */
+  canRedo: NO,
+
+  /**
+    Starts a group of changes that are undone together.  Every call must be
+    matched by a call to `endUndoGroup()`.
+
+    @returns {SC.UndoManager} receiver
+  */
+  beginUndoGroup: function() {
+    if (this._scum_groupDepth++ === 0) this._scum_group = null;
+    return this;
+  },
+
+  /**
+    Ends a group of changes started with `beginUndoGroup()`.
+
+    @returns {SC.UndoManager} receiver
+  */
+  endUndoGroup: function() {
+    sc_assert("endUndoGroup() must be called after beginUndoGroup()", this._scum_groupDepth > 0);
+    if (--this._scum_groupDepth === 0) this._scum_closeGroup();
+    return this;
+  },
+
+  /**
+    Undoes the last group of changes.
+
+    @returns {SC.UndoManager} receiver
+  */
+  undo: function() {
+    this._scum_closeGroup();
+    this._scum_replay(this._scum_undoStack, this._scum_redoStack, 'before', 'after');
+    return this;
+  },
+
+  /**
+    Redoes the last group of undone changes.
+
+    @returns {SC.UndoManager} receiver
+  */
+  redo: function() {
+    this._scum_closeGroup();
+    this._scum_replay(this._scum_redoStack, this._scum_undoStack, 'after', 'before');
+    return this;
+  },
+
+  /**
+    Forgets all changes.  Called when the store is reset.
+
+    @returns {SC.UndoManager} receiver
+  */
+  clear: function() {
+    this._scum_group = null;
+    this._scum_undoStack = [];
+    this._scum_redoStack = [];
+    this._scum_stacksDidChange();
+    return this;
+  },
+
+  /**
+    Called by the store before it changes the data hash or status of a
+    record.
+
+    @param {SC.Store} store
+    @param {Number} storeKey
+    @returns {SC.UndoManager} receiver
+  */
+  storeWillChangeDataHash: function(store, storeKey) {
+    var group = this._scum_group;
+
+    if (this._scum_isReplaying) return this;
+
+    if (!group) {
+      group = this._scum_group = { storeKeys: [], before: {} };
+
+      // without an explicit group, changes are grouped by run loop
+      if (this._scum_groupDepth === 0) SC.run.once(this, this._scum_closeGroup);
+    }
+
+    if (!group.before.hasOwnProperty(storeKey)) {
+      group.storeKeys.push(storeKey);
+      group.before[storeKey] = this._scum_snapshot(storeKey);
+    }
+
+    return this;
+  },
+
+  // ..........................................................
+  // INTERNAL SUPPORT
+  //
+
+  /** @private */
+  init: function() {
+    this._super();
+    this._scum_groupDepth = 0;
+    this.clear();
+  },
+
+  /** @private
+    Adds the open group to the undo stack, keeping only the changes that can
+    be undone.
+  */
+  _scum_closeGroup: function() {
+    var group = this._scum_group,
+        levels = get(this, 'levelsOfUndo'),
+        changes = [];
+
+    if (!group) return;
+    this._scum_group = null;
+
+    group.storeKeys.forEach(function(storeKey) {
+      var before = group.before[storeKey],
+          after = this._scum_snapshot(storeKey);
+
+      if (this._scum_canUndo(before, after)) {
+        changes.push({ storeKey: storeKey, before: before, after: after });
+      }
+    }, this);
+
+    if (changes.length === 0) return;
+
+    this._scum_undoStack.push(changes);
+    if (levels && this._scum_undoStack.length > levels) this._scum_undoStack.shift();
+    this._scum_redoStack = [];
+    this._scum_stacksDidChange();
+  },
+
+  /** @private
+    Changes made by the application leave records dirty, or destroy new
+    records.  Other changes come from the data source.
+  */
+  _scum_canUndo: function(before, after) {
+    var K = SC.Record;
+
+    if ((before.status & K.BUSY) || (after.status & K.BUSY)) return NO;
+    if (before.status === after.status && JSON.stringify(before.dataHash) === JSON.stringify(after.dataHash)) return NO;
+
+    return !!(after.status & K.DIRTY) || (before.status === K.READY_NEW && after.status === K.DESTROYED_CLEAN);
+  },
+
+  /** @private
+    Moves the last group from one stack to the other, restoring the records
+    to the passed state of each change.  Records that are not in the other
+    state anymore are left alone.
+  */
+  _scum_replay: function(from, to, state, otherState) {
+    var changes = from.pop(),
+        store = get(this, 'store'),
+        manager = this;
+
+    if (!changes) return;
+
+    SC.run(function() {
+      manager._scum_isReplaying = YES;
+      try {
+        changes.forEach(function(change) {
+          if (store.peekStatus(change.storeKey) === change[otherState].status) {
+            manager._scum_restore(change.storeKey, change[state]);
+          }
+        });
+      } finally {
+        manager._scum_isReplaying = NO;
+      }
+    });
+
+    to.push(changes);
+    this._scum_stacksDidChange();
+  },
+
+  /** @private
+    Records the data hash and status of a record, and the data hash its
+    local changes were made to, which the store merges server changes with.
+  */
+  _scum_snapshot: function(storeKey) {
+    var store = get(this, 'store'),
+        dataHash = store.dataHashes[storeKey],
+        original = store.originalDataHashes && store.originalDataHashes[storeKey];
+
+    return {
+      dataHash: dataHash ? SC.copy(dataHash, YES) : null,
+      originalDataHash: original ? SC.copy(original, YES) : null,
+      status: store.peekStatus(storeKey)
+    };
+  },
+
+  /** @private */
+  _scum_restore: function(storeKey, snapshot) {
+    var store = get(this, 'store'),
+        originals, changelog;
+
+    if (snapshot.dataHash) {
+      store.writeDataHash(storeKey, SC.copy(snapshot.dataHash, YES), snapshot.status);
+    } else {
+      store.removeDataHash(storeKey, snapshot.status);
+    }
+
+    originals = store.originalDataHashes;
+    if (snapshot.originalDataHash) {
+      if (!originals) originals = store.originalDataHashes = {};
+      originals[storeKey] = SC.copy(snapshot.originalDataHash, YES);
+    } else if (originals) {
+      delete originals[storeKey];
+    }
+
+    store.dataHashDidChange(storeKey);
+
+    changelog = store.changelog;
+    if (snapshot.status & SC.Record.DIRTY) {
+      if (!changelog) changelog = store.changelog = SC.Set.create();
+      changelog.add(storeKey);
+    } else if (changelog) {
+      changelog.remove(storeKey);
+    }
+  },
+
+  /** @private */
+  _scum_stacksDidChange: function() {
+    set(this, 'canUndo', this._scum_undoStack.length > 0);
+    set(this, 'canRedo', this._scum_redoStack.length > 0);
+  }
+
+});
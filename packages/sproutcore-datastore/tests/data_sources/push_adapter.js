@@ -0,0 +1,176 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test stop start PushTest */
+
+var set = SC.set, get = SC.get;
+
+var store, transport, adapter, ignored;
+
+module("SC.PushAdapter", {
+  setup: function() {
+    window.PushTest = SC.Object.create({
+      Contact: SC.Record.extend({ name: SC.Record.attr(String) })
+    });
+
+    store = SC.Store.create();
+    transport = SC.LocalPushTransport.create();
+    ignored = [];
+
+    adapter = SC.PushAdapter.create({
+      store: store,
+      transport: transport,
+      reconnectDelay: 10,
+      didIgnoreMessage: function(message) { ignored.push(message); }
+    });
+
+    adapter.connect();
+  },
+
+  teardown: function() {
+    adapter.destroy();
+    store = transport = adapter = window.PushTest = null;
+  }
+});
+
+test("is connected once the transport opens", function() {
+  equals(get(adapter, 'isConnected'), YES, 'should be connected');
+
+  adapter.disconnect();
+  equals(get(adapter, 'isConnected'), NO, 'should not be connected');
+  equals(get(transport, 'isConnected'), NO, 'should disconnect the transport');
+});
+
+test("applies create, update and delete messages", function() {
+  var storeKey = PushTest.Contact.storeKeyFor(1);
+
+  transport.send('{"type": "create", "recordType": "PushTest.Contact", "data": {"guid": 1, "name": "Ann"}}');
+  equals(store.peekStatus(storeKey), SC.Record.READY_CLEAN, 'the created record is loaded');
+  equals(store.readDataHash(storeKey).name, 'Ann', 'the created record has its data');
+
+  transport.send({ type: 'update', recordType: 'PushTest.Contact', id: 1, data: { guid: 1, name: 'Anne' } });
+  equals(store.readDataHash(storeKey).name, 'Anne', 'the record is updated');
+
+  transport.send({ type: 'delete', recordType: 'PushTest.Contact', id: 1 });
+  equals(store.peekStatus(storeKey), SC.Record.DESTROYED_CLEAN, 'the record is destroyed');
+});
+
+test("applies error messages", function() {
+  var storeKey = PushTest.Contact.storeKeyFor(1);
+
+  transport.send({ type: 'error', recordType: 'PushTest.Contact', id: 1, message: 'Gone' });
+
+  equals(store.peekStatus(storeKey), SC.Record.ERROR, 'the record is in the error state');
+  equals(get(store.readError(storeKey), 'message'), 'Gone', 'the record has the error');
+});
+
+test("looks up record types in recordTypes", function() {
+  set(adapter, 'recordTypes', { contact: 'PushTest.Contact' });
+
+  transport.send({ type: 'create', recordType: 'contact', data: { guid: 1, name: 'Ann' } });
+  equals(store.peekStatus(PushTest.Contact.storeKeyFor(1)), SC.Record.READY_CLEAN, 'the record is loaded');
+});
+
+test("applies the messages received in a run loop together", function() {
+  var contacts = store.find(SC.Query.local(PushTest.Contact)), notified = 0;
+
+  SC.addObserver(contacts, '[]', function() { notified++; });
+
+  SC.run(function() {
+    transport.send({ type: 'create', recordType: 'PushTest.Contact', data: { guid: 1 } });
+    transport.send([
+      { type: 'create', recordType: 'PushTest.Contact', data: { guid: 2 } },
+      { type: 'create', recordType: 'PushTest.Contact', data: { guid: 3 } }
+    ]);
+
+    equals(store.peekStatus(PushTest.Contact.storeKeyFor(1)), SC.Record.EMPTY, 'nothing is applied before the end of the run loop');
+  });
+
+  equals(get(contacts, 'length'), 3, 'the local query has all records');
+  equals(notified, 1, 'the record array was notified once');
+});
+
+test("waits batchDelay milliseconds to apply messages", function() {
+  var storeKey = PushTest.Contact.storeKeyFor(1);
+
+  set(adapter, 'batchDelay', 10);
+  transport.send({ type: 'create', recordType: 'PushTest.Contact', data: { guid: 1 } });
+  equals(store.peekStatus(storeKey), SC.Record.EMPTY, 'the message is not applied yet');
+
+  stop();
+  setTimeout(function() {
+    equals(store.peekStatus(storeKey), SC.Record.READY_CLEAN, 'the message is applied after the delay');
+    start();
+  }, 50);
+});
+
+test("does not change records with local changes", function() {
+  var storeKey, contact;
+
+  SC.run(function() {
+    storeKey = store.loadRecord(PushTest.Contact, { guid: 1, name: 'Ann' });
+    contact = store.materializeRecord(storeKey);
+    set(contact, 'name', 'Anne');
+  });
+
+  transport.send({ type: 'update', recordType: 'PushTest.Contact', id: 1, data: { guid: 1, name: 'Annie' } });
+
+  equals(get(contact, 'name'), 'Anne', 'the local change is kept');
+  equals(ignored.length, 1, 'didIgnoreMessage() is called');
+
+  set(store, 'mergeStrategy', SC.Store.SERVER_WINS);
+  transport.send({ type: 'update', recordType: 'PushTest.Contact', id: 1, data: { guid: 1, name: 'Annie' } });
+  equals(get(contact, 'name'), 'Annie', 'the message is merged with a merge strategy');
+});
+
+test("ignores messages for unknown record types", function() {
+  transport.send({ type: 'create', recordType: 'PushTest.Unknown', data: { guid: 1 } });
+  equals(ignored.length, 1, 'didIgnoreMessage() is called');
+});
+
+test("ignores data that cannot be decoded", function() {
+  transport.send('{"type": "create", "recordType"');
+  same(ignored, ['{"type": "create", "recordType"'], 'didIgnoreMessage() is called with the data');
+
+  transport.send({ type: 'create', recordType: 'PushTest.Contact', data: { guid: 1, name: 'Ann' } });
+  equals(store.peekStatus(PushTest.Contact.storeKeyFor(1)), SC.Record.READY_CLEAN, 'later messages are applied');
+});
+
+test("ignores bad messages without dropping the others", function() {
+  transport.send('[null, 1, {"type": "create", "recordType": {}, "data": {"guid": 2}}, ' +
+                 '{"type": "create", "recordType": "PushTest.Contact", "data": {"guid": 1, "name": "Ann"}}]');
+
+  equals(ignored.length, 3, 'didIgnoreMessage() is called for each bad message');
+  equals(store.peekStatus(PushTest.Contact.storeKeyFor(1)), SC.Record.READY_CLEAN, 'the other messages are applied');
+});
+
+test("refreshes remote queries of changed record types", function() {
+  var fetched = [], query = SC.Query.remote(PushTest.Contact);
+
+  set(store, 'dataSource', SC.DataSource.create({
+    fetch: function(store, query) {
+      fetched.push(query);
+      return YES;
+    }
+  }));
+
+  SC.run(function() { store.find(query); });
+  equals(fetched.length, 1, 'the query is fetched');
+
+  transport.send({ type: 'create', recordType: 'PushTest.Contact', data: { guid: 1 } });
+  equals(fetched.length, 2, 'the query is fetched again');
+  equals(fetched[1], query, 'the remote query is refreshed');
+});
+
+test("reconnects when the connection closes", function() {
+  transport.close();
+  equals(get(adapter, 'isConnected'), NO, 'should not be connected');
+
+  stop();
+  setTimeout(function() {
+    equals(get(adapter, 'isConnected'), YES, 'should be connected again');
+    start();
+  }, 50);
+});
@@ -0,0 +1,227 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test Sample */
+
+var set = SC.set, get = SC.get;
+
+var store, ds, requests;
+
+// responds to the oldest pending request
+function respond(json) {
+  var req = requests.shift();
+  req.success(json);
+  return req;
+}
+
+function fail(status, responseText) {
+  var req = requests.shift();
+  req.error({ status: status, responseText: responseText }, 'error', 'Server Error');
+  return req;
+}
+
+module("SC.RESTDataSource", {
+  setup: function() {
+    SC.run.begin();
+
+    var Sample = (window.Sample = SC.Object.create());
+    Sample.Contact = SC.Record.extend({ name: SC.Record.attr(String) });
+    Sample.Note = SC.Record.extend();
+    Sample.Unmapped = SC.Record.extend();
+
+    // record types may also declare their own URL
+    Sample.Note.resourceURL = '/notes';
+
+    requests = [];
+    ds = SC.RESTDataSource.create({
+      rootURL: '/api',
+      resourceURLs: { 'Sample.Contact': '/contacts' },
+
+      // mocked transport - requests are answered by the tests
+      ajax: function(settings) { requests.push(settings); }
+    });
+
+    store = SC.Store.create().from(ds);
+  },
+
+  teardown: function() {
+    SC.run.end();
+    store = ds = requests = null;
+    window.Sample = null;
+  }
+});
+
+// ..........................................................
+// URLS
+//
+
+test("urlForRecordType() maps record types to resource URLs", function() {
+  equals(ds.urlForRecordType(Sample.Contact), '/api/contacts', 'mapped in resourceURLs');
+  equals(ds.urlForRecordType('Sample.Contact'), '/api/contacts', 'record type passed as path');
+  equals(ds.urlForRecordType(Sample.Note), '/api/notes', 'resourceURL on record type');
+  equals(ds.urlForRecordType(Sample.Unmapped), null, 'unmapped record type');
+});
+
+test("urlForStoreKey() appends the encoded record id", function() {
+  var storeKey = Sample.Contact.storeKeyFor('a b');
+  equals(ds.urlForStoreKey(store, storeKey), '/api/contacts/a%20b');
+});
+
+test("urlForQuery() encodes conditions, orderBy and parameters", function() {
+  var q = SC.Query.local(Sample.Contact, {
+    conditions: 'name = {name}',
+    orderBy: 'name DESC',
+    parameters: { name: 'Joe' }
+  });
+
+  equals(ds.urlForQuery(q), '/api/contacts?conditions=name%20%3D%20%7Bname%7D&order=name%20DESC&name=Joe');
+
+  q = SC.Query.local(Sample.Contact, 'name = %@', ['Joe']);
+  equals(ds.urlForQuery(q), '/api/contacts?conditions=name%20%3D%20%25%40&parameters%5B%5D=Joe', 'parameters array');
+
+  q = SC.Query.local(Sample.Contact);
+  equals(ds.urlForQuery(q), '/api/contacts', 'no query string without conditions');
+});
+
+test("urlForQuery() encodes the limit, offset and cursor of remote queries", function() {
+  var q = SC.Query.remote(Sample.Contact, { limit: 10, offset: 20 });
+  equals(ds.urlForQuery(q), '/api/contacts?limit=10&offset=20');
+
+  q = SC.Query.remote(Sample.Contact, { limit: 10, cursor: 'abc' });
+  equals(ds.urlForQuery(q), '/api/contacts?limit=10&cursor=abc', 'cursor');
+
+  q = SC.Query.local(Sample.Contact, { limit: 10, offset: 20 });
+  equals(ds.urlForQuery(q), '/api/contacts', 'local queries are paged locally');
+});
+
+// ..........................................................
+// FETCHING
+//
+
+test("fetching a local query loads the returned records", function() {
+  var recs = store.find(Sample.Contact), req;
+
+  equals(requests.length, 1, 'should issue one request');
+  req = respond([{ guid: '1', name: 'Joe' }, { guid: '2', name: 'Jane' }]);
+
+  equals(req.type, 'GET', 'request type');
+  equals(req.url, '/api/contacts', 'request url');
+  equals(get(recs, 'status'), SC.Record.READY_CLEAN, 'record array status');
+  equals(get(recs, 'length'), 2, 'record array length');
+  equals(get(store.find(Sample.Contact, '2'), 'name'), 'Jane', 'record data');
+});
+
+test("fetching a remote query uses the server results and order", function() {
+  var q = SC.Query.remote(Sample.Contact, { orderBy: 'name' }),
+      recs = store.find(q);
+
+  respond({ records: [{ guid: '2', name: 'Jane' }, { guid: '1', name: 'Joe' }] });
+
+  equals(get(recs, 'status'), SC.Record.READY_CLEAN, 'record array status');
+  same(recs.getEach('id'), ['2', '1'], 'should keep server order');
+});
+
+test("fetching a remote query sets the cursor of the next page", function() {
+  var recs = store.find(SC.Query.remote(Sample.Contact, { limit: 1 }));
+
+  respond({ records: [{ guid: '1', name: 'Joe' }], cursor: 'next' });
+  equals(get(recs, 'nextCursor'), 'next', 'record array nextCursor');
+});
+
+test("fetch errors put the query into an error state", function() {
+  var recs = store.find(Sample.Contact);
+  fail(500);
+  equals(get(recs, 'status'), SC.Record.ERROR, 'record array status');
+});
+
+test("fetch() does not handle unmapped record types", function() {
+  equals(ds.fetch(store, SC.Query.local(Sample.Unmapped)), NO, 'should return NO');
+  equals(requests.length, 0, 'should not issue a request');
+});
+
+// ..........................................................
+// RECORDS
+//
+
+test("retrieving a record issues a GET for the member URL", function() {
+  var rec = store.find(Sample.Contact, '1'), req;
+
+  equals(get(rec, 'status'), SC.Record.BUSY_LOADING, 'status while loading');
+  req = respond({ guid: '1', name: 'Joe' });
+
+  equals(req.type, 'GET', 'request type');
+  equals(req.url, '/api/contacts/1', 'request url');
+  equals(get(rec, 'status'), SC.Record.READY_CLEAN, 'status after response');
+  equals(get(rec, 'name'), 'Joe', 'record data');
+});
+
+test("creating a record POSTs the data hash and uses the returned id", function() {
+  var rec = store.createRecord(Sample.Contact, { name: 'Joe' }), req;
+
+  store.commitRecords();
+  req = requests[0];
+  equals(req.type, 'POST', 'request type');
+  equals(req.url, '/api/contacts', 'request url');
+  same(JSON.parse(req.data), { name: 'Joe' }, 'request body');
+
+  respond({ guid: '42', name: 'Joe' });
+  equals(get(rec, 'status'), SC.Record.READY_CLEAN, 'status after response');
+  equals(get(rec, 'id'), '42', 'should use the id returned by the server');
+});
+
+test("updating a record PUTs the data hash", function() {
+  var rec, req;
+
+  store.loadRecords(Sample.Contact, [{ guid: '1', name: 'Joe' }]);
+  rec = store.find(Sample.Contact, '1');
+  set(rec, 'name', 'Joseph');
+
+  store.commitRecords();
+  req = respond(null);
+
+  equals(req.type, 'PUT', 'request type');
+  equals(req.url, '/api/contacts/1', 'request url');
+  same(JSON.parse(req.data), { guid: '1', name: 'Joseph' }, 'request body');
+  equals(get(rec, 'status'), SC.Record.READY_CLEAN, 'status after response');
+});
+
+test("destroying a record issues a DELETE", function() {
+  var rec, req;
+
+  store.loadRecords(Sample.Contact, [{ guid: '1', name: 'Joe' }]);
+  rec = store.find(Sample.Contact, '1');
+  rec.destroy();
+
+  store.commitRecords();
+  req = respond();
+
+  equals(req.type, 'DELETE', 'request type');
+  equals(req.url, '/api/contacts/1', 'request url');
+  equals(get(rec, 'status'), SC.Record.DESTROYED_CLEAN, 'status after response');
+});
+
+test("failed requests put the record into an error state", function() {
+  var rec, error;
+
+  store.loadRecords(Sample.Contact, [{ guid: '1', name: 'Joe' }]);
+  rec = store.find(Sample.Contact, '1');
+  set(rec, 'name', 'Joseph');
+
+  store.commitRecords();
+  fail(422, '{"name":"is taken"}');
+
+  equals(get(rec, 'status'), SC.Record.ERROR, 'status after response');
+
+  error = store.readError(get(rec, 'storeKey'));
+  ok(error instanceof SC.StoreError, 'should pass an SC.StoreError');
+  equals(error.code, 422, 'error code should be the HTTP status');
+  same(error.errorValue, { name: 'is taken' }, 'error value should be the parsed body');
+});
+
+test("records of unmapped types are not handled", function() {
+  var storeKey = Sample.Unmapped.storeKeyFor('1');
+  equals(ds.retrieveRecords(store, [storeKey]), NO, 'should return NO');
+  equals(requests.length, 0, 'should not issue a request');
+});
@@ -0,0 +1,216 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test StorageTest */
+
+var set = SC.set, get = SC.get;
+
+var backend, remote, store;
+
+// Creates a store with a cache in front of the remote data source, like an
+// application would after (re)loading.
+function createStore(attrs) {
+  var cache = SC.StorageDataSource.create(SC.mixin({
+    backend: backend,
+    recordTypes: { 'StorageTest.Contact': 1 }
+  }, attrs || {}));
+
+  return SC.Store.create().cascade(cache, remote);
+}
+
+module("SC.StorageDataSource", {
+  setup: function() {
+    SC.run.begin();
+
+    window.StorageTest = SC.Object.create({
+      Contact: SC.Record.extend({ name: SC.Record.attr(String) }),
+      Note: SC.Record.extend()
+    });
+
+    backend = SC.MemoryStorageBackend.create();
+
+    remote = SC.DataSource.create({
+      retrieved: [],
+      fetched: [],
+
+      retrieveRecords: function(store, storeKeys) {
+        this.retrieved = this.retrieved.concat(storeKeys.map(function(storeKey) {
+          return store.idFor(storeKey);
+        }));
+        return YES;
+      },
+
+      fetch: function(store, query) {
+        this.fetched.push(query);
+        return YES;
+      }
+    });
+
+    store = createStore();
+  },
+
+  teardown: function() {
+    SC.run.end();
+    backend = remote = store = window.StorageTest = null;
+  }
+});
+
+// Ends the current run loop, so the store notifies the cache, and starts a
+// new one.
+function flush() {
+  SC.run.end();
+  SC.run.begin();
+}
+
+test("serves records loaded before a reload", function() {
+  store.loadRecords(StorageTest.Contact, [{ guid: 1, name: 'Charles' }]);
+  flush();
+
+  store = createStore();
+  var rec = store.find(StorageTest.Contact, 1);
+
+  equals(get(rec, 'name'), 'Charles', 'should serve the cached data hash');
+  equals(get(rec, 'status'), SC.Record.READY_CLEAN, 'status');
+  same(remote.retrieved, [], 'should not ask the remote data source');
+});
+
+test("passes on records it does not have", function() {
+  store.loadRecords(StorageTest.Contact, [{ guid: 1, name: 'Charles' }]);
+  flush();
+
+  store = createStore();
+  store.find(StorageTest.Contact, 2);
+  store.find(StorageTest.Note, 1);
+
+  same(remote.retrieved, [2, 1], 'should ask the remote data source');
+});
+
+test("does not cache unsaved changes and removes destroyed records", function() {
+  store.loadRecords(StorageTest.Contact, [{ guid: 1, name: 'Charles' }, { guid: 2, name: 'Peter' }]);
+  flush();
+
+  set(store.find(StorageTest.Contact, 1), 'name', 'Changed');
+  store.pushDestroy(StorageTest.Contact, 2);
+  flush();
+
+  equals(backend.entries['record:StorageTest.Contact:1'].dataHash.name, 'Charles', 'should keep the saved data hash');
+  equals(backend.entries['record:StorageTest.Contact:2'], undefined, 'should remove the destroyed record');
+});
+
+test("serves the results of remote queries", function() {
+  var query = SC.Query.remote(StorageTest.Contact, { orderBy: 'name' }),
+      storeKeys = store.loadRecords(StorageTest.Contact, [{ guid: 2, name: 'Charles' }, { guid: 1, name: 'Peter' }]);
+
+  store.find(query);
+  store.loadQueryResults(query, storeKeys);
+  flush();
+
+  store = createStore();
+  var recs = store.find(SC.Query.remote(StorageTest.Contact, { orderBy: 'name' }));
+
+  equals(remote.fetched.length, 1, 'should only fetch from the remote data source before the reload');
+  same(recs.getEach('name'), ['Charles', 'Peter'], 'should serve the results in order');
+  equals(get(recs, 'status'), SC.Record.READY_CLEAN, 'status');
+});
+
+test("serves local queries that have been fetched", function() {
+  var query = SC.Query.local(StorageTest.Contact);
+
+  store.find(query);
+  store.loadRecords(StorageTest.Contact, [{ guid: 1, name: 'Charles' }]);
+  store.dataSourceDidFetchQuery(query);
+  flush();
+
+  store = createStore();
+  var recs = store.find(SC.Query.local(StorageTest.Contact));
+
+  equals(remote.fetched.length, 1, 'should only fetch from the remote data source before the reload');
+  same(recs.getEach('name'), ['Charles'], 'should load the cached records');
+});
+
+test("discards or migrates records saved with another schema version", function() {
+  store.loadRecords(StorageTest.Contact, [{ guid: 1, name: 'Charles' }, { guid: 2, name: 'Peter' }]);
+  flush();
+
+  store = createStore({
+    recordTypes: { 'StorageTest.Contact': 2 },
+
+    migrate: function(recordType, dataHash, version) {
+      equals(recordType, StorageTest.Contact, 'should pass the record type');
+      equals(version, 1, 'should pass the old version');
+      return dataHash.guid === 1 ? SC.mixin(dataHash, { name: 'Migrated' }) : null;
+    }
+  });
+
+  equals(get(store.find(StorageTest.Contact, 1), 'name'), 'Migrated', 'should serve the migrated data hash');
+  equals(backend.entries['record:StorageTest.Contact:1'].version, 2, 'should save the migrated entry');
+  equals(backend.entries['record:StorageTest.Contact:2'], undefined, 'should remove the discarded entry');
+});
+
+test("evicts the least recently used records", function() {
+  store = createStore({ maxEntries: 2 });
+
+  store.loadRecords(StorageTest.Contact, [{ guid: 1 }, { guid: 2 }]);
+  flush();
+
+  store = createStore({ maxEntries: 2 });
+  store.find(StorageTest.Contact, 1);
+  store.loadRecords(StorageTest.Contact, [{ guid: 3 }]);
+  flush();
+
+  ok(backend.entries['record:StorageTest.Contact:1'], 'should keep the record that was used');
+  ok(!backend.entries['record:StorageTest.Contact:2'], 'should evict the least recently used record');
+  ok(backend.entries['record:StorageTest.Contact:3'], 'should keep the new record');
+});
+
+test("keeps the order in which records were used across reloads", function() {
+  store.loadRecords(StorageTest.Contact, [{ guid: 1 }, { guid: 2 }, { guid: 3 }]);
+  flush();
+
+  store = createStore();
+  store.find(StorageTest.Contact, 1);
+  flush();
+
+  store = createStore({ maxEntries: 3 });
+  store.loadRecords(StorageTest.Contact, [{ guid: 4 }]);
+  flush();
+
+  ok(backend.entries['record:StorageTest.Contact:1'], 'should keep the record used before the reload');
+  ok(!backend.entries['record:StorageTest.Contact:2'], 'should evict the least recently used record');
+  ok(backend.entries['record:StorageTest.Contact:3'], 'should keep the other records');
+});
+
+test("does not serve expired entries", function() {
+  store.loadRecords(StorageTest.Contact, [{ guid: 1 }]);
+  flush();
+
+  backend.entries['record:StorageTest.Contact:1'].storedAt -= 2000;
+
+  store = createStore({ maxAge: 1000 });
+  store.find(StorageTest.Contact, 1);
+
+  same(remote.retrieved, [1], 'should ask the remote data source');
+  equals(backend.entries['record:StorageTest.Contact:1'], undefined, 'should remove the expired entry');
+});
+
+test("does not save records again when they are served from the cache", function() {
+  var key = 'record:StorageTest.Contact:1', storedAt;
+
+  store.loadRecords(StorageTest.Contact, [{ guid: 1, name: 'Charles' }]);
+  flush();
+
+  storedAt = backend.entries[key].storedAt -= 500;
+
+  store = createStore({ maxAge: 1000 });
+  store.find(StorageTest.Contact, 1);
+  flush();
+
+  equals(backend.entries[key].storedAt, storedAt, 'should keep the time the record was stored');
+
+  store.loadRecords(StorageTest.Contact, [{ guid: 1, name: 'Charlie' }]);
+  flush();
+
+  ok(backend.entries[key].storedAt > storedAt, 'should save changed records');
+});
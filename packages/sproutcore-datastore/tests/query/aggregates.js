@@ -0,0 +1,171 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test raises */
+
+var set = SC.set, get = SC.get;
+
+var store, Invoice;
+
+module("SC.Query aggregates", {
+  setup: function() {
+    Invoice = SC.Record.extend({
+      customer: SC.Record.attr(String),
+      amount: SC.Record.attr(Number)
+    });
+
+    store = SC.Store.create();
+
+    SC.run(function() {
+      store.loadRecords(Invoice, [
+        { guid: 1, customer: 'Acme', amount: 100, isPaid: true },
+        { guid: 2, customer: 'Initech', amount: 30, isPaid: false },
+        { guid: 3, customer: 'Acme', amount: 20, isPaid: false },
+        { guid: 4, customer: 'Acme', amount: null, isPaid: false }
+      ]);
+    });
+  },
+
+  teardown: function() {
+    store = Invoice = null;
+  }
+});
+
+test("computes aggregates over all matching records", function() {
+  var q = SC.Query.local(Invoice, {
+    aggregates: { count: 'COUNT(*)', counted: 'count(amount)', total: 'SUM(amount)', average: 'AVG(amount)', min: 'MIN(amount)', max: 'MAX(amount)' }
+  });
+
+  equals(get(q, 'isAggregate'), YES, 'the query is an aggregate query');
+  same(get(store.find(q), 'aggregateResults'), [
+    { count: 4, counted: 3, total: 150, average: 50, min: 20, max: 100 }
+  ], 'null values are ignored, except by COUNT(*)');
+});
+
+test("groups aggregates by groupBy properties", function() {
+  var q = SC.Query.local(Invoice, {
+    conditions: 'isPaid = false',
+    orderBy: 'customer',
+    aggregates: { count: 'COUNT(*)', total: 'SUM(amount)' },
+    groupBy: 'customer'
+  });
+
+  same(get(store.find(q), 'aggregateResults'), [
+    { customer: 'Acme', count: 2, total: 20 },
+    { customer: 'Initech', count: 1, total: 30 }
+  ], 'there is one result per customer, for the matching records only');
+});
+
+test("aggregating no records", function() {
+  var q = SC.Query.local(Invoice, {
+    conditions: 'amount > 1000',
+    aggregates: { count: 'COUNT(*)', total: 'SUM(amount)', average: 'AVG(amount)' }
+  });
+  same(get(store.find(q), 'aggregateResults'), [{ count: 0, total: 0, average: null }], 'gives a single result');
+
+  q = SC.Query.local(Invoice, {
+    conditions: 'amount > 1000',
+    aggregates: { count: 'COUNT(*)' },
+    groupBy: 'customer'
+  });
+  same(get(store.find(q), 'aggregateResults'), [], 'gives no groups');
+});
+
+test("queries without aggregates", function() {
+  var q = SC.Query.local(Invoice);
+
+  equals(get(q, 'isAggregate'), NO, 'the query is not an aggregate query');
+  equals(get(store.find(q), 'aggregateResults'), null, 'there are no aggregate results');
+});
+
+test("invalid aggregates", function() {
+  var q = SC.Query.create({ aggregates: { total: 'MEDIAN(amount)' } });
+
+  raises(function() { q.parse(); }, 'unknown functions raise an exception');
+});
+
+test("registerAggregateFunction()", function() {
+  SC.Query.registerAggregateFunction('FIRST', function(values) { return values[0]; });
+
+  var q = SC.Query.local(Invoice, { orderBy: 'amount', aggregates: { first: 'FIRST(amount)' } });
+  same(get(store.find(q), 'aggregateResults'), [{ first: 20 }], 'uses the registered function');
+
+  delete SC.Query.aggregateFunctions.FIRST;
+});
+
+test("copying keeps aggregates and groupBy", function() {
+  var q = SC.Query.create({ aggregates: { count: 'COUNT(*)' }, groupBy: 'customer' }),
+      copy = q.copy();
+
+  same(get(copy, 'aggregates'), { count: 'COUNT(*)' }, 'aggregates are copied');
+  equals(get(copy, 'groupBy'), 'customer', 'groupBy is copied');
+});
+
+test("local aggregate results update as records change", function() {
+  var q = SC.Query.local(Invoice, {
+        aggregates: { total: 'SUM(amount)' },
+        groupBy: 'customer'
+      }),
+      recordArray = store.find(q),
+      notified = 0;
+
+  same(get(recordArray, 'aggregateResults'), [
+    { customer: 'Acme', total: 120 },
+    { customer: 'Initech', total: 30 }
+  ], 'precond - has results');
+
+  SC.addObserver(recordArray, 'aggregateResults', function() { notified++; });
+
+  SC.run(function() {
+    set(store.find(Invoice, 3), 'amount', 25);
+  });
+  ok(notified > 0, 'aggregateResults is notified when a record in the array changes');
+  equals(get(recordArray, 'aggregateResults')[0].total, 125, 'the changed record is aggregated');
+
+  SC.run(function() {
+    store.createRecord(Invoice, { guid: 5, customer: 'Globex', amount: 10 });
+  });
+  same(get(recordArray, 'aggregateResults')[2], { customer: 'Globex', total: 10 }, 'a new group appears for a new record');
+
+  SC.run(function() {
+    store.find(Invoice, 2).destroy();
+  });
+  equals(get(recordArray, 'aggregateResults').length, 2, 'the group of a destroyed record disappears');
+});
+
+test("remote aggregate results are loaded by the data source", function() {
+  var fetched = [],
+      q = SC.Query.remote(Invoice, {
+        aggregates: { total: 'SUM(amount)' },
+        groupBy: 'customer'
+      }),
+      recordArray;
+
+  set(store, 'dataSource', SC.DataSource.create({
+    fetch: function(store, query) {
+      fetched.push(query);
+      return YES;
+    }
+  }));
+
+  SC.run(function() { recordArray = store.find(q); });
+  equals(fetched[0], q, 'the data source fetches the query');
+  equals(get(recordArray, 'aggregateResults'), null, 'there are no results before the data source loads them');
+
+  SC.run(function() {
+    store.loadQueryAggregates(q, [{ customer: 'Acme', total: 1000 }]);
+  });
+  same(get(recordArray, 'aggregateResults'), [{ customer: 'Acme', total: 1000 }], 'has the loaded results');
+  equals(get(recordArray, 'status'), SC.Record.READY_CLEAN, 'the record array is ready');
+
+  SC.run(function() {
+    set(store.find(Invoice, 1), 'amount', 1);
+  });
+  same(get(recordArray, 'aggregateResults'), [{ customer: 'Acme', total: 1000 }], 'local changes do not change remote results');
+
+  raises(function() {
+    store.loadQueryAggregates(SC.Query.local(Invoice, { aggregates: { count: 'COUNT(*)' } }), []);
+  }, 'loading results of a local query raises an exception');
+});
@@ -0,0 +1,130 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test MyApp */
+
+var set = SC.set, get = SC.get;
+
+var store, records;
+
+module("SC.Query compiling", {
+  setup: function() {
+    SC.run.begin();
+
+    MyApp = SC.Object.create({ store: SC.Store.create() });
+    MyApp.Person = SC.Record.extend({});
+
+    MyApp.store.loadRecords(MyApp.Person, [
+      { guid: 1, firstName: "John", lastName: "Doe", year: 1974, married: true, tags: ['a', 'b'] },
+      { guid: 2, firstName: "Jane", lastName: "Doe", year: 1975, married: false },
+      { guid: 3, firstName: "Emily", lastName: "Parker", year: 1975, married: null, parents: { father: "Frank" } },
+      { guid: 4, firstName: "Johnny", lastName: "Cash", year: -3.5 },
+      { guid: 5, firstName: "Bert", lastName: "Berthold", married: true, tags: ['b'] }
+    ]);
+
+    records = [1, 2, 3, 4, 5].map(function(id) { return MyApp.store.find(MyApp.Person, id); });
+
+    SC.run.end();
+  },
+
+  teardown: function() {
+    MyApp = records = null;
+  }
+});
+
+function compilesLike(conditions, parameters) {
+  var q = SC.Query.create({ conditions: conditions, parameters: parameters });
+  q.parse();
+
+  records.forEach(function(record) {
+    equals(q._predicate(record, parameters || q), q._tokenTree.evaluate(record, parameters || q),
+      conditions + ' for ' + get(record, 'firstName'));
+  });
+}
+
+test("compiled conditions match records like the token tree", function() {
+  compilesLike("");
+  compilesLike("lastName = 'Doe'");
+  compilesLike("lastName != \"Doe\"");
+  compilesLike("year < 1975 OR year >= 1975.5");
+  compilesLike("year <= 1975 AND year > -4");
+  compilesLike("NOT (married = true AND lastName = 'Doe')");
+  compilesLike("married = YES OR married = NO OR married = null OR married = undefined");
+  compilesLike("married = false");
+  compilesLike("parents.father = 'Frank'");
+  compilesLike("firstName BEGINS_WITH 'Jo' AND firstName ENDS_WITH 'n'");
+  compilesLike("tags CONTAINS 'b' OR lastName CONTAINS 'er'");
+  compilesLike("firstName MATCHES %@", [/^J/]);
+  compilesLike("year ANY {years}", { years: [1974, 1975] });
+  compilesLike("TYPE_IS 'MyApp.Person'");
+  compilesLike("firstName = %@ OR lastName = %@", ['Bert', 'Cash']);
+});
+
+test("extensions without compile() are evaluated with compiled sides", function() {
+  var sides = [];
+
+  SC.Query.registerQueryExtension('SAME_AS', {
+    reservedWord: true,
+    leftType: 'PRIMITIVE',
+    rightType: 'PRIMITIVE',
+    evalType: 'BOOLEAN',
+    evaluate: function (r,w) {
+      sides.push(this.leftSide.tokenValue);
+      return this.leftSide.evaluate(r,w) === this.rightSide.evaluate(r,w);
+    }
+  });
+
+  var q = SC.Query.create({ conditions: "lastName SAME_AS 'Doe' AND year > 1974" });
+  equals(q.contains(records[1]), YES, 'the extension matches');
+  equals(q.contains(records[0]), NO, 'the compiled part of the tree still applies');
+  equals(sides[0], 'lastName', 'the sides keep their token values');
+
+  delete get(SC.Query, 'proto').queryLanguage.SAME_AS;
+});
+
+test("extensions can compile themselves", function() {
+  var evaluated = NO;
+
+  SC.Query.registerQueryExtension('IS_EVEN', {
+    reservedWord: true,
+    leftType: 'PRIMITIVE',
+    evalType: 'BOOLEAN',
+    evaluate: function (r,w) {
+      evaluated = YES;
+      return this.leftSide.evaluate(r,w) % 2 === 0;
+    },
+    compile: function (self, left) {
+      return '(' + left + ' % 2 === 0)';
+    }
+  });
+
+  var q = SC.Query.create({ conditions: "year IS_EVEN" });
+  equals(q.contains(records[0]), YES, 'even year');
+  equals(q.contains(records[1]), NO, 'odd year');
+  equals(evaluated, NO, 'evaluate() is not called');
+
+  delete get(SC.Query, 'proto').queryLanguage.IS_EVEN;
+});
+
+test("compiled orders sort like before", function() {
+  var q = SC.Query.create({ orderBy: 'lastName, year DESC' });
+
+  same(records.slice().sort(function(a, b) { return q.compare(a, b); }).map(function(r) { return get(r, 'id'); }),
+    [5, 4, 2, 1, 3], 'sorts by each property, then by id');
+
+  q = SC.Query.create({ orderBy: function(a, b) { return SC.compare(get(a, 'year'), get(b, 'year')); } });
+  same(records.slice().sort(function(a, b) { return q.compare(a, b); }).map(function(r) { return get(r, 'id'); }),
+    [5, 4, 1, 2, 3], 'sorts with an order function, then by id');
+});
+
+test("comparisons registered after parsing apply", function() {
+  var q = SC.Query.create({ orderBy: 'firstName' });
+  q.parse();
+
+  SC.Query.registerComparison('firstName', function(a, b) { return SC.compare(a.length, b.length); });
+  equals(q.compare(records[4], records[3]), -1, 'uses the registered comparison');
+
+  delete SC.Query.comparisons.firstName;
+});
@@ -197,3 +197,52 @@ test("boolean operators should work", function() {
   
 });  
   
+
+test("IN, BETWEEN and IS NULL should work", function() {
+  var rec = { status: 'open', age: 30, nothing: null };
+
+  function evaluates(conditions, params) {
+    q = SC.Query.create({ conditions: conditions, parameters: params });
+    q.parse();
+    return q._tokenTree.evaluate(rec, params || q) === true && q.contains(rec, params) === true;
+  }
+
+  ok(evaluates("status IN ('open', 'pending')"), "IN should match a list item");
+  ok(!evaluates("NOT status IN ('open', 'pending')"), "NOT IN should not match a list item");
+  ok(evaluates("age IN (10, 20, 30)"), "IN should match numbers");
+  ok(evaluates("status IN ('open')"), "IN should match a single item");
+  ok(evaluates("status IN {statuses}", { statuses: ['closed', 'open'] }), "IN should match an array parameter");
+  ok(evaluates("age IN (%@, %@)", [30, 40]), "IN should match a list of parameters");
+  ok(evaluates("status ANY ('open', 'pending')"), "ANY should accept a list");
+
+  ok(evaluates("age BETWEEN 18 AND 30"), "BETWEEN should include the upper bound");
+  ok(evaluates("age BETWEEN 30 AND 65 AND status = 'open'"), "BETWEEN should include the lower bound and combine with AND");
+  ok(!evaluates("age BETWEEN 31 AND 65"), "BETWEEN should not match below the lower bound");
+  ok(evaluates("age BETWEEN {min} AND {max}", { min: 20, max: 40 }), "BETWEEN should accept parameters");
+
+  ok(evaluates("nothing IS NULL"), "IS NULL should match null");
+  ok(evaluates("missing IS null"), "IS NULL should match undefined");
+  ok(evaluates("status IS NOT NULL AND age > 18"), "IS NOT NULL should match values");
+  ok(!evaluates("status IS NULL OR nothing IS NOT NULL"), "IS NULL should not match values");
+});
+
+test("LIKE and ILIKE should work", function() {
+  var rec = { name: 'John Doe', code: '50%_off' };
+
+  function evaluates(conditions) {
+    q = SC.Query.create({ conditions: conditions });
+    q.parse();
+    return q._tokenTree.evaluate(rec) === true && q.contains(rec) === true;
+  }
+
+  ok(evaluates("name LIKE 'John%'"), "% should match any characters");
+  ok(evaluates("name LIKE '%Doe'"), "% should match at the start");
+  ok(evaluates("name LIKE 'J_hn D_e'"), "_ should match single characters");
+  ok(!evaluates("name LIKE 'J_n%'"), "_ should not match several characters");
+  ok(!evaluates("name LIKE 'john%'"), "LIKE should be case sensitive");
+  ok(evaluates("name ILIKE 'john%'"), "ILIKE should ignore case");
+  ok(evaluates("code LIKE '50\\%\\_off'"), "escaped wildcards should match themselves");
+  ok(!evaluates("code LIKE '50\\%x%'"), "escaped wildcards should not match other characters");
+  ok(evaluates("name LIKE 'John (Doe|x)' OR name LIKE 'John.Doe' OR name LIKE 'John Doe'"), "other characters should match themselves");
+  ok(!evaluates("missing LIKE '%'"), "LIKE should not match values that are not strings");
+});
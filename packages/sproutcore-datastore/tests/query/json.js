@@ -0,0 +1,139 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test raises MyApp */
+
+var set = SC.set, get = SC.get;
+
+module("SC.Query JSON", {
+  setup: function() {
+    MyApp = SC.Object.create();
+    MyApp.Person = SC.Record.extend();
+    MyApp.Employee = MyApp.Person.extend();
+  },
+
+  teardown: function() {
+    MyApp = null;
+  }
+});
+
+function roundTrip(opts) {
+  var json = JSON.parse(JSON.stringify(SC.Query.create(opts).toJSON()));
+  return SC.Query.fromJSON(json);
+}
+
+test("toJSON() describes the query", function() {
+  var q = SC.Query.create({
+    recordType: 'MyApp.Person',
+    location: SC.Query.REMOTE,
+    conditions: "age >= {min} AND (name = 'John' OR NOT married = true)",
+    parameters: { min: 18 },
+    orderBy: 'name, age DESC',
+    limit: 10
+  });
+
+  same(q.toJSON(), {
+    recordTypes: ['MyApp.Person'],
+    location: 'remote',
+    conditions: {
+      type: 'AND',
+      left: { type: '>=', left: { type: 'PROPERTY', value: 'age' }, right: { type: 'PARAMETER', value: 'min' } },
+      right: {
+        type: 'OR',
+        left: { type: '=', left: { type: 'PROPERTY', value: 'name' }, right: { type: 'STRING', value: 'John' } },
+        right: { type: 'NOT', right: { type: '=', left: { type: 'PROPERTY', value: 'married' }, right: { type: 'true' } } }
+      }
+    },
+    parameters: { min: 18 },
+    orderBy: [{ propertyName: 'name', descending: false }, { propertyName: 'age', descending: true }],
+    limit: 10
+  }, 'has the record types, conditions tree, parameters and order');
+});
+
+test("toJSON() of literals, lists and wild cards", function() {
+  var q = SC.Query.create({ conditions: "a IN (1, -2.5, %@) AND b BETWEEN %@ AND null AND c IS NOT NULL", parameters: [3, 4] }),
+      json = q.toJSON();
+
+  same(json.conditions.left.left.right, {
+    type: 'ARRAY', value: [{ type: 'NUMBER', value: 1 }, { type: 'NUMBER', value: -2.5 }, { type: '%@', value: 0 }]
+  }, 'lists have the nodes of their items');
+  same(json.conditions.left.right.right, {
+    type: 'ARRAY', value: [{ type: '%@', value: 1 }, { type: 'null' }]
+  }, 'wild cards are numbered, reserved words have no value');
+  same(json.conditions.right, { type: 'IS_NOT_NULL', left: { type: 'PROPERTY', value: 'c' } }, 'unary operators');
+  same(json.parameters, [3, 4], 'has the parameters');
+
+  json = SC.Query.create().toJSON();
+  equals(json.conditions, null, 'no conditions');
+  equals(json.orderBy, null, 'no order');
+  equals(json.recordTypes, null, 'no record types');
+});
+
+test("toJSON() of record types", function() {
+  same(SC.Query.local(SC.Record).toJSON().recordTypes, ['SC.Record'], 'record type classes are named by their path');
+  same(SC.Query.create({ recordTypes: ['MyApp.Person', 'MyApp.Employee'] }).toJSON().recordTypes, ['MyApp.Person', 'MyApp.Employee'],
+    'record type paths are kept');
+
+  raises(function() {
+    SC.Query.local(SC.Record.extend()).toJSON();
+  }, 'record types without a path raise an exception');
+
+  raises(function() {
+    SC.Query.create({ orderBy: function() { return 0; } }).toJSON();
+  }, 'order functions raise an exception');
+});
+
+test("fromJSON() rebuilds the query", function() {
+  var q = roundTrip({
+    recordType: 'MyApp.Person',
+    location: SC.Query.REMOTE,
+    conditions: "age >= {min} AND (name = 'John' OR NOT married = true) AND name != \"O'Brien\"",
+    parameters: { min: 18 },
+    orderBy: 'name, age DESC',
+    limit: 10,
+    offset: 20
+  });
+
+  equals(get(q, 'recordType'), MyApp.Person, 'has the record type');
+  equals(get(q, 'location'), SC.Query.REMOTE, 'has the location');
+  equals(get(q, 'conditions'), "((age >= {min}) AND ((name = 'John') OR (NOT (married = true)))) AND (name != \"O'Brien\")", 'has the conditions');
+  same(get(q, 'parameters'), { min: 18 }, 'has the parameters');
+  equals(get(q, 'orderBy'), 'name, age DESC', 'has the order');
+  equals(get(q, 'limit'), 10, 'has the limit');
+  equals(get(q, 'offset'), 20, 'has the offset');
+  equals(get(q, 'isFrozen'), YES, 'is frozen');
+
+  q.parse();
+  ok(q._tokenTree.evaluate({ age: 20, name: 'John' }, { min: 18 }), 'matches like the original query');
+  ok(!q._tokenTree.evaluate({ age: 20, name: 'Jane', married: true }, { min: 18 }), 'does not match like the original query');
+
+  q = roundTrip({ recordTypes: ['MyApp.Person', 'MyApp.Employee'] });
+  same(get(q, 'recordTypes'), [MyApp.Person, MyApp.Employee], 'has the record types');
+  equals(get(q, 'conditions'), undefined, 'has no conditions');
+});
+
+test("fromJSON() rebuilds the grammar extensions", function() {
+  var conditions = "a IN (1, -2.5, %@) AND b BETWEEN %@ AND null AND c IS NOT NULL AND d LIKE 'x%' AND TYPE_IS 'MyApp.Person'",
+      q = roundTrip({ conditions: conditions, parameters: [3, 4] });
+
+  same(q.toJSON().conditions, SC.Query.create({ conditions: conditions }).toJSON().conditions, 'has the same conditions tree');
+});
+
+test("fromJSON() rejects invalid trees", function() {
+  function conditions(tree) {
+    return function() { SC.Query.fromJSON({ conditions: tree }); };
+  }
+
+  var prop = { type: 'PROPERTY', value: 'a' };
+
+  raises(conditions({ type: 'FOO', left: prop, right: prop }), 'unknown tokens');
+  raises(conditions({ type: '=', left: prop }), 'missing sides');
+  raises(conditions({ type: '=', left: { type: 'PROPERTY', value: 'a b' }, right: prop }), 'invalid properties');
+  raises(conditions({ type: '=', left: { type: 'PROPERTY', value: 'AND' }, right: prop }), 'reserved words as properties');
+  raises(conditions({ type: '=', left: prop, right: { type: 'STRING', value: "'\"" } }), 'strings with both kinds of quotes');
+  raises(conditions({ type: '=', left: prop, right: { type: '%@', value: 1 } }), 'wild cards out of order');
+  raises(conditions({ type: 'IN', left: prop, right: { type: 'ARRAY', value: [prop] } }), 'lists with one item');
+  raises(function() { SC.Query.fromJSON({ recordTypes: ['MyApp.Nobody'] }); }, 'unknown record types');
+});
@@ -0,0 +1,107 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test */
+
+var set = SC.set, get = SC.get;
+
+var store, Contact;
+
+module("SC.Query paging", {
+  setup: function() {
+    Contact = SC.Record.extend({ name: SC.Record.attr(String) });
+    store = SC.Store.create();
+
+    SC.run(function() {
+      store.loadRecords(Contact, [
+        { guid: 1, name: 'Ann' },
+        { guid: 2, name: 'Bob' },
+        { guid: 3, name: 'Cid' },
+        { guid: 4, name: 'Dee' },
+        { guid: 5, name: 'Eve' }
+      ]);
+    });
+  },
+
+  teardown: function() {
+    store = Contact = null;
+  }
+});
+
+test("build() caches queries with paging options", function() {
+  var q = SC.Query.local(Contact, { limit: 2, offset: 1 });
+
+  equals(get(q, 'limit'), 2, 'has the limit');
+  equals(get(q, 'offset'), 1, 'has the offset');
+  equals(get(q, 'isPaged'), YES, 'is paged');
+  equals(get(q, 'isFrozen'), YES, 'is frozen');
+
+  equals(SC.Query.local(Contact, { offset: 1, limit: 2 }), q, 'the same options return the same query');
+  ok(SC.Query.local(Contact, { limit: 2, offset: 2 }) !== q, 'other options return another query');
+  ok(SC.Query.local(Contact) !== q, 'no options return another query');
+  ok(SC.Query.remote(Contact, { limit: 2, offset: 1 }) !== q, 'other locations return another query');
+
+  q = SC.Query.remote(Contact, { cursor: 'abc' });
+  equals(get(q, 'cursor'), 'abc', 'has the cursor');
+  equals(SC.Query.remote(Contact, { cursor: 'abc' }), q, 'queries with cursors are cached');
+});
+
+test("copying keeps limit, offset and cursor", function() {
+  var copy = SC.Query.create({ limit: 2, offset: 1, cursor: 'abc' }).copy();
+
+  equals(get(copy, 'limit'), 2, 'limit is copied');
+  equals(get(copy, 'offset'), 1, 'offset is copied');
+  equals(get(copy, 'cursor'), 'abc', 'cursor is copied');
+});
+
+test("local queries contain the page of ordered records", function() {
+  var recs = store.find(SC.Query.local(Contact, { orderBy: 'name DESC', limit: 2, offset: 1 }));
+  same(recs.getEach('name'), ['Dee', 'Cid'], 'limit and offset apply after ordering');
+
+  recs = store.find(SC.Query.local(Contact, { orderBy: 'name', offset: 3 }));
+  same(recs.getEach('name'), ['Dee', 'Eve'], 'offset without limit');
+
+  recs = store.find(SC.Query.local(Contact, { orderBy: 'name', limit: 0 }));
+  equals(get(recs, 'length'), 0, 'a limit of 0');
+});
+
+test("local pages update as records change", function() {
+  var recs = store.find(SC.Query.local(Contact, { orderBy: 'name', limit: 2 }));
+  same(recs.getEach('name'), ['Ann', 'Bob'], 'precond - has the first page');
+
+  SC.run(function() { store.find(Contact, 1).destroy(); });
+  same(recs.getEach('name'), ['Bob', 'Cid'], 'the next record moves into the page');
+
+  SC.run(function() { store.createRecord(Contact, { guid: 6, name: 'Abe' }); });
+  same(recs.getEach('name'), ['Abe', 'Bob'], 'a new record pushes the last one out');
+
+  SC.run(function() { set(store.find(Contact, 2), 'name', 'Zed'); });
+  same(recs.getEach('name'), ['Abe', 'Cid'], 'a changed record moves out of the page');
+});
+
+test("remote queries pass paging to the data source", function() {
+  var fetched = [], recs,
+      q = SC.Query.remote(Contact, { limit: 2, cursor: 'abc' });
+
+  set(store, 'dataSource', SC.DataSource.create({
+    fetch: function(store, query) {
+      fetched.push(query);
+      return YES;
+    }
+  }));
+
+  SC.run(function() { recs = store.find(q); });
+  equals(get(fetched[0], 'limit'), 2, 'the data source receives the limit');
+  equals(get(fetched[0], 'cursor'), 'abc', 'the data source receives the cursor');
+
+  SC.run(function() {
+    store.loadQueryResults(q, [Contact.storeKeyFor(4), Contact.storeKeyFor(5)], 'def');
+  });
+  same(recs.getEach('name'), ['Dee', 'Eve'], 'the record array has the loaded page');
+  equals(get(recs, 'nextCursor'), 'def', 'the record array has the next cursor');
+
+  SC.run(function() { store.loadQueryResults(q, []); });
+  equals(get(recs, 'nextCursor'), null, 'the next cursor is cleared on the last page');
+});
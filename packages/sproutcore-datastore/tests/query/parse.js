@@ -224,3 +224,43 @@ test("token tree should build", function() {
 });
 
 
+
+test("lists and multi-word operators should tokenize", function() {
+  q.conditions = "status IN ('a', \"b\", 3, {c}, %@)";
+  q.parse();
+  equals(q._tokenList.length, 3, 'list should have 3 tokens');
+  equals(q._tokenList[2].tokenType, 'ARRAY', 'the list should be an ARRAY');
+  same(q._tokenList[2].tokenValue.map(function(t) { return t.tokenType; }), ['STRING', 'STRING', 'NUMBER', 'PARAMETER', '%@'], 'the items should be the tokens of the list');
+
+  q.conditions = "(status = 'a') AND (age > 1)";
+  q.parse();
+  equals(q._tokenList.length, 11, 'parentheses without commas should not be lists');
+
+  q.conditions = "age BETWEEN 1 AND 2 AND a IS NULL OR b IS NOT NULL";
+  q.parse();
+  same(q._tokenList.map(function(t) { return t.tokenType; }),
+    ['PROPERTY', 'BETWEEN', 'ARRAY', 'AND', 'PROPERTY', 'IS_NULL', 'OR', 'PROPERTY', 'IS_NOT_NULL'],
+    'the bounds of BETWEEN should be an ARRAY, and IS NULL a single token');
+});
+
+test("parse errors should be clear", function() {
+  function errorFor(conditions) {
+    q.conditions = conditions;
+    try {
+      q.parse();
+    } catch(e) {
+      return e;
+    }
+    return null;
+  }
+
+  ok(errorFor("name = 'John").indexOf("found unterminated STRING at position 7") === 0, 'unterminated strings');
+  ok(errorFor("name = {name").indexOf("found unterminated PARAMETER at position 7") === 0, 'unterminated parameters');
+  ok(errorFor("name = '").indexOf("found unterminated STRING at position 7") === 0, 'strings starting at the end');
+  ok(errorFor("a = 1, b = 2").indexOf("found ',' outside of a list") === 0, 'commas outside of lists');
+  ok(errorFor("a IS 'b'").indexOf("expected NULL or NOT NULL after IS") === 0, 'IS without NULL');
+  ok(errorFor("a = 1)").indexOf("found ')' without matching '('") === 0, 'unmatched closing parenthesis');
+  ok(errorFor("(a = 1").indexOf("found '(' without matching ')'") === 0, 'unmatched opening parenthesis');
+  ok(errorFor("a = 1 & b = 2").indexOf("found unknown token: &") === 0, 'unknown tokens');
+  ok(errorFor("status IN ('a',)") !== null, 'trailing commas in lists');
+});
@@ -0,0 +1,176 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test raises MyApp */
+
+var set = SC.set, get = SC.get;
+
+module("SC.Record schema", {
+  setup: function() {
+    MyApp = SC.Namespace.create();
+
+    MyApp.Person = SC.Record.extend({
+      primaryKey: 'id',
+      name: SC.Record.attr(String, { isRequired: YES, minLength: 2, maxLength: 20, indexed: YES }),
+      age: SC.Record.attr(Number, { min: 0, defaultValue: 0 }),
+      born: SC.Record.attr(Date, { key: 'birth_date', isEditable: NO })
+    });
+
+    MyApp.Address = SC.Record.extend({
+      street: SC.Record.attr(String)
+    });
+
+    MyApp.Group = SC.Record.extend({
+      members: SC.Record.toMany('MyApp.Employee', { inverse: 'group', isMaster: NO })
+    });
+
+    MyApp.Employee = MyApp.Person.extend({
+      email: SC.Record.attr(String, { pattern: /^[^@]+@[^@]+$/ }),
+      group: SC.Record.toOne('MyApp.Group', { inverse: 'members' }),
+      address: SC.Record.toOne(MyApp.Address, { nested: YES }),
+      tags: SC.Record.attr(Array, { maxLength: 5 })
+    });
+  },
+
+  teardown: function() {
+    MyApp = null;
+  }
+});
+
+test("schema() describes the attributes", function() {
+  var schema = MyApp.Person.schema(), attrs = schema.attributes;
+
+  equals(schema.primaryKey, 'id', 'has the primary key');
+  same(SC.keys(attrs).sort(), ['age', 'born', 'name'], 'lists the attributes');
+  same(schema.relationships, {}, 'has no relationships');
+
+  equals(attrs.name.type, String, 'has the type');
+  equals(attrs.name.isRequired, YES, 'has isRequired');
+  equals(attrs.name.minLength, 2, 'has the validation options');
+  equals(attrs.name.indexed, YES, 'has indexed');
+  equals(attrs.age.defaultValue, 0, 'has the default value');
+  equals(attrs.age.isRequired, NO, 'attributes are optional by default');
+  equals(attrs.born.key, 'birth_date', 'has the data hash key');
+  equals(attrs.born.isEditable, NO, 'has isEditable');
+});
+
+test("schema() describes inherited attributes and relationships", function() {
+  var schema = MyApp.Employee.schema(), rels = schema.relationships;
+
+  same(SC.keys(schema.attributes).sort(), ['age', 'born', 'email', 'name', 'tags'], 'includes inherited attributes');
+  same(SC.keys(rels).sort(), ['address', 'group'], 'lists the relationships');
+
+  equals(rels.group.kind, 'toOne', 'to-one relationship');
+  equals(rels.group.type, 'MyApp.Group', 'has the record type');
+  equals(rels.group.inverse, 'members', 'has the inverse');
+  equals(rels.group.isMaster, YES, 'has isMaster');
+  equals(rels.group.isNested, NO, 'is not nested');
+  equals(rels.address.isNested, YES, 'nested relationship');
+  ok(!('inverse' in rels.address), 'nested relationships have no inverse');
+
+  rels = MyApp.Group.schema().relationships;
+  equals(rels.members.kind, 'toMany', 'to-many relationship');
+  equals(rels.members.isMaster, NO, 'has isMaster');
+
+  ok(!('email' in MyApp.Person.schema().attributes), 'subclass attributes are not added to the superclass');
+});
+
+test("toJSONSchema() describes the data hashes", function() {
+  var json = MyApp.Person.toJSONSchema();
+
+  same(json, {
+    '$schema': 'http://json-schema.org/draft-04/schema#',
+    title: 'MyApp.Person',
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 2, maxLength: 20, 'x-sproutcore': { indexed: YES } },
+      age: { type: ['number', 'null'], 'default': 0, minimum: 0 },
+      birth_date: { type: ['string', 'null'], format: 'date-time', readOnly: true, 'x-sproutcore': { property: 'born' } },
+      id: { type: ['string', 'number'] }
+    },
+    required: ['name'],
+    'x-sproutcore': { primaryKey: 'id' }
+  }, 'has the properties, keyed by data hash key');
+});
+
+test("toJSONSchema() of relationships and other types", function() {
+  var props = MyApp.Employee.toJSONSchema().properties;
+
+  same(props.group, {
+    type: ['string', 'number', 'null'],
+    'x-sproutcore': { kind: 'toOne', recordType: 'MyApp.Group', inverse: 'members' }
+  }, 'to-one relationships are ids');
+  same(props.address, {
+    type: ['object', 'null'],
+    'x-sproutcore': { kind: 'toOne', recordType: 'MyApp.Address', isNested: YES }
+  }, 'nested relationships are objects');
+  same(props.tags, { type: ['array', 'null'], maxItems: 5 }, 'array lengths are item counts');
+  equals(props.email.pattern, '^[^@]+@[^@]+$', 'has the pattern');
+
+  same(MyApp.Group.toJSONSchema().properties.members, {
+    type: ['array', 'null'],
+    items: { type: ['string', 'number'] },
+    'x-sproutcore': { kind: 'toMany', recordType: 'MyApp.Employee', inverse: 'group', isMaster: NO }
+  }, 'to-many relationships are arrays of ids');
+
+  ok(!('title' in SC.Record.extend().toJSONSchema()), 'record types without a path have no title');
+});
+
+test("fromJSONSchema() defines a record type", function() {
+  var json = JSON.parse(JSON.stringify(MyApp.Employee.toJSONSchema())),
+      Employee = SC.Record.fromJSONSchema(json),
+      schema = Employee.schema(),
+      attrs = schema.attributes, rels = schema.relationships,
+      store, rec;
+
+  ok(SC.Record.detect(Employee), 'is a record type');
+  equals(schema.primaryKey, 'id', 'has the primary key');
+  same(SC.keys(attrs).sort(), ['age', 'born', 'email', 'name', 'tags'], 'has the attributes');
+  same(SC.keys(rels).sort(), ['address', 'group'], 'has the relationships');
+
+  equals(attrs.name.type, String, 'has the type');
+  equals(attrs.name.isRequired, YES, 'has isRequired');
+  equals(attrs.name.maxLength, 20, 'has the validation options');
+  equals(attrs.name.indexed, YES, 'has indexed');
+  equals(attrs.born.type, Date, 'date-time strings are dates');
+  equals(attrs.born.key, 'birth_date', 'has the data hash key');
+  equals(attrs.born.isEditable, NO, 'read only properties are not editable');
+  equals(attrs.tags.maxLength, 5, 'item counts are lengths');
+  equals(attrs.email.pattern.source, '^[^@]+@[^@]+$', 'has the pattern');
+
+  equals(rels.group.type, 'MyApp.Group', 'has the record type');
+  equals(rels.group.inverse, 'members', 'has the inverse');
+  equals(rels.address.isNested, YES, 'has nested relationships');
+
+  same(Employee.toJSONSchema().properties, json.properties, 'exports the same JSON Schema');
+
+  store = SC.Store.create();
+  rec = store.createRecord(Employee, { id: 1, name: 'Joe' });
+  equals(get(rec, 'age'), 0, 'records use the default values');
+});
+
+test("fromJSONSchema() of plain JSON Schemas", function() {
+  var Thing = SC.Record.fromJSONSchema({
+        type: 'object',
+        properties: {
+          guid: { type: 'integer' },
+          title: { type: 'string' },
+          count: { type: ['integer', 'null'] },
+          done: { type: 'boolean' }
+        },
+        required: ['title']
+      }),
+      attrs = Thing.schema().attributes;
+
+  same(SC.keys(attrs).sort(), ['count', 'done', 'title'], 'the primary key is not an attribute');
+  equals(attrs.title.type, String, 'strings');
+  equals(attrs.title.isRequired, YES, 'required properties');
+  equals(attrs.count.type, Number, 'integers');
+  equals(attrs.done.type, Boolean, 'booleans');
+
+  raises(function() {
+    SC.Record.fromJSONSchema({ type: 'array' });
+  }, 'schemas of other types raise an exception');
+});
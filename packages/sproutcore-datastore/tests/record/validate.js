@@ -0,0 +1,186 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test */
+
+var set = SC.set, get = SC.get;
+
+var store, Contact, rec, pendingChecks;
+
+module("SC.Record#validate", {
+  setup: function() {
+    SC.run.begin();
+
+    pendingChecks = [];
+
+    Contact = SC.Record.extend({
+      name: SC.Record.attr(String, { isRequired: YES, minLength: 2, maxLength: 10 }),
+      age: SC.Record.attr(Number, { min: 0, max: 150 }),
+      email: SC.Record.attr(String, { pattern: /^[^@]+@[^@]+$/ }),
+      nickname: SC.Record.attr(String, {
+        validator: function(value, record, key) {
+          return value !== get(record, 'name') || 'Nickname should differ from name';
+        }
+      }),
+      username: SC.Record.attr(String, {
+        maxLength: 8,
+        asyncValidator: function(value, record, key, callback) {
+          pendingChecks.push({ value: value, callback: callback });
+        }
+      })
+    });
+
+    store = SC.Store.create();
+    rec = store.createRecord(Contact, { name: 'Joe', age: 30 });
+  },
+
+  teardown: function() {
+    SC.run.end();
+    store = Contact = rec = pendingChecks = null;
+  }
+});
+
+test("valid record", function() {
+  equals(rec.validate(), null, 'should return null');
+  equals(get(rec, 'errors'), null, 'errors');
+  equals(get(rec, 'isValid'), YES, 'isValid');
+});
+
+test("isRequired", function() {
+  set(rec, 'name', null);
+
+  var errors = rec.validate();
+  ok(errors && errors.name instanceof SC.StoreError, 'should return an error for name');
+  equals(errors.name.code, SC.StoreError.REQUIRED_VALUE, 'error code');
+  equals(errors.name.label, 'name', 'error label');
+  equals(get(rec, 'isValid'), NO, 'isValid');
+
+  set(rec, 'name', '');
+  equals(get(rec, 'errors').name.code, SC.StoreError.REQUIRED_VALUE, 'empty string should count as missing');
+});
+
+test("empty values skip all other rules", function() {
+  set(rec, 'age', null);
+  set(rec, 'email', '');
+  equals(rec.validate(), null, 'should be valid');
+});
+
+test("min and max", function() {
+  set(rec, 'age', -1);
+  equals(rec.validate().age.code, SC.StoreError.VALUE_TOO_SMALL, 'below min');
+
+  set(rec, 'age', 151);
+  equals(rec.validate().age.code, SC.StoreError.VALUE_TOO_LARGE, 'above max');
+
+  set(rec, 'age', 0);
+  equals(rec.validate(), null, 'min is inclusive');
+});
+
+test("minLength and maxLength", function() {
+  set(rec, 'name', 'J');
+  equals(rec.validate().name.code, SC.StoreError.INVALID_LENGTH, 'too short');
+
+  set(rec, 'name', 'Joe Johnson Jr.');
+  equals(rec.validate().name.code, SC.StoreError.INVALID_LENGTH, 'too long');
+});
+
+test("pattern", function() {
+  set(rec, 'email', 'joe');
+  var errors = rec.validate();
+  equals(errors.email.code, SC.StoreError.PATTERN_MISMATCH, 'error code');
+  equals(errors.email.errorValue, 'joe', 'error value should be the failing value');
+
+  set(rec, 'email', 'joe@example.com');
+  equals(rec.validate(), null, 'matching value');
+});
+
+test("custom validator", function() {
+  set(rec, 'nickname', 'Joe');
+  var errors = rec.validate();
+  equals(errors.nickname.code, SC.StoreError.INVALID_VALUE, 'error code');
+  equals(errors.nickname.message, 'Nickname should differ from name', 'error message');
+
+  set(rec, 'nickname', 'Joey');
+  equals(rec.validate(), null, 'valid value');
+});
+
+test("errors and isValid are observable", function() {
+  var observed = 0;
+  SC.addObserver(rec, 'isValid', function() { observed++; });
+  get(rec, 'isValid');
+
+  set(rec, 'age', 200);
+  equals(get(rec, 'isValid'), NO, 'should be invalid after change');
+  ok(observed > 0, 'should notify isValid observers');
+});
+
+test("async validator", function() {
+  set(rec, 'username', 'joe');
+  rec.validate();
+
+  equals(pendingChecks.length, 1, 'should start the async validator');
+  equals(pendingChecks[0].value, 'joe', 'should pass the value');
+  equals(get(rec, 'isValidating'), YES, 'isValidating while running');
+  equals(get(rec, 'isValid'), YES, 'should be valid until the validator finishes');
+
+  pendingChecks.shift().callback('Username is taken');
+
+  equals(get(rec, 'isValidating'), NO, 'isValidating after finishing');
+  equals(get(rec, 'isValid'), NO, 'isValid after finishing');
+  equals(get(rec, 'errors').username.message, 'Username is taken', 'error message');
+
+  set(rec, 'username', 'joe2');
+  equals(get(rec, 'isValid'), YES, 'async errors should not apply to changed values');
+});
+
+test("async validator only runs after other rules pass", function() {
+  set(rec, 'username', 'joe_johnson');
+  equals(rec.validate().username.code, SC.StoreError.INVALID_LENGTH, 'should fail the sync rule');
+  equals(pendingChecks.length, 0, 'should not start the async validator');
+});
+
+// ..........................................................
+// COMMITTING
+//
+
+module("SC.Store#commitRecords - validation", {
+  setup: function() {
+    SC.run.begin();
+
+    Contact = SC.Record.extend({
+      name: SC.Record.attr(String, { isRequired: YES })
+    });
+
+    store = SC.Store.create().from(SC.DataSource.create({
+      committed: null,
+      commitRecords: function(store, createStoreKeys, updateStoreKeys, destroyStoreKeys) {
+        this.committed = createStoreKeys.concat(updateStoreKeys);
+        return YES;
+      }
+    }));
+  },
+
+  teardown: function() {
+    SC.run.end();
+    store = Contact = null;
+  }
+});
+
+test("invalid records are not sent to the data source", function() {
+  var valid   = store.createRecord(Contact, { name: 'Joe' }),
+      invalid = store.createRecord(Contact, {}),
+      source  = store._getDataSource();
+
+  store.commitRecords();
+
+  same(source.committed, [get(valid, 'storeKey')], 'should only commit the valid record');
+  equals(get(valid, 'status'), SC.Record.BUSY_CREATING, 'valid record status');
+  equals(get(invalid, 'status'), SC.Record.READY_NEW, 'invalid record status');
+  ok(store.changelog.contains(get(invalid, 'storeKey')), 'invalid record should stay in the changelog');
+
+  set(invalid, 'name', 'Jane');
+  store.commitRecords();
+  same(source.committed, [get(invalid, 'storeKey')], 'should commit once fixed');
+});
@@ -0,0 +1,115 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test raises */
+
+var set = SC.set, get = SC.get;
+
+var store, ds, Contact, query;
+
+// builds data hashes for the passed range of a fake 1000 row result set
+function hashesFor(start, length) {
+  var ret = [], idx;
+  for (idx=start; idx<start+length; idx++) {
+    ret.push({ guid: 'c' + idx, name: 'Contact ' + idx });
+  }
+  return ret;
+}
+
+module("SC.RecordArray - incremental loading", {
+  setup: function() {
+    SC.run.begin();
+
+    Contact = SC.Record.extend({ name: SC.Record.attr(String) });
+    query = SC.Query.remote(Contact);
+
+    ds = SC.DataSource.create({
+      ranges: [],
+
+      fetch: function(store, query) {
+        store.loadQueryLength(query, 1000, 20);
+        return YES;
+      },
+
+      fetchRange: function(store, query, start, length) {
+        this.ranges.push([start, length]);
+        return YES;
+      },
+
+      respond: function() {
+        var range = this.ranges.shift(),
+            storeKeys = store.loadRecords(Contact, hashesFor(range[0], range[1]));
+        store.loadQueryRange(query, storeKeys, range[0]);
+      }
+    });
+
+    store = SC.Store.create().from(ds);
+  },
+
+  teardown: function() {
+    SC.run.end();
+    store = ds = Contact = query = null;
+  }
+});
+
+test("declared length", function() {
+  var recs = store.find(query);
+  equals(get(recs, 'status'), SC.Record.READY_CLEAN, 'status');
+  equals(get(recs, 'length'), 1000, 'length');
+  equals(ds.ranges.length, 0, 'should not fetch any results yet');
+});
+
+test("objectAt() of an unloaded index requests its range", function() {
+  var recs = store.find(query), rec;
+
+  equals(recs.objectAt(505), undefined, 'unloaded record');
+  same(ds.ranges, [[500, 20]], 'should fetch the window');
+
+  ds.respond();
+  rec = recs.objectAt(505);
+  ok(rec instanceof Contact, 'should return a record');
+  equals(get(rec, 'name'), 'Contact 505', 'record data');
+  equals(get(rec, 'status'), SC.Record.READY_CLEAN, 'record status');
+  equals(ds.ranges.length, 0, 'should not fetch loaded ranges again');
+
+  ok(get(recs, 'storeKeys').loadedIndexes.contains(500, 20), 'should track loaded range');
+});
+
+test("array observers are notified when ranges load", function() {
+  var recs = store.find(query),
+      observer = {
+        changes: [],
+        arrayWillChange: function() {},
+        arrayDidChange: function(array, start, removed, added) {
+          this.changes.push([start, removed, added]);
+        }
+      };
+
+  recs.addArrayObserver(observer);
+  recs.objectAt(0);
+  ds.respond();
+
+  same(observer.changes, [[0, 20, 20]], 'should notify loaded range');
+});
+
+test("refresh() starts over", function() {
+  var recs = store.find(query), storeKeys;
+
+  recs.objectAt(0);
+  ds.respond();
+  storeKeys = get(recs, 'storeKeys');
+
+  recs.refresh();
+  ok(get(recs, 'storeKeys') !== storeKeys, 'should replace storeKeys');
+  equals(recs.objectAt(0), undefined, 'should discard loaded results');
+  same(ds.ranges, [[0, 20]], 'should fetch again');
+});
+
+test("loadQueryRange() requires loadQueryLength()", function() {
+  var other = SC.Query.remote(Contact, { orderBy: 'name' });
+  raises(function() {
+    store.loadQueryRange(other, [], 0);
+  }, Error, 'should raise');
+});
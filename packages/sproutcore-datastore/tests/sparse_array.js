@@ -0,0 +1,127 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test */
+
+var set = SC.set, get = SC.get;
+
+var sparse, delegate;
+
+module("SC.SparseArray", {
+  setup: function() {
+    delegate = {
+      ranges: [],
+      lengthRequests: 0,
+
+      sparseArrayDidRequestRange: function(sparseArray, start, length) {
+        this.ranges.push([start, length]);
+      },
+
+      sparseArrayDidRequestLength: function(sparseArray) {
+        this.lengthRequests++;
+      }
+    };
+
+    sparse = SC.SparseArray.create({ delegate: delegate, rangeWindowSize: 10 });
+  },
+
+  teardown: function() {
+    sparse = delegate = null;
+  }
+});
+
+test("asks the delegate for the length once", function() {
+  equals(get(sparse, 'length'), 0, 'length before it is provided');
+  get(sparse, 'length');
+  equals(delegate.lengthRequests, 1, 'should request length once');
+
+  sparse.provideLength(25);
+  equals(get(sparse, 'length'), 25, 'provided length');
+});
+
+test("objectAt() requests the window around unloaded indexes", function() {
+  sparse.provideLength(25);
+
+  equals(sparse.objectAt(13), undefined, 'unloaded index');
+  same(delegate.ranges, [[10, 10]], 'should request the window containing the index');
+
+  sparse.objectAt(15);
+  equals(delegate.ranges.length, 1, 'should not request the same window twice');
+  ok(sparse.requestedIndexes.contains(10, 10), 'should track requested indexes');
+
+  sparse.objectAt(22);
+  same(delegate.ranges[1], [20, 5], 'last window should be clamped to the length');
+
+  equals(sparse.objectAt(30), undefined, 'index past length');
+  equals(delegate.ranges.length, 2, 'should not request indexes past length');
+});
+
+test("provideObjectsInRange() loads content", function() {
+  sparse.provideLength(25);
+  sparse.objectAt(13);
+  sparse.provideObjectsInRange(10, ['a', 'b', 'c']);
+
+  equals(sparse.objectAt(10), 'a', 'first provided object');
+  equals(sparse.objectAt(12), 'c', 'last provided object');
+  ok(sparse.isIndexLoaded(11), 'should mark indexes loaded');
+  ok(sparse.loadedIndexes.contains(10, 3), 'loadedIndexes');
+  ok(!sparse.requestedIndexes.contains(10), 'should clear requested indexes');
+});
+
+test("provideObjectsInRange() notifies array observers", function() {
+  var observer = {
+    changes: [],
+    arrayWillChange: function() {},
+    arrayDidChange: function(array, start, removed, added) {
+      this.changes.push([start, removed, added]);
+    }
+  };
+
+  sparse.provideLength(25);
+  sparse.addArrayObserver(observer);
+  sparse.provideObjectsInRange(5, ['a', 'b']);
+
+  same(observer.changes, [[5, 2, 2]], 'should notify the changed range');
+  equals(delegate.ranges.length, 0, 'notifying should not trigger requests');
+});
+
+test("provideLength() discards indexes past the new length", function() {
+  sparse.provideLength(25);
+  sparse.provideObjectsInRange(0, ['a', 'b', 'c']);
+  sparse.provideLength(2);
+
+  equals(get(sparse, 'length'), 2, 'length');
+  ok(!sparse.isIndexLoaded(2), 'should discard index past length');
+});
+
+test("indexOf() only searches loaded content", function() {
+  sparse.provideLength(25);
+  sparse.provideObjectsInRange(10, ['a', 'b']);
+
+  equals(sparse.indexOf('b'), 11, 'loaded object');
+  equals(sparse.indexOf('z'), -1, 'unknown object');
+  equals(delegate.ranges.length, 0, 'should not trigger requests');
+});
+
+test("replace() shifts loaded indexes", function() {
+  sparse.provideLength(25);
+  sparse.provideObjectsInRange(10, ['a', 'b']);
+  sparse.replace(0, 0, ['x']);
+
+  equals(get(sparse, 'length'), 26, 'length');
+  equals(sparse.objectAt(0), 'x', 'inserted object');
+  equals(sparse.objectAt(11), 'a', 'shifted object');
+  ok(!sparse.isIndexLoaded(10), 'old index should no longer be loaded');
+});
+
+test("reset() discards all content", function() {
+  sparse.provideLength(25);
+  sparse.provideObjectsInRange(0, ['a']);
+  sparse.reset();
+
+  ok(!sparse.isIndexLoaded(0), 'should discard content');
+  get(sparse, 'length');
+  equals(delegate.lengthRequests, 1, 'should request the length again');
+});
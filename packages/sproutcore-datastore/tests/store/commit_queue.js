@@ -0,0 +1,346 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test stop start CommitQueueTest */
+
+var set = SC.set, get = SC.get;
+
+var backend, source, store, queue;
+
+// Returns a store committing through a new commit queue.  Queues keep their
+// changes in `backend`, so a queue created later restores the changes that
+// earlier ones had not sent.
+function storeWithQueue() {
+  queue = SC.CommitQueue.create({
+    backend: backend,
+    recordTypes: ['CommitQueueTest.Contact'],
+    retryDelay: 10
+  });
+
+  return SC.Store.create({ commitQueue: queue }).from(source);
+}
+
+module("SC.CommitQueue", {
+  setup: function() {
+    window.CommitQueueTest = SC.Object.create({
+      Contact: SC.Record.extend({ name: SC.Record.attr(String, { isRequired: YES }) })
+    });
+
+    backend = SC.MemoryStorageBackend.create();
+
+    // Remembers what it was asked to commit; tests answer on its behalf.
+    source = SC.DataSource.create({
+      sent: [],
+
+      createRecord: function(store, storeKey) {
+        this.sent.push(['create', storeKey]);
+        return YES;
+      },
+
+      updateRecord: function(store, storeKey) {
+        this.sent.push(['update', storeKey]);
+        return YES;
+      },
+
+      destroyRecord: function(store, storeKey) {
+        this.sent.push(['destroy', storeKey]);
+        return YES;
+      }
+    });
+
+    store = storeWithQueue();
+  },
+
+  teardown: function() {
+    queue.destroy();
+    backend = source = store = queue = window.CommitQueueTest = null;
+  }
+});
+
+function loadContacts() {
+  SC.run(function() {
+    store.loadRecords(CommitQueueTest.Contact, [
+      { guid: 1, name: 'Ann' },
+      { guid: 2, name: 'Bob' }
+    ]);
+  });
+}
+
+test("sends committed changes one at a time, in order", function() {
+  var K = SC.Record, ann, bob, carl;
+
+  loadContacts();
+  ann = store.find(CommitQueueTest.Contact, 1);
+  bob = store.find(CommitQueueTest.Contact, 2);
+
+  set(ann, 'name', 'Anne');
+  bob.destroy();
+  carl = store.createRecord(CommitQueueTest.Contact, { name: 'Carl' });
+  store.commitRecords();
+
+  equals(get(queue, 'pendingChangesCount'), 3, 'all changes are pending');
+  same(source.sent, [['update', get(ann, 'storeKey')]], 'only the first change is sent');
+  equals(get(ann, 'status'), K.BUSY_COMMITTING, 'the sent record is busy');
+  equals(get(bob, 'status'), K.DESTROYED_DIRTY, 'the queued records keep their status');
+
+  SC.run(function() { store.dataSourceDidComplete(get(ann, 'storeKey')); });
+
+  equals(get(queue, 'pendingChangesCount'), 2, 'the completed change is removed');
+  same(source.sent[1], ['destroy', get(bob, 'storeKey')], 'the next change is sent');
+
+  SC.run(function() { store.dataSourceDidDestroy(get(bob, 'storeKey')); });
+  same(source.sent[2], ['create', get(carl, 'storeKey')], 'the last change is sent');
+
+  SC.run(function() { store.dataSourceDidComplete(get(carl, 'storeKey'), null, 3); });
+  equals(get(queue, 'pendingChangesCount'), 0, 'no changes are pending');
+  equals(get(carl, 'status'), K.READY_CLEAN, 'the created record is clean');
+});
+
+test("the store has an observable count of pending changes", function() {
+  var counts = [];
+
+  SC.addObserver(store, 'pendingChangesCount', function() {
+    counts.push(get(store, 'pendingChangesCount'));
+  });
+
+  loadContacts();
+  equals(get(store, 'pendingChangesCount'), 0, 'no changes are pending');
+
+  set(store.find(CommitQueueTest.Contact, 1), 'name', 'Anne');
+  set(store.find(CommitQueueTest.Contact, 2), 'name', 'Bobby');
+  store.commitRecords();
+  equals(get(store, 'pendingChangesCount'), 2, 'follows the commit queue');
+
+  SC.run(function() { store.dataSourceDidComplete(source.sent[0][1]); });
+  equals(get(store, 'pendingChangesCount'), 1, 'completed changes are no longer pending');
+  ok(counts.length > 0 && counts[counts.length - 1] === 1, 'observers are notified');
+
+  equals(get(SC.Store.create(), 'pendingChangesCount'), 0, 'stores without a commit queue have no pending changes');
+});
+
+test("calls the callbacks passed to commitRecord() once the change is sent", function() {
+  var calls = [], ann, bob;
+
+  loadContacts();
+  ann = store.find(CommitQueueTest.Contact, 1);
+  bob = store.find(CommitQueueTest.Contact, 2);
+
+  set(ann, 'name', 'Anne');
+  set(bob, 'name', 'Bobby');
+  ann.commitRecord(null, YES, function() { calls.push('ann'); });
+  store.commitRecord(undefined, undefined, get(bob, 'storeKey'), null, function() { calls.push('bob'); });
+
+  same(calls, [], 'no callback is called before the changes complete');
+
+  SC.run(function() { store.dataSourceDidComplete(get(ann, 'storeKey')); });
+  same(calls, ['ann'], 'the callback is called when the change completes');
+
+  SC.run(function() { store.dataSourceDidComplete(get(bob, 'storeKey')); });
+  same(calls, ['ann', 'bob'], 'each callback is called once');
+});
+
+test("committing a queued record again does not send it twice", function() {
+  var ann, bob;
+
+  loadContacts();
+  ann = store.find(CommitQueueTest.Contact, 1);
+  bob = store.find(CommitQueueTest.Contact, 2);
+
+  set(ann, 'name', 'Anne');
+  set(bob, 'name', 'Bobby');
+  store.commitRecords();
+
+  set(bob, 'name', 'Robert');
+  store.commitRecords();
+
+  equals(get(queue, 'pendingChangesCount'), 2, 'the second commit updates the queued change');
+
+  SC.run(function() { store.dataSourceDidComplete(get(ann, 'storeKey')); });
+  SC.run(function() { store.dataSourceDidComplete(get(bob, 'storeKey')); });
+
+  equals(source.sent.length, 2, 'each record was sent once');
+  equals(store.readDataHash(get(bob, 'storeKey')).name, 'Robert', 'the latest data was sent');
+});
+
+test("retries a change after a transient error, and keeps later changes waiting", function() {
+  var K = SC.Record, ann, bob, storeKey;
+
+  loadContacts();
+  ann = store.find(CommitQueueTest.Contact, 1);
+  bob = store.find(CommitQueueTest.Contact, 2);
+  storeKey = get(ann, 'storeKey');
+
+  set(ann, 'name', 'Anne');
+  set(bob, 'name', 'Bobby');
+  store.commitRecords();
+
+  SC.run(function() {
+    store.dataSourceDidError(storeKey, SC.StoreError.create({ code: 503 }));
+  });
+
+  equals(get(ann, 'status'), K.READY_DIRTY, 'the record returns to its previous status');
+  equals(get(queue, 'pendingChangesCount'), 2, 'the change stays queued');
+  equals(source.sent.length, 1, 'later changes are not sent');
+
+  stop();
+  setTimeout(function() {
+    SC.run(function() {
+      same(source.sent[1], ['update', storeKey], 'the change is sent again after the retry delay');
+      equals(get(ann, 'status'), K.BUSY_COMMITTING, 'the record is busy again');
+
+      store.dataSourceDidComplete(storeKey);
+    });
+
+    same(source.sent[2], ['update', get(bob, 'storeKey')], 'later changes are sent once it completes');
+    start();
+  }, 50);
+});
+
+test("backs off after repeated transient errors", function() {
+  var delays = [], later = SC.run.later;
+
+  set(queue, 'maxRetryDelay', 30);
+
+  SC.run.later = function(target, method, wait) {
+    delays.push(wait);
+    return later.apply(this, arguments);
+  };
+
+  try {
+    loadContacts();
+    set(store.find(CommitQueueTest.Contact, 1), 'name', 'Anne');
+    store.commitRecords();
+
+    [0, 1, 2].forEach(function() {
+      var storeKey = source.sent[source.sent.length - 1][1];
+      SC.run(function() { store.dataSourceDidError(storeKey, SC.StoreError.create({ code: 0 })); });
+      SC.run(function() { queue._sccq_retry(); });
+    });
+  } finally {
+    SC.run.later = later;
+  }
+
+  same(delays, [10, 20, 30], 'the delay doubles, up to maxRetryDelay');
+});
+
+test("drops a change after a permanent error", function() {
+  var K = SC.Record, ann;
+
+  loadContacts();
+  ann = store.find(CommitQueueTest.Contact, 1);
+  set(ann, 'name', 'Anne');
+  store.commitRecords();
+
+  SC.run(function() {
+    store.dataSourceDidError(get(ann, 'storeKey'), SC.StoreError.create({ code: 422 }));
+  });
+
+  equals(get(ann, 'status'), K.ERROR, 'the record is in the error state');
+  equals(get(queue, 'pendingChangesCount'), 0, 'the change is removed');
+});
+
+test("calls commitDidConflict() on conflicts", function() {
+  var K = SC.Record, calls = [], ann, storeKey;
+
+  queue.commitDidConflict = function(store, storeKey, error) {
+    calls.push([storeKey, get(error, 'code')]);
+    return calls.length === 1;
+  };
+
+  loadContacts();
+  ann = store.find(CommitQueueTest.Contact, 1);
+  storeKey = get(ann, 'storeKey');
+  set(ann, 'name', 'Anne');
+  store.commitRecords();
+
+  SC.run(function() { store.dataSourceDidError(storeKey, SC.StoreError.create({ code: 409 })); });
+
+  same(calls, [[storeKey, 409]], 'commitDidConflict() was called with the error');
+  equals(source.sent.length, 2, 'the change is sent again when commitDidConflict() returns YES');
+
+  SC.run(function() { store.dataSourceDidError(storeKey, SC.StoreError.create({ code: 412 })); });
+
+  equals(get(ann, 'status'), K.ERROR, 'the record is in the error state when it returns NO');
+  equals(get(queue, 'pendingChangesCount'), 0, 'the change is removed');
+});
+
+test("waits until it is online to send changes", function() {
+  var ann;
+
+  set(queue, 'isOnline', NO);
+
+  loadContacts();
+  ann = store.find(CommitQueueTest.Contact, 1);
+  set(ann, 'name', 'Anne');
+  store.commitRecords();
+
+  equals(source.sent.length, 0, 'nothing is sent while offline');
+  equals(get(queue, 'pendingChangesCount'), 1, 'the change is pending');
+
+  SC.run(function() { set(queue, 'isOnline', YES); });
+  same(source.sent, [['update', get(ann, 'storeKey')]], 'the change is sent when back online');
+});
+
+test("does not wait for records that became invalid while queued", function() {
+  var K = SC.Record, ann, bob;
+
+  set(queue, 'isOnline', NO);
+
+  loadContacts();
+  ann = store.find(CommitQueueTest.Contact, 1);
+  bob = store.find(CommitQueueTest.Contact, 2);
+
+  set(ann, 'name', 'Anne');
+  set(bob, 'name', 'Bobby');
+  store.commitRecords();
+  set(ann, 'name', null);
+
+  SC.run(function() { set(queue, 'isOnline', YES); });
+
+  same(source.sent, [['update', get(bob, 'storeKey')]], 'the next change is sent');
+  equals(get(ann, 'status'), K.READY_DIRTY, 'the invalid record stays dirty');
+  equals(get(queue, 'pendingChangesCount'), 1, 'the invalid record is removed from the queue');
+
+  SC.run(function() { store.dataSourceDidComplete(get(bob, 'storeKey')); });
+  equals(get(queue, 'pendingChangesCount'), 0, 'no changes are pending');
+
+  set(ann, 'name', 'Anne');
+  store.commitRecords();
+  same(source.sent[1], ['update', get(ann, 'storeKey')], 'the record is sent once it is valid and committed again');
+});
+
+test("restores pending changes into a new store", function() {
+  var K = SC.Record, ann, carl, newStore;
+
+  set(queue, 'isOnline', NO);
+
+  loadContacts();
+  ann = store.find(CommitQueueTest.Contact, 1);
+  set(ann, 'name', 'Anne');
+  store.find(CommitQueueTest.Contact, 2).destroy();
+  carl = store.createRecord(CommitQueueTest.Contact, { name: 'Carl' });
+  store.commitRecords();
+
+  source.sent = [];
+  queue.destroy();
+
+  // a new store, as if the page was reloaded
+  newStore = storeWithQueue();
+
+  equals(get(queue, 'pendingChangesCount'), 3, 'the pending changes are restored');
+
+  ann = newStore.find(CommitQueueTest.Contact, 1);
+  equals(get(ann, 'name'), 'Anne', 'the updated record has its changes');
+  equals(get(ann, 'status'), K.BUSY_COMMITTING, 'the first change is sent');
+  equals(newStore.peekStatus(CommitQueueTest.Contact.storeKeyFor(2)), K.DESTROYED_DIRTY, 'the destroyed record is destroyed');
+  same(source.sent.map(function(sent) { return sent[0]; }), ['update'], 'changes are sent in order');
+
+  SC.run(function() { newStore.dataSourceDidComplete(get(ann, 'storeKey')); });
+  SC.run(function() { newStore.dataSourceDidDestroy(CommitQueueTest.Contact.storeKeyFor(2)); });
+
+  carl = newStore.materializeRecord(source.sent[2][1]);
+  same(source.sent.map(function(sent) { return sent[0]; }), ['update', 'destroy', 'create'], 'changes are sent in order');
+  equals(get(carl, 'name'), 'Carl', 'the new record is restored');
+});
@@ -0,0 +1,154 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test */
+
+var set = SC.set, get = SC.get;
+
+var store, Person;
+
+module("SC.Store#indexedStoreKeysFor", {
+  setup: function() {
+    Person = SC.Record.extend({
+      name: SC.Record.attr(String, { indexed: YES }),
+      age: SC.Record.attr(Number, { indexed: YES, key: 'years' }),
+      city: SC.Record.attr(String)
+    });
+
+    store = SC.Store.create();
+
+    SC.run(function() {
+      store.loadRecords(Person, [
+        { guid: 1, name: 'Ann', years: 31, city: 'Oslo' },
+        { guid: 2, name: 'Bob', years: 17, city: 'Rome' },
+        { guid: 3, name: 'Bea', years: 45, city: 'Oslo' },
+        { guid: 4, name: 'Cid', years: 17, city: 'Rome' }
+      ]);
+    });
+  },
+
+  teardown: function() {
+    store = Person = null;
+  }
+});
+
+function idsFor(storeKeys) {
+  var ret = [];
+  storeKeys.forEach(function(storeKey) { ret.push(store.idFor(storeKey)); });
+  return ret.sort();
+}
+
+function indexedIds(conditions, parameters) {
+  var storeKeys = store.indexedStoreKeysFor(SC.Query.local(Person, conditions, parameters));
+  return storeKeys ? idsFor(storeKeys) : null;
+}
+
+test("looks up conditions on indexed attributes", function() {
+  same(indexedIds("name = 'Bob'"), [2], 'equality');
+  same(indexedIds("age = 17"), [2, 4], 'equality on an attribute with a key');
+  same(indexedIds("age < 31"), [2, 4], 'less than');
+  same(indexedIds("age <= 31"), [1, 2, 4], 'less than or equal');
+  same(indexedIds("age > 31"), [3], 'greater than');
+  same(indexedIds("age >= 31"), [1, 3], 'greater than or equal');
+  same(indexedIds("name BEGINS_WITH 'B'"), [2, 3], 'begins with');
+  same(indexedIds("name = 'Zed'"), [], 'no matching value');
+});
+
+test("uses conditions with parameters and reversed conditions", function() {
+  same(indexedIds("age >= {min}", { min: 31 }), [1, 3], 'named parameter');
+  same(indexedIds("name = %@", ['Ann']), [1], 'positional parameter');
+  same(indexedIds("31 > age"), [2, 4], 'value on the left side');
+});
+
+test("uses the first indexed condition of an AND", function() {
+  same(indexedIds("city = 'Oslo' AND age > 20"), [1, 3], 'skips conditions on attributes that are not indexed');
+  same(indexedIds("name BEGINS_WITH 'B' AND age < 20"), [2, 3], 'other conditions are left to the query');
+});
+
+test("returns null when no index can be used", function() {
+  equals(indexedIds("city = 'Oslo'"), null, 'attribute is not indexed');
+  equals(indexedIds("name = 'Ann' OR age = 17"), null, 'OR conditions');
+  equals(indexedIds("NOT name = 'Ann'"), null, 'NOT conditions');
+  equals(indexedIds("name = null"), null, 'null values');
+  equals(indexedIds(""), null, 'no conditions');
+  equals(store.indexedStoreKeysFor(SC.Query.local([Person, SC.Record.extend()], "name = 'Ann'")), null,
+    'the attribute is not indexed in every record type');
+});
+
+test("indexes are updated as data hashes change", function() {
+  same(indexedIds("age = 17"), [2, 4], 'precond - the index is created');
+
+  SC.run(function() { set(store.find(Person, 1), 'age', 17); });
+  same(indexedIds("age = 17"), [1, 2, 4], 'changed record');
+
+  SC.run(function() { store.createRecord(Person, { guid: 5, name: 'Dee', years: 17 }); });
+  same(indexedIds("age = 17"), [1, 2, 4, 5], 'created record');
+
+  SC.run(function() { store.loadRecord(Person, { guid: 2, name: 'Bob', years: 18 }); });
+  same(indexedIds("age = 17"), [1, 4, 5], 'loaded record');
+
+  SC.run(function() { store.unloadRecord(Person, 4); });
+  same(indexedIds("age = 17"), [1, 5], 'unloaded record');
+
+  SC.run(function() { store.reset(); });
+  same(indexedIds("age = 17"), [], 'reset store');
+});
+
+test("changes committed from nested stores are indexed", function() {
+  same(indexedIds("name = 'Eve'"), [], 'precond - no match');
+
+  var nested = store.chain();
+  SC.run(function() {
+    set(nested.find(Person, 3), 'name', 'Eve');
+    nested.commitChanges();
+  });
+  same(indexedIds("name = 'Eve'"), [3], 'the committed change is indexed');
+  equals(nested.indexedStoreKeysFor(SC.Query.local(Person, "name = 'Eve'")), null, 'nested stores do not use indexes');
+});
+
+test("record arrays of indexed queries", function() {
+  var recs = store.find(SC.Query.local(Person, { conditions: "age < 40 AND city = 'Rome'", orderBy: 'name' }));
+  same(recs.getEach('name'), ['Bob', 'Cid'], 'finds the matching records');
+
+  SC.run(function() { store.createRecord(Person, { guid: 5, name: 'Ada', years: 20, city: 'Rome' }); });
+  same(recs.getEach('name'), ['Ada', 'Bob', 'Cid'], 'new records are added');
+
+  SC.run(function() { set(store.find(Person, 4), 'age', 50); });
+  same(recs.getEach('name'), ['Ada', 'Bob'], 'changed records are removed');
+
+  SC.run(function() { store.find(Person, 2).destroy(); });
+  same(recs.getEach('name'), ['Ada'], 'destroyed records are removed');
+
+  recs = store.find(SC.Query.local(Person, { conditions: "age < 40 AND city = 'Rome'", orderBy: 'name', limit: 1, offset: 0 }));
+  same(recs.getEach('name'), ['Ada'], 'paged queries use the updated index');
+});
+
+test("indexes the values records return", function() {
+  var Ticket = SC.Record.extend({
+    state: SC.Record.attr(String, { indexed: YES, defaultValue: 'open' }),
+    priority: SC.Record.attr(Number, { indexed: YES }),
+    owner: SC.Record.attr(String, { indexed: YES, defaultValue: function() { return 'nobody'; } }),
+    dueAt: SC.Record.attr(Date, { indexed: YES })
+  });
+
+  SC.run(function() {
+    store.loadRecords(Ticket, [
+      { guid: 't1', state: 'open', priority: '2' },
+      { guid: 't2', priority: 2 },
+      { guid: 't3', state: 'closed', priority: 1 }
+    ]);
+  });
+
+  function ids(conditions) {
+    var storeKeys = store.indexedStoreKeysFor(SC.Query.local(Ticket, conditions));
+    return storeKeys ? idsFor(storeKeys) : null;
+  }
+
+  same(ids("state = 'open'"), ['t1', 't2'], 'applies the default value');
+  same(ids("priority = 2"), ['t1', 't2'], 'applies the transform');
+  equals(ids("owner = 'nobody'"), null, 'does not index attributes with a default value function');
+  equals(ids("dueAt > 0"), null, 'does not index attributes of other types');
+  equals(get(store.find(SC.Query.local(Ticket, "state = 'open'")), 'length'), 2, 'finds the same records as without an index');
+});
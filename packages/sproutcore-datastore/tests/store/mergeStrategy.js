@@ -0,0 +1,194 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test */
+
+var set = SC.set, get = SC.get;
+
+var store, Contact, contact, storeKey;
+
+module("SC.Store#mergeStrategy", {
+  setup: function() {
+    Contact = SC.Record.extend({
+      versionKey: 'rev',
+      name: SC.Record.attr(String),
+      email: SC.Record.attr(String)
+    });
+
+    store = SC.Store.create();
+
+    SC.run(function() {
+      storeKey = store.loadRecord(Contact, { guid: 1, rev: 1, name: 'Ann', email: 'ann@example.com' });
+      contact = store.materializeRecord(storeKey);
+      set(contact, 'name', 'Anne');
+    });
+  },
+
+  teardown: function() {
+    store = Contact = contact = null;
+  }
+});
+
+test("without a strategy, data pushed for dirty records is ignored", function() {
+  var ret = store.pushRetrieve(Contact, 1, { guid: 1, rev: 2, name: 'Ann', email: 'ann@example.org' });
+
+  equals(ret, NO, 'pushRetrieve() should fail');
+  equals(get(contact, 'email'), 'ann@example.com', 'the record should keep its data');
+});
+
+test("remembers the data hash local changes were made to", function() {
+  same(store.readOriginalDataHash(storeKey), { guid: 1, rev: 1, name: 'Ann', email: 'ann@example.com' });
+
+  SC.run(function() {
+    store.writeStatus(storeKey, SC.Record.BUSY_COMMITTING);
+    store.dataSourceDidComplete(storeKey);
+  });
+  equals(store.readOriginalDataHash(storeKey), store.readDataHash(storeKey), 'clean records have no separate original');
+});
+
+test("keeps the local changes when the server's data has the same version", function() {
+  set(store, 'mergeStrategy', SC.Store.SERVER_WINS);
+
+  store.pushRetrieve(Contact, 1, { guid: 1, rev: 1, name: 'Ann', email: 'ann@example.com' });
+
+  equals(get(contact, 'name'), 'Anne', 'the local change is kept');
+  equals(get(contact, 'status'), SC.Record.READY_DIRTY, 'the record is still dirty');
+});
+
+test("SC.Store.CLIENT_WINS keeps the local changes for the server's version", function() {
+  set(store, 'mergeStrategy', SC.Store.CLIENT_WINS);
+
+  SC.run(function() {
+    store.pushRetrieve(Contact, 1, { guid: 1, rev: 2, name: 'Ann', email: 'ann@example.org' });
+  });
+
+  same(store.readDataHash(storeKey), { guid: 1, rev: 2, name: 'Anne', email: 'ann@example.com' });
+  equals(get(contact, 'status'), SC.Record.READY_DIRTY, 'the record is dirty');
+  equals(store.readOriginalDataHash(storeKey).email, 'ann@example.org', 'later changes are made to the server data');
+  ok(store.changelog.contains(storeKey), 'the record will be committed');
+});
+
+test("SC.Store.SERVER_WINS takes the server's data", function() {
+  set(store, 'mergeStrategy', SC.Store.SERVER_WINS);
+
+  SC.run(function() {
+    store.pushRetrieve(Contact, 1, { guid: 1, rev: 2, name: 'Ann', email: 'ann@example.org' });
+  });
+
+  equals(get(contact, 'name'), 'Ann', 'the local change is discarded');
+  equals(get(contact, 'email'), 'ann@example.org', 'the server change is taken');
+  equals(get(contact, 'status'), SC.Record.READY_CLEAN, 'the record is clean');
+  ok(!store.changelog.contains(storeKey), 'the record will not be committed');
+});
+
+test("SC.Store.THREE_WAY_MERGE merges changes to different attributes", function() {
+  set(store, 'mergeStrategy', SC.Store.THREE_WAY_MERGE);
+
+  SC.run(function() {
+    store.pushRetrieve(Contact, 1, { guid: 1, rev: 2, name: 'Ann', email: 'ann@example.org' });
+  });
+
+  same(store.readDataHash(storeKey), { guid: 1, rev: 2, name: 'Anne', email: 'ann@example.org' });
+  equals(get(contact, 'status'), SC.Record.READY_DIRTY, 'the record is dirty');
+});
+
+test("SC.Store.THREE_WAY_MERGE puts records in conflict when both changed an attribute", function() {
+  set(store, 'mergeStrategy', SC.Store.THREE_WAY_MERGE);
+
+  SC.run(function() {
+    store.pushRetrieve(Contact, 1, { guid: 1, rev: 2, name: 'Annie', email: 'ann@example.com' });
+  });
+
+  equals(get(contact, 'status'), SC.Record.CONFLICT, 'the record is in conflict');
+  ok(get(contact, 'status') & SC.Record.READY, 'the record can still be used');
+  equals(get(contact, 'name'), 'Anne', 'the record keeps its local changes');
+  equals(store.readConflictingDataHash(storeKey).name, 'Annie', 'the server data can be read');
+
+  set(contact, 'email', 'anne@example.com');
+  equals(get(contact, 'status'), SC.Record.CONFLICT, 'editing the record does not resolve the conflict');
+
+  store.commitRecords();
+  ok(store.changelog.contains(storeKey), 'the record is not committed');
+  equals(get(contact, 'status'), SC.Record.CONFLICT, 'the record is still in conflict');
+
+  SC.run(function() { store.resolveConflict(storeKey); });
+
+  same(store.readDataHash(storeKey), { guid: 1, rev: 2, name: 'Anne', email: 'anne@example.com' }, 'the local changes are kept for the server version');
+  equals(get(contact, 'status'), SC.Record.READY_DIRTY, 'the record is dirty');
+  equals(store.readConflictingDataHash(storeKey), null, 'the server data is forgotten');
+});
+
+test("resolveConflict() can replace the local data hash", function() {
+  set(store, 'mergeStrategy', SC.Store.THREE_WAY_MERGE);
+
+  SC.run(function() {
+    store.pushRetrieve(Contact, 1, { guid: 1, rev: 2, name: 'Annie', email: 'ann@example.com' });
+    store.resolveConflict(storeKey, { guid: 1, name: 'Annie', email: 'ann@example.com' });
+  });
+
+  equals(get(contact, 'status'), SC.Record.READY_CLEAN, 'the record is clean when the resolved data is the server data');
+});
+
+test("merges refreshed dirty records when they complete", function() {
+  set(store, 'mergeStrategy', SC.Store.THREE_WAY_MERGE);
+
+  SC.run(function() {
+    store.writeStatus(storeKey, SC.Record.BUSY_REFRESH_DIRTY);
+    store.dataSourceDidComplete(storeKey, { guid: 1, rev: 2, name: 'Ann', email: 'ann@example.org' });
+  });
+
+  equals(get(contact, 'name'), 'Anne', 'the local change is kept');
+  equals(get(contact, 'email'), 'ann@example.org', 'the server change is taken');
+  equals(get(contact, 'status'), SC.Record.READY_DIRTY, 'the record is dirty');
+});
+
+test("uses custom strategies", function() {
+  var args;
+
+  set(store, 'mergeStrategy', function(store, storeKey, original, local, remote) {
+    args = [original.name, local.name, remote.name];
+    return SC.mixin(SC.copy(remote), { name: local.name + ' & ' + remote.name });
+  });
+
+  SC.run(function() {
+    store.pushRetrieve(Contact, 1, { guid: 1, rev: 2, name: 'Annie', email: 'ann@example.com' });
+  });
+
+  same(args, ['Ann', 'Anne', 'Annie'], 'the strategy gets the original, local and server data');
+  equals(get(contact, 'name'), 'Anne & Annie', 'the record has the merged data');
+});
+
+test("without a versionKey, any different data is newer", function() {
+  var Note = SC.Record.extend(), noteKey, note;
+
+  set(store, 'mergeStrategy', SC.Store.SERVER_WINS);
+
+  SC.run(function() {
+    noteKey = store.loadRecord(Note, { guid: 1, text: 'a' });
+    note = store.materializeRecord(noteKey);
+    set(note, 'text', 'b');
+  });
+
+  store.pushRetrieve(Note, 1, { guid: 1, text: 'a' });
+  equals(get(note, 'text'), 'b', 'the same data does not replace the local changes');
+
+  store.pushRetrieve(Note, 1, { guid: 1, text: 'c' });
+  equals(get(note, 'text'), 'c', 'different data is merged');
+});
+
+test("nested store changes remember the parent's data hash", function() {
+  var nested, nestedContact;
+
+  SC.run(function() {
+    storeKey = store.loadRecord(Contact, { guid: 2, rev: 1, name: 'Bob' });
+    nested = store.chain();
+    nestedContact = nested.materializeRecord(storeKey);
+    set(nestedContact, 'name', 'Bobby');
+    nested.commitChanges();
+  });
+
+  equals(store.readDataHash(storeKey).name, 'Bobby', 'the change is in the parent store');
+  equals(store.readOriginalDataHash(storeKey).name, 'Bob', 'the original is the parent store data');
+});
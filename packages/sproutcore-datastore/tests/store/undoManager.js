@@ -0,0 +1,180 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test */
+
+var set = SC.set, get = SC.get;
+
+var store, undoManager, Contact, storeKey, contact;
+
+function setupStore(storeFor) {
+  Contact = SC.Record.extend({ name: SC.Record.attr(String) });
+  undoManager = SC.UndoManager.create();
+
+  store = SC.Store.create();
+  SC.run(function() {
+    storeKey = store.loadRecord(Contact, { guid: 1, name: 'Ann' });
+  });
+
+  store = storeFor(store);
+  contact = store.materializeRecord(storeKey);
+}
+
+function tests(name) {
+  test(name + ": does not record loaded data", function() {
+    equals(get(undoManager, 'canUndo'), NO, 'nothing can be undone');
+  });
+
+  test(name + ": undoes and redoes changes to records", function() {
+    SC.run(function() { set(contact, 'name', 'Anne'); });
+    equals(get(undoManager, 'canUndo'), YES, 'the change can be undone');
+
+    undoManager.undo();
+    equals(get(contact, 'name'), 'Ann', 'the change is undone');
+    equals(get(contact, 'status'), SC.Record.READY_CLEAN, 'the record is clean again');
+    ok(!store.changelog || !store.changelog.contains(storeKey), 'the record is not in the changelog');
+    equals(get(undoManager, 'canUndo'), NO, 'nothing else can be undone');
+    equals(get(undoManager, 'canRedo'), YES, 'the change can be redone');
+
+    undoManager.redo();
+    equals(get(contact, 'name'), 'Anne', 'the change is redone');
+    equals(get(contact, 'status'), SC.Record.READY_DIRTY, 'the record is dirty again');
+    ok(store.changelog.contains(storeKey), 'the record is in the changelog');
+    equals(get(undoManager, 'canRedo'), NO, 'nothing else can be redone');
+  });
+
+  test(name + ": groups the changes made in a run loop", function() {
+    SC.run(function() {
+      set(contact, 'name', 'Anne');
+      set(contact, 'name', 'Annie');
+    });
+    SC.run(function() { set(contact, 'name', 'Anna'); });
+
+    undoManager.undo();
+    equals(get(contact, 'name'), 'Annie', 'the last run loop is undone');
+
+    undoManager.undo();
+    equals(get(contact, 'name'), 'Ann', 'the first run loop is undone at once');
+  });
+
+  test(name + ": groups changes between beginUndoGroup() and endUndoGroup()", function() {
+    undoManager.beginUndoGroup();
+    SC.run(function() { set(contact, 'name', 'Anne'); });
+    undoManager.beginUndoGroup();
+    SC.run(function() { set(contact, 'name', 'Annie'); });
+    undoManager.endUndoGroup();
+    equals(get(undoManager, 'canUndo'), NO, 'nested groups are not closed by themselves');
+    undoManager.endUndoGroup();
+
+    undoManager.undo();
+    equals(get(contact, 'name'), 'Ann', 'all changes are undone at once');
+  });
+
+  test(name + ": undoes creating and destroying records", function() {
+    var newContact;
+
+    SC.run(function() { newContact = store.createRecord(Contact, { guid: 2, name: 'Bob' }); });
+    SC.run(function() { contact.destroy(); });
+
+    undoManager.undo();
+    equals(get(contact, 'status'), SC.Record.READY_CLEAN, 'the destroyed record is back');
+    equals(get(contact, 'name'), 'Ann', 'the destroyed record has its data');
+
+    undoManager.undo();
+    equals(get(newContact, 'status'), SC.Record.EMPTY, 'the created record is gone');
+
+    undoManager.redo();
+    equals(get(newContact, 'status'), SC.Record.READY_NEW, 'the created record is back');
+    equals(get(newContact, 'name'), 'Bob', 'the created record has its data');
+
+    SC.run(function() { newContact.destroy(); });
+    equals(get(newContact, 'status'), SC.Record.DESTROYED_CLEAN, 'destroying the new record');
+
+    undoManager.undo();
+    equals(get(newContact, 'status'), SC.Record.READY_NEW, 'destroying a new record can be undone');
+  });
+
+  test(name + ": records data hashes written to the store", function() {
+    SC.run(function() {
+      store.writeDataHash(storeKey, { guid: 1, name: 'Anne' }, SC.Record.READY_DIRTY);
+      store.dataHashDidChange(storeKey);
+    });
+
+    undoManager.undo();
+    equals(get(contact, 'name'), 'Ann', 'the written data hash is undone');
+  });
+
+  test(name + ": a new change clears the redo stack", function() {
+    SC.run(function() { set(contact, 'name', 'Anne'); });
+    undoManager.undo();
+    SC.run(function() { set(contact, 'name', 'Annie'); });
+
+    equals(get(undoManager, 'canRedo'), NO, 'the undone change can not be redone');
+  });
+}
+
+module("SC.UndoManager in SC.Store", {
+  setup: function() {
+    setupStore(function(store) {
+      set(store, 'undoManager', undoManager);
+      return store;
+    });
+  }
+});
+
+tests("SC.Store");
+
+test("SC.Store: does not undo committed changes", function() {
+  SC.run(function() { set(contact, 'name', 'Anne'); });
+  SC.run(function() {
+    store.writeStatus(storeKey, SC.Record.BUSY_COMMITTING);
+    store.dataSourceDidComplete(storeKey);
+  });
+
+  undoManager.undo();
+  equals(get(contact, 'name'), 'Anne', 'the committed record is not changed');
+  equals(get(contact, 'status'), SC.Record.READY_CLEAN, 'the committed record is clean');
+});
+
+test("SC.Store: redone changes are merged with server changes", function() {
+  set(store, 'mergeStrategy', SC.Store.THREE_WAY_MERGE);
+
+  SC.run(function() { set(contact, 'name', 'Anne'); });
+  undoManager.undo();
+  undoManager.redo();
+
+  same(store.readOriginalDataHash(storeKey), { guid: 1, name: 'Ann' }, 'the original data hash is restored');
+
+  SC.run(function() { store.pushRetrieve(Contact, 1, { guid: 1, name: 'Ann' }); });
+  equals(get(contact, 'name'), 'Anne', 'the redone change is kept');
+  equals(get(contact, 'status'), SC.Record.READY_DIRTY, 'the record is still dirty');
+});
+
+module("SC.UndoManager in SC.NestedStore", {
+  setup: function() {
+    setupStore(function(store) {
+      return store.chain({ undoManager: undoManager });
+    });
+  }
+});
+
+tests("SC.NestedStore");
+
+test("SC.NestedStore: undo does not change the parent store", function() {
+  var parent = get(store, 'parentStore');
+
+  SC.run(function() { set(contact, 'name', 'Anne'); });
+  undoManager.undo();
+
+  equals(parent.readDataHash(storeKey).name, 'Ann', 'the parent store has its data');
+  equals(get(store, 'hasChanges'), YES, 'the nested store tracks the undone change');
+});
+
+test("SC.NestedStore: committing the changes clears the undo stack", function() {
+  SC.run(function() { set(contact, 'name', 'Anne'); });
+  SC.run(function() { store.commitChanges(); });
+
+  equals(get(undoManager, 'canUndo'), NO, 'nothing can be undone');
+});
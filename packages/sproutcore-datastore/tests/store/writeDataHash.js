@@ -125,3 +125,17 @@ test("change should not propogate to child if child edit state = EDITABLE", func
 
 
 
+
+// ..........................................................
+// ORIGINAL DATA HASHES
+//
+
+test("writing a dirty status over a clean record remembers its data hash", function() {
+  store.writeDataHash(storeKey, json, SC.Record.READY_CLEAN);
+  store.writeDataHash(storeKey, { foo: "bar" }, SC.Record.READY_DIRTY);
+
+  same(store.readOriginalDataHash(storeKey), json, 'the original data hash is the clean data hash');
+
+  store.writeDataHash(storeKey, { foo: "baz" }, SC.Record.READY_DIRTY);
+  same(store.readOriginalDataHash(storeKey), json, 'later changes keep the original data hash');
+});
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+// Precompiles SC.Handlebars templates into a script that registers them in
+// SC.TEMPLATES, so that they don't need to be parsed when the application
+// runs.
+//
+//     node precompile.js [-o templates.js] templates/*.handlebars
+//
+// Each template is named after its file, without the extension, just like
+// the data-template-name of a script tag.  The script only requires
+// sproutcore-handlebars/runtime, so the application can leave out the
+// Handlebars parser and compiler.
+
+var fs = require('fs'),
+    path = require('path'),
+    vm = require('vm');
+
+var PACKAGES = path.join(__dirname, '..', '..');
+
+// Loads the SproutCore packages from this checkout into a context without a
+// document, resolving require() calls the way spade does.
+function loadSproutCore() {
+  var context = vm.createContext({ console: console }),
+      modules = {};
+
+  context.window = context;
+
+  function load(id) {
+    var parts = id.split('/'),
+        file = path.join(PACKAGES, parts.shift(), 'lib', parts.length ? parts.join('/') + '.js' : 'main.js'),
+        fn;
+
+    if (!modules[file]) {
+      modules[file] = { exports: {} };
+      fn = vm.runInContext('(function(require, exports, module) {' + fs.readFileSync(file, 'utf8') + '\n})', context, file);
+      fn.call(context, load, modules[file].exports, modules[file]);
+    }
+
+    return modules[file].exports;
+  }
+
+  load('sproutcore-handlebars');
+  return context.SC;
+}
+
+function templateName(file) {
+  return path.basename(file).replace(/\.[^.]*$/, '');
+}
+
+function precompile(SC, files) {
+  var out = ['require("sproutcore-handlebars/runtime");', ''];
+
+  files.forEach(function(file) {
+    var source = SC.Handlebars.precompile(fs.readFileSync(file, 'utf8'));
+    out.push('SC.TEMPLATES[' + JSON.stringify(templateName(file)) + '] = SC.Handlebars.template(' + source + ');');
+  });
+
+  return out.join('\n') + '\n';
+}
+
+function main(args) {
+  var output = null, files = [], idx, result;
+
+  for (idx = 0; idx < args.length; idx++) {
+    if (args[idx] === '-o' || args[idx] === '--output') {
+      output = args[++idx];
+    } else {
+      files.push(args[idx]);
+    }
+  }
+
+  if (files.length === 0) {
+    console.error('Usage: precompile.js [-o OUTPUT] TEMPLATE...');
+    process.exit(1);
+  }
+
+  result = precompile(loadSproutCore(), files);
+
+  if (output) {
+    fs.writeFileSync(output, result);
+  } else {
+    process.stdout.write(result);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+exports.precompile = function(files) {
+  return precompile(loadSproutCore(), files);
+};
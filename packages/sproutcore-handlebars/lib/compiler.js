@@ -0,0 +1,107 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals Handlebars */
+
+require("handlebars");
+require("sproutcore-handlebars/ext");
+
+SC.Handlebars.Compiler = function() {};
+SC.Handlebars.Compiler.prototype = SC.create(Handlebars.Compiler.prototype);
+SC.Handlebars.Compiler.prototype.compiler = SC.Handlebars.Compiler;
+
+SC.Handlebars.JavaScriptCompiler = function() {};
+SC.Handlebars.JavaScriptCompiler.prototype = SC.create(Handlebars.JavaScriptCompiler.prototype);
+SC.Handlebars.JavaScriptCompiler.prototype.compiler = SC.Handlebars.JavaScriptCompiler;
+
+SC.Handlebars.JavaScriptCompiler.prototype.nameLookup = function(parent, name, type) {
+  if (type === 'context') {
+    return "SC.get(" + parent + ", " + this.quotedString(name) + ");";
+  } else {
+    return Handlebars.JavaScriptCompiler.prototype.nameLookup.call(this, parent, name, type);
+  }
+};
+
+SC.Handlebars.Compiler.prototype.mustache = function(mustache) {
+  // `yield` is a reserved word, so it can't be the name of a property
+  if (mustache.params.length || mustache.hash || mustache.id.original === 'yield') {
+    return Handlebars.Compiler.prototype.mustache.call(this, mustache);
+  } else {
+    var id = new Handlebars.AST.IdNode(['bind']);
+
+    // Update the mustache node to include a hash value indicating whether the original node
+    // was escaped. This will allow us to properly escape values when the underlying value
+    // changes and we need to re-render the value.
+    if(mustache.escaped) {
+      mustache.hash = mustache.hash || new Handlebars.AST.HashNode([]);
+      mustache.hash.pairs.push(["escaped", new Handlebars.AST.StringNode("true")]);
+    }
+    mustache = new Handlebars.AST.MustacheNode([id].concat([mustache.id]), mustache.hash, !mustache.escaped);
+    return Handlebars.Compiler.prototype.mustache.call(this, mustache);
+  }
+};
+
+/** @private
+  When precompiling, return the source of the template function and of its
+  children instead of building the functions.
+*/
+SC.Handlebars.JavaScriptCompiler.prototype.createFunction = function() {
+  if (!this.options.precompile) {
+    return Handlebars.JavaScriptCompiler.prototype.createFunction.call(this);
+  }
+
+  var locals = this.stackVars.concat(this.registers.list),
+      params = ["Handlebars", "context", "helpers", "partials"],
+      depths = this.environment.depths.list, idx, len;
+
+  if (locals.length > 0) {
+    this.source[0] = this.source[0] + ", " + locals.join(", ");
+  }
+
+  this.source[0] = this.source[0] + ";";
+  this.source.push("return buffer;");
+
+  if (this.options.data) { params.push("data"); }
+
+  for (idx = 0, len = depths.length; idx < len; idx++) {
+    params.push("depth" + depths[idx]);
+  }
+
+  if (params.length === 4 && !this.environment.usePartial) { params.pop(); }
+
+  return "{render: function(" + params.join(", ") + ") {\n" + this.source.join("\n") + "\n}, " +
+         "children: [" + this.environment.children.join(", ") + "]}";
+};
+
+SC.Handlebars.compile = function(string) {
+  var ast = Handlebars.parse(string);
+  var environment = new SC.Handlebars.Compiler().compile(ast, {data: true, stringParams: true});
+  var ret = new SC.Handlebars.JavaScriptCompiler().compile(environment, {data: true, stringParams: true});
+  ret.rawTemplate = string;
+  return ret;
+};
+
+/**
+  Compiles a template to JavaScript source, which evaluates to a template
+  spec that can be passed to `SC.Handlebars.template()`.
+
+  Use this to compile templates when building an application, so that they
+  don't need to be parsed when it runs:
+
+      var source = SC.Handlebars.precompile("my {{cool}} template");
+      // => '{render: function(Handlebars, context, helpers, partials, data) {...}, children: []}'
+
+  The `bin/precompile.js` command of this package uses it to turn template
+  files into scripts that register the templates in `SC.TEMPLATES`.
+
+  @param {String} string the template source
+  @returns {String} JavaScript source
+*/
+SC.Handlebars.precompile = function(string) {
+  var options = {data: true, stringParams: true, precompile: true};
+  var ast = Handlebars.parse(string);
+  var environment = new SC.Handlebars.Compiler().compile(ast, options);
+  return new SC.Handlebars.JavaScriptCompiler().compile(environment, options);
+};
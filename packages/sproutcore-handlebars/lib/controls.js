@@ -6,4 +6,7 @@
 
 require("sproutcore-handlebars/controls/checkbox");
 require("sproutcore-handlebars/controls/text_field");
+require("sproutcore-handlebars/controls/text_area");
+require("sproutcore-handlebars/controls/select");
 require("sproutcore-handlebars/controls/button");
+require("sproutcore-handlebars/controls/link");
@@ -3,6 +3,7 @@
 // Copyright: ©2011 Strobe Inc. and contributors.
 // License:   Licensed under MIT license (see license.js)
 // ==========================================================================
+/*globals Handlebars */
 
 require("sproutcore-views/views/view");
 require("sproutcore-handlebars/ext");
@@ -20,7 +21,12 @@ SC.Checkbox = SC.View.extend({
 
   classNames: ['sc-checkbox'],
 
-  defaultTemplate: SC.Handlebars.compile('<label><input type="checkbox" {{bindAttr checked="value"}}>{{title}}</label>'),
+  render: function(buffer) {
+    // The span takes the place of the view that {{title}} used to render,
+    // so that the title can be updated without rerendering the label
+    buffer.push('<label><input type="checkbox"' + (get(this, 'value') ? ' checked="checked"' : '') + '>' +
+                '<span>' + Handlebars.Utils.escapeExpression(get(this, 'title')) + '</span></label>');
+  },
 
   change: function() {
     SC.run.once(this, this._updateElementValue);
@@ -30,6 +36,19 @@ SC.Checkbox = SC.View.extend({
   _updateElementValue: function() {
     var input = this.$('input:checkbox');
     set(this, 'value', input.prop('checked'));
-  }
+  },
+
+  _valueDidChange: function() {
+    if (!get(this, 'element')) { return; }
+
+    this.$('input:checkbox').prop('checked', !!get(this, 'value'));
+  }.observes('value'),
+
+  _titleDidChange: function() {
+    var title = get(this, 'title');
+    if (!get(this, 'element')) { return; }
+
+    this.$('label span').text(SC.none(title) ? '' : String(title));
+  }.observes('title')
 });
 
@@ -0,0 +1,87 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+require("sproutcore-views/views/view");
+require("sproutcore-views/system/router");
+
+var get = SC.get, set = SC.set;
+
+/**
+  @class
+
+  A link to a state of an `SC.Router`.  The `href` is the URL of the state,
+  so the link can be bookmarked or opened in a new window, and clicking the
+  link transitions the router to the state.
+
+  Usually you will create links with the `{{linkTo}}` helper.
+
+  @extends SC.View
+*/
+SC.Link = SC.View.extend({
+  classNames: ['sc-link'],
+
+  tagName: 'a',
+
+  /**
+    The router, or a path to it.  If not set, the router that most recently
+    started routing is used.
+
+    @type SC.Router
+    @default null
+  */
+  router: null,
+
+  /**
+    The path of the state to link to, like `'posts.show'`.
+
+    @type String
+    @default null
+  */
+  state: null,
+
+  /**
+    The object to enter the state with.
+
+    @type Object
+    @default null
+  */
+  context: null,
+
+  routerObject: function() {
+    var router = get(this, 'router');
+
+    if (SC.typeOf(router) === "string") {
+      return SC.getPath(router);
+    } else {
+      return router || SC.Router.current;
+    }
+  }.property('router').cacheable(),
+
+  href: function() {
+    var router = get(this, 'routerObject');
+    return router ? router.formatURL(router.urlFor(get(this, 'state'), get(this, 'context'))) : '#';
+  }.property('routerObject', 'state', 'context').cacheable(),
+
+  render: function(buffer) {
+    buffer.attr('href', get(this, 'href'));
+    return this._super(buffer);
+  },
+
+  click: function() {
+    var router = get(this, 'routerObject');
+
+    if (router) {
+      router.transitionTo(get(this, 'state'), get(this, 'context'));
+      return false;
+    }
+  },
+
+  _hrefDidChange: function() {
+    if (!get(this, 'element')) { return; }
+
+    this.$().attr('href', get(this, 'href'));
+  }.observes('href')
+});
@@ -0,0 +1,169 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals Handlebars */
+
+require("sproutcore-handlebars/ext");
+require("sproutcore-views/views/view");
+
+var get = SC.get, set = SC.set, getPath = SC.getPath;
+
+/**
+  @class
+
+  A drop-down list of the objects in `content`.  The `selection` property
+  is the selected object, or null if no object is selected.
+
+  Options show the objects themselves, or the property at `optionLabelPath`
+  if one is set.  If you set `optionValuePath`, the `value` property is the
+  value at that path of the selection, and setting `value` selects the
+  object with that value:
+
+      SC.Select.create({
+        content: MyApp.people,
+        optionLabelPath: 'name',
+        optionValuePath: 'id',
+        prompt: 'Pick a person'
+      });
+
+  @extends SC.View
+*/
+SC.Select = SC.View.extend(
+  /** @scope SC.Select.prototype */ {
+
+  classNames: ['sc-select'],
+
+  tagName: 'select',
+
+  /**
+    The objects to choose from.
+
+    @type SC.Array
+    @default null
+  */
+  content: null,
+
+  /**
+    The selected object.
+
+    @type Object
+    @default null
+  */
+  selection: null,
+
+  /**
+    The path of the label of an object, relative to the object.  If null,
+    the object itself is the label.
+
+    @type String
+    @default null
+  */
+  optionLabelPath: null,
+
+  /**
+    The path of the value of an object, relative to the object.  If null,
+    the object itself is the value.
+
+    @type String
+    @default null
+  */
+  optionValuePath: null,
+
+  /**
+    If set, the label of an additional first option that selects nothing.
+
+    @type String
+    @default null
+  */
+  prompt: null,
+
+  /**
+    The value of the selection.  Setting it selects the first object with
+    that value.
+
+    @type Object
+  */
+  value: function(key, value) {
+    var content = get(this, 'content'),
+        valuePath = get(this, 'optionValuePath'),
+        selection;
+
+    if (value !== undefined) {
+      selection = content && content.find(function(item) {
+        return (valuePath ? getPath(item, valuePath) : item) === value;
+      });
+      set(this, 'selection', selection || null);
+      return value;
+    }
+
+    selection = get(this, 'selection');
+    return valuePath && !SC.none(selection) ? getPath(selection, valuePath) : selection;
+  }.property('selection', 'optionValuePath').cacheable(),
+
+  render: function(buffer) {
+    buffer.push(this._scsel_optionsHTML());
+  },
+
+  change: function(event) {
+    var content = get(this, 'content'),
+        index = this.$().prop('selectedIndex');
+
+    if (get(this, 'prompt')) { index--; }
+    set(this, 'selection', content && index >= 0 ? content.objectAt(index) : null);
+    return false;
+  },
+
+  /** @private */
+  _scsel_optionsHTML: function() {
+    var content = get(this, 'content'),
+        prompt = get(this, 'prompt'),
+        selection = get(this, 'selection'),
+        labelPath = get(this, 'optionLabelPath'),
+        escape = Handlebars.Utils.escapeExpression,
+        ret = [];
+
+    if (prompt) {
+      ret.push('<option value="">' + escape(prompt) + '</option>');
+    }
+
+    if (content) {
+      content.forEach(function(item, idx) {
+        var label = labelPath ? getPath(item, labelPath) : item;
+
+        ret.push('<option value="' + idx + '"' + (item === selection ? ' selected="selected"' : '') + '>' +
+                 escape(SC.none(label) ? '' : String(label)) + '</option>');
+      });
+    }
+
+    return ret.join('');
+  },
+
+  /** @private */
+  _scsel_contentDidChange: function() {
+    SC.run.once(this, this._scsel_updateOptions);
+  }.observes('content.[]', 'optionLabelPath', 'prompt'),
+
+  /** @private */
+  _scsel_updateOptions: function() {
+    var elem = this.$();
+    if (elem.length) { elem.html(this._scsel_optionsHTML()); }
+  },
+
+  /** @private */
+  _scsel_selectionDidChange: function() {
+    SC.run.once(this, this._scsel_updateSelection);
+  }.observes('selection'),
+
+  /** @private */
+  _scsel_updateSelection: function() {
+    var content = get(this, 'content'),
+        selection = get(this, 'selection'),
+        index = content && !SC.none(selection) ? content.indexOf(selection) : -1;
+
+    if (!get(this, 'element')) { return; }
+    if (get(this, 'prompt')) { index++; }
+    this.$().prop('selectedIndex', index);
+  }
+});
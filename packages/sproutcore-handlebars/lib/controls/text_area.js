@@ -0,0 +1,87 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals Handlebars */
+
+require("sproutcore-handlebars/ext");
+require("sproutcore-views/views/view");
+
+var get = SC.get, set = SC.set;
+
+/**
+  @class
+
+  A multi-line text input.  Like `SC.TextField`, the `value` property is
+  updated as the user types, or only when the text area changes if
+  `isLazy` is YES.
+
+  @extends SC.View
+*/
+SC.TextArea = SC.View.extend(
+  /** @scope SC.TextArea.prototype */ {
+
+  classNames: ['sc-text-area'],
+
+  tagName: 'textarea',
+
+  cancel: SC.K,
+
+  value: "",
+  placeholder: null,
+
+  /**
+    If YES, `value` is only updated when the text area changes or loses
+    focus, instead of after every key stroke.
+
+    @type Boolean
+    @default NO
+  */
+  isLazy: NO,
+
+  render: function(buffer) {
+    var placeholder = get(this, 'placeholder');
+
+    if (placeholder) { buffer.attr('placeholder', placeholder); }
+    buffer.push(Handlebars.Utils.escapeExpression(get(this, 'value')));
+  },
+
+  focusOut: function(event) {
+    this._elementValueDidChange();
+    return false;
+  },
+
+  change: function(event) {
+    this._elementValueDidChange();
+    return false;
+  },
+
+  keyUp: function(event) {
+    if (event.keyCode === 27) { return this.cancel(event); }
+    if (!get(this, 'isLazy')) { this._elementValueDidChange(); }
+    return false;
+  },
+
+  _elementValueDidChange: function() {
+    set(this, 'value', this.$().val());
+  },
+
+  _valueDidChange: function() {
+    SC.run.once(this, this._updateElementValue);
+  }.observes('value'),
+
+  _updateElementValue: function() {
+    var elem = this.$(), value = get(this, 'value');
+    if (!get(this, 'element')) { return; }
+
+    // Don't reset the element while the user is typing in it
+    if (elem.val() !== value) { elem.val(value); }
+  },
+
+  _placeholderDidChange: function() {
+    if (!get(this, 'element')) { return; }
+
+    this.$().attr('placeholder', get(this, 'placeholder'));
+  }.observes('placeholder')
+});
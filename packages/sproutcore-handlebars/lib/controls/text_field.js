@@ -3,6 +3,7 @@
 // Copyright: ©2011 Strobe Inc. and contributors.
 // License:   Licensed under MIT license (see license.js)
 // ==========================================================================
+/*globals Handlebars */
 
 require("sproutcore-handlebars/ext");
 require("sproutcore-views/views/view");
@@ -22,10 +23,26 @@ SC.TextField = SC.View.extend(
   value: "",
   placeholder: null,
 
-  defaultTemplate: function() {
-    var type = get(this, 'type');
-    return SC.Handlebars.compile('<input type="%@" {{bindAttr value="value" placeholder="placeholder"}}>'.fmt(type));
-  }.property(),
+  /**
+    If YES, `value` is only updated when the input changes or loses focus,
+    instead of after every key stroke.
+
+    @type Boolean
+    @default NO
+  */
+  isLazy: NO,
+
+  render: function(buffer) {
+    var escape = Handlebars.Utils.escapeExpression,
+        value = get(this, 'value'),
+        placeholder = get(this, 'placeholder'),
+        html = '<input type="' + escape(get(this, 'type')) + '"';
+
+    if (!SC.none(value) && value !== false) { html += ' value="' + escape(String(value)) + '"'; }
+    if (placeholder) { html += ' placeholder="' + escape(placeholder) + '"'; }
+
+    buffer.push(html + '>');
+  },
 
   focusOut: function(event) {
     this._elementValueDidChange();
@@ -50,7 +67,7 @@ SC.TextField = SC.View.extend(
     var method = map[event.keyCode];
 
     if (method) { return this[method](event); }
-    else { this._elementValueDidChange(); }
+    else if (!get(this, 'isLazy')) { this._elementValueDidChange(); }
   },
 
   _elementValueDidChange: function() {
@@ -61,12 +78,21 @@ SC.TextField = SC.View.extend(
 
   _valueDidChange: function() {
     SC.run.once(this, this._updateElementValue);
-  },
+  }.observes('value'),
 
   _updateElementValue: function() {
-    var input = this.$('input');
-    input.val(get(this, 'value'));
-  }
+    var input = this.$('input'), value = get(this, 'value');
+    if (!get(this, 'element')) { return; }
+
+    // Don't reset the input while the user is typing in it
+    if (input.val() !== value) { input.val(value); }
+  },
+
+  _placeholderDidChange: function() {
+    if (!get(this, 'element')) { return; }
+
+    this.$('input').attr('placeholder', get(this, 'placeholder'));
+  }.observes('placeholder')
 });
 
 SC.TextField.KEY_EVENTS = {
@@ -5,7 +5,11 @@
 // ==========================================================================
 /*globals Handlebars */
 
-require("handlebars");
+// The full Handlebars build, which sproutcore-handlebars loads first, already
+// contains the runtime
+if (typeof Handlebars === "undefined") {
+  require("handlebars/runtime");
+}
 
 /**
   @class
@@ -30,53 +34,54 @@ require("handlebars");
 
   Note that you won't usually need to use SC.Handlebars yourself. Instead, use
   SC.View, which takes care of integration into the view layer for you.
+
+  Templates precompiled with `SC.Handlebars.precompile()` only need the
+  Handlebars runtime.  Require `sproutcore-handlebars/runtime` instead of
+  `sproutcore-handlebars` to leave out the parser and the compiler, which
+  `SC.Handlebars.compile()` and templates in script tags need.
 */
 
-require("handlebars");
 require("sproutcore-views/system/render_buffer");
 
 SC.Handlebars = {};
 
-SC.Handlebars.Compiler = function() {};
-SC.Handlebars.Compiler.prototype = SC.create(Handlebars.Compiler.prototype);
-SC.Handlebars.Compiler.prototype.compiler = SC.Handlebars.Compiler;
-
-SC.Handlebars.JavaScriptCompiler = function() {};
-SC.Handlebars.JavaScriptCompiler.prototype = SC.create(Handlebars.JavaScriptCompiler.prototype);
-SC.Handlebars.JavaScriptCompiler.prototype.compiler = SC.Handlebars.JavaScriptCompiler;
+/**
+  Returns a template function for a template spec built by
+  `SC.Handlebars.precompile()`.  The returned function can be used like the
+  result of `SC.Handlebars.compile()`:
 
-SC.Handlebars.JavaScriptCompiler.prototype.nameLookup = function(parent, name, type) {
-  if (type === 'context') {
-    return "SC.get(" + parent + ", " + this.quotedString(name) + ");";
-  } else {
-    return Handlebars.JavaScriptCompiler.prototype.nameLookup.call(this, parent, name, type);
-  }
-};
+      SC.TEMPLATES['my_template'] = SC.Handlebars.template({render: function(...) {...}, children: []});
 
-SC.Handlebars.Compiler.prototype.mustache = function(mustache) {
-  if (mustache.params.length || mustache.hash) {
-    return Handlebars.Compiler.prototype.mustache.call(this, mustache);
-  } else {
-    var id = new Handlebars.AST.IdNode(['bind']);
-
-    // Update the mustache node to include a hash value indicating whether the original node
-    // was escaped. This will allow us to properly escape values when the underlying value
-    // changes and we need to re-render the value.
-    if(mustache.escaped) {
-      mustache.hash = mustache.hash || new Handlebars.AST.HashNode([]);
-      mustache.hash.pairs.push(["escaped", new Handlebars.AST.StringNode("true")]);
-    }
-    mustache = new Handlebars.AST.MustacheNode([id].concat([mustache.id]), mustache.hash, !mustache.escaped);
-    return Handlebars.Compiler.prototype.mustache.call(this, mustache);
-  }
-};
+  This only uses the Handlebars runtime, never its parser or compiler.
 
-SC.Handlebars.compile = function(string) {
-  var ast = Handlebars.parse(string);
-  var environment = new SC.Handlebars.Compiler().compile(ast, {data: true, stringParams: true});
-  var ret = new SC.Handlebars.JavaScriptCompiler().compile(environment, {data: true, stringParams: true});
-  ret.rawTemplate = string;
-  return ret;
+  @param {Hash} spec a precompiled template spec
+  @returns {Function} the template
+*/
+SC.Handlebars.template = function(spec) {
+  var container = {
+    escapeExpression: Handlebars.Utils.escapeExpression,
+    invokePartial: Handlebars.VM.invokePartial,
+    programs: [],
+    program: function(i, helpers, partials, data) {
+      var programWrapper = this.programs[i];
+      if (data) {
+        return Handlebars.VM.program(this.children[i], helpers, partials, data);
+      } else if (!programWrapper) {
+        programWrapper = this.programs[i] = Handlebars.VM.program(this.children[i], helpers, partials);
+      }
+      return programWrapper;
+    },
+    programWithDepth: Handlebars.VM.programWithDepth,
+    noop: Handlebars.VM.noop,
+    render: spec.render,
+    children: (spec.children || []).map(SC.Handlebars.template)
+  };
+
+  return function(context, options, $depth) {
+    options = options || {};
+    var args = [Handlebars, context, options.helpers, options.partials, options.data];
+    return container.render.apply(container, args.concat(Array.prototype.slice.call(arguments, 2)));
+  };
 };
 
 /**
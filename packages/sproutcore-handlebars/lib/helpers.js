@@ -4,6 +4,11 @@
 // License:   Licensed under MIT license (see license.js)
 // ==========================================================================
 
+require("sproutcore-handlebars/helpers/action");
 require("sproutcore-handlebars/helpers/binding");
 require("sproutcore-handlebars/helpers/collection");
+require("sproutcore-handlebars/helpers/form");
+require("sproutcore-handlebars/helpers/link_to");
+require("sproutcore-handlebars/helpers/partial");
 require("sproutcore-handlebars/helpers/view");
+require("sproutcore-handlebars/helpers/yield");
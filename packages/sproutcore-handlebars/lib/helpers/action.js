@@ -0,0 +1,94 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals Handlebars sc_assert */
+
+require('sproutcore-handlebars/ext');
+
+var get = SC.get, getPath = SC.getPath;
+
+var MODIFIER_KEYS = ['alt', 'ctrl', 'meta', 'shift'];
+
+/** @private
+  Returns YES if the modifier keys pressed during the event are allowed.
+*/
+function isAllowedEvent(event, allowedKeys) {
+  if (allowedKeys === 'any') { return YES; }
+
+  allowedKeys = allowedKeys ? allowedKeys.split(' ') : [];
+  return MODIFIER_KEYS.every(function(key) {
+    return !event[key + 'Key'] || allowedKeys.indexOf(key) >= 0;
+  });
+}
+
+/** @private
+  Returns the first view, starting at the passed view and going up its
+  parent views, that implements the action.
+*/
+function viewForAction(view, actionName) {
+  while (view && 'function' !== typeof view[actionName]) {
+    view = get(view, 'parentView');
+  }
+  return view;
+}
+
+/**
+  Calls a method when an event happens on an element.  Put the helper in
+  the element's tag:
+
+      <button {{action "save" target="MyApp.postController"}}>Save</button>
+
+  The method named by the action is called on the target with the context
+  of the template, like the item of an `{{#each}}`, and the event:
+
+      MyApp.postController = SC.Object.create({
+        save: function(post, event) { ... }
+      });
+
+  The following options are supported:
+
+   - `target` -- path to the object to call the method on, relative to the
+     context or global.  By default, the method is called on the first view,
+     from the view rendering the template up through its parent views, that
+     implements it.
+   - `on` -- the name of the event method, like `doubleClick`.  Defaults to
+     `click`.
+   - `allowedKeys` -- space separated modifier keys (`alt`, `ctrl`, `meta`
+     or `shift`) that may be pressed for the action to be called, or `any`.
+     By default the action is not called if a modifier key is pressed, so
+     that shift- or ctrl-clicking links works as usual.
+   - `preventDefault` -- set to false to let the browser handle the event
+     too.
+   - `bubbles` -- set to false to keep the event from reaching the event
+     handlers of views.
+
+  @name Handlebars.helpers.action
+  @param {String} actionName the name of the method
+  @param {Hash} options
+  @returns {String} HTML string
+*/
+Handlebars.registerHelper('action', function(actionName, options) {
+  var hash = options.hash,
+      view = options.data.view,
+      context = this,
+      actionId;
+
+  actionId = view.registerAction(hash.on || 'click', function(event) {
+    var target, method;
+
+    if (!isAllowedEvent(event, hash.allowedKeys)) { return; }
+
+    target = hash.target ? getPath(context, hash.target) : viewForAction(view, actionName);
+    method = target && target[actionName];
+    sc_assert("The target of the action '%@' does not implement it".fmt(actionName), 'function' === typeof method);
+
+    if (hash.preventDefault !== false) { event.preventDefault(); }
+    if (hash.bubbles === false) { event.stopPropagation(); }
+
+    return method.call(target, context, event);
+  });
+
+  return new Handlebars.SafeString('data-sproutcore-action="' + actionId + '"');
+});
@@ -177,7 +177,7 @@ Handlebars.registerHelper('bindAttr', function(options) {
   // Generate a unique id for this element. This will be added as a
   // data attribute to the element so it can be looked up when
   // the bound property changes.
-  var dataId = jQuery.uuid++;
+  var dataId = view.generateElementId();
 
   // Handle classes differently, as we can bind multiple classes
   var classBindings = attrs['class'];
@@ -247,7 +247,7 @@ Handlebars.registerHelper('bindAttr', function(options) {
 
   // Add the unique identifier
   ret.push('data-handlebars-id="' + dataId + '"');
-  return ret.join(' ');
+  return new Handlebars.SafeString(ret.join(' '));
 });
 
 /**
@@ -366,3 +366,105 @@ SC.Handlebars.bindClasses = function(context, classBindings, view, id) {
   return ret;
 };
 
+
+/** @private
+  The view wrapping the output of a bound helper, which renders the output
+  again when one of the paths the helper depends on changes.
+*/
+var BoundHelperView = SC._BindableSpanView.extend({
+  valueFunc: null,
+
+  render: function(buffer) {
+    buffer.push(Handlebars.Utils.escapeExpression(this.valueFunc()));
+  }
+});
+
+/**
+  Registers a helper whose output is rendered again when the values it is
+  passed change.  The helper function is called with the value of each path
+  passed to the helper, followed by the Handlebars options, whose `hash`
+  holds the options of the helper:
+
+      SC.Handlebars.registerBoundHelper('currency', function(value, options) {
+        return (options.hash.symbol || '$') + value.toFixed(2);
+      });
+
+      {{currency total symbol="€"}}
+
+  Pass dependent keys, relative to the values, to also render the output
+  again when properties of the values change.  For example, a helper passed
+  an array can depend on a property of each of its items:
+
+      SC.Handlebars.registerBoundHelper('sum', function(items) {
+        return items.reduce(function(sum, item) { return sum + get(item, 'price'); }, 0);
+      }, '@each.price');
+
+      {{sum items}}
+
+  The output is escaped, unless the helper returns a `Handlebars.SafeString`.
+
+  @param {String} name the name of the helper
+  @param {Function} fn the helper function
+  @param {String...} dependentKeys keys of the values the output depends on
+*/
+SC.Handlebars.registerBoundHelper = function(name, fn) {
+  var dependentKeys = Array.prototype.slice.call(arguments, 2);
+
+  Handlebars.registerHelper(name, function() {
+    var options = arguments[arguments.length - 1],
+        paths = Array.prototype.slice.call(arguments, 0, -1),
+        view = options.data.view,
+        ctx = this,
+        observed = [],
+        bindView, observer, invoker;
+
+    // Paths starting with ../ are looked up on the context of a parent
+    // block, which Handlebars passes in options.contexts.
+    var roots = paths.map(function(path, idx) {
+      return (options.contexts && options.contexts[idx]) || ctx;
+    });
+
+    var valueFunc = function() {
+      var values = paths.map(function(path, idx) {
+        return getPath(roots[idx], path);
+      });
+
+      return fn.apply(ctx, values.concat(options));
+    };
+
+    bindView = view.createChildView(BoundHelperView, { valueFunc: valueFunc });
+    get(view, 'childViews').pushObject(bindView);
+
+    observer = function() {
+      if (get(bindView, 'element')) {
+        bindView.rerender();
+      } else {
+        // A parent template has been re-rendered, so stop observing.
+        observed.forEach(function(item) {
+          SC.removeObserver(item.root, item.path, invoker);
+        });
+      }
+    };
+
+    invoker = function() {
+      SC.run.once(observer);
+    };
+
+    paths.forEach(function(path, idx) {
+      if ('object' !== typeof roots[idx]) { return; }
+
+      observed.push({ root: roots[idx], path: path });
+      dependentKeys.forEach(function(key) {
+        observed.push({ root: roots[idx], path: path + '.' + key });
+      });
+    });
+
+    observed.forEach(function(item) {
+      SC.addObserver(item.root, item.path, invoker);
+    });
+
+    var buffer = bindView.renderBuffer(get(bindView, 'tagName'));
+    bindView.renderToBuffer(buffer);
+    return new Handlebars.SafeString(buffer.string());
+  });
+};
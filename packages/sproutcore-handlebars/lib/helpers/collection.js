@@ -5,9 +5,9 @@
 // ==========================================================================
 /*globals Handlebars sc_assert */
 
-// TODO: Don't require all of this module
-require('sproutcore-handlebars');
+require('sproutcore-handlebars/ext');
 require('sproutcore-handlebars/helpers/view');
+require('sproutcore-views/views/collection_view');
 
 var get = SC.get;
 
@@ -57,9 +57,10 @@ Handlebars.registerHelper('collection', function(path, options) {
   var hash = options.hash, itemHash = {}, match;
 
   // Go through options passed to the {{collection}} helper and extract options
-  // that configure item views instead of the collection itself.
+  // that configure item views instead of the collection itself. `itemKey`
+  // is an option of the collection.
   for (var prop in hash) {
-    if (hash.hasOwnProperty(prop)) {
+    if (hash.hasOwnProperty(prop) && prop !== 'itemKey') {
       match = prop.match(/^item(.)(.*)$/);
 
       if(match) {
@@ -105,12 +106,20 @@ Handlebars.registerHelper('collection', function(path, options) {
 });
 
 /**
+  Renders the block for each object at the path.  Pass `itemKey` to keep
+  the rendered items of objects with the same key when the array changes:
+
+      {{#each people itemKey="id"}}{{input value="name"}}{{/each}}
+
   @name Handlebars.helpers.each
   @param {String} path
   @param {Hash} options
   @returns {String} HTML string
 */
 Handlebars.registerHelper('each', function(path, options) {
+  // The binding only syncs at the end of the run loop, so also pass the
+  // current content to have the items rendered right away.
+  options.hash.content = SC.getPath(options.data.view, path);
   options.hash.contentBinding = SC.Binding.from('parentView.'+path).oneWay();
   options.hash.preserveContext = true;
   return Handlebars.helpers.collection.call(this, null, options);
@@ -0,0 +1,135 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals Handlebars */
+
+require('sproutcore-handlebars/helpers/view');
+require('sproutcore-handlebars/controls/checkbox');
+require('sproutcore-handlebars/controls/select');
+require('sproutcore-handlebars/controls/text_area');
+require('sproutcore-handlebars/controls/text_field');
+
+var get = SC.get, set = SC.set, getPath = SC.getPath;
+
+// Paths that SC.getPath looks up on the window instead of the context
+var IS_GLOBAL = /^[A-Z$][^.]*\./;
+
+/** @private
+  Sets the initial values of computed properties when the control is
+  created, and disconnects the bindings to the template context when the
+  control is destroyed, which happens when the template that rendered it
+  re-renders.
+*/
+var ContextBindingSupport = SC.Mixin.create({
+  init: function() {
+    var values = get(this, 'contextValues'), key;
+
+    this._super();
+
+    for (key in values) {
+      if (values.hasOwnProperty(key)) { set(this, key, values[key]); }
+    }
+  },
+
+  destroy: function() {
+    get(this, 'contextBindingKeys').forEach(function(key) {
+      this[key].disconnect(this);
+    }, this);
+
+    return this._super();
+  }
+});
+
+/** @private
+  Renders a control, binding its properties two-way to paths on the
+  template context.  `bindings` maps the names of the helper's options to
+  the properties of the control; other options are passed to the control
+  like the options of `{{view}}`.
+*/
+function controlHelper(context, viewClass, bindings, options) {
+  var hash = options.hash,
+      descs = SC.meta(get(viewClass, 'proto'), false).descs,
+      values = {},
+      keys = [],
+      option, path, property;
+
+  for (option in bindings) {
+    if (!bindings.hasOwnProperty(option) || 'string' !== typeof hash[option]) { continue; }
+
+    path = hash[option];
+    property = bindings[option];
+    delete hash[option];
+
+    // Bindings only sync at the end of the run loop, so look up the value
+    // now to render the control with it.  Computed properties, like the
+    // value of SC.Select, would be replaced if they were passed to
+    // extend(), so they are set when the control is created.
+    if (descs[property] instanceof SC.ComputedProperty) {
+      values[property] = getPath(context, path);
+    } else {
+      hash[property] = getPath(context, path);
+    }
+    hash[property + 'Binding'] = SC.Binding.from(IS_GLOBAL.test(path) ? path : 'bindingContext.' + path);
+    keys.push(property + 'Binding');
+  }
+
+  if (keys.length) {
+    hash.bindingContext = context;
+    hash.contextBindingKeys = keys;
+    hash.contextValues = values;
+    viewClass = viewClass.extend(ContextBindingSupport);
+  }
+
+  return Handlebars.helpers.view.call(context, viewClass, options);
+}
+
+/**
+  Renders an `SC.TextField` whose value is bound two-way to a path on the
+  context.  With `type="checkbox"`, renders an `SC.Checkbox` bound to the
+  path given as `checked` instead.  Other options are set on the control:
+
+      {{input value="person.name" placeholder="Name" isLazy=true}}
+      {{input type="checkbox" checked="person.isAdmin" title="Admin"}}
+
+  @name Handlebars.helpers.input
+  @param {Hash} options
+  @returns {String} HTML string
+*/
+Handlebars.registerHelper('input', function(options) {
+  if (options.hash.type === 'checkbox') {
+    delete options.hash.type;
+    return controlHelper(this, SC.Checkbox, { checked: 'value' }, options);
+  }
+
+  return controlHelper(this, SC.TextField, { value: 'value' }, options);
+});
+
+/**
+  Renders an `SC.TextArea` whose value is bound two-way to a path on the
+  context:
+
+      {{textarea value="post.body" isLazy=true}}
+
+  @name Handlebars.helpers.textarea
+  @param {Hash} options
+  @returns {String} HTML string
+*/
+Handlebars.registerHelper('textarea', function(options) {
+  return controlHelper(this, SC.TextArea, { value: 'value' }, options);
+});
+
+/**
+  Renders an `SC.Select` of the objects at the `content` path.  Its
+  `selection` and `value` are bound two-way to the paths given:
+
+      {{select content="people" selection="owner" optionLabelPath="name" prompt="Nobody"}}
+
+  @name Handlebars.helpers.select
+  @param {Hash} options
+  @returns {String} HTML string
+*/
+Handlebars.registerHelper('select', function(options) {
+  return controlHelper(this, SC.Select, { content: 'content', selection: 'selection', value: 'value' }, options);
+});
@@ -0,0 +1,40 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals Handlebars */
+
+require('sproutcore-handlebars/helpers/view');
+require('sproutcore-handlebars/controls/link');
+
+/**
+  Renders an `SC.Link` to a router state.  The optional second argument is
+  a path to the object to enter the state with:
+
+      {{#linkTo "posts.show" post}}{{post.title}}{{/linkTo}}
+
+  @name Handlebars.helpers.linkTo
+  @param {String} state the path of the state
+  @param {String} [context] path to the context
+  @param {Hash} options
+  @returns {String} HTML string
+*/
+Handlebars.registerHelper('linkTo', function(state, context, options) {
+  if (context && context.data && context.data.isRenderData) {
+    options = context;
+    context = undefined;
+  }
+
+  var hash = options.hash;
+
+  hash.state = state;
+  if (context) {
+    // Bindings only sync at the end of the run loop, so look up the context
+    // now to render the right href.
+    hash.context = SC.getPath(this, context);
+    hash.contextBinding = SC.Binding.from('parentView.templateContext.' + context).oneWay();
+  }
+
+  return Handlebars.helpers.view.call(this, SC.Link, options);
+});
@@ -0,0 +1,40 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals Handlebars */
+
+require('sproutcore-handlebars/ext');
+
+var get = SC.get;
+
+/**
+  Renders another template in the current context.  The template is looked
+  up by name in the `templates` of the view rendering the current template
+  and of its parent views, `SC.TEMPLATES` by default:
+
+      {{#each comments}}
+        {{partial "comment"}}
+      {{/each}}
+
+  @name Handlebars.helpers.partial
+  @param {String} name the name of the template
+  @param {Hash} options
+  @returns {String} HTML string
+*/
+Handlebars.registerHelper('partial', function(name, options) {
+  var view = options.data.view, template;
+
+  // Views created by block helpers, like the item views of an {{#each}},
+  // don't have the templates of the view whose template they are part of.
+  for (; view && !template; view = get(view, 'parentView')) {
+    template = get(get(view, 'templates'), name);
+  }
+
+  if (!template) {
+    throw new SC.Error('%@ - Unable to find partial "%@".'.fmt(options.data.view, name));
+  }
+
+  return new Handlebars.SafeString(template(this, { data: options.data }));
+});
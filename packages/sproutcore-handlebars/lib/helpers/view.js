@@ -5,8 +5,8 @@
 // ==========================================================================
 /*globals Handlebars sc_assert */
 
-// TODO: Don't require the entire module
-require("sproutcore-handlebars");
+require("sproutcore-handlebars/ext");
+require("sproutcore-views/views/view");
 
 var get = SC.get, set = SC.set;
 
@@ -35,7 +35,7 @@ SC.Handlebars.ViewHelper = SC.Object.create({
     }
 
     if (dup) {
-      options = jQuery.extend({}, options);
+      options = SC.copy(options);
       delete options.id;
       delete options['class'];
       delete options.classBinding;
@@ -0,0 +1,36 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals Handlebars sc_assert */
+
+require('sproutcore-handlebars/ext');
+
+var get = SC.get;
+
+/**
+  Renders the template of a view in its layout.  See `SC.View#layoutName`.
+
+  The template is rendered in the context of the view, even if the
+  `{{yield}}` is inside a block helper like `{{#with}}` in the layout.
+
+  @name Handlebars.helpers.yield
+  @param {Hash} options
+  @returns {String} HTML string
+*/
+Handlebars.registerHelper('yield', function(options) {
+  var view = options.data.view, template;
+
+  // Block helpers of the layout render with views of their own
+  while (view && !get(view, 'layout')) {
+    view = get(view, 'parentView');
+  }
+
+  sc_assert("You can only use {{yield}} in the layout of a view", !!view);
+
+  template = get(view, 'template');
+  if (!template) { return ''; }
+
+  return new Handlebars.SafeString(template(get(view, 'templateContext'), { data: options.data }));
+});
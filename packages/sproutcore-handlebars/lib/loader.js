@@ -5,12 +5,13 @@
 // ==========================================================================
 /*globals Handlebars */
 
-require("sproutcore-handlebars/ext");
+require("sproutcore-handlebars/compiler");
 
 // Find templates stored in the head tag as script tags and make them available
 // to SC.CoreView in the global SC.TEMPLATES object.
 
-SC.$(document).ready(function() {
+// There is nothing to load when rendering without a document.
+if (SC.$) SC.$(document).ready(function() {
   SC.$('head script[type="text/html"]').each(function() {
     // Get a reference to the script tag
     var script = SC.$(this);
@@ -5,10 +5,6 @@
 // ==========================================================================
 
 require("handlebars");
-require("sproutcore-runtime");
-require("sproutcore-views");
-require("sproutcore-handlebars/ext");
-require("sproutcore-handlebars/helpers");
-require("sproutcore-handlebars/views");
-require("sproutcore-handlebars/controls");
+require("sproutcore-handlebars/runtime");
+require("sproutcore-handlebars/compiler");
 require("sproutcore-handlebars/loader");
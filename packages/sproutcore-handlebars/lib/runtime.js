@@ -0,0 +1,12 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+require("sproutcore-runtime");
+require("sproutcore-views");
+require("sproutcore-handlebars/ext");
+require("sproutcore-handlebars/helpers");
+require("sproutcore-handlebars/views");
+require("sproutcore-handlebars/controls");
@@ -77,3 +77,24 @@ test("checking the checkbox updates the value", function() {
   equals(get(checkboxView, 'value'), true, "changing the checkbox causes the view's value to get updated");
 });
 
+
+test("title property is rendered in the label", function() {
+  checkboxView = SC.Checkbox.create({ title: 'Tom & Jerry' });
+  SC.run(function() { checkboxView.append(); });
+
+  equals(checkboxView.$('label').text(), 'Tom & Jerry', "renders the title");
+
+  setAndFlush(checkboxView, 'title', 'Bugs');
+  equals(checkboxView.$('label').text(), 'Bugs', "changing the title property changes the DOM");
+});
+
+test("title property is escaped", function() {
+  checkboxView = SC.Checkbox.create({ title: '<b>Tom</b>' });
+  SC.run(function() { checkboxView.append(); });
+
+  equals(checkboxView.$('label').text(), '<b>Tom</b>', "renders the title as text");
+  equals(checkboxView.$('label b').length, 0, "does not render the title as HTML");
+
+  setAndFlush(checkboxView, 'title', null);
+  equals(checkboxView.$('label').text(), '', "clearing the title property empties the label");
+});
@@ -0,0 +1,65 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+var view, router, application;
+
+var get = SC.get, set = SC.set;
+
+module("SC.Link", {
+  setup: function() {
+    application = SC.Application.create();
+    get(application, 'eventDispatcher').setup();
+
+    router = SC.Router.create({
+      root: SC.State.extend({
+        index: SC.State.extend({ route: '/' }),
+        show: SC.State.extend({ route: '/posts/:id' })
+      })
+    });
+  },
+
+  teardown: function() {
+    if (view) { view.destroy(); }
+    router.destroy();
+    application.destroy();
+    view = router = null;
+  }
+});
+
+test("should link to the URL of the state", function() {
+  view = SC.View.create({
+    router: router,
+    post: { id: 3 },
+    template: SC.Handlebars.compile('{{#linkTo "show" post router=router}}Post{{/linkTo}}')
+  });
+
+  view.createElement();
+  equals(view.$('a').attr('href'), '#/posts/3', "sets the href");
+  equals(view.$('a').text(), 'Post', "renders the block");
+});
+
+test("should transition when clicked", function() {
+  view = SC.Link.create({
+    router: router,
+    state: 'show',
+    context: { id: 5 }
+  });
+
+  view.append();
+  view.$().trigger('click');
+
+  equals(get(router, 'currentPath'), 'show', "transitions to the state");
+  equals(get(router, 'url'), '/posts/5', "updates the URL");
+});
+
+test("should default to the current router", function() {
+  router.startRouting();
+
+  view = SC.Link.create({ state: 'index' });
+  view.createElement();
+
+  equals(view.$().attr('href'), '#/', "uses the router that started routing");
+});
@@ -0,0 +1,128 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+var select, view, ann, bob, cid;
+var get = SC.get, set = SC.set;
+
+module("SC.Select", {
+  setup: function() {
+    ann = { id: 1, name: 'Ann' };
+    bob = { id: 2, name: 'Bob' };
+    cid = { id: 3, name: 'Cid & Co' };
+
+    select = SC.Select.create({
+      content: [ann, bob],
+      optionLabelPath: 'name',
+      optionValuePath: 'id'
+    });
+  },
+
+  teardown: function() {
+    select.destroy();
+    if (view) { view.destroy(); }
+    select = view = ann = bob = cid = null;
+  }
+});
+
+function labels(view) {
+  return view.$('option').map(function() { return SC.$(this).text(); }).get();
+}
+
+test("renders an option for each object", function() {
+  SC.run(function() {
+    set(select, 'selection', bob);
+    select.append();
+  });
+
+  same(labels(select), ['Ann', 'Bob'], "renders the labels");
+  equals(select.$().prop('selectedIndex'), 1, "selects the selection");
+
+  SC.run(function() { get(select, 'content').pushObject(cid); });
+  same(labels(select), ['Ann', 'Bob', 'Cid & Co'], "adds options for new objects");
+  equals(select.$().prop('selectedIndex'), 1, "keeps the selection");
+
+  SC.run(function() { set(select, 'prompt', 'Nobody'); });
+  same(labels(select), ['Nobody', 'Ann', 'Bob', 'Cid & Co'], "renders the prompt");
+});
+
+test("the selection follows the element", function() {
+  SC.run(function() {
+    set(select, 'prompt', 'Nobody');
+    select.append();
+  });
+
+  equals(get(select, 'selection'), null, "precond - nothing is selected");
+  equals(select.$().prop('selectedIndex'), 0, "precond - the prompt is selected");
+
+  select.$().prop('selectedIndex', 2);
+  SC.run(function() { select.change(); });
+  equals(get(select, 'selection'), bob, "selects the object of the option");
+
+  select.$().prop('selectedIndex', 0);
+  SC.run(function() { select.change(); });
+  equals(get(select, 'selection'), null, "the prompt selects nothing");
+
+  SC.run(function() { set(select, 'selection', ann); });
+  equals(select.$().prop('selectedIndex'), 1, "updates the element when the selection changes");
+});
+
+test("value is the value of the selection", function() {
+  equals(get(select, 'value'), null, "no selection");
+
+  set(select, 'selection', bob);
+  equals(get(select, 'value'), 2, "the value at optionValuePath");
+
+  set(select, 'value', 1);
+  equals(get(select, 'selection'), ann, "setting the value selects the object");
+
+  set(select, 'optionValuePath', null);
+  equals(get(select, 'value'), ann, "the object itself without optionValuePath");
+});
+
+test("{{select}} binds the selection two-way", function() {
+  var context = SC.Object.create({ people: [ann, bob], owner: bob });
+
+  view = SC.View.create({
+    context: context,
+    template: SC.Handlebars.compile('{{select content="context.people" selection="context.owner" optionLabelPath="name"}}')
+  });
+
+  SC.run(function() { view.append(); });
+
+  var child = get(view, 'childViews').objectAt(0);
+  ok(child instanceof SC.Select, "renders a select");
+  same(labels(view), ['Ann', 'Bob'], "renders the content");
+  equals(view.$('select').prop('selectedIndex'), 1, "renders the selection");
+
+  SC.run(function() { set(context, 'owner', ann); });
+  equals(view.$('select').prop('selectedIndex'), 0, "updates the element when the path changes");
+
+  view.$('select').prop('selectedIndex', 1);
+  SC.run(function() { child.change(); });
+  equals(get(context, 'owner'), bob, "updates the path when the selection changes");
+});
+
+test("{{select}} binds the value two-way", function() {
+  var context = SC.Object.create({ people: [ann, bob], ownerId: 2 });
+
+  view = SC.View.create({
+    context: context,
+    template: SC.Handlebars.compile('{{select content="context.people" value="context.ownerId" optionLabelPath="name" optionValuePath="id"}}')
+  });
+
+  SC.run(function() { view.append(); });
+
+  var child = get(view, 'childViews').objectAt(0);
+  equals(get(child, 'selection'), bob, "selects the object with the value");
+  equals(view.$('select').prop('selectedIndex'), 1, "renders the selection");
+
+  SC.run(function() { set(context, 'ownerId', 1); });
+  equals(view.$('select').prop('selectedIndex'), 0, "updates the element when the path changes");
+
+  view.$('select').prop('selectedIndex', 1);
+  SC.run(function() { child.change(); });
+  equals(get(context, 'ownerId'), 2, "updates the path when the selection changes");
+});
@@ -0,0 +1,87 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+var textArea, view;
+var get = SC.get, set = SC.set;
+
+module("SC.TextArea", {
+  setup: function() {
+    textArea = SC.TextArea.create();
+  },
+
+  teardown: function() {
+    textArea.destroy();
+    if (view) { view.destroy(); }
+    textArea = view = null;
+  }
+});
+
+test("renders the value and placeholder", function() {
+  SC.run(function() {
+    set(textArea, 'value', '<b>foo</b>');
+    set(textArea, 'placeholder', 'Notes');
+    textArea.append();
+  });
+
+  equals(textArea.$().val(), "<b>foo</b>", "renders the escaped value");
+  equals(textArea.$().attr('placeholder'), "Notes", "renders the placeholder");
+
+  SC.run(function() {
+    set(textArea, 'value', 'bar');
+    set(textArea, 'placeholder', 'Comments');
+  });
+
+  equals(textArea.$().val(), "bar", "updates the text area after value changes");
+  equals(textArea.$().attr('placeholder'), "Comments", "updates the placeholder");
+});
+
+test("updates the value as the user types, or on change when lazy", function() {
+  SC.run(function() { textArea.append(); });
+
+  textArea.$().val('foo');
+  SC.run(function() { textArea.keyUp(SC.Object.create({ keyCode: 70 })); });
+  equals(get(textArea, 'value'), "foo", "updates the value on key up");
+
+  set(textArea, 'isLazy', true);
+  textArea.$().val('bar');
+  SC.run(function() { textArea.keyUp(SC.Object.create({ keyCode: 70 })); });
+  equals(get(textArea, 'value'), "foo", "lazy text areas do not update on key up");
+
+  SC.run(function() { textArea.focusOut(); });
+  equals(get(textArea, 'value'), "bar", "lazy text areas update when they lose focus");
+});
+
+test("calls cancel when escape is pressed", function() {
+  var wasCalled;
+
+  textArea.cancel = function() { wasCalled = true; };
+  textArea.keyUp(SC.Object.create({ keyCode: 27 }));
+
+  ok(wasCalled, "invokes cancel method");
+});
+
+test("{{textarea}} binds the value two-way", function() {
+  var post = SC.Object.create({ body: 'Hello' });
+
+  view = SC.View.create({
+    post: post,
+    template: SC.Handlebars.compile('{{textarea value="post.body" isLazy=true}}')
+  });
+
+  SC.run(function() { view.append(); });
+
+  var child = get(view, 'childViews').objectAt(0);
+  ok(child instanceof SC.TextArea, "renders a text area");
+  equals(get(child, 'isLazy'), true, "passes the other options");
+  equals(view.$('textarea').val(), "Hello", "renders the value");
+
+  SC.run(function() { set(post, 'body', 'Bye'); });
+  equals(view.$('textarea').val(), "Bye", "updates the text area when the path changes");
+
+  view.$('textarea').val('Hi');
+  SC.run(function() { child.change(); });
+  equals(get(post, 'body'), "Hi", "updates the path when the text area changes");
+});
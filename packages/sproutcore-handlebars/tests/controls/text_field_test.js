@@ -58,6 +58,24 @@ test("input type is configurable when creating view", function() {
   equals(textField.$('input').attr('type'), 'password', "renders text field with type");
 });
 
+test("renders without compiling a template", function() {
+  var compile = SC.Handlebars.compile;
+  SC.Handlebars.compile = function() { ok(false, "should not compile a template"); };
+
+  try {
+    SC.run(function() {
+      set(textField, 'value', '"Tom" & <Jerry>');
+      set(textField, 'placeholder', 'Name & "nickname"');
+      textField.append();
+    });
+  } finally {
+    SC.Handlebars.compile = compile;
+  }
+
+  equals(textField.$('input').val(), '"Tom" & <Jerry>', "renders the escaped value");
+  equals(textField.$('input').attr('placeholder'), 'Name & "nickname"', "renders the escaped placeholder");
+});
+
 test("value binding works properly for inputs that haven't been created", function() {
 
   SC.run(function() {
@@ -152,3 +170,109 @@ test("should call the cancel method when escape key is pressed", function() {
 //   equals(cancelCalled, 1, "calls cancel after pressing escape key");
 // });
 
+
+test("should only update the value on change when lazy", function() {
+  SC.run(function() {
+    set(textField, 'isLazy', true);
+    textField.append();
+  });
+
+  textField.$('input').val('foo');
+  SC.run(function() { textField.keyUp(SC.Object.create({ keyCode: 70 })); });
+  equals(get(textField, 'value'), "", "does not update the value on key up");
+
+  SC.run(function() { textField.change(); });
+  equals(get(textField, 'value'), "foo", "updates the value on change");
+});
+
+var view;
+
+module("{{input}}", {
+  setup: function() {
+    TestObject = SC.Object.create({ name: 'Tom', isAdmin: false });
+  },
+
+  teardown: function() {
+    if (view) { view.destroy(); }
+    TestObject = view = null;
+  }
+});
+
+test("should bind the value of a text field two-way", function() {
+  var person = SC.Object.create({ name: 'Ann' });
+
+  view = SC.View.create({
+    person: person,
+    template: SC.Handlebars.compile('{{input value="person.name" placeholder="Name"}}')
+  });
+
+  SC.run(function() { view.append(); });
+
+  var textField = get(view, 'childViews').objectAt(0);
+  ok(textField instanceof SC.TextField, "renders a text field");
+  equals(view.$('input').val(), "Ann", "renders the value");
+  equals(view.$('input').attr('placeholder'), "Name", "passes the other options");
+
+  SC.run(function() { set(person, 'name', 'Bea'); });
+  equals(view.$('input').val(), "Bea", "updates the input when the path changes");
+
+  view.$('input').val('Cid');
+  SC.run(function() { textField.change(); });
+  equals(get(person, 'name'), "Cid", "updates the path when the input changes");
+});
+
+test("should bind global paths", function() {
+  view = SC.View.create({
+    template: SC.Handlebars.compile('{{input value="TestObject.name"}}')
+  });
+
+  SC.run(function() { view.append(); });
+  equals(view.$('input').val(), "Tom", "renders the value");
+
+  SC.run(function() { set(get(view, 'childViews').objectAt(0), 'value', 'Tim'); });
+  equals(get(TestObject, 'name'), "Tim", "updates the global path");
+});
+
+test("should render a checkbox bound to checked", function() {
+  view = SC.View.create({
+    template: SC.Handlebars.compile('{{input type="checkbox" checked="TestObject.isAdmin" title="Admin"}}')
+  });
+
+  SC.run(function() { view.append(); });
+
+  var checkbox = get(view, 'childViews').objectAt(0);
+  ok(checkbox instanceof SC.Checkbox, "renders a checkbox");
+  equals(!!view.$('input').prop('checked'), false, "renders the value");
+
+  SC.run(function() { set(TestObject, 'isAdmin', true); });
+  equals(view.$('input').prop('checked'), true, "updates the checkbox when the path changes");
+
+  view.$('input').prop('checked', false);
+  SC.run(function() { checkbox.change(); });
+  equals(get(TestObject, 'isAdmin'), false, "updates the path when the checkbox changes");
+});
+
+test("should disconnect from the old context when the template re-renders", function() {
+  var ann = SC.Object.create({ name: 'Ann' }),
+      bob = SC.Object.create({ name: 'Bob' }),
+      oldField;
+
+  view = SC.View.create({
+    person: ann,
+    template: SC.Handlebars.compile('{{#with person}}{{input value="name"}}{{/with}}')
+  });
+
+  SC.run(function() { view.append(); });
+  oldField = SC.View.views[view.$('.sc-text-field').attr('id')];
+  equals(get(oldField, 'value'), "Ann", "precond - renders the first context");
+
+  SC.run(function() { set(view, 'person', bob); });
+  equals(view.$('input').val(), "Bob", "renders the new context");
+  ok(get(oldField, 'isDestroyed'), "destroys the old text field");
+
+  SC.run(function() { set(ann, 'name', 'Ada'); });
+  equals(get(oldField, 'value'), "Ann", "the old text field no longer follows the old context");
+
+  SC.run(function() { set(oldField, 'value', 'Amy'); });
+  equals(get(ann, 'name'), "Ada", "the old context is no longer updated");
+});
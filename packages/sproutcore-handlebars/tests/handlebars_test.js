@@ -948,3 +948,56 @@ test("should be able to add multiple classes using {{bindAttr class}}", function
 });
 
 
+test("should update rehydrated elements when bound properties change", function() {
+  var content = SC.Object.create({ title: 'Hello', isActive: true }),
+      View = SC.View.extend({
+        elementId: 'rehydrated',
+        usesStableElementIds: YES,
+        content: content,
+        template: SC.Handlebars.compile('<h1 {{bindAttr class="content.isActive"}}>{{content.title}}</h1>')
+      });
+
+  SC.$('#qunit-fixture').html(View.create().renderToString());
+
+  var view = View.create();
+  view.rehydrate();
+
+  SC.run(function() {
+    set(content, 'title', 'Goodbye');
+    set(content, 'isActive', false);
+  });
+
+  equals(SC.$('#rehydrated h1').text(), 'Goodbye', "updates bound text in the existing markup");
+  ok(!SC.$('#rehydrated h1').hasClass('is-active'), "updates bound attributes in the existing markup");
+
+  view.destroy();
+  SC.$('#qunit-fixture').empty();
+});
+
+test("should not update elements of views rendered to strings without a document", function() {
+  var jQuery = SC.$,
+      view = SC.View.create({
+        name: 'Ann',
+        isActive: true,
+        classNameBindings: ['isActive'],
+        template: SC.Handlebars.compile('{{view SC.TextField valueBinding="name" placeholderBinding="name"}}' +
+                                        '{{view SC.Checkbox valueBinding="isActive" titleBinding="name"}}' +
+                                        '<b {{bindAttr class="isActive"}}>{{name}}</b>')
+      });
+
+  // Without a document, jQuery is not loaded.
+  SC.$ = undefined;
+
+  try {
+    SC.run(function() { view.renderToString(); });
+
+    SC.run(function() {
+      set(view, 'name', 'Bob');
+      set(view, 'isActive', false);
+    });
+
+    ok(true, "does not throw when bound properties change");
+  } finally {
+    SC.$ = jQuery;
+  }
+});
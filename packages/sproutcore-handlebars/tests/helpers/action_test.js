@@ -0,0 +1,110 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals TemplateTests */
+
+var view, dispatcher;
+var get = SC.get, set = SC.set;
+
+module("Handlebars {{action}} helper", {
+  setup: function() {
+    dispatcher = SC.EventDispatcher.create();
+    dispatcher.setup();
+    TemplateTests = {};
+  },
+
+  teardown: function() {
+    if (view) { view.destroy(); }
+    dispatcher.destroy();
+    view = dispatcher = null;
+  }
+});
+
+test("should call the action on the target with the context", function() {
+  var calls = [];
+
+  TemplateTests.controller = SC.Object.create({
+    save: function(context, event) { calls.push([context, event]); }
+  });
+
+  view = SC.View.create({
+    template: SC.Handlebars.compile('<a href="#" {{action "save" target="TemplateTests.controller"}}>Save</a>')
+  });
+
+  SC.run(function() { view.append(); });
+  view.$('a').trigger('click');
+
+  equals(calls.length, 1, "calls the action");
+  equals(calls[0][0], view, "passes the context");
+  equals(calls[0][1].type, 'click', "passes the event");
+  ok(calls[0][1].isDefaultPrevented(), "prevents the default action");
+});
+
+test("should call the action on the nearest view that implements it by default", function() {
+  var context;
+
+  view = SC.View.create({
+    people: [{ name: 'Ann' }, { name: 'Bob' }],
+    template: SC.Handlebars.compile('{{#each people}}<b {{action "select"}}>{{name}}</b>{{/each}}'),
+    select: function(person) { context = person; }
+  });
+
+  SC.run(function() { view.append(); });
+  view.$('b:last').trigger('click');
+
+  equals(context, get(view, 'people')[1], "passes the item of the {{#each}}");
+});
+
+test("should support other events, modifier keys and options", function() {
+  var calls = 0, viewClicked;
+
+  view = SC.View.create({
+    template: SC.Handlebars.compile(
+      '<i {{action "edit" on="doubleClick"}}></i>' +
+      '<u {{action "edit" allowedKeys="shift"}}></u>' +
+      '<s {{action "edit" preventDefault=false bubbles=false}}></s>'),
+    edit: function() { calls++; },
+    click: function() { viewClicked = true; }
+  });
+
+  SC.run(function() { view.append(); });
+
+  view.$('i').trigger('click');
+  equals(calls, 0, "does not call the action for other events");
+  view.$('i').trigger('dblclick');
+  equals(calls, 1, "calls the action for the event given by on");
+
+  view.$('i').trigger(SC.$.Event('dblclick', { shiftKey: true }));
+  equals(calls, 1, "does not call the action when a modifier key is pressed");
+  view.$('u').trigger(SC.$.Event('click', { shiftKey: true }));
+  equals(calls, 2, "calls the action when the modifier key is allowed");
+  view.$('u').trigger(SC.$.Event('click', { altKey: true }));
+  equals(calls, 2, "does not call the action for other modifier keys");
+
+  viewClicked = false;
+  var event = SC.$.Event('click');
+  view.$('s').trigger(event);
+  equals(calls, 3, "calls the action");
+  ok(!event.isDefaultPrevented(), "does not prevent the default action");
+  ok(!viewClicked, "does not bubble to the view");
+});
+
+test("should register the actions again when the template re-renders", function() {
+  var calls = 0;
+
+  view = SC.View.create({
+    isEditing: false,
+    template: SC.Handlebars.compile('{{#if isEditing}}<a {{action "save"}}>Save</a>{{else}}<a {{action "edit"}}>Edit</a>{{/if}}'),
+    edit: function() { set(this, 'isEditing', true); },
+    save: function() { calls++; }
+  });
+
+  SC.run(function() { view.append(); });
+  view.$('a').trigger('click');
+  equals(view.$('a').text(), 'Save', "calls the action of the first rendering");
+
+  view.$('a').trigger('click');
+  equals(calls, 1, "calls the action of the new element");
+});
@@ -0,0 +1,115 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+var view;
+var get = SC.get, set = SC.set;
+
+module("SC.Handlebars.registerBoundHelper", {
+  setup: function() {
+    SC.Handlebars.registerBoundHelper('testCurrency', function(value, options) {
+      return (options.hash.symbol || '$') + value.toFixed(2);
+    });
+
+    SC.Handlebars.registerBoundHelper('testFullName', function(first, last) {
+      return first + ' ' + last;
+    });
+
+    SC.Handlebars.registerBoundHelper('testSum', function(items) {
+      return items.reduce(function(sum, item) { return sum + get(item, 'price'); }, 0);
+    }, '@each.price');
+
+    SC.Handlebars.registerBoundHelper('testBold', function(value) {
+      return new Handlebars.SafeString('<b>' + value + '</b>');
+    });
+  },
+
+  teardown: function() {
+    if (view) { view.destroy(); }
+    view = null;
+
+    delete Handlebars.helpers.testCurrency;
+    delete Handlebars.helpers.testFullName;
+    delete Handlebars.helpers.testSum;
+    delete Handlebars.helpers.testBold;
+  }
+});
+
+test("should render the output again when the value changes", function() {
+  view = SC.View.create({
+    total: 5,
+    template: SC.Handlebars.compile('<p>{{testCurrency total symbol="€"}}</p>')
+  });
+
+  SC.run(function() { view.append(); });
+  equals(view.$('p').text(), '€5.00', "renders the output with the options");
+
+  SC.run(function() { set(view, 'total', 7.5); });
+  equals(view.$('p').text(), '€7.50', "renders the new output");
+});
+
+test("should observe each value", function() {
+  view = SC.View.create({
+    person: SC.Object.create({ first: 'Ann', last: 'Lee' }),
+    template: SC.Handlebars.compile('<p>{{testFullName person.first person.last}}</p>')
+  });
+
+  SC.run(function() { view.append(); });
+  equals(view.$('p').text(), 'Ann Lee', "renders the output");
+
+  SC.run(function() { set(get(view, 'person'), 'last', 'Ray'); });
+  equals(view.$('p').text(), 'Ann Ray', "renders again when the second value changes");
+
+  SC.run(function() { set(view, 'person', SC.Object.create({ first: 'Bob', last: 'Ito' })); });
+  equals(view.$('p').text(), 'Bob Ito', "renders again when an object of the path changes");
+});
+
+test("should observe the dependent keys of the values", function() {
+  var items = [SC.Object.create({ price: 2 }), SC.Object.create({ price: 3 })];
+
+  view = SC.View.create({
+    items: items,
+    template: SC.Handlebars.compile('<p>{{testSum items}}</p>')
+  });
+
+  SC.run(function() { view.append(); });
+  equals(view.$('p').text(), '5', "renders the output");
+
+  SC.run(function() { set(items[0], 'price', 10); });
+  equals(view.$('p').text(), '13', "renders again when a property of an item changes");
+
+  SC.run(function() { items.pushObject(SC.Object.create({ price: 1 })); });
+  equals(view.$('p').text(), '14', "renders again when an item is added");
+});
+
+test("should escape the output unless it is safe", function() {
+  view = SC.View.create({
+    name: '<i>Ann</i>',
+    template: SC.Handlebars.compile('<p>{{testFullName name name}}</p><div>{{testBold name}}</div>')
+  });
+
+  SC.run(function() { view.append(); });
+  equals(view.$('p i').length, 0, "escapes the output");
+  equals(view.$('div b i').length, 1, "does not escape safe strings");
+});
+
+test("should stop observing when the template re-renders", function() {
+  var person = SC.Object.create({ first: 'Ann', last: 'Lee', isVisible: true });
+
+  view = SC.View.create({
+    person: person,
+    template: SC.Handlebars.compile('{{#if person.isVisible}}<p>{{testFullName person.first person.last}}</p>{{/if}}')
+  });
+
+  SC.run(function() { view.append(); });
+  SC.run(function() { set(person, 'isVisible', false); });
+  equals(view.$('p').length, 0, "precond - the output is removed");
+
+  SC.run(function() { set(person, 'first', 'Amy'); });
+  equals(view.$('p').length, 0, "does not render the removed output");
+
+  SC.run(function() { set(person, 'isVisible', true); });
+  equals(view.$('p').text(), 'Amy Lee', "renders the output again");
+});
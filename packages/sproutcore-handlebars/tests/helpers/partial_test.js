@@ -0,0 +1,57 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+var view;
+var get = SC.get, set = SC.set;
+
+module("Handlebars {{partial}} helper", {
+  teardown: function() {
+    if (view) { view.destroy(); }
+    view = null;
+  }
+});
+
+test("should render the template in the current context", function() {
+  view = SC.View.create({
+    people: [{ name: 'Ann' }, { name: 'Bob' }],
+    templates: {
+      person: SC.Handlebars.compile('<b>{{name}}</b>')
+    },
+    template: SC.Handlebars.compile('{{#each people}}{{partial "person"}}{{/each}}')
+  });
+
+  SC.run(function() { view.append(); });
+
+  equals(view.$('b').length, 2, "renders the partial for each item");
+  equals(view.$('b:last').text(), 'Bob', "renders the partial in the context of the item");
+});
+
+test("should look up partials in SC.TEMPLATES by default", function() {
+  SC.TEMPLATES.partialTestGreeting = SC.Handlebars.compile('Hello {{bind "name"}}');
+
+  view = SC.View.create({
+    name: 'Ann',
+    template: SC.Handlebars.compile('<p>{{partial "partialTestGreeting"}}</p>')
+  });
+
+  SC.run(function() { view.append(); });
+  equals(view.$('p').text(), 'Hello Ann', "renders the partial");
+
+  SC.run(function() { set(view, 'name', 'Bob'); });
+  equals(view.$('p').text(), 'Hello Bob', "bindings in the partial update");
+
+  delete SC.TEMPLATES.partialTestGreeting;
+});
+
+test("should raise for unknown partials", function() {
+  view = SC.View.create({
+    template: SC.Handlebars.compile('{{partial "nothing"}}')
+  });
+
+  raises(function() {
+    get(view, 'template')(view, { data: { view: view, isRenderData: true } });
+  }, "raises an exception");
+});
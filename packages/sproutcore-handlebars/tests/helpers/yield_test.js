@@ -0,0 +1,70 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+var view;
+var get = SC.get, set = SC.set;
+
+module("Handlebars {{yield}} helper", {
+  teardown: function() {
+    if (view) { view.destroy(); }
+    view = null;
+  }
+});
+
+test("should render the template of the view in its layout", function() {
+  view = SC.View.create({
+    title: 'Panel',
+    layoutName: 'panel',
+    templateName: 'body',
+    templates: {
+      panel: SC.Handlebars.compile('<div class="panel"><h2>{{title}}</h2>{{yield}}</div>'),
+      body: SC.Handlebars.compile('<p>{{title}} body</p>')
+    }
+  });
+
+  SC.run(function() { view.append(); });
+
+  equals(view.$('.panel h2').text(), 'Panel', "renders the layout");
+  equals(view.$('.panel p').text(), 'Panel body', "renders the template inside the layout");
+});
+
+test("should render the template in the context of the view inside block helpers", function() {
+  view = SC.View.create({
+    name: 'Ann',
+    user: { name: 'Bob', isOpen: true },
+    layout: SC.Handlebars.compile('{{#with user}}<h2>{{name}}</h2>{{#if isOpen}}{{yield}}{{/if}}{{/with}}'),
+    template: SC.Handlebars.compile('<p>{{name}}</p>{{#view tagName="em"}}{{name}}{{/view}}')
+  });
+
+  SC.run(function() { view.append(); });
+
+  equals(view.$('h2').text(), 'Bob', "renders the layout in its context");
+  equals(view.$('p').text(), 'Ann', "renders the template in the context of the view");
+  equals(view.$('em').length, 1, "renders the child views of the template");
+});
+
+test("should share layouts between views", function() {
+  var Panel = SC.View.extend({
+    layout: SC.Handlebars.compile('<section>{{yield}}</section>')
+  });
+
+  view = SC.View.create({
+    template: SC.Handlebars.compile('{{#view Panel}}one{{/view}}{{#view Panel}}two{{/view}}'),
+    Panel: Panel
+  });
+
+  SC.run(function() { view.append(); });
+
+  equals(view.$('section').length, 2, "renders the layout for each view");
+  equals(view.$('section:last').text(), 'two', "renders the block of each view");
+});
+
+test("should raise outside of layouts", function() {
+  view = SC.View.create({ template: SC.Handlebars.compile('{{yield}}') });
+  raises(function() {
+    get(view, 'template')(view, { data: { view: view, isRenderData: true } });
+  }, "raises an exception");
+});
@@ -0,0 +1,63 @@
+// ==========================================================================
+// Project:   SproutCore Handlebar Views
+// Copyright: ©2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+var get = SC.get, set = SC.set;
+
+// Evaluates precompiled source the way a script built by bin/precompile.js would.
+function precompiled(string) {
+  return SC.Handlebars.template(eval('(' + SC.Handlebars.precompile(string) + ')'));
+}
+
+module("SC.Handlebars.precompile");
+
+test("returns JavaScript source", function() {
+  var source = SC.Handlebars.precompile("{{#if isActive}}yes{{/if}}");
+
+  equals(typeof source, 'string', "returns a string");
+  ok(source.indexOf('children') !== -1, "includes the block programs");
+});
+
+test("precompiled templates render like compiled templates", function() {
+  var string = '<h1>{{title}}</h1>{{#each items}}<p>{{name}}</p>{{/each}}{{#if isActive}}on{{else}}off{{/if}}',
+      View = SC.View.extend({
+        title: 'List',
+        items: [{ name: 'one' }, { name: 'two' }],
+        isActive: false
+      });
+
+  var compiledView = View.create({ template: SC.Handlebars.compile(string) }),
+      precompiledView = View.create({ template: precompiled(string) });
+
+  compiledView.createElement();
+  precompiledView.createElement();
+
+  equals(precompiledView.$().text(), compiledView.$().text(), "renders the same content");
+  equals(precompiledView.$().text(), 'Listonetwooff', "renders the template");
+});
+
+test("precompiled templates keep bound values up to date", function() {
+  var view = SC.View.create({
+    template: precompiled('<p>{{name}}</p>'),
+    name: 'Tom'
+  });
+
+  view.createElement();
+  equals(view.$('p').text(), 'Tom', "renders the value");
+
+  SC.run(function() { set(view, 'name', 'Yehuda'); });
+  equals(view.$('p').text(), 'Yehuda', "updates the value");
+});
+
+test("precompiled templates can be looked up by name", function() {
+  var view = SC.View.create({
+    templateName: 'precompiled_template',
+    templates: { precompiled_template: precompiled("<b>{{greeting}}</b>") },
+    greeting: 'hello'
+  });
+
+  view.createElement();
+  equals(view.$('b').text(), 'hello', "renders the named template");
+});
@@ -5,7 +5,7 @@
 // ==========================================================================
 /*globals TemplateTests */
 
-var set = SC.set, setPath = SC.setPath;
+var get = SC.get, set = SC.set, setPath = SC.setPath;
 
 TemplateTests = {};
 
@@ -193,3 +193,26 @@ test("tagName works in the #collection helper", function() {
   equals(view.$('li:eq(0)').text(), "bing");
 });
 
+
+test("itemKey keeps the item views of the {{#each}} helper when the content changes", function() {
+  var people = [ { id: 1, name: 'Tom' }, { id: 2, name: 'Yehuda' } ];
+
+  var view = SC.View.create({
+    template: SC.Handlebars.compile('{{#each people itemKey="id"}}<em>{{name}}</em>{{/each}}'),
+    people: people
+  });
+
+  SC.run(function() { view.createElement(); });
+
+  var collectionView = view.childViews[0],
+      itemViews = get(collectionView, 'childViews').slice();
+
+  equals(get(collectionView, 'itemKey'), 'id', "sets itemKey on the collection view");
+
+  SC.run(function() {
+    set(view, 'people', [people[1], people[0]]);
+  });
+
+  equals(view.$('em').text(), "YehudaTom", "renders the items in the new order");
+  same(get(collectionView, 'childViews'), [itemViews[1], itemViews[0]], "keeps the item views");
+});
@@ -6,9 +6,12 @@
 // ==========================================================================
 
 require("sproutcore-runtime");
-if ('undefined' === typeof jQuery) require('jquery');
 
-SC.$ = jQuery;
+// Without a document, for example when rendering views to strings on a
+// server, jQuery cannot be loaded and SC.$ is left undefined.
+if ('undefined' === typeof jQuery && 'undefined' !== typeof document) require('jquery');
+
+if ('undefined' !== typeof jQuery) { SC.$ = jQuery; }
 
 require("sproutcore-views/system");
 require("sproutcore-views/views");
@@ -8,3 +8,5 @@
 require("sproutcore-views/system/render_buffer");
 require("sproutcore-views/system/application");
 require("sproutcore-views/system/event_dispatcher");
+require("sproutcore-views/system/state");
+require("sproutcore-views/system/router");
@@ -6,6 +6,7 @@
 // ==========================================================================
 
 require("sproutcore-views/system/event_dispatcher");
+require("sproutcore-views/system/router");
 
 var get = SC.get, set = SC.set;
 
@@ -33,6 +34,18 @@ var get = SC.get, set = SC.set;
   You only need to specify the root if your page contains multiple instances 
   of SC.Application.
 
+  If your application has states that should be reflected in the URL, set
+  the `router` property to an `SC.Router`.  It will start routing once the
+  document is ready:
+
+      MyApp = SC.Application.create({
+        router: SC.Router.extend({
+          root: SC.State.extend({
+            index: SC.State.extend({ route: '/' })
+          })
+        })
+      });
+
   @since SproutCore 2.0
   @extends SC.Object
 */
@@ -43,7 +56,7 @@ SC.Application = SC.Object.extend(
     @type DOMElement
     @default document
   */
-  rootElement: document,
+  rootElement: 'undefined' !== typeof document ? document : null,
 
   /**
     @type SC.EventDispatcher
@@ -57,10 +70,21 @@ SC.Application = SC.Object.extend(
   */
   customEvents: null,
 
+  /**
+    The router that keeps the application's state in sync with the URL.  May
+    be a subclass of `SC.Router` or an instance.
+
+    @type SC.Router
+    @default null
+  */
+  router: null,
+
   /** @private */
   init: function() {
     var eventDispatcher,
-        rootElement = get(this, 'rootElement');
+        rootElement = get(this, 'rootElement'),
+        customEvents = get(this, 'customEvents'),
+        router = get(this, 'router');
 
     eventDispatcher = SC.EventDispatcher.create({
       rootElement: rootElement
@@ -68,14 +92,23 @@ SC.Application = SC.Object.extend(
 
     set(this, 'eventDispatcher', eventDispatcher);
 
+    if (SC.Router.detect(router)) {
+      router = router.create();
+      set(this, 'router', router);
+    }
+
     SC.$(document).ready(function() {
-      eventDispatcher.setup(this.get('customEvents'));
+      eventDispatcher.setup(customEvents);
+      if (router) { router.startRouting(); }
     });
   },
 
   /** @private */
   destroy: function() {
+    var router = get(this, 'router');
+
     get(this, 'eventDispatcher').destroy();
+    if (router) { router.destroy(); }
   }
 });
 
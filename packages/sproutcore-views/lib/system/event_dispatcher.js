@@ -26,7 +26,7 @@ SC.EventDispatcher = SC.Object.extend(
     @type DOMElement
     @default document
   */
-  rootElement: document,
+  rootElement: 'undefined' !== typeof document ? document : null,
 
   /**
     @private
@@ -37,6 +37,9 @@ SC.EventDispatcher = SC.Object.extend(
     default, it will set up all of the listeners on the document body. If you
     would like to register the listeners on different element, set the event
     dispatcher's `root` property.
+
+    Calling it again only sets up listeners for events that are not handled
+    yet, so that events are never dispatched twice.
   */
   setup: function(addedEvents) {
     var event, events = {
@@ -60,11 +63,14 @@ SC.EventDispatcher = SC.Object.extend(
       change      : 'change'
     };
 
+    var handledEvents = this._sced_handledEvents || (this._sced_handledEvents = {});
+
     jQuery.extend(events, addedEvents || {})
 
     for (event in events) {
-      if (events.hasOwnProperty(event)) {
+      if (events.hasOwnProperty(event) && !handledEvents[event]) {
         this.setupHandler(event, events[event]);
+        handledEvents[event] = YES;
       }
     }
   },
@@ -85,6 +91,10 @@ SC.EventDispatcher = SC.Object.extend(
 
         setupHandler('mousedown', 'mouseDown');
 
+    Events on elements with a `data-sproutcore-action` attribute are first
+    sent to the action with that id, registered with `registerAction()` on
+    the view that rendered the element.
+
     @param {String} event the browser-originated event to listen to
     @param {String} eventName the name of the method to call on the view
   */
@@ -108,6 +118,18 @@ SC.EventDispatcher = SC.Object.extend(
 
       return result;
     });
+
+    SC.$(rootElement).delegate('[data-sproutcore-action]', event + '.sproutcore', function(evt) {
+      var elem = SC.$(this),
+          view = SC.View.views[elem.closest('.sc-view').attr('id')],
+          actionId = elem.attr('data-sproutcore-action');
+
+      if (view) {
+        return SC.run(function() {
+          return view.triggerAction(actionId, eventName, evt);
+        });
+      }
+    });
   },
 
   /** @private */
@@ -115,5 +137,6 @@ SC.EventDispatcher = SC.Object.extend(
     var rootElement = get(this, 'rootElement');
 
     SC.$(rootElement).undelegate('.sproutcore');
+    this._sced_handledEvents = null;
   }
 });
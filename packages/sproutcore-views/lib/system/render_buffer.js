@@ -200,23 +200,22 @@ SC._RenderBuffer = SC.Object.extend(
         style = get(this, 'elementStyle'),
         content = get(this, 'elementContent'),
         tag = get(this, 'elementTag'),
-        styleBuffer = [], prop;
+        styleBuffer = [], hasStyle = NO, prop;
 
     var openTag = ["<" + tag];
 
     if (id) { openTag.push('id="' + id + '"'); }
     if (classes.length) { openTag.push('class="' + classes.join(" ") + '"'); }
 
-    if (!jQuery.isEmptyObject(style)) {
-      for (prop in style) {
-        if (style.hasOwnProperty(prop)) {
-          styleBuffer.push(prop + ':' + style[prop] + ';');
-        }
+    for (prop in style) {
+      if (style.hasOwnProperty(prop)) {
+        styleBuffer.push(prop + ':' + style[prop] + ';');
+        hasStyle = YES;
       }
-
-      openTag.push('style="' + styleBuffer.join() + '"');
     }
 
+    if (hasStyle) { openTag.push('style="' + styleBuffer.join('') + '"'); }
+
     for (prop in attrs) {
       if (attrs.hasOwnProperty(prop)) {
         openTag.push(prop + '="' + attrs[prop] + '"');
@@ -226,7 +225,7 @@ SC._RenderBuffer = SC.Object.extend(
 
     openTag = openTag.join(" ");
 
-    content = content.join();
+    content = content.join('');
 
     if (get(this, 'escapeContent')) {
       content = get(this, 'escapeFunction')(content);
@@ -0,0 +1,494 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+require("sproutcore-views/system/state");
+
+var get = SC.get, set = SC.set;
+
+/**
+  @class
+
+  SC.Router keeps track of the current state of an application, which is an
+  `SC.State` in the tree of states starting at `root`, and keeps it in sync
+  with the URL.
+
+  Call `transitionTo()` with the path of a state to change the current state.
+  The router exits the states that are no longer current, deepest first, and
+  enters the new states from the top down.  The URL is then updated from the
+  routes of the current states:
+
+      MyApp.router.transitionTo('posts.show', post);
+      MyApp.router.get('url'); // => '/posts/1'
+
+  When the URL changes, for example because the user pressed the back
+  button, the router finds the states whose routes match the URL and
+  transitions to them.
+
+  Transitions run inside a run loop, so bindings have been flushed when
+  `transitionTo()` returns.
+
+  Usually you will set the router as the `router` property of your
+  `SC.Application`, which starts routing once the document is ready.
+
+  @since SproutCore 2.0
+  @extends SC.Object
+*/
+SC.Router = SC.Object.extend(
+/** @scope SC.Router.prototype */{
+
+  /**
+    The root state.  May be a subclass of `SC.State` or an instance.
+
+    @type SC.State
+    @default null
+  */
+  root: null,
+
+  /**
+    How the URL is stored:
+
+     * `'hash'` &mdash; in the URL hash, like `#/posts/1`
+     * `'history'` &mdash; in the URL path, using `history.pushState()`
+     * `'none'` &mdash; only in the router's `url` property
+
+    @type String
+    @default 'hash'
+  */
+  location: 'hash',
+
+  /**
+    The path your application is served from when `location` is
+    `'history'`.
+
+    @type String
+    @default '/'
+  */
+  rootURL: '/',
+
+  /**
+    The current state.
+
+    @type SC.State
+    @default null
+  */
+  currentState: null,
+
+  /**
+    The URL of the current state, for example `'/posts/1'`.
+
+    @type String
+    @default null
+  */
+  url: null,
+
+  /**
+    The path of the current state.
+
+    @field
+    @type String
+  */
+  currentPath: function() {
+    var state = get(this, 'currentState');
+    return state ? get(state, 'path') : null;
+  }.property('currentState').cacheable(),
+
+  // ..........................................................
+  // TRANSITIONS
+  //
+
+  /**
+    Makes the state at the passed path the current state and updates the
+    URL.
+
+    @param {String} path the path of the state, like `'posts.show'`
+    @param {Object} [context] the object to enter the state with
+    @returns {SC.Router} receiver
+  */
+  transitionTo: function(path, context) {
+    var state = get(this, 'root').stateAtPath(path),
+        contexts = {};
+
+    if (!state) {
+      throw new SC.Error('%@ - Unable to find state "%@".'.fmt(this, path));
+    }
+
+    contexts[get(state, 'path')] = {
+      context: context,
+      params: state.serialize(this, context)
+    };
+
+    this._scr_transition(state, contexts, YES);
+    return this;
+  },
+
+  /**
+    Transitions to the states matching the passed URL.  Each state with
+    dynamic segments is entered with the context returned by its
+    `deserialize()` method.
+
+    @param {String} url the URL, like `'/posts/1'`
+    @returns {Boolean} YES if a state matched the URL
+  */
+  route: function(url) {
+    var segments = this._scr_segmentsForURL(url),
+        matches = this._scr_match(get(this, 'root'), segments, 0),
+        contexts = {}, match, state, idx, len;
+
+    if (!matches) { return NO; }
+
+    for (idx = 0, len = matches.length; idx < len; idx++) {
+      match = matches[idx];
+      state = match.state;
+
+      if (state.dynamicSegments().length > 0) {
+        contexts[get(state, 'path')] = {
+          context: state.deserialize(this, match.params),
+          params: match.params
+        };
+      }
+    }
+
+    this._scr_transition(state, contexts, NO);
+    return YES;
+  },
+
+  /**
+    Sends an action to the current state.  If the current state does not
+    implement it, the action is sent to its parent states, until a state
+    that implements it is found.  The state is passed the router, followed
+    by any additional arguments.
+
+    You can use this to let views trigger transitions without knowing which
+    state the application is in:
+
+        posts: SC.State.extend({
+          showPost: function(router, post) {
+            router.transitionTo('posts.show', post);
+          }
+        })
+
+        MyApp.router.send('showPost', post);
+
+    @param {String} action the name of the action
+    @returns {Object} the return value of the action
+  */
+  send: function(action) {
+    var args = Array.prototype.slice.call(arguments, 1),
+        state = get(this, 'currentState'),
+        ret;
+
+    args.unshift(this);
+
+    while (state) {
+      if (SC.typeOf(state[action]) === 'function') {
+        SC.run(function() {
+          ret = state[action].apply(state, args);
+        });
+        return ret;
+      }
+      state = get(state, 'parentState');
+    }
+
+    throw new SC.Error('%@ - No state responded to action "%@".'.fmt(this, action));
+  },
+
+  /**
+    Returns the URL of the state at the passed path when entered with the
+    passed context.  Parent states that are currently entered keep their
+    params.
+
+    @param {String} path the path of the state
+    @param {Object} [context] the object the state would be entered with
+    @returns {String} the URL
+  */
+  urlFor: function(path, context) {
+    var state = get(this, 'root').stateAtPath(path),
+        params = {};
+
+    if (!state) {
+      throw new SC.Error('%@ - Unable to find state "%@".'.fmt(this, path));
+    }
+
+    params[get(state, 'path')] = state.serialize(this, context);
+    return this._scr_urlForState(state, params);
+  },
+
+  /**
+    Returns the passed URL in the form used by `location`, suitable for the
+    `href` of a link.
+
+    @param {String} url
+    @returns {String}
+  */
+  formatURL: function(url) {
+    var location = get(this, 'location');
+
+    if (location === 'hash') { return '#' + url; }
+    if (location === 'history') { return get(this, 'rootURL').replace(/\/$/, '') + url; }
+    return url;
+  },
+
+  // ..........................................................
+  // LOCATION
+  //
+
+  /**
+    Routes the current URL and starts listening for URL changes.  Called by
+    `SC.Application` when the document is ready.
+
+    @returns {SC.Router} receiver
+  */
+  startRouting: function() {
+    var router = this,
+        location = get(this, 'location'),
+        event = location === 'hash' ? 'hashchange' : location === 'history' ? 'popstate' : null;
+
+    SC.Router.current = this;
+
+    if (event) {
+      this._scr_handler = function() {
+        var url = router._scr_locationURL();
+        if (url !== get(router, 'url')) {
+          SC.run(function() { router.route(url); });
+        }
+      };
+      SC.$(window).bind(event, this._scr_handler);
+    }
+
+    if (!this.route(this._scr_locationURL() || '/') && !get(this, 'currentState')) {
+      this.transitionTo('');
+    }
+
+    return this;
+  },
+
+  /**
+    Stops listening for URL changes.
+
+    @returns {SC.Router} receiver
+  */
+  stopRouting: function() {
+    if (this._scr_handler) {
+      SC.$(window).unbind('hashchange', this._scr_handler).unbind('popstate', this._scr_handler);
+      this._scr_handler = null;
+    }
+
+    if (SC.Router.current === this) { SC.Router.current = null; }
+    return this;
+  },
+
+  /** @private */
+  init: function() {
+    var root = get(this, 'root');
+
+    this._super();
+
+    if (SC.State.detect(root)) { set(this, 'root', root.create()); }
+  },
+
+  /** @private */
+  destroy: function() {
+    this.stopRouting();
+    return this._super();
+  },
+
+  // ..........................................................
+  // INTERNAL SUPPORT
+  //
+
+  /**
+    @private
+
+    Exits the current states that are not ancestors of the target state, or
+    whose context is changing, then enters the target state and the
+    ancestors that are not entered yet.
+  */
+  _scr_transition: function(target, contexts, updateURL) {
+    var router = this;
+
+    SC.run(function() {
+      var current = get(router, 'currentState'),
+          targetStates = router._scr_statesTo(target),
+          currentStates = current ? router._scr_statesTo(current) : [],
+          idx = 0, len = targetStates.length, state, change;
+
+      // Find the first state that has to be entered again.
+      while (idx < len && targetStates[idx] === currentStates[idx]) {
+        change = contexts[get(targetStates[idx], 'path')];
+        if (change && !router._scr_paramsEqual(change.params, get(targetStates[idx], 'params'))) { break; }
+        idx++;
+      }
+
+      for (var cur = currentStates.length - 1; cur >= idx; cur--) {
+        state = currentStates[cur];
+        state.exit(router);
+        set(state, 'context', null);
+        set(state, 'params', null);
+      }
+
+      for (; idx < len; idx++) {
+        state = targetStates[idx];
+        change = contexts[get(state, 'path')] || {};
+        set(state, 'context', change.context);
+        set(state, 'params', change.params || {});
+        state.enter(router, change.context);
+      }
+
+      set(router, 'currentState', target);
+      set(router, 'url', router._scr_urlForState(target, {}));
+
+      if (updateURL) { router._scr_updateLocation(); }
+    });
+  },
+
+  /** @private
+    Returns the states from the root state to the passed state.
+  */
+  _scr_statesTo: function(state) {
+    var states = [];
+    while (state) {
+      states.unshift(state);
+      state = get(state, 'parentState');
+    }
+    return states;
+  },
+
+  /** @private
+    Builds the URL for the passed state.  Params are looked up by state path
+    in the passed hash, falling back to the params the states were entered
+    with.
+  */
+  _scr_urlForState: function(state, params) {
+    var segments = [];
+
+    this._scr_statesTo(state).forEach(function(state) {
+      var stateParams = params[get(state, 'path')] || get(state, 'params') || {};
+
+      state.routeSegments().forEach(function(segment) {
+        var first = segment.charAt(0);
+        if (first === ':' || first === '*') {
+          segment = stateParams[segment.slice(1)];
+          segment = segment === undefined || segment === null ? '' : String(segment);
+          if (first === ':') { segment = encodeURIComponent(segment); }
+        }
+        segments.push(segment);
+      });
+    });
+
+    return '/' + segments.join('/');
+  },
+
+  /** @private
+    Returns the list of states matching the segments starting at the passed
+    index, or null.  Each match holds the state and its params.
+  */
+  _scr_match: function(state, segments, idx) {
+    var routeSegments = state.routeSegments(),
+        childStates = get(state, 'childStates'),
+        params = {}, segment, first, name, ret, cur, len;
+
+    if (state !== get(this, 'root') && get(state, 'route') === null) { return null; }
+
+    for (cur = 0, len = routeSegments.length; cur < len; cur++) {
+      segment = routeSegments[cur];
+      first = segment.charAt(0);
+
+      if (first === '*') {
+        params[segment.slice(1)] = segments.slice(idx).join('/');
+        idx = segments.length;
+      } else if (idx >= segments.length) {
+        return null;
+      } else if (first === ':') {
+        params[segment.slice(1)] = decodeURIComponent(segments[idx++]);
+      } else if (segment === segments[idx]) {
+        idx++;
+      } else {
+        return null;
+      }
+    }
+
+    for (name in childStates) {
+      if (childStates.hasOwnProperty(name)) {
+        ret = this._scr_match(childStates[name], segments, idx);
+        if (ret) {
+          ret.unshift({ state: state, params: params });
+          return ret;
+        }
+      }
+    }
+
+    return idx === segments.length ? [{ state: state, params: params }] : null;
+  },
+
+  /** @private */
+  _scr_segmentsForURL: function(url) {
+    return (url || '').replace(/[?#].*$/, '').split('/').filter(function(segment) {
+      return !!segment;
+    });
+  },
+
+  /** @private */
+  _scr_paramsEqual: function(a, b) {
+    var key;
+    a = a || {};
+    b = b || {};
+
+    for (key in a) {
+      if (a.hasOwnProperty(key) && String(a[key]) !== String(b[key])) { return NO; }
+    }
+    for (key in b) {
+      if (b.hasOwnProperty(key) && !a.hasOwnProperty(key)) { return NO; }
+    }
+    return YES;
+  },
+
+  /** @private
+    Reads the URL from the browser's location.
+  */
+  _scr_locationURL: function() {
+    var location = get(this, 'location'),
+        rootURL = get(this, 'rootURL').replace(/\/$/, ''),
+        url;
+
+    if (location === 'hash') {
+      return window.location.hash.replace(/^#/, '');
+    } else if (location === 'history') {
+      url = window.location.pathname;
+      return url.indexOf(rootURL) === 0 ? url.slice(rootURL.length) : url;
+    }
+
+    return get(this, 'url');
+  },
+
+  /** @private
+    Writes the current URL to the browser's location.
+  */
+  _scr_updateLocation: function() {
+    var location = get(this, 'location'),
+        url = get(this, 'url');
+
+    if (url === this._scr_locationURL()) { return; }
+
+    if (location === 'hash') {
+      window.location.hash = url;
+    } else if (location === 'history') {
+      window.history.pushState({ url: url }, null, this.formatURL(url));
+    }
+  }
+});
+
+SC.Router.reopenClass(
+/** @scope SC.Router */{
+
+  /**
+    The router that most recently started routing.  Used by views that link
+    to states when they are not given a router.
+
+    @type SC.Router
+  */
+  current: null
+});
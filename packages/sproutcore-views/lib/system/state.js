@@ -0,0 +1,237 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+require("sproutcore-runtime");
+
+var get = SC.get, set = SC.set;
+
+/**
+  @class
+
+  A state of an application, managed by an `SC.Router`.
+
+  Child states are defined as properties containing `SC.State` subclasses.
+  A state can have a `route`, which is the part of the URL that it adds to
+  the URL of its parent state. Segments starting with `:` are dynamic and
+  become the state's params:
+
+      MyApp.router = SC.Router.create({
+        root: SC.State.extend({
+          index: SC.State.extend({
+            route: '/'
+          }),
+
+          posts: SC.State.extend({
+            route: '/posts',
+
+            show: SC.State.extend({
+              route: '/:post_id',
+
+              enter: function(router, post) {
+                MyApp.postController.set('content', post);
+              },
+
+              serialize: function(router, post) {
+                return { post_id: post.get('id') };
+              },
+
+              deserialize: function(router, params) {
+                return MyApp.store.find(MyApp.Post, params.post_id);
+              }
+            })
+          })
+        })
+      });
+
+  A state's `context` is the object it was entered with, for example the post
+  shown by the `posts.show` state above.  States that have a route but
+  no dynamic segments, or are not entered through the URL, can ignore it.
+
+  @since SproutCore 2.0
+  @extends SC.Object
+*/
+SC.State = SC.Object.extend(
+/** @scope SC.State.prototype */{
+
+  /**
+    The part of the URL that this state adds to the URL of its parent state,
+    for example `'/posts'` or `'/:post_id'`.  States without a route can
+    only be entered with `SC.Router#transitionTo()`.
+
+    @type String
+    @default null
+  */
+  route: null,
+
+  /**
+    The name of the property this state was defined on in its parent state.
+
+    @type String
+    @default null
+  */
+  name: null,
+
+  /**
+    @type SC.State
+    @default null
+  */
+  parentState: null,
+
+  /**
+    The child states of this state, keyed by name.
+
+    @type Hash
+    @default null
+  */
+  childStates: null,
+
+  /**
+    The object this state was entered with.
+
+    @type Object
+    @default null
+  */
+  context: null,
+
+  /**
+    The URL params of this state while it is entered.
+
+    @type Hash
+    @default null
+  */
+  params: null,
+
+  /**
+    The names of the child states, separated by dots, leading from the root
+    state to this state.  The path of the root state is an empty string.
+
+    @field
+    @type String
+  */
+  path: function() {
+    var parentState = get(this, 'parentState'),
+        parentPath = parentState ? get(parentState, 'path') : null;
+
+    if (!parentState) { return ''; }
+    return parentPath ? parentPath + '.' + get(this, 'name') : get(this, 'name');
+  }.property('parentState', 'name').cacheable(),
+
+  /**
+    Called when the router enters this state.
+
+    @param {SC.Router} router
+    @param {Object} context the object the state is entered with
+  */
+  enter: SC.K,
+
+  /**
+    Called when the router exits this state.
+
+    @param {SC.Router} router
+  */
+  exit: SC.K,
+
+  /**
+    Returns the params for the dynamic segments of this state's route when
+    it is entered with the passed context.  By default, each param is read
+    from the property of the context with the same name.
+
+    @param {SC.Router} router
+    @param {Object} context
+    @returns {Hash} params
+  */
+  serialize: function(router, context) {
+    var params = {};
+
+    if (context) {
+      this.dynamicSegments().forEach(function(name) {
+        params[name] = get(context, name);
+      });
+    }
+
+    return params;
+  },
+
+  /**
+    Returns the context to enter this state with when it is entered through
+    a URL.  By default, the params themselves are used as the context.
+
+    @param {SC.Router} router
+    @param {Hash} params
+    @returns {Object} context
+  */
+  deserialize: function(router, params) {
+    return params;
+  },
+
+  /**
+    Returns the segments of this state's route.
+
+    @returns {Array}
+  */
+  routeSegments: function() {
+    var route = get(this, 'route');
+    return route ? route.split('/').filter(function(segment) { return !!segment; }) : [];
+  },
+
+  /**
+    Returns the names of the dynamic segments in this state's route.
+
+    @returns {Array}
+  */
+  dynamicSegments: function() {
+    return this.routeSegments().filter(function(segment) {
+      return segment.charAt(0) === ':' || segment.charAt(0) === '*';
+    }).map(function(segment) {
+      return segment.slice(1);
+    });
+  },
+
+  /**
+    Returns the child state at the passed path, relative to this state.
+
+    @param {String} path child state names separated by dots
+    @returns {SC.State} the state, or undefined
+  */
+  stateAtPath: function(path) {
+    var state = this;
+
+    if (!path) { return state; }
+
+    path.split('.').forEach(function(name) {
+      var childStates = state && get(state, 'childStates');
+      state = childStates ? childStates[name] : undefined;
+    });
+
+    return state;
+  },
+
+  /** @private */
+  init: function() {
+    var childStates = {}, key, value;
+
+    this._super();
+
+    for (key in this) {
+      if (key === 'parentState' || key === 'constructor') { continue; }
+
+      value = this[key];
+      if (SC.State.detect(value)) {
+        value = this[key] = value.create({ name: key, parentState: this });
+      } else if (value instanceof SC.State) {
+        set(value, 'name', key);
+        set(value, 'parentState', this);
+      } else {
+        continue;
+      }
+
+      childStates[key] = value;
+    }
+
+    set(this, 'childStates', childStates);
+  }
+});
@@ -10,6 +10,32 @@ var get = SC.get, set = SC.set;
 
 /**
   @class
+
+  By default, a collection view creates an item view for every object in its
+  content.  For long lists you can set `isVirtual` to `YES`, in which case
+  only the rows that intersect the visible part of the view's element (plus
+  a few rows of `overscan` above and below) are rendered.  The element is
+  expected to scroll, for example with `overflow: auto` and a fixed height.
+  Rows that scroll out of view are recycled for the rows that scroll in, and
+  spacer elements before and after the rendered rows keep the scroll height
+  of the full list.
+
+  Row heights are `rowHeight` pixels each unless `hasUniformRowHeights` is
+  `NO`, in which case each row is measured once it has been rendered.
+
+  Item views added or removed after the collection view has been rendered
+  are notified with `willInsertElement()` and `didInsertElement()`, and
+  transition in and out like views appended to the document.  Give the
+  `itemViewClass` a `transitionClassName` to animate them; a removed item
+  stays in the document until it has transitioned out.  With `isVirtual`,
+  this includes rows that are rendered as they scroll into view.
+
+  If you set `itemKey`, item views are matched to the content by the value
+  at that path of each object.  When objects are removed and added again,
+  like when the content is sorted, filtered or replaced, the item views of
+  objects with the same key are kept and their elements moved, so they
+  keep their state, like focus or the text of a text field.
+
   @since SproutCore 2.0
   @extends SC.View
 */
@@ -38,6 +64,146 @@ SC.CollectionView = SC.View.extend(
   */
   itemViewClass: SC.View,
 
+  /**
+    The path, relative to each object of the content, of a value that
+    identifies the object, like `'id'`.  If set, item views are kept for
+    objects with the same key when the content changes, instead of being
+    created again.  Keys should be unique.
+
+    @type String
+    @default null
+  */
+  itemKey: null,
+
+  // ..........................................................
+  // VIRTUAL RENDERING
+  //
+
+  /**
+    If `YES`, only the item views for rows in the visible part of the view's
+    element are rendered.
+
+    @type Boolean
+    @default NO
+  */
+  isVirtual: NO,
+
+  /**
+    The height of each row in pixels when `isVirtual` is `YES`.  If
+    `hasUniformRowHeights` is `NO`, this is used as an estimate for rows
+    that have not been measured yet.
+
+    @type Number
+    @default 20
+  */
+  rowHeight: 20,
+
+  /**
+    Set to `NO` if rows can have different heights.  Rendered rows will then
+    be measured instead of assuming that they are `rowHeight` pixels tall.
+
+    @type Boolean
+    @default YES
+  */
+  hasUniformRowHeights: YES,
+
+  /**
+    Number of additional rows to render above and below the visible rows.
+
+    @type Number
+    @default 3
+  */
+  overscan: 3,
+
+  /**
+    Height of the visible part of the view in pixels.  If `null`, the height
+    of the view's element is used.
+
+    @type Number
+    @default null
+  */
+  viewportHeight: null,
+
+  /**
+    Returns the height of the row at the passed index.
+
+    @param {Number} idx the content index
+    @returns {Number} height in pixels
+  */
+  heightForRowAtIndex: function(idx) {
+    var height = get(this, 'hasUniformRowHeights') ? undefined : this._sccv_rowHeights[idx];
+    return height === undefined ? get(this, 'rowHeight') : height;
+  },
+
+  /**
+    Returns the offset of the top of the row at the passed index from the top
+    of the first row.
+
+    @param {Number} idx the content index
+    @returns {Number} offset in pixels
+  */
+  offsetForRowAtIndex: function(idx) {
+    if (get(this, 'hasUniformRowHeights')) { return idx * get(this, 'rowHeight'); }
+
+    var offset = 0, cur;
+    for (cur = 0; cur < idx; cur++) { offset += this.heightForRowAtIndex(cur); }
+    return offset;
+  },
+
+  /**
+    Returns the index of the row at the passed offset.  The returned index may
+    be past the end of the content if the offset is below the last row.
+
+    @param {Number} offset offset in pixels
+    @returns {Number} the content index
+  */
+  rowIndexAtOffset: function(offset) {
+    if (get(this, 'hasUniformRowHeights')) {
+      return Math.floor(offset / (get(this, 'rowHeight') || 1));
+    }
+
+    var content = get(this, 'content'),
+        len = content ? get(content, 'length') : 0,
+        idx = 0;
+
+    while (idx < len && (offset -= this.heightForRowAtIndex(idx)) >= 0) { idx++; }
+    return idx;
+  },
+
+  /**
+    Returns the range of content indexes that should currently be rendered,
+    based on the scroll position of the view's element, `viewportHeight` and
+    `overscan`.
+
+    @returns {Object} a range with `start` and `length` properties
+  */
+  visibleRange: function() {
+    var content = get(this, 'content'),
+        len = content ? get(content, 'length') : 0,
+        overscan = get(this, 'overscan'),
+        height = get(this, 'viewportHeight'),
+        top = this.$().scrollTop() || 0,
+        start, end;
+
+    if (height === null) { height = this.$().height() || 0; }
+
+    start = Math.min(Math.max(this.rowIndexAtOffset(top) - overscan, 0), len);
+    end = Math.min(this.rowIndexAtOffset(top + height) + 1 + overscan, len);
+
+    return { start: start, length: Math.max(end - start, 0) };
+  },
+
+  /**
+    Called when the view's element scrolls.  Renders the rows that scrolled
+    into view, recycling the item views of rows that scrolled out of view.
+
+    If the size of the view changes, you should call this method yourself.
+  */
+  scrollDidChange: function() {
+    if (!get(this, 'isVirtual') || !get(this, 'element')) { return; }
+    this._sccv_updateVisibleRows(this.visibleRange());
+  },
+
   /**
     @private
 
@@ -47,6 +213,9 @@ SC.CollectionView = SC.View.extend(
   */
   init: function() {
     var collectionView = this._super();
+    this._sccv_reusableViews = [];
+    this._sccv_visibleStart = this._sccv_visibleEnd = 0;
+    this._sccv_rowHeights = [];
     this._sctcv_contentDidChange();
     return collectionView;
   },
@@ -54,15 +223,69 @@ SC.CollectionView = SC.View.extend(
   /**
     @private
 
-    In case a default content was set, trigger the child view creation
-    as soon as the empty layer was created
+    Creates an item view for each object in the content, or the empty view if
+    there are none, so that they are rendered along with the collection view.
+    Virtual collection views only render rows once they have an element.
+  */
+  render: function(buffer) {
+    var content = get(this, 'content'),
+        itemViewClass = get(this, 'itemViewClass'),
+        emptyView = get(this, 'emptyView'),
+        itemViews = [], idx, len;
+
+    this._super(buffer);
+    if (get(this, 'isVirtual')) { return; }
+
+    // Discard the views of any previous element.
+    this.mutateChildViews(function(view) {
+      if (view === emptyView) {
+        this.removeChild(view);
+      } else {
+        view.destroy();
+      }
+    });
+
+    len = content ? get(content, 'length') : 0;
+    for (idx = 0; idx < len; idx++) {
+      itemViews.push(this.createChildView(itemViewClass, {
+        content: content.objectAt(idx)
+      }));
+    }
+
+    if (len === 0 && emptyView) {
+      emptyView = this.createChildView(emptyView);
+      set(this, 'emptyView', emptyView);
+      itemViews.push(emptyView);
+    }
+
+    get(this, 'childViews').replace(0, 0, itemViews);
+  },
+
+  /**
+    @private
+
+    Virtual collection views render the visible rows as soon as the element
+    has been created.
   */
   didCreateElement: function() {
-    var content = get(this, 'content');
+    var content = get(this, 'content'), self = this, len;
+
+    if (!get(this, 'isVirtual')) { return; }
+
+    this._sccv_visibleStart = this._sccv_visibleEnd = 0;
+    this._sccv_rowHeights = [];
+
+    // scroll events do not bubble, so the event dispatcher never sees them
+    this.$().bind('scroll.sproutcore', function() {
+      SC.run(self, self.scrollDidChange);
+    });
+
     if (content) {
-      var len = get(content, 'length');
+      len = get(content, 'length');
+      this._sccv_isCreatingElement = YES;
       this.arrayWillChange(content, 0, 0, len);
       this.arrayDidChange(content, 0, 0, len);
+      this._sccv_isCreatingElement = NO;
     }
   },
 
@@ -74,7 +297,8 @@ SC.CollectionView = SC.View.extend(
     needed.
   */
   _sctcv_contentDidChange: function() {
-    this.$().empty();
+    // Keyed item views are kept along with their elements.
+    if (get(this, 'element') && (!get(this, 'itemKey') || get(this, 'isVirtual'))) { this.$().empty(); }
 
     var oldContent = this._sccv_content,
         content = get(this, 'content'),
@@ -97,6 +321,10 @@ SC.CollectionView = SC.View.extend(
 
   destroy: function() {
     set(this, 'content', null);
+
+    var reusableViews = this._sccv_reusableViews;
+    while (reusableViews.length) { reusableViews.pop().destroy(); }
+
     return this._super();
   },
 
@@ -113,11 +341,25 @@ SC.CollectionView = SC.View.extend(
     // Loop through child views that correspond with the removed items.
     // Note that we loop from the end of the array to the beginning because
     // we are mutating it as we go.
-    var childViews = get(this, 'childViews'), childView, idx, len;
+    if (get(this, 'isVirtual')) {
+      this._sccv_virtualArrayWillChange(content, start, removedCount, addedCount);
+      return;
+    }
+
+    var childViews = get(this, 'childViews'),
+        itemKey = get(this, 'itemKey'),
+        childView, idx, len;
 
     len = get(childViews, 'length');
     for (idx = start + removedCount - 1; idx >= start; idx--) {
-      childViews[idx].destroy();
+      childView = childViews[idx];
+
+      if (itemKey) {
+        childViews.removeAt(idx);
+        this._sccv_keepKeyedView(childView);
+      } else {
+        childView.destroy();
+      }
     }
   },
 
@@ -141,11 +383,16 @@ SC.CollectionView = SC.View.extend(
   arrayDidChange: function(content, start, removedCount, addedCount) {
     if (!get(this, 'element')) { return; }
 
+    if (get(this, 'isVirtual')) {
+      this._sccv_virtualArrayDidChange(content, start, removedCount, addedCount);
+      return;
+    }
+
     var itemViewClass = get(this, 'itemViewClass'),
         childViews = get(this, 'childViews'),
         addedViews = [],
         renderFunc, view, childView, itemOptions, elem,
-        insertAtElement, item, itemElem, idx, len;
+        insertAtElement, item, idx, len;
 
     elem = this.$();
 
@@ -159,17 +406,24 @@ SC.CollectionView = SC.View.extend(
 
       for (idx = 0; idx < len; idx++) {
         item = addedObjects.objectAt(idx);
-        view = this.createChildView(itemViewClass, {
-          content: item
-        });
+        view = this._sccv_keptViewFor(item);
 
-        itemElem = view.createElement().$();
-        if (!insertAtElement) {
-          elem.append(itemElem);
+        if (view) {
+          insertAtElement = this._sccv_moveElement(view.$(), insertAtElement);
         } else {
-          itemElem.insertAfter(insertAtElement);
+          view = this.createChildView(itemViewClass, {
+            content: item
+          });
+
+          view.createElement()._insertElement(function(itemElem) {
+            if (!insertAtElement) {
+              elem.prepend(itemElem);
+            } else {
+              itemElem.insertAfter(insertAtElement);
+            }
+            insertAtElement = itemElem;
+          });
         }
-        insertAtElement = itemElem;
 
         addedViews.push(view);
       }
@@ -177,15 +431,359 @@ SC.CollectionView = SC.View.extend(
       childViews.replace(start, 0, addedViews);
     }
 
+    this._sccv_destroyKeptViews();
+    this._sccv_appendEmptyView();
+  },
+
+  // ..........................................................
+  // KEYED ITEM VIEWS SUPPORT
+  //
+
+  /**
+    @private
+
+    Keeps the item view of a removed object, along with its element, until
+    the end of the content change, so that it can be reused if an object
+    with the same key is added.  Views of objects without a key, or with
+    the key of an already kept view, are destroyed.  The view must already
+    be removed from `childViews`.
+  */
+  _sccv_keepKeyedView: function(view) {
+    var keptViews = this._sccv_keptViews || (this._sccv_keptViews = {}),
+        key = SC.getPath(get(view, 'content'), get(this, 'itemKey'));
+
+    if (SC.none(key) || keptViews.hasOwnProperty(key)) {
+      view.destroy();
+    } else {
+      keptViews[key] = view;
+    }
+  },
+
+  /**
+    @private
+
+    Returns the kept item view for an added object with the same key, if
+    there is one.
+  */
+  _sccv_keptViewFor: function(item) {
+    var keptViews = this._sccv_keptViews,
+        key, view;
+
+    if (!keptViews) { return null; }
+
+    key = SC.getPath(item, get(this, 'itemKey'));
+    if (SC.none(key) || !keptViews.hasOwnProperty(key)) { return null; }
+
+    view = keptViews[key];
+    delete keptViews[key];
+
+    if (get(view, 'content') !== item) { set(view, 'content', item); }
+    return view;
+  },
+
+  /**
+    @private
+
+    Destroys the item views of removed objects that were not added again.
+  */
+  _sccv_destroyKeptViews: function() {
+    var keptViews = this._sccv_keptViews, key;
+
+    this._sccv_keptViews = null;
+
+    for (key in keptViews) {
+      if (keptViews.hasOwnProperty(key)) { keptViews[key].destroy(); }
+    }
+  },
+
+  /**
+    @private
+
+    Moves the element of a kept item view after the passed element, or to
+    the start of the view's element.  Elements already in place are not
+    moved, and focus is restored if the focused element was moved.
+
+    @returns {jQuery} the moved element
+  */
+  _sccv_moveElement: function(itemElem, insertAtElement) {
+    var previous = insertAtElement ? insertAtElement[0] : null,
+        node = itemElem[0],
+        focused = document.activeElement;
+
+    if ((previous ? previous.nextSibling : this.$()[0].firstChild) === node) {
+      return itemElem;
+    }
+
+    if (!previous) {
+      this.$().prepend(itemElem);
+    } else {
+      itemElem.insertAfter(insertAtElement);
+    }
+
+    if (focused && focused !== document.activeElement && SC.$.contains(node, focused)) {
+      focused.focus();
+    }
+
+    return itemElem;
+  },
+
+  /**
+    @private
+
+    Renders the empty view if there are no item views.
+  */
+  _sccv_appendEmptyView: function() {
     var emptyView = get(this, 'emptyView');
-    if (get(childViews, 'length') === 0 && emptyView) {
+    if (get(get(this, 'childViews'), 'length') === 0 && emptyView) {
       if (SC.Object.detect(emptyView)) {
         emptyView = this.createChildView(emptyView);
       }
 
       set(this, 'emptyView', emptyView);
-      emptyView.createElement().$().appendTo(elem);
+      emptyView.createElement().$().appendTo(this.$());
       set(this, 'childViews', [emptyView]);
     }
+  },
+
+  // ..........................................................
+  // VIRTUAL RENDERING SUPPORT
+  //
+
+  /**
+    @private
+
+    Destroys the item views of removed rows that are currently rendered.
+    The remaining rows are reconciled in _sccv_virtualArrayDidChange().
+  */
+  _sccv_virtualArrayWillChange: function(content, start, removedCount, addedCount) {
+    var childViews = get(this, 'childViews'),
+        visibleStart = this._sccv_visibleStart,
+        first = Math.max(start, visibleStart),
+        idx = Math.min(start + removedCount, this._sccv_visibleEnd) - 1;
+
+    for (; idx >= first; idx--) {
+      childViews[idx - visibleStart].destroy();
+    }
+  },
+
+  /**
+    @private
+
+    Replays a content change against the rendered rows.  Rows added next to
+    or inside the rendered rows get new item views, rendered rows after the
+    change move with their content, and the rendered rows are then adjusted
+    to the visible range.
+  */
+  _sccv_virtualArrayDidChange: function(content, start, removedCount, addedCount) {
+    var childViews = get(this, 'childViews'),
+        visibleStart = this._sccv_visibleStart,
+        visibleEnd = this._sccv_visibleEnd,
+        addedEnd = start + addedCount,
+        rowHeights = this._sccv_rowHeights,
+        range, rangeEnd, headCount, tailCount, renderStart, renderEnd;
+
+    // Move measured heights along with their rows.
+    if (!get(this, 'hasUniformRowHeights')) {
+      this._sccv_rowHeights = rowHeights.slice(0, start).concat(new Array(addedCount), rowHeights.slice(start + removedCount));
+    }
+    this._sccv_ensureSpacers();
+
+    range = this.visibleRange();
+    rangeEnd = range.start + range.length;
+
+    if (start <= visibleEnd && start + removedCount >= visibleStart) {
+      headCount = Math.max(start - visibleStart, 0);
+      tailCount = get(childViews, 'length') - headCount;
+
+      // Only render the added rows that are visible.  Rendered rows on the
+      // other side of any skipped added rows must go as well, so that the
+      // rendered rows stay contiguous.
+      renderStart = Math.min(Math.max(start, range.start), addedEnd);
+      renderEnd = Math.max(Math.min(addedEnd, rangeEnd), renderStart);
+
+      visibleStart = Math.min(visibleStart, start);
+      visibleEnd = addedEnd + tailCount;
+
+      if (renderStart > start) {
+        this._sccv_recycleRows(0, headCount);
+        visibleStart = renderStart;
+        headCount = 0;
+      }
+
+      if (renderEnd < addedEnd) {
+        this._sccv_recycleRows(headCount, tailCount);
+        visibleEnd = renderEnd;
+      }
+
+      this._sccv_visibleStart = visibleStart;
+      this._sccv_visibleEnd = visibleEnd;
+      this._sccv_renderRows(renderStart, renderEnd - renderStart, headCount);
+
+    } else if (start < visibleStart) {
+      this._sccv_visibleStart = visibleStart + addedCount - removedCount;
+      this._sccv_visibleEnd = visibleEnd + addedCount - removedCount;
+    }
+
+    this._sccv_updateVisibleRows(range);
+    this._sccv_appendEmptyView();
+  },
+
+  /**
+    @private
+
+    Renders and recycles rows so that exactly the rows in the passed range
+    are rendered, then resizes the spacers.
+  */
+  _sccv_updateVisibleRows: function(range) {
+    var visibleStart = this._sccv_visibleStart,
+        visibleEnd = this._sccv_visibleEnd,
+        rangeStart = range.start,
+        rangeEnd = range.start + range.length,
+        content = get(this, 'content'),
+        len = content ? get(content, 'length') : 0,
+        spacerHeight;
+
+    this._sccv_ensureSpacers();
+
+    if (visibleEnd <= rangeStart || visibleStart >= rangeEnd) {
+      this._sccv_recycleRows(0, visibleEnd - visibleStart);
+      visibleStart = visibleEnd = rangeStart;
+    } else {
+      if (visibleStart < rangeStart) {
+        this._sccv_recycleRows(0, rangeStart - visibleStart);
+        visibleStart = rangeStart;
+      }
+      if (visibleEnd > rangeEnd) {
+        this._sccv_recycleRows(rangeEnd - visibleStart, visibleEnd - rangeEnd);
+        visibleEnd = rangeEnd;
+      }
+    }
+
+    this._sccv_visibleStart = visibleStart;
+    this._sccv_visibleEnd = visibleEnd;
+
+    if (rangeStart < visibleStart) {
+      this._sccv_visibleStart = rangeStart;
+      this._sccv_renderRows(rangeStart, visibleStart - rangeStart, 0);
+    }
+    if (visibleEnd < rangeEnd) {
+      this._sccv_visibleEnd = rangeEnd;
+      this._sccv_renderRows(visibleEnd, rangeEnd - visibleEnd, visibleEnd - this._sccv_visibleStart);
+    }
+
+    spacerHeight = this.offsetForRowAtIndex(this._sccv_visibleStart);
+    SC.$(this._sccv_topSpacer).css('height', spacerHeight + 'px');
+
+    spacerHeight = this.offsetForRowAtIndex(len) - this.offsetForRowAtIndex(this._sccv_visibleEnd);
+    SC.$(this._sccv_bottomSpacer).css('height', spacerHeight + 'px');
+  },
+
+  /**
+    @private
+
+    Creates item views for the content in the passed range and inserts them
+    at the passed position in childViews.  Recycled item views are reused
+    when available.
+  */
+  _sccv_renderRows: function(start, length, position) {
+    if (length <= 0) { return; }
+
+    var content = get(this, 'content'),
+        childViews = get(this, 'childViews'),
+        measure = !get(this, 'hasUniformRowHeights'),
+        rowHeights = this._sccv_rowHeights,
+        addedViews = [],
+        previousView = childViews.objectAt(position - 1),
+        insertAtElement = previousView ? previousView.$() : SC.$(this._sccv_topSpacer),
+        view, itemElem, height, idx;
+
+    function insertAfter(elem) {
+      elem.insertAfter(insertAtElement);
+    }
+
+    for (idx = start; idx < start + length; idx++) {
+      view = this._sccv_itemViewFor(content.objectAt(idx));
+
+      // Rows rendered along with the element are notified when the
+      // collection view is inserted.
+      if (this._sccv_isCreatingElement) {
+        view.createElement().$().insertAfter(insertAtElement);
+      } else {
+        view.createElement()._insertElement(insertAfter);
+      }
+      itemElem = insertAtElement = view.$();
+
+      // Elements that are not in the document measure 0, so keep using the
+      // estimate for them.
+      if (measure) {
+        height = itemElem.outerHeight();
+        if (height > 0) { rowHeights[idx] = height; }
+      }
+
+      addedViews.push(view);
+    }
+
+    childViews.replace(position, 0, addedViews);
+  },
+
+  /**
+    @private
+
+    Removes the item views at the passed position in childViews and keeps
+    them for reuse by _sccv_itemViewFor().
+  */
+  _sccv_recycleRows: function(position, length) {
+    if (length <= 0) { return; }
+
+    var childViews = get(this, 'childViews'),
+        reusableViews = this._sccv_reusableViews,
+        idx, view;
+
+    for (idx = position; idx < position + length; idx++) {
+      view = childViews[idx];
+      view.destroyElement();
+      reusableViews.push(view);
+    }
+
+    childViews.replace(position, length);
+  },
+
+  /**
+    @private
+
+    Returns an item view for the passed content object, reusing a recycled
+    item view if there is one.
+  */
+  _sccv_itemViewFor: function(item) {
+    var view = this._sccv_reusableViews.pop();
+
+    if (!view) {
+      return this.createChildView(get(this, 'itemViewClass'), { content: item });
+    }
+
+    // Templates create their child views again when they render.
+    if (get(view, 'template')) { view.destroyAllChildren(); }
+
+    set(view, 'content', item);
+    return view;
+  },
+
+  /**
+    @private
+
+    Creates the elements before and after the rendered rows that take up the
+    height of the rows that are not rendered.
+  */
+  _sccv_ensureSpacers: function() {
+    var elem = this.$(),
+        tagName = get(get(this, 'itemViewClass'), 'proto').tagName || 'div';
+
+    if (!this._sccv_topSpacer || this._sccv_topSpacer.parentNode !== elem[0]) {
+      this._sccv_topSpacer = SC.$('<' + tagName + ' class="sc-collection-spacer"></' + tagName + '>').prependTo(elem)[0];
+    }
+
+    if (!this._sccv_bottomSpacer || this._sccv_bottomSpacer.parentNode !== elem[0]) {
+      this._sccv_bottomSpacer = SC.$('<' + tagName + ' class="sc-collection-spacer"></' + tagName + '>').appendTo(elem)[0];
+    }
   }
 });
@@ -20,6 +20,9 @@ var get = SC.get, set = SC.set;
 */
 SC.TEMPLATES = {};
 
+// The events browsers send when a CSS transition ends.
+var TRANSITION_END_EVENTS = 'transitionend webkitTransitionEnd oTransitionEnd MSTransitionEnd';
+
 /**
   @class
   @since SproutCore 2.0
@@ -89,6 +92,57 @@ SC.View = SC.Object.extend(
     return template || get(this, 'defaultTemplate');
   }.property('templateName').cacheable(),
 
+  /**
+    The name of the layout to lookup if no layout is provided.
+
+    A layout is a template that wraps the view's template, so that many
+    views can share the same chrome.  The layout renders the view's
+    template where it uses the `{{yield}}` helper:
+
+        <div class="panel">
+          <h2>{{title}}</h2>
+          {{yield}}
+        </div>
+
+    Like `templateName`, SC.View will look for the layout in this view's
+    `templates` object.
+
+    @type String
+    @default null
+  */
+  layoutName: null,
+
+  /**
+    The layout to use if there is no `layoutName`.  Subclasses can set this
+    to wrap all of their instances in the same chrome, while still letting
+    each instance pick another layout by name.
+
+    @type Function
+    @default null
+  */
+  defaultLayout: null,
+
+  /**
+    The template that wraps the view's template, or null if the view has
+    no layout.  In general, you should set the `layoutName` property instead
+    of setting the layout yourself.
+
+    @field
+    @type Function
+  */
+  layout: function(key, value) {
+    if (value !== undefined) { return value; }
+
+    var layoutName = get(this, 'layoutName'),
+        layout = get(get(this, 'templates'), layoutName);
+
+    if (!layout && layoutName) {
+      throw new SC.Error('%@ - Unable to find layout "%@".'.fmt(this, layoutName));
+    }
+
+    return layout || get(this, 'defaultLayout');
+  }.property('layoutName').cacheable(),
+
   /**
     The object from which templates should access properties.
 
@@ -138,12 +192,13 @@ SC.View = SC.Object.extend(
 
     By default, SC.View will look for a function in the `template`
     property and invoke it with the value of `templateContext`. By default,
-    `templateContext` will be the view itself.
+    `templateContext` will be the view itself.  If the view has a `layout`,
+    the layout is invoked instead, and renders the template with `{{yield}}`.
 
     @param {SC.RenderBuffer} buffer The render buffer
   */
   render: function(buffer) {
-    var template = get(this, 'template');
+    var template = get(this, 'layout') || get(this, 'template');
     if (!template) { return; }
 
     var context = get(this, 'templateContext'),
@@ -194,14 +249,15 @@ SC.View = SC.Object.extend(
         elem = this.$();
 
         // If we had previously added a class to the element, remove it.
-        if (oldClass) {
+        // Views rendered to strings have no element to update.
+        if (oldClass && elem.length) {
           elem.removeClass(oldClass);
         }
 
         // If necessary, add a new class. Make sure we keep track of it so
         // it can be removed in the future.
         if (newClass) {
-          elem.addClass(newClass);
+          if (elem.length) { elem.addClass(newClass); }
           oldClass = newClass;
         } else {
           oldClass = null;
@@ -291,6 +347,9 @@ SC.View = SC.Object.extend(
     For example, calling `view.$('li')` will return a jQuery object containing
     all of the `li` elements inside the DOM element of this view.
 
+    Without a document, when jQuery is not loaded, views have no element and
+    this returns an empty array.
+
     @param {String} [selector] a jQuery-compatible selector string
     @returns {SC.CoreQuery} the CoreQuery object for the DOM node
   */
@@ -298,7 +357,7 @@ SC.View = SC.Object.extend(
     var elem = get(this, 'element');
 
     if (!elem) {
-      return SC.$();
+      return SC.$ ? SC.$() : [];
     } else if (sel === undefined) {
       return SC.$(elem);
     } else {
@@ -347,7 +406,9 @@ SC.View = SC.Object.extend(
     var elem = get(this, 'element');
     if (!elem) { this.createElement(); }
 
-    this.$().appendTo(target);
+    this._insertElement(function(elem) {
+      elem.appendTo(target);
+    });
     return this;
   },
 
@@ -385,9 +446,80 @@ SC.View = SC.Object.extend(
     @readOnly
   */
   elementId: function(key, value) {
-    return value !== undefined ? value : SC.guidFor(this);
+    if (value !== undefined) { return value; }
+
+    var parent = get(this, 'parentView');
+    if (parent && get(parent, 'usesStableElementIds')) {
+      return parent.generateElementId();
+    }
+
+    return SC.guidFor(this);
   }.property().cacheable(),
 
+  /**
+    If YES, child views that do not have an elementId get one derived from
+    the elementId of this view and the order they were created in, like
+    `page-3`.  Child views inherit this setting.
+
+    Rendering the same view hierarchy then produces the same ids every time,
+    which `rehydrate()` relies on to find elements that were rendered on a
+    server.
+
+    @type Boolean
+    @default NO
+  */
+  usesStableElementIds: NO,
+
+  /**
+    Returns a new id for an element that is part of this view's element, like
+    the element of a child view.  If `usesStableElementIds` is YES, the id is
+    derived from this view's elementId.
+
+    @returns {String}
+  */
+  generateElementId: function() {
+    if (!get(this, 'usesStableElementIds')) { return SC.generateGuid(null); }
+
+    this._scv_elementIdCount = (this._scv_elementIdCount || 0) + 1;
+    return get(this, 'elementId') + '-' + this._scv_elementIdCount;
+  },
+
+  /**
+    Registers a handler for an event on an element that this view renders,
+    usually with the `{{action}}` helper.  Render the returned id as the
+    `data-sproutcore-action` attribute of the element.  When the event
+    dispatcher receives an event for the element whose method name, like
+    `click`, is `eventName`, it calls the handler with the event.
+
+    Actions are registered until the view renders again.
+
+    @param {String} eventName the name of the event method, like `'click'`
+    @param {Function} handler the function to call with the event
+    @returns {String} the id of the action
+  */
+  registerAction: function(eventName, handler) {
+    var actionId = this.generateElementId();
+
+    if (!this._scv_actions) { this._scv_actions = {}; }
+    this._scv_actions[actionId] = { eventName: eventName, handler: handler };
+
+    return actionId;
+  },
+
+  /**
+    @private
+
+    Called by the event dispatcher to invoke the action with the passed id,
+    if it handles the event.
+  */
+  triggerAction: function(actionId, eventName, evt) {
+    var action = this._scv_actions && this._scv_actions[actionId];
+
+    if (action && action.eventName === eventName) {
+      return action.handler.call(this, evt);
+    }
+  },
+
   /**
     Attempts to discover the element in the parent element. The default
     implementation looks for an element with an ID of elementId (or the view's
@@ -438,6 +570,48 @@ SC.View = SC.Object.extend(
     return this;
   },
 
+  /**
+    Renders the view and all of its child views to a string of HTML, without
+    creating any DOM elements.  This works without a document, so you can use
+    it to render views on a server.
+
+    @returns {String} the HTML of the view
+  */
+  renderToString: function() {
+    var buffer = this.renderBuffer(get(this, 'tagName'));
+    this.renderToBuffer(buffer);
+    return buffer.string();
+  },
+
+  /**
+    Attaches the view to an element that already exists in the document,
+    usually because the HTML was rendered on a server with `renderToString()`,
+    instead of creating a new element.
+
+    The view is rendered as usual, so that child views are created and bound
+    properties are observed, but the resulting HTML is discarded.  The view's
+    element is then looked up by elementId in the passed element or the
+    document.  Child views look up their own elements by elementId, so the
+    view hierarchy must produce the same ids as when it was rendered.  Set
+    `usesStableElementIds` to YES on the top view to achieve this.
+
+    @param {DOMElement} [parentElem] the element to look in
+    @returns {SC.View} receiver
+  */
+  rehydrate: function(parentElem) {
+    var elem;
+
+    this.renderToString();
+
+    elem = this.findElementInParentElement(parentElem || document);
+    sc_assert("%@ - Unable to find element with id '%@' to rehydrate.".fmt(this, get(this, 'elementId')), !!elem);
+
+    set(this, 'element', elem);
+    this._notifyDidCreateElement();
+
+    return this;
+  },
+
   /**
     Called when the element of the view is created. Override this function
     to do any set up that requires an element.
@@ -481,10 +655,14 @@ SC.View = SC.Object.extend(
       // Notify the view and its child views that the element is about to be
       // destroyed.
       this._notifyWillDestroyElement();
-
-      // Remove this DOM element from its parent.
-      SC.$(elem).remove();
       set(this, 'element', null);
+
+      // Remove this DOM element from its parent once it has transitioned
+      // out.
+      elem = SC.$(elem);
+      this.transitionOut(elem, function() {
+        elem.remove();
+      });
     }
 
     return this;
@@ -510,6 +688,62 @@ SC.View = SC.Object.extend(
     });
   },
 
+  /**
+    Called before the element of the view is inserted into the document by
+    `appendTo()`, or by an `SC.CollectionView` adding an item view.
+  */
+  willInsertElement: function() {},
+
+  /**
+    Called after the element of the view has been inserted into the
+    document.  The element is now part of the document, so you can measure
+    it or start animations.
+  */
+  didInsertElement: function() {},
+
+  /**
+    @private
+
+    Inserts the element into the document using the passed function, which
+    is called with the element, notifying the view and its child views, then
+    transitions the element in.
+  */
+  _insertElement: function(fn) {
+    var elem = this.$();
+
+    this._notifyWillInsertElement();
+    fn.call(this, elem);
+    this._notifyDidInsertElement();
+
+    this.transitionIn(elem, SC.K);
+  },
+
+  /**
+    @private
+
+    Invokes the `willInsertElement` callback on the view and child views.
+  */
+  _notifyWillInsertElement: function() {
+    this.willInsertElement();
+
+    this.forEachChildView(function(view) {
+      view._notifyWillInsertElement();
+    });
+  },
+
+  /**
+    @private
+
+    Invokes the `didInsertElement` callback on the view and child views.
+  */
+  _notifyDidInsertElement: function() {
+    this.didInsertElement();
+
+    this.forEachChildView(function(view) {
+      view._notifyDidInsertElement();
+    });
+  },
+
   /** @private (nodoc) */
   _sccv_elementWillChange: function() {
     this.forEachChildView(function(view) {
@@ -557,6 +791,9 @@ SC.View = SC.Object.extend(
     SC.beginPropertyChanges(this);
     set(this, 'elementNeedsUpdate', NO);
 
+    // render() registers the actions of the new element again
+    this._scv_actions = null;
+
     this.applyAttributesToBuffer(buffer);
     this.render(buffer);
 
@@ -615,6 +852,115 @@ SC.View = SC.Object.extend(
     return buffer;
   },
 
+  // ..........................................................
+  // TRANSITIONS
+  //
+
+  /**
+    If set, the element of the view transitions in when it is inserted into
+    the document, and transitions out before it is removed, using CSS
+    classes derived from this name.
+
+    For example, with a `transitionClassName` of `'fade'`, an inserted
+    element gets the `fade-enter` class, followed by `fade-enter-active`
+    once it has been rendered.  An element being removed gets `fade-leave`
+    and `fade-leave-active`.  The classes are removed when the transition
+    ends.  Use them to define CSS transitions:
+
+        .fade-enter { opacity: 0; }
+        .fade-enter-active { opacity: 1; transition: opacity 0.3s; }
+        .fade-leave-active { opacity: 0; transition: opacity 0.3s; }
+
+    An element being removed stays in the document until its transition
+    ends, even though the view no longer has an element.
+
+    @type String
+    @default null
+  */
+  transitionClassName: null,
+
+  /**
+    The longest a transition can take, in milliseconds.  A transition ends
+    when the browser reports that the CSS transition of the element ended,
+    or after this time.
+
+    @type Number
+    @default 400
+  */
+  transitionDuration: 400,
+
+  /**
+    Transitions the element of the view in after it has been inserted into
+    the document.  Call `done` when the transition is complete.
+
+    The default implementation uses `transitionClassName`.  Override this
+    method to animate the element in some other way:
+
+        transitionIn: function(elem, done) {
+          elem.hide().fadeIn(done);
+        }
+
+    @param {jQuery} elem the element
+    @param {Function} done the callback to call when the transition ends
+  */
+  transitionIn: function(elem, done) {
+    this._scv_transition(elem, 'enter', done);
+  },
+
+  /**
+    Transitions the element of the view out before it is removed from the
+    document.  The element is removed when you call `done`.
+
+    The default implementation uses `transitionClassName`.  Override this
+    method to animate the element in some other way:
+
+        transitionOut: function(elem, done) {
+          elem.fadeOut(done);
+        }
+
+    @param {jQuery} elem the element
+    @param {Function} done the callback to call when the transition ends
+  */
+  transitionOut: function(elem, done) {
+    this._scv_transition(elem, 'leave', done);
+  },
+
+  /** @private
+    Runs a CSS class based transition for the passed phase, `'enter'` or
+    `'leave'`.  The active class is added after the element had a chance to
+    render with the initial class, so that CSS transitions are triggered.
+  */
+  _scv_transition: function(elem, phase, done) {
+    var className = get(this, 'transitionClassName'),
+        phaseClass, activeClass, timer, finished = NO;
+
+    if (!className) {
+      done();
+      return;
+    }
+
+    phaseClass = className + '-' + phase;
+    activeClass = phaseClass + '-active';
+
+    function finish(evt) {
+      if (finished || (evt && evt.target !== elem[0])) { return; }
+
+      finished = YES;
+      SC.run.cancel(timer);
+      elem.unbind(TRANSITION_END_EVENTS, finish);
+      elem.removeClass(phaseClass + ' ' + activeClass);
+      done();
+    }
+
+    elem.addClass(phaseClass);
+    elem.bind(TRANSITION_END_EVENTS, finish);
+
+    SC.run.next(function() {
+      if (!finished) { elem.addClass(activeClass); }
+    });
+    timer = SC.run.later(function() { finish(); }, get(this, 'transitionDuration'));
+  },
+
   // ..........................................................
   // STANDARD RENDER PROPERTIES
   //
@@ -706,6 +1052,10 @@ SC.View = SC.Object.extend(
 
     this._super();
 
+    if (parentView && get(parentView, 'usesStableElementIds')) {
+      set(this, 'usesStableElementIds', YES);
+    }
+
     // Register the view for event handling. This hash is used by
     // SC.RootResponder to dispatch incoming events.
     SC.View.views[get(this, 'elementId')] = this;
@@ -885,6 +1235,8 @@ SC.View = SC.Object.extend(
     element of the actual DOM element.
   */
   _isVisibleDidChange: function() {
+    if (!get(this, 'element')) { return; }
+
     this.$().toggle(get(this, 'isVisible'));
   }.observes('isVisible')
 
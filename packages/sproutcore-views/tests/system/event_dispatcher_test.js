@@ -93,3 +93,61 @@ test("should send change events up view hierarchy if view contains form elements
   equals(receivedEvent.target, SC.$('#is-done')[0], "target property is the element that was clicked");
 });
 
+
+test("should dispatch events to registered actions", function() {
+  var actionEvent, viewClicked, oldActionId;
+
+  view = SC.View.create({
+    render: function(buffer) {
+      buffer.push('<a id="save" data-sproutcore-action="' + this.registerAction('click', function(evt) {
+        actionEvent = evt;
+      }) + '">Save</a>');
+      buffer.push('<a id="other" data-sproutcore-action="' + this.registerAction('doubleClick', SC.K) + '">Other</a>');
+    },
+
+    click: function(evt) {
+      viewClicked = true;
+    }
+  });
+
+  view.append();
+  SC.$('#save').trigger('click');
+  equals(actionEvent.target, SC.$('#save')[0], "calls the action with the event");
+  ok(viewClicked, "the event bubbles to the view");
+
+  actionEvent = null;
+  SC.$('#other').trigger('click');
+  equals(actionEvent, null, "does not call actions for other events");
+
+  oldActionId = SC.$('#save').attr('data-sproutcore-action');
+  view.destroyElement();
+  view.append();
+
+  ok(SC.$('#save').attr('data-sproutcore-action') !== oldActionId, "registers the action again when rendering");
+  view.triggerAction(oldActionId, 'click', {});
+  equals(actionEvent, null, "actions of the old element are removed");
+
+  SC.$('#save').trigger('click');
+  ok(actionEvent, "calls the new action");
+});
+
+test("should only dispatch events once when set up again", function() {
+  var clicks = 0,
+      taps = 0,
+      eventDispatcher = get(application, 'eventDispatcher');
+
+  view = SC.View.create({
+    click: function() { clicks++; },
+    tap: function() { taps++; }
+  });
+
+  eventDispatcher.setup({ tap: 'tap' });
+  eventDispatcher.setup({ tap: 'tap' });
+
+  view.append();
+  view.$().trigger('click');
+  view.$().trigger('tap');
+
+  equals(clicks, 1, "calls the event handler once");
+  equals(taps, 1, "calls the handler of an added event once");
+});
@@ -0,0 +1,162 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+var router, events, posts;
+var set = SC.set, get = SC.get;
+
+function loggingState(name, props) {
+  return SC.State.extend({
+    enter: function(router, context) { events.push('enter ' + name); },
+    exit: function(router) { events.push('exit ' + name); }
+  }, props || {});
+}
+
+module("SC.Router", {
+  setup: function() {
+    events = [];
+    posts = {
+      1: SC.Object.create({ id: 1, title: 'First' }),
+      2: SC.Object.create({ id: 2, title: 'Second' })
+    };
+
+    router = SC.Router.create({
+      location: 'none',
+
+      root: SC.State.extend({
+        index: loggingState('index', { route: '/' }),
+
+        posts: loggingState('posts', {
+          route: '/posts',
+
+          index: loggingState('posts.index', { route: '/' }),
+
+          show: loggingState('posts.show', {
+            route: '/:post_id',
+
+            serialize: function(router, post) {
+              return { post_id: get(post, 'id') };
+            },
+
+            deserialize: function(router, params) {
+              return posts[params.post_id];
+            },
+
+            edit: function(router) {
+              events.push('edit ' + SC.getPath(this, 'context.title'));
+            }
+          }),
+
+          showPost: function(router, post) {
+            router.transitionTo('posts.show', post);
+          }
+        }),
+
+        about: loggingState('about')
+      })
+    });
+  },
+
+  teardown: function() {
+    router.destroy();
+    router = events = posts = null;
+  }
+});
+
+test("should create nested states", function() {
+  var root = get(router, 'root');
+
+  ok(root instanceof SC.State, "creates the root state");
+  equals(get(root.stateAtPath('posts.show'), 'path'), 'posts.show', "creates child states");
+  equals(get(root.stateAtPath('posts.show'), 'parentState'), root.stateAtPath('posts'), "sets the parent state");
+  equals(root.stateAtPath('posts.missing'), undefined, "returns undefined for unknown paths");
+});
+
+test("should enter and exit states when transitioning", function() {
+  router.transitionTo('posts.index');
+  same(events, ['enter posts', 'enter posts.index'], "enters parent states first");
+  equals(get(router, 'currentPath'), 'posts.index', "sets the current state");
+
+  events = [];
+  router.transitionTo('posts.show', posts[1]);
+  same(events, ['exit posts.index', 'enter posts.show'], "does not exit shared parent states");
+
+  events = [];
+  router.transitionTo('about');
+  same(events, ['exit posts.show', 'exit posts', 'enter about'], "exits the deepest states first");
+});
+
+test("should enter a state again when its context changes", function() {
+  router.transitionTo('posts.show', posts[1]);
+  equals(get(router.get('root').stateAtPath('posts.show'), 'context'), posts[1], "sets the context");
+
+  events = [];
+  router.transitionTo('posts.show', posts[1]);
+  same(events, [], "does nothing for the same context");
+
+  router.transitionTo('posts.show', posts[2]);
+  same(events, ['exit posts.show', 'enter posts.show'], "enters the state again");
+});
+
+test("should serialize the current state into the URL", function() {
+  router.transitionTo('posts.show', posts[2]);
+  equals(get(router, 'url'), '/posts/2', "builds the URL from routes and params");
+
+  router.transitionTo('index');
+  equals(get(router, 'url'), '/', "root URL");
+
+  equals(router.urlFor('posts.show', posts[1]), '/posts/1', "urlFor() builds URLs for other states");
+  equals(router.formatURL('/posts/1'), '/posts/1', "formats URLs for the location");
+});
+
+test("should transition to the state matching a URL", function() {
+  ok(router.route('/posts/1'), "returns YES for known URLs");
+  equals(get(router, 'currentPath'), 'posts.show', "enters the matching state");
+  equals(get(router.get('root').stateAtPath('posts.show'), 'context'), posts[1], "deserializes the context");
+  same(get(router.get('root').stateAtPath('posts.show'), 'params'), { post_id: '1' }, "sets the params");
+
+  router.route('/posts');
+  equals(get(router, 'currentPath'), 'posts.index', "prefers child states with an empty route");
+
+  ok(!router.route('/unknown'), "returns NO for unknown URLs");
+  equals(get(router, 'currentPath'), 'posts.index', "stays in the current state");
+});
+
+test("should send actions to the current state and its parents", function() {
+  router.transitionTo('posts.show', posts[1]);
+
+  router.send('edit');
+  same(events.slice(-1), ['edit First'], "calls the action on the current state");
+
+  router.send('showPost', posts[2]);
+  equals(get(router, 'url'), '/posts/2', "calls the action on parent states");
+
+  raises(function() {
+    router.send('unknown');
+  }, Error, "raises if no state responds");
+});
+
+test("should flush bindings when transitioning", function() {
+  var obj;
+
+  SC.run(function() {
+    obj = SC.Object.create({
+      router: router,
+      pathBinding: 'router.currentPath'
+    });
+  });
+
+  router.transitionTo('about');
+  equals(get(obj, 'path'), 'about', "binding is up to date");
+});
+
+test("should format URLs for the location", function() {
+  var hashRouter = SC.Router.create({ root: SC.State }),
+      historyRouter = SC.Router.create({ root: SC.State, location: 'history', rootURL: '/app/' });
+
+  equals(hashRouter.formatURL('/posts'), '#/posts', "hash location");
+  equals(historyRouter.formatURL('/posts'), '/app/posts', "history location");
+});
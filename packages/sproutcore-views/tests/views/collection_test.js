@@ -133,3 +133,214 @@ test("should allow changing content property to be null", function() {
   equals(view.$().children().text(), "(empty)", "should display empty view");
 });
 
+
+var virtualView, virtualContent, createdViews, insertedViews;
+
+module("SC.CollectionView - virtual rendering", {
+  setup: function() {
+    var idx;
+
+    createdViews = insertedViews = 0;
+    virtualContent = [];
+    for (idx = 0; idx < 1000; idx++) { virtualContent.push(idx); }
+
+    virtualView = SC.CollectionView.create({
+      content: virtualContent,
+      isVirtual: YES,
+      rowHeight: 20,
+      viewportHeight: 100,
+      overscan: 2,
+
+      itemViewClass: SC.View.extend({
+        init: function() {
+          createdViews++;
+          return this._super();
+        },
+
+        didInsertElement: function() {
+          insertedViews++;
+        },
+
+        render: function(buf) {
+          buf.push('Item ' + get(this, 'content'));
+        }
+      })
+    });
+
+    virtualView.createElement();
+  },
+
+  teardown: function() {
+    virtualView.destroy();
+    virtualView = virtualContent = null;
+  }
+});
+
+function renderedContent(view) {
+  return get(view, 'childViews').map(function(childView) {
+    return get(childView, 'content');
+  });
+}
+
+test("should only render the visible rows", function() {
+  same(renderedContent(virtualView), [0, 1, 2, 3, 4, 5, 6, 7], "renders the visible rows and overscan");
+  equals(virtualView.$('.sc-collection-spacer').length, 2, "renders spacers");
+  equals(virtualView.$('.sc-collection-spacer:last').css('height'), (992 * 20) + 'px', "bottom spacer takes up the height of the remaining rows");
+});
+
+test("should recycle item views when scrolling", function() {
+  var first = get(virtualView, 'childViews')[0];
+
+  virtualView.$()[0].scrollTop = 1000;
+  virtualView.scrollDidChange();
+
+  same(renderedContent(virtualView), [48, 49, 50, 51, 52, 53, 54, 55, 56, 57], "renders the rows that scrolled into view");
+  equals(virtualView.$().text().indexOf('Item 0'), -1, "removes the rows that scrolled out of view");
+  equals(virtualView.$(':contains("Item 48")').length, 1, "renders the new rows");
+  equals(createdViews, 10, "only creates views for rows that could not be recycled");
+  ok(get(virtualView, 'childViews').indexOf(first) >= 0, "reuses item views");
+  equals(virtualView.$('.sc-collection-spacer:first').css('height'), (48 * 20) + 'px', "top spacer takes up the height of the rows above");
+});
+
+test("should notify rows inserted after the element was created", function() {
+  equals(insertedViews, 0, "rows rendered along with the element are not notified yet");
+
+  virtualView.$()[0].scrollTop = 1000;
+  virtualView.scrollDidChange();
+  equals(insertedViews, 10, "rows that scroll into view are notified");
+
+  virtualContent.insertAt(49, 'new');
+  equals(insertedViews, 11, "inserted rows are notified");
+});
+
+test("should replay insertions in visible rows", function() {
+  var childViews = get(virtualView, 'childViews').slice();
+
+  virtualContent.insertAt(1, 'new');
+
+  same(renderedContent(virtualView), [0, 'new', 1, 2, 3, 4, 5, 6], "inserts the new row");
+  equals(get(virtualView, 'childViews')[0], childViews[0], "keeps the views before the insertion");
+  equals(get(virtualView, 'childViews')[2], childViews[1], "keeps the views after the insertion");
+  equals(virtualView.$(':nth-child(3)').text(), 'Item new', "inserts the element after the previous row");
+});
+
+test("should replay removals in visible rows", function() {
+  var removed = get(virtualView, 'childViews')[2];
+
+  virtualContent.removeAt(2);
+
+  same(renderedContent(virtualView), [0, 1, 3, 4, 5, 6, 7, 8], "removes the row and renders the next one");
+  ok(get(removed, 'isDestroyed'), "destroys the removed row's view");
+});
+
+test("should move rendered rows along with changes above them", function() {
+  virtualView.$()[0].scrollTop = 1000;
+  virtualView.scrollDidChange();
+
+  virtualContent.removeAt(0);
+
+  same(renderedContent(virtualView), [49, 50, 51, 52, 53, 54, 55, 56, 57, 58], "keeps rendering the visible range");
+  equals(virtualView.$('.sc-collection-spacer:last').css('height'), ((999 - 58) * 20) + 'px', "resizes the bottom spacer");
+});
+
+var keyedView, people;
+
+module("SC.CollectionView - keyed item views", {
+  setup: function() {
+    people = [
+      { id: 1, name: 'Tom' },
+      { id: 2, name: 'Yehuda' },
+      { id: 3, name: 'Peter' }
+    ];
+
+    keyedView = SC.CollectionView.create({
+      content: people,
+      itemKey: 'id',
+
+      itemViewClass: SC.View.extend({
+        render: function(buf) {
+          buf.push('<input type="text">');
+        }
+      })
+    });
+
+    SC.run(function() { keyedView.appendTo('#qunit-fixture'); });
+  },
+
+  teardown: function() {
+    keyedView.destroy();
+    keyedView = people = null;
+  }
+});
+
+test("should keep item views and move their elements when the content is sorted", function() {
+  var childViews = get(keyedView, 'childViews').slice(),
+      elements = childViews.map(function(view) { return get(view, 'element'); });
+
+  set(keyedView, 'content', [people[2], people[0], people[1]]);
+
+  same(get(keyedView, 'childViews'), [childViews[2], childViews[0], childViews[1]], "reorders the item views");
+  same(keyedView.$().children().get(), [elements[2], elements[0], elements[1]], "moves the elements");
+  ok(!childViews.some(function(view) { return get(view, 'isDestroyed'); }), "does not destroy the item views");
+});
+
+test("should match item views by key when the content is replaced with new objects", function() {
+  var childViews = get(keyedView, 'childViews').slice(),
+      tom = { id: 1, name: 'Tom Dale' };
+
+  set(keyedView, 'content', [tom, { id: 4, name: 'Carl' }]);
+
+  var newViews = get(keyedView, 'childViews');
+  equals(newViews[0], childViews[0], "keeps the view of the object with the same key");
+  equals(get(newViews[0], 'content'), tom, "updates the content of the kept view");
+  ok(childViews.indexOf(newViews[1]) < 0, "creates a view for the new key");
+  ok(get(childViews[1], 'isDestroyed') && get(childViews[2], 'isDestroyed'), "destroys the views of removed keys");
+  equals(keyedView.$('input').length, 2, "removes the elements of removed keys");
+});
+
+test("should preserve the state of item elements across changes", function() {
+  var input = keyedView.$('input:last');
+
+  input.val('typed text');
+  input.focus();
+
+  SC.run(function() {
+    set(keyedView, 'content', [people[2], people[1]]);
+  });
+
+  ok(keyedView.$('input:first')[0] === input[0], "moves the element to the front");
+  equals(input.val(), 'typed text', "keeps the value of the input");
+  equals(document.activeElement, input[0], "keeps the focus");
+});
+
+test("should create new views for objects with missing or duplicate keys", function() {
+  var a = { name: 'a' }, b = { name: 'b' },
+      c = { id: 5, name: 'c' }, d = { id: 5, name: 'd' },
+      view = SC.CollectionView.create({
+        content: [a, b, c, d],
+        itemKey: 'id',
+
+        itemViewClass: SC.View.extend({
+          render: function(buf) {
+            buf.push(get(this, 'content').name);
+          }
+        })
+      });
+
+  SC.run(function() { view.appendTo('#qunit-fixture'); });
+
+  var childViews = get(view, 'childViews').slice();
+
+  SC.run(function() {
+    set(view, 'content', [d, c, b, a]);
+  });
+
+  equals(view.$().text(), 'dcba', "renders the objects in the new order");
+  equals(get(view, 'childViews').length, 4, "has a view for each object");
+  ok(get(childViews[0], 'isDestroyed') && get(childViews[1], 'isDestroyed'), "destroys the views of objects without a key");
+  equals(get(view, 'childViews').filter(function(childView) {
+    return childViews.indexOf(childView) >= 0;
+  }).length, 1, "reuses only one view for a duplicated key");
+
+  view.destroy();
+});
@@ -0,0 +1,107 @@
+// ==========================================================================
+// Project:   SproutCore Views
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+var set = SC.set, get = SC.get;
+
+module("SC.View#renderToString");
+
+test("renders the view and its child views without creating elements", function() {
+  var view = SC.View.create({
+    elementId: 'parent',
+    tagName: 'p',
+
+    childViews: [SC.View.extend({
+      elementId: 'child',
+      tagName: 'span',
+
+      render: function(buffer) {
+        buffer.push('foo');
+      }
+    })],
+
+    render: function(buffer) {
+      buffer.push('before ');
+    }
+  });
+
+  var html = view.renderToString();
+
+  equals(html, '<p id="parent" class="sc-view" >before <span id="child" class="sc-view" >foo</span></p>', 'returns the HTML');
+  equals(get(view, 'element'), null, 'does not create an element');
+});
+
+test("renders the item views of collection views", function() {
+  var view = SC.CollectionView.create({
+    content: ['a', 'b'],
+
+    itemViewClass: SC.View.extend({
+      render: function(buffer) {
+        buffer.push(get(this, 'content'));
+      }
+    })
+  });
+
+  ok(view.renderToString().match(/>a<\/div><div [^>]*>b<\/div><\/div>$/), 'renders each item');
+});
+
+module("SC.View - usesStableElementIds");
+
+test("derives the ids of child views from the parent's id", function() {
+  var View = SC.View.extend({
+    elementId: 'page',
+    usesStableElementIds: YES,
+    childViews: [SC.View.extend({ childViews: [SC.View] }), SC.View]
+  });
+
+  var view = View.create(),
+      childViews = get(view, 'childViews');
+
+  equals(get(childViews[0], 'elementId'), 'page-1', 'first child view');
+  equals(get(childViews[1], 'elementId'), 'page-2', 'second child view');
+  equals(get(get(childViews[0], 'childViews')[0], 'elementId'), 'page-1-1', 'child views inherit the setting');
+
+  equals(get(get(View.create(), 'childViews')[1], 'elementId'), 'page-2', 'ids are the same for another instance');
+});
+
+test("keeps explicit ids of child views", function() {
+  var view = SC.View.create({
+    elementId: 'page',
+    usesStableElementIds: YES,
+    childViews: [SC.View.extend({ elementId: 'header' })]
+  });
+
+  equals(get(get(view, 'childViews')[0], 'elementId'), 'header', 'explicit id');
+});
+
+module("SC.View#rehydrate", {
+  teardown: function() {
+    SC.$('#qunit-fixture').empty();
+  }
+});
+
+test("attaches the view and child views to existing elements", function() {
+  var View = SC.View.extend({
+    elementId: 'page',
+    usesStableElementIds: YES,
+    didCreateElement: function() { this.didCreate = YES; },
+
+    childViews: [SC.View.extend({
+      render: function(buffer) { buffer.push('child'); }
+    })]
+  });
+
+  SC.$('#qunit-fixture').html(View.create().renderToString());
+
+  var elem = SC.$('#page')[0],
+      view = View.create();
+
+  view.rehydrate();
+
+  equals(get(view, 'element'), elem, 'uses the existing element');
+  equals(get(get(view, 'childViews')[0], 'element'), SC.$('#page-1')[0], 'child views use existing elements');
+  ok(view.didCreate, 'calls didCreateElement()');
+  equals(SC.$('#qunit-fixture').children().length, 1, 'does not add elements');
+});
@@ -102,3 +102,49 @@ test("should render an empty element if no template is specified", function() {
 
   equals(view.$().html(), '', "view div should be empty");
 });
+
+test("should call the function of the associated layout instead of the template", function() {
+  var view;
+
+  view = SC.View.create({
+    layoutName: 'test_layout',
+    templateName: 'test_template',
+
+    templates: SC.Object.create({
+      test_layout: function(dataSource) { return "<h1 id='layout-was-called'>layout was called</h1>"; },
+      test_template: function(dataSource) { return "<h1 id='template-was-called'>template was called</h1>"; }
+    })
+  });
+
+  view.createElement();
+
+  ok(view.$('#layout-was-called').length, "the named layout was called");
+  ok(!view.$('#template-was-called').length, "the template is left to the layout");
+});
+
+test("should raise if the layout is not found", function() {
+  var view = SC.View.create({ layoutName: 'missing', templates: {} });
+
+  raises(function() { get(view, 'layout'); }, "raises an exception");
+});
+
+test("should use the defaultLayout if there is no layoutName", function() {
+  var View = SC.View.extend({
+    defaultLayout: function(dataSource) { return "<h1 id='default-layout-was-called'>default layout was called</h1>"; }
+  });
+
+  var view = View.create();
+  view.createElement();
+  ok(view.$('#default-layout-was-called').length, "the default layout was called");
+
+  view = View.create({
+    layoutName: 'test_layout',
+    templates: SC.Object.create({
+      test_layout: function(dataSource) { return "<h1 id='layout-was-called'>layout was called</h1>"; }
+    })
+  });
+  view.createElement();
+  ok(view.$('#layout-was-called').length, "the named layout is used instead");
+
+  equals(get(SC.View.create(), 'layout'), null, "views have no layout by default");
+});
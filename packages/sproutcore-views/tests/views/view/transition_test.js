@@ -0,0 +1,148 @@
+// ==========================================================================
+// Project:   SproutCore Views
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+var set = SC.set, get = SC.get;
+
+var view;
+
+module("SC.View - inserting elements", {
+  teardown: function() {
+    if (view) { view.destroy(); }
+    view = null;
+    SC.$('#qunit-fixture').empty();
+  }
+});
+
+test("appendTo() notifies the view and its child views", function() {
+  var calls = [];
+
+  view = SC.View.create({
+    childViews: [SC.View.extend({
+      willInsertElement: function() { calls.push('child will'); },
+      didInsertElement: function() { calls.push('child did'); }
+    })],
+
+    willInsertElement: function() {
+      calls.push('will');
+      ok(!this.$().parent().length, "element is not in the document yet");
+    },
+
+    didInsertElement: function() {
+      calls.push('did');
+      equals(this.$().parent()[0], SC.$('#qunit-fixture')[0], "element is in the document");
+    }
+  });
+
+  view.appendTo('#qunit-fixture');
+  same(calls, ['will', 'child will', 'did', 'child did'], "calls the hooks in order");
+});
+
+module("SC.View - transitions", {
+  teardown: function() {
+    if (view) { view.destroy(); }
+    view = null;
+    SC.$('#qunit-fixture').empty();
+  }
+});
+
+test("inserted elements go through the enter phase", function() {
+  view = SC.View.create({ transitionClassName: 'fade', transitionDuration: 20 });
+
+  SC.run(function() { view.appendTo('#qunit-fixture'); });
+  ok(view.$().hasClass('fade-enter'), "adds the enter class");
+
+  stop();
+  setTimeout(function() {
+    start();
+    ok(!view.$().hasClass('fade-enter'), "removes the enter class");
+    ok(!view.$().hasClass('fade-enter-active'), "removes the active class");
+  }, 100);
+});
+
+test("removed elements stay in the document until they transitioned out", function() {
+  view = SC.View.create({ elementId: 'leaving', transitionClassName: 'fade', transitionDuration: 20 });
+
+  view.appendTo('#qunit-fixture');
+  SC.run(function() { view.remove(); });
+
+  equals(get(view, 'element'), null, "the view no longer has an element");
+  equals(SC.$('#leaving').length, 1, "the element is still in the document");
+  ok(SC.$('#leaving').hasClass('fade-leave'), "adds the leave class");
+
+  stop();
+  setTimeout(function() {
+    start();
+    equals(SC.$('#leaving').length, 0, "removes the element");
+  }, 100);
+});
+
+test("transitionOut() can remove the element when it is done", function() {
+  var done;
+
+  view = SC.View.create({
+    elementId: 'leaving',
+    transitionOut: function(elem, callback) {
+      equals(elem[0].id, 'leaving', "passes the element");
+      done = callback;
+    }
+  });
+
+  view.appendTo('#qunit-fixture');
+  view.remove();
+  equals(SC.$('#leaving').length, 1, "the element is still in the document");
+
+  done();
+  equals(SC.$('#leaving').length, 0, "removes the element");
+});
+
+test("elements are removed right away without transitions", function() {
+  view = SC.View.create({ elementId: 'leaving' });
+
+  view.appendTo('#qunit-fixture');
+  view.remove();
+  equals(SC.$('#leaving').length, 0, "removes the element");
+});
+
+test("item views removed from a collection view transition out", function() {
+  var content = ['a', 'b', 'c'], callbacks = [];
+
+  view = SC.CollectionView.create({
+    content: content,
+    itemViewClass: SC.View.extend({
+      render: function(buffer) { buffer.push(get(this, 'content')); },
+      transitionOut: function(elem, done) { callbacks.push(done); }
+    })
+  });
+
+  view.appendTo('#qunit-fixture');
+  SC.run(function() { content.removeAt(1); });
+
+  equals(view.$().children().length, 3, "keeps the removed item in the document");
+  equals(SC.getPath(view, 'childViews.length'), 2, "removes the item view");
+
+  callbacks[0]();
+  equals(view.$().text(), 'ac', "removes the item after the transition");
+});
+
+test("item views added to a collection view are notified when inserted", function() {
+  var content = ['a'], inserted = [];
+
+  view = SC.CollectionView.create({
+    content: content,
+    itemViewClass: SC.View.extend({
+      render: function(buffer) { buffer.push(get(this, 'content')); },
+      didInsertElement: function() { inserted.push(this.$().text()); }
+    })
+  });
+
+  view.appendTo('#qunit-fixture');
+  inserted.length = 0;
+
+  SC.run(function() { content.unshiftObject('z'); });
+
+  same(inserted, ['z'], "calls didInsertElement on the added item view");
+  equals(view.$().text(), 'za', "inserts the item at its index");
+});